@@ -0,0 +1,96 @@
+// check-consistency.js
+// Usage:
+//   node src/check-consistency.js [--types=event,team] [--repair] [--limit=100] [--json]
+// Env:
+//   MONGOURL, MONGODB, MAT_AGG_COLLECTION_NAME (as for the service)
+
+////////////////////////////////////////////////////////////////////////////////
+require('dotenv').config({ quiet: true });
+const crypto = require('crypto');
+const config = require('./config.js');
+const { connectToMongo, closeMongo } = require('./utils/mongoUtils.js');
+const { setLogLevel } = require('./log.js');
+const { checkConsistency } = require('./verification/consistencyChecker.js');
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Parse the command line flags into checkConsistency options.
+ * @param {string[]} args - Arguments after the script name.
+ * @returns {{types?: string[], repair: boolean, sampleLimit?: number, json: boolean}} Parsed options.
+ * @throws {Error} If a flag is unknown or its value is invalid.
+ */
+function parseArgs(args) {
+	const options = { repair: false, json: false };
+	for (const arg of args) {
+		const [flag, value] = arg.split('=');
+		if (flag === '--repair') options.repair = true;
+		else if (flag === '--json') options.json = true;
+		else if (flag === '--types' && value) options.types = value.split(',').map((type) => type.trim());
+		else if (flag === '--limit' && Number.isInteger(Number(value)) && Number(value) >= 0) options.sampleLimit = Number(value);
+		else throw new Error(`Unknown or invalid argument: "${arg}"`);
+	}
+	return options;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Print a problem list, one line per problem.
+ * @param {string} title - Heading for the list.
+ * @param {Array} problems - Problems from the report.
+ * @param {number} count - Total number of problems of this kind.
+ * @param {function(Object): string} describe - Formats one problem.
+ */
+function printProblems(title, problems, count, describe) {
+	if (count === 0) return;
+	console.log(`\n--- ${title} (${count}) ---`);
+	problems.forEach((problem) => console.log(`  • ${describe(problem)}`));
+	if (count > problems.length) console.log(`  ... and ${count - problems.length} more`);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Async CLI entrypoint: connects to Mongo, audits the aggregation references (repairing them with --repair)
+ * and prints a summary. Exits with 1 when problems were found and not repaired.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function run() {
+	let options;
+	try {
+		options = parseArgs(process.argv.slice(2));
+	} catch (err) {
+		console.error(err.message);
+		console.error('Usage: node src/check-consistency.js [--types=event,team] [--repair] [--limit=100] [--json]');
+		process.exit(1);
+	}
+	setLogLevel(options.json ? 'warn' : 'info');
+
+	const mongo = await connectToMongo(config.mongo);
+	let report;
+	try {
+		report = await checkConsistency(mongo, config, crypto.randomUUID(), options);
+	} finally {
+		await closeMongo(mongo);
+	}
+
+	if (options.json) {
+		console.log(JSON.stringify(report, null, 2));
+	} else {
+		const { counts } = report;
+		console.log(`\n=== CONSISTENCY SUMMARY ===`);
+		console.log(`Aggregation documents - Scanned: ${report.scanned}  Checked: ${report.checked}`);
+		console.log(`Orphans: ${counts.orphans}  Dangling references: ${counts.dangling}  Asymmetric edges: ${counts.asymmetric}`);
+		printProblems('Orphans', report.orphans, counts.orphans, (doc) => `${doc.resourceType} ${doc.externalKey} (gamedayId ${doc.gamedayId})`);
+		printProblems('Dangling references', report.dangling, counts.dangling, (p) => `${p.fromType} ${p.fromKey} → ${p.toType} ${p.toKey} :: ${p.reason}`);
+		printProblems('Asymmetric edges', report.asymmetric, counts.asymmetric, (p) => `${p.fromType} ${p.fromKey} → ${p.toType} ${p.toKey} (no inverse)`);
+		if (report.repaired) console.log(`\nRepaired: ${report.repaired.referenceOperations} reference operations, ${report.repaired.deletedOrphans} orphans deleted`);
+	}
+	const problems = report.counts.orphans + report.counts.dangling + report.counts.asymmetric;
+	process.exit(problems > 0 && !report.repaired ? 1 : 0);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+run().catch((e) => {
+	console.error('FATAL:', e?.message || e);
+	process.exit(1);
+});
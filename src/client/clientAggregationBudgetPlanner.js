@@ -0,0 +1,235 @@
+const _ = require('lodash');
+const { ClientAggregationError } = require('./clientAggregationError.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Budget allocation across materialised types.
+//
+// The builder's default budget is greedy: each type in `resourceTypesToMaterialise`
+// order takes as much of the remaining budget as it has ids. When per-type limits,
+// per-type minimums or another strategy are asked for, these stages work out how
+// many ids each type gets instead, as `_alloc_<type>` fields:
+//   1. every type's cap is the number of ids it has, limited by its per-type maximum
+//   2. minimums are granted in type order while budget remains
+//   3. what is left is shared out by the strategy:
+//      - greedy: in type order, each type up to its cap
+//      - proportional: in proportion to what each type can still take (rounding down,
+//        with the remainder handed out greedily)
+//      - roundRobin: one at a time in type order, skipping types that are full
+////////////////////////////////////////////////////////////////////////////////
+const BUDGET_STRATEGIES = ['greedy', 'proportional', 'roundRobin'];
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Whether the caller asked for anything other than the default greedy budget.
+ *
+ * @param {Object} budget - { typeMax, typeMin, strategy } as passed to the builder
+ * @returns {boolean} True when the allocation stages are needed
+ */
+function usesBudgetPlanner({ typeMax, typeMin, strategy } = {}) {
+	return !_.isEmpty(typeMax) || !_.isEmpty(typeMin) || (strategy != null && strategy !== 'greedy');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Validates the per-type budget options against the types being materialised.
+ *
+ * @param {Object} budget - { typeMax, typeMin, strategy }
+ * @param {string[]} types - The types being materialised
+ * @throws {ClientAggregationError} When a type is not materialised, a value is not a non-negative integer, or the strategy is unknown
+ */
+function validateBudgetOptions({ typeMax, typeMin, strategy } = {}, types) {
+	for (const [name, limits] of [
+		['aggregationMax', typeMax],
+		['aggregationMin', typeMin],
+	]) {
+		if (limits == null) continue;
+		if (!_.isPlainObject(limits)) throw new ClientAggregationError(`${name} must map resource types to non-negative integers`);
+		for (const [type, value] of Object.entries(limits)) {
+			if (!types.includes(type)) throw new ClientAggregationError(`${name}.${type} is set but '${type}' is not one of the requested aggregation views`, 'INVALID_BUDGET', { types });
+			if (!Number.isInteger(value) || value < 0) throw new ClientAggregationError(`${name}.${type} must be a non-negative integer`, 'INVALID_BUDGET');
+		}
+	}
+	if (strategy != null && !BUDGET_STRATEGIES.includes(strategy)) {
+		throw new ClientAggregationError(`aggregationStrategy must be one of ${BUDGET_STRATEGIES.join(', ')}`, 'INVALID_BUDGET', { strategies: BUDGET_STRATEGIES });
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Hand out `budgetExpr` in array order, each entry taking up to its `wants` - returns the array of takes
+function greedyTakes(wantsExpr, budgetExpr) {
+	return {
+		$getField: {
+			field: 'takes',
+			input: {
+				$reduce: {
+					input: wantsExpr,
+					initialValue: { left: budgetExpr, takes: [] },
+					in: {
+						$let: {
+							vars: { take: { $max: [0, { $min: ['$$this', '$$value.left'] }] } },
+							in: { left: { $subtract: ['$$value.left', '$$take'] }, takes: { $concatArrays: ['$$value.takes', ['$$take']] } },
+						},
+					},
+				},
+			},
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Element-wise a + b of two equally long arrays
+function addArrays(aExpr, bExpr) {
+	return { $map: { input: { $zip: { inputs: [aExpr, bExpr] } }, as: 'pair', in: { $add: [{ $arrayElemAt: ['$$pair', 0] }, { $arrayElemAt: ['$$pair', 1] }] } } };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Element-wise a - b of two equally long arrays
+function subtractArrays(aExpr, bExpr) {
+	return { $map: { input: { $zip: { inputs: [aExpr, bExpr] } }, as: 'pair', in: { $subtract: [{ $arrayElemAt: ['$$pair', 0] }, { $arrayElemAt: ['$$pair', 1] }] } } };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Proportional share of `budget` by `needs`, rounded down; the rounding remainder is then handed out greedily
+function proportionalTakes(needsExpr, budgetExpr) {
+	const share = {
+		$let: {
+			vars: { total: { $sum: needsExpr } },
+			in: {
+				$cond: [
+					{ $lte: ['$$total', budgetExpr] },
+					needsExpr,
+					{ $map: { input: needsExpr, as: 'need', in: { $floor: { $divide: [{ $multiply: ['$$need', budgetExpr] }, { $max: ['$$total', 1] }] } } } },
+				],
+			},
+		},
+	};
+	return {
+		$let: {
+			vars: { share },
+			in: addArrays('$$share', greedyTakes(subtractArrays(needsExpr, '$$share'), { $subtract: [budgetExpr, { $sum: '$$share' }] })),
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Round-robin (max-min fair) share of `budget` by `needs`. Needs are visited smallest first: each one
+// that fits within an equal share of what is left is granted in full; everything else gets the level
+// (the equal share), and the remainder of the division goes one each, in type order, to types with room.
+function roundRobinTakes(needsExpr, budgetExpr) {
+	const level = {
+		$let: {
+			vars: {
+				fill: {
+					$reduce: {
+						input: { $sortArray: { input: needsExpr, sortBy: 1 } },
+						initialValue: { left: budgetExpr, count: { $size: needsExpr }, level: null },
+						in: {
+							$cond: [
+								{ $and: [{ $eq: ['$$value.level', null] }, { $lte: [{ $multiply: ['$$this', '$$value.count'] }, '$$value.left'] }] },
+								{ left: { $subtract: ['$$value.left', '$$this'] }, count: { $subtract: ['$$value.count', 1] }, level: null },
+								{
+									left: '$$value.left',
+									count: '$$value.count',
+									level: { $ifNull: ['$$value.level', { $floor: { $divide: ['$$value.left', { $max: ['$$value.count', 1] }] } }] },
+								},
+							],
+						},
+					},
+				},
+			},
+			in: { $ifNull: ['$$fill.level', { $max: needsExpr }] },
+		},
+	};
+	return {
+		$let: {
+			vars: { share: { $map: { input: needsExpr, as: 'need', in: { $min: ['$$need', level] } } } },
+			in: {
+				$let: {
+					vars: { room: { $map: { input: subtractArrays(needsExpr, '$$share'), as: 'r', in: { $min: ['$$r', 1] } } } },
+					in: addArrays('$$share', greedyTakes('$$room', { $subtract: [budgetExpr, { $sum: '$$share' }] })),
+				},
+			},
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the stages that allocate the remaining budget (`$_remaining`, after the root) across types.
+ *
+ * Expects `_union_<type>_ids` to hold each type's candidate ids. Adds `_alloc_<type>` (the number of ids
+ * the type may materialise) for every type and leaves `_remaining` as the unallocated budget.
+ *
+ * @param {Object} params - Allocation parameters
+ * @param {string[]} params.types - Types in budget order
+ * @param {Object<string, number>} [params.typeMax] - Per-type upper limits
+ * @param {Object<string, number>} [params.typeMin] - Per-type guaranteed minimums (granted in type order while budget remains)
+ * @param {string} [params.strategy='greedy'] - How the budget left after the minimums is shared: greedy, proportional or roundRobin
+ * @returns {Array<Object>} Aggregation stages
+ */
+function buildBudgetAllocationStages({ types, typeMax = {}, typeMin = {}, strategy = 'greedy' }) {
+	const caps = types.map((t) => (typeMax[t] != null ? { $min: [{ $size: `$_union_${t}_ids` }, typeMax[t]] } : { $size: `$_union_${t}_ids` }));
+	const mins = types.map((t) => typeMin[t] || 0);
+	const takesForStrategy = { greedy: greedyTakes, proportional: proportionalTakes, roundRobin: roundRobinTakes }[strategy || 'greedy'];
+	//////////////////////////////////////////////////////////////////////////////
+	// 1) caps, 2) minimums in type order, 3) the rest by strategy
+	const stages = [
+		{ $addFields: { _budgetCaps: caps } },
+		{ $addFields: { _budgetMins: greedyTakes({ $map: { input: { $zip: { inputs: ['$_budgetCaps', { $literal: mins }] } }, as: 'pair', in: { $min: '$$pair' } } }, '$_remaining') } },
+		{ $addFields: { _remaining: { $subtract: ['$_remaining', { $sum: '$_budgetMins' }] } } },
+		{ $addFields: { _budgetTakes: addArrays('$_budgetMins', takesForStrategy(subtractArrays('$_budgetCaps', '$_budgetMins'), '$_remaining')) } },
+	];
+	//////////////////////////////////////////////////////////////////////////////
+	const allocations = { _remaining: { $subtract: ['$_remaining', { $subtract: [{ $sum: '$_budgetTakes' }, { $sum: '$_budgetMins' }] }] } };
+	types.forEach((t, i) => (allocations[`_alloc_${t}`] = { $arrayElemAt: ['$_budgetTakes', i] }));
+	stages.push({ $addFields: allocations });
+	return stages;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the stage that slices a type's ids by its allocation into included and overflow ids.
+ *
+ * @param {string} t - The type
+ * @returns {Object} An $addFields stage setting `_inc_<type>_ids` and `_ovf_<type>_ids`
+ */
+function buildAllocatedSliceStage(t) {
+	const ids = `$_union_${t}_ids`;
+	const take = `$_alloc_${t}`;
+	return {
+		$addFields: {
+			[`_inc_${t}_ids`]: { $cond: [{ $gt: [take, 0] }, { $slice: [ids, take] }, []] },
+			[`_ovf_${t}_ids`]: { $cond: [{ $gt: [{ $size: ids }, take] }, { $slice: [ids, take, { $subtract: [{ $size: ids }, take] }] }, []] },
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the $facet branch that reports the allocation: per type its limits, the ids available and the ids allocated.
+ *
+ * @param {Object} params - As buildBudgetAllocationStages, plus totalMax and rootType
+ * @returns {Array<Object>} Facet pipeline producing a single budgetAllocation document
+ */
+function buildBudgetReportFacet({ types, typeMax = {}, typeMin = {}, strategy, totalMax, rootType }) {
+	const report = {
+		_id: 0,
+		strategy: { $literal: strategy || 'greedy' },
+		total: { $literal: totalMax },
+		root: { type: { $literal: rootType }, allocated: { $size: '$_rootIncludedIds' } },
+		unallocated: '$_remaining',
+		types: {},
+	};
+	for (const t of types) {
+		report.types[t] = {
+			min: { $literal: typeMin[t] ?? null },
+			max: { $literal: typeMax[t] ?? null },
+			available: { $size: `$_union_${t}_ids` },
+			allocated: { $size: `$_inc_${t}_ids` },
+		};
+	}
+	return [{ $project: report }];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { BUDGET_STRATEGIES, usesBudgetPlanner, validateBudgetOptions, buildBudgetAllocationStages, buildAllocatedSliceStage, buildBudgetReportFacet };
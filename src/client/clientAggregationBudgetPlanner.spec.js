@@ -0,0 +1,86 @@
+const { aggregate } = require('mingo');
+const { buildBudgetAllocationStages } = require('./clientAggregationBudgetPlanner');
+
+////////////////////////////////////////////////////////////////////////////////
+// Runs the allocation stages in memory on a document with `available` ids per type and `remaining` budget,
+// returning the ids allocated per type and the budget left unallocated
+function allocate({ available, remaining, ...budget }) {
+	const types = Object.keys(available);
+	const doc = { _remaining: remaining };
+	for (const t of types) doc[`_union_${t}_ids`] = Array.from({ length: available[t] }, (_, i) => `${t}${i}`);
+	const [out] = aggregate([doc], buildBudgetAllocationStages({ types, ...budget }));
+	return { ...Object.fromEntries(types.map((t) => [t, out[`_alloc_${t}`]])), unallocated: out._remaining };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+describe('Client Aggregation Budget Planner', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	describe('greedy', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should fill each type up to its cap in type order', () => {
+			expect(allocate({ available: { stage: 7, event: 5, team: 3 }, remaining: 10 })).toEqual({ stage: 7, event: 3, team: 0, unallocated: 0 });
+			expect(allocate({ available: { stage: 7, event: 5, team: 3 }, remaining: 10, typeMax: { stage: 2 } })).toEqual({ stage: 2, event: 5, team: 3, unallocated: 0 });
+			expect(allocate({ available: { stage: 1, event: 2 }, remaining: 10 })).toEqual({ stage: 1, event: 2, unallocated: 7 });
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('proportional', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should share in proportion to what each type can take and hand the rounding remainder out in type order', () => {
+			// 10 * 7/15, 10 * 5/15 and 10 * 3/15 round down to 4, 3 and 2; the one left over goes to the first type
+			expect(allocate({ available: { stage: 7, event: 5, team: 3 }, remaining: 10, strategy: 'proportional' })).toEqual({ stage: 5, event: 3, team: 2, unallocated: 0 });
+			// Every share rounds down to 0, so the whole budget is the remainder
+			expect(allocate({ available: { stage: 1, event: 1, team: 1 }, remaining: 2, strategy: 'proportional' })).toEqual({ stage: 1, event: 1, team: 0, unallocated: 0 });
+		});
+
+		////////////////////////////////////////////////////////////////////////////
+		test('should give every type all it can take when the budget covers them', () => {
+			expect(allocate({ available: { stage: 2, event: 3 }, remaining: 10, strategy: 'proportional' })).toEqual({ stage: 2, event: 3, unallocated: 5 });
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('roundRobin', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should grant small types in full, level the others and hand the remainder out in type order', () => {
+			// team fits in full (3), the 7 left level stage and event at 3 each, the last one goes to stage
+			expect(allocate({ available: { stage: 7, event: 5, team: 3 }, remaining: 10, strategy: 'roundRobin' })).toEqual({ stage: 4, event: 3, team: 3, unallocated: 0 });
+			// Type order, not size, decides who gets the remainder
+			expect(allocate({ available: { stage: 5, event: 5, team: 5 }, remaining: 7, strategy: 'roundRobin' })).toEqual({ stage: 3, event: 2, team: 2, unallocated: 0 });
+			expect(allocate({ available: { stage: 2, event: 9, team: 9 }, remaining: 11, strategy: 'roundRobin' })).toEqual({ stage: 2, event: 5, team: 4, unallocated: 0 });
+		});
+
+		////////////////////////////////////////////////////////////////////////////
+		test('should skip types that are full when handing out the remainder', () => {
+			expect(allocate({ available: { stage: 1, event: 4, team: 4 }, remaining: 8, strategy: 'roundRobin' })).toEqual({ stage: 1, event: 4, team: 3, unallocated: 0 });
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('minimums', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should grant minimums in type order until the budget runs out when they add up to more than the budget', () => {
+			for (const strategy of ['greedy', 'proportional', 'roundRobin']) {
+				expect(allocate({ available: { stage: 7, event: 8, team: 6 }, remaining: 10, typeMin: { stage: 2, event: 6, team: 5 }, strategy })).toEqual({
+					stage: 2,
+					event: 6,
+					team: 2,
+					unallocated: 0,
+				});
+			}
+		});
+
+		////////////////////////////////////////////////////////////////////////////
+		test('should limit a minimum to the ids available and share what is left by the strategy', () => {
+			// stage's minimum is cut to its 1 id and team gets its 3; the 6 left are shared 4 + 1 by the 8 and 3 ids
+			// event and team can still take, and the remainder goes to event
+			expect(allocate({ available: { stage: 1, event: 8, team: 6 }, remaining: 10, typeMin: { stage: 4, team: 3 }, strategy: 'proportional' })).toEqual({
+				stage: 1,
+				event: 5,
+				team: 4,
+				unallocated: 0,
+			});
+		});
+	});
+});
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const { ClientAggregationError } = require('./clientAggregationError.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Continuation cursors for aggregation overflow.
+//
+// A cursor is `<payload>.<signature>`: the base64url JSON payload (root, route plan,
+// projections, type, offset and page size) and an HMAC-SHA256 of it. Clients treat
+// it as opaque; the signature stops them editing the route plan or offset.
+////////////////////////////////////////////////////////////////////////////////
+const CURSOR_VERSION = 1;
+let processSecret = null;
+
+////////////////////////////////////////////////////////////////////////////////
+// Without a configured secret, cursors are signed with a per-process secret and stop working on restart
+function cursorSecret(config) {
+	if (_.isString(config?.cursor?.secret) && config.cursor.secret.length > 0) return config.cursor.secret;
+	if (!processSecret) processSecret = crypto.randomBytes(32).toString('hex');
+	return processSecret;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function sign(encodedPayload, secret) {
+	return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Creates a signed continuation cursor.
+ *
+ * @function encodeAggregationCursor
+ * @param {Object} payload - What the next page needs
+ * @param {Object} payload.root - { schemaType, scope, id, type, externalKey } of the root resource
+ * @param {string} payload.type - The materialised type being paged
+ * @param {Array<Object>} payload.routes - The routes that reach the type ({ key, to, via })
+ * @param {Object} [payload.fieldProjections] - Field projections, as passed to the pipeline builder
+ * @param {Object} [payload.sort] - The type's { field, direction } sort, if one was requested
+ * @param {string} [payload.filter] - The type's filter, if one was requested
+ * @param {boolean} [payload.provenance] - Whether items are annotated with the routes that reached them
+ * @param {number} payload.offset - Number of ids of the type already returned
+ * @param {number} payload.pageSize - Number of items per page
+ * @param {Object} config - Configuration object; config.cursor.secret signs the cursor
+ * @returns {string} The cursor
+ */
+function encodeAggregationCursor(payload, config) {
+	const encodedPayload = Buffer.from(JSON.stringify({ v: CURSOR_VERSION, iat: Date.now(), ...payload })).toString('base64url');
+	return `${encodedPayload}.${sign(encodedPayload, cursorSecret(config))}`;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Verifies and decodes a continuation cursor.
+ *
+ * @function decodeAggregationCursor
+ * @param {string} cursor - The cursor from a previous response
+ * @param {Object} config - Configuration object; config.cursor.secret and config.cursor.ttlMs
+ * @returns {Object} The payload given to encodeAggregationCursor (plus `v` and `iat`)
+ * @throws {ClientAggregationError} If the cursor is malformed, has been tampered with, or has expired
+ */
+function decodeAggregationCursor(cursor, config) {
+	if (!_.isString(cursor) || cursor.length === 0) throw new ClientAggregationError('cursor is required', 'INVALID_CURSOR');
+	const [encodedPayload, signature, ...rest] = cursor.split('.');
+	if (!encodedPayload || !signature || rest.length > 0) throw new ClientAggregationError('cursor is malformed', 'INVALID_CURSOR');
+	//////////////////////////////////////////////////////////////////////////////
+	// Constant-time comparison of the signature
+	const expected = Buffer.from(sign(encodedPayload, cursorSecret(config)));
+	const actual = Buffer.from(signature);
+	if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) throw new ClientAggregationError('cursor signature is invalid', 'INVALID_CURSOR');
+	//////////////////////////////////////////////////////////////////////////////
+	let payload;
+	try {
+		payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+	} catch (err) {
+		throw new ClientAggregationError('cursor is malformed', 'INVALID_CURSOR');
+	}
+	if (payload?.v !== CURSOR_VERSION) throw new ClientAggregationError('cursor version is not supported', 'INVALID_CURSOR');
+	const ttlMs = config?.cursor?.ttlMs;
+	if (ttlMs > 0 && Date.now() - payload.iat > ttlMs) throw new ClientAggregationError('cursor has expired', 'EXPIRED_CURSOR');
+	return payload;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { encodeAggregationCursor, decodeAggregationCursor };
@@ -0,0 +1,41 @@
+const { encodeAggregationCursor, decodeAggregationCursor } = require('./clientAggregationCursor');
+const { ClientAggregationError } = require('./clientAggregationError');
+
+////////////////////////////////////////////////////////////////////////////////
+describe('Client Aggregation Cursor', () => {
+	const config = { cursor: { secret: 'test-secret', ttlMs: 60000 } };
+	const payload = {
+		root: { schemaType: 'competitions', scope: 'fifa', id: '289175', type: 'competition', externalKey: '289175 @ fifa' },
+		type: 'stage',
+		routes: [{ key: 'stages', to: 'stage', via: ['competition.stages->stage'] }],
+		fieldProjections: { exclusions: { all: { _original: 0 } }, inclusions: { all: {} } },
+		offset: 20,
+		pageSize: 20,
+	};
+
+	////////////////////////////////////////////////////////////////////////////
+	test('should round-trip the payload', () => {
+		const cursor = encodeAggregationCursor(payload, config);
+		expect(typeof cursor).toBe('string');
+		expect(decodeAggregationCursor(cursor, config)).toMatchObject(payload);
+	});
+	////////////////////////////////////////////////////////////////////////////
+	test('should reject cursors that were edited or signed with another secret', () => {
+		const cursor = encodeAggregationCursor(payload, config);
+		const [, signature] = cursor.split('.');
+		const edited = Buffer.from(JSON.stringify({ v: 1, iat: Date.now(), ...payload, offset: 0 })).toString('base64url');
+		expect(() => decodeAggregationCursor(`${edited}.${signature}`, config)).toThrow(ClientAggregationError);
+		expect(() => decodeAggregationCursor(cursor, { cursor: { secret: 'other-secret' } })).toThrow('signature');
+		expect(() => decodeAggregationCursor('not-a-cursor', config)).toThrow('malformed');
+		expect(() => decodeAggregationCursor(undefined, config)).toThrow('required');
+	});
+	////////////////////////////////////////////////////////////////////////////
+	test('should reject expired cursors', () => {
+		const now = Date.now();
+		const spy = jest.spyOn(Date, 'now').mockReturnValue(now - 120000);
+		const cursor = encodeAggregationCursor(payload, config);
+		spy.mockRestore();
+		expect(() => decodeAggregationCursor(cursor, config)).toThrow('expired');
+		expect(decodeAggregationCursor(cursor, { cursor: { secret: 'test-secret', ttlMs: 0 } })).toMatchObject({ offset: 20 });
+	});
+});
@@ -1,6 +1,28 @@
 const { ClientAggregationError, ServerAggregationError } = require('./clientAggregationError.js');
-const COMP_SCOPED = new Set(['competition', 'stage', 'event', 'team', 'staff', 'ranking', 'keyMoment', 'keymoment']);
+const { COMPETITION_SCOPED_TYPES } = require('../registry/resourceRegistry.js');
 const EDGES = require('./clientAggregationPipelineBuilderEdges.js');
+const COMP_SCOPED = new Set(COMPETITION_SCOPED_TYPES.flatMap((type) => [type, type.toLowerCase()]));
+const defaultRoutePolicy = 'fewestToggles';
+const defaultMaxRoutes = 50;
+const maxRouteDepth = 12;
+
+////////////////////////////////////////////////////////////////////////////////
+// Route policies: the score fields candidate paths are compared on, in order (the path string breaks any tie)
+// - fewestToggles: fewest changes between competition-scoped and global types, then fewest hops
+// - fewestHops: fewest hops, then fewest toggles
+// - preferSpecificEdges: least general hops (a hop into a type many types reference, such as team or event, is general), then fewest hops
+const ROUTE_POLICIES = {
+	fewestToggles: ['toggles', 'hops'],
+	fewestHops: ['hops', 'toggles'],
+	preferSpecificEdges: ['generality', 'hops', 'toggles'],
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// How many types have an edge to each type
+const REFERENCED_BY = Object.values(EDGES).reduce((acc, outs) => {
+	for (const to of Object.values(outs)) acc[to] = (acc[to] || 0) + 1;
+	return acc;
+}, {});
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -24,70 +46,113 @@ function listOutEdges(EDGES_MAP, fromType) {
 	return Object.entries(outs).map(([field, to]) => ({ field, to }));
 }
 
+////////////////////////////////////////////////////////////////////////////////
+// What each scope rule forbids, for explanations
+const SCOPE_RULES = {
+	'Rule 1': 'From a competition-scoped root, a path cannot move from a non-competition-scoped type to a competition-scoped type',
+	'Rule 2': 'From a non-competition-scoped root, a path cannot move from a competition-scoped type to another competition-scoped type',
+};
+
 //////////////////////////////////////////////////////////////////////////////////
 /**
- * Determines if a transition between two types is allowed under the root's scope regime.
+ * Finds the scope rule, if any, that forbids a transition between two types under the root's scope regime.
  * Rule 1 (rootIsCS=true): Disallow non-competition-scoped -> competition-scoped transitions
  * Rule 2 (rootIsCS=false): Disallow competition-scoped -> competition-scoped transitions
  * @param {string} prevType - The source type of the transition
  * @param {string} nextType - The destination type of the transition
  * @param {boolean} rootIsCS - Whether the root type is competition-scoped
- * @returns {boolean} True if the transition is allowed, false otherwise
+ * @returns {string|null} 'Rule 1' or 'Rule 2' if the transition is forbidden, null if it is allowed
  */
-function isAllowedTransition(prevType, nextType, rootIsCS) {
+function forbiddingRule(prevType, nextType, rootIsCS) {
 	const fromCS = isCS(prevType);
 	const toCS = isCS(nextType);
 	//////////////////////////////////////////////////////////////////////////////
 	// Rule 1: disallow non competition scoped -> competition scoped
 	if (rootIsCS) {
-		if (!fromCS && toCS) return false;
-		return true;
+		return !fromCS && toCS ? 'Rule 1' : null;
 	}
 	//////////////////////////////////////////////////////////////////////////////
 	// Rule 2: disallow competition scoped -> competition scoped
 	else {
-		if (fromCS && toCS) return false;
-		return true;
+		return fromCS && toCS ? 'Rule 2' : null;
 	}
 }
 
+//////////////////////////////////////////////////////////////////////////////////
+/**
+ * Determines if a transition between two types is allowed under the root's scope regime (see forbiddingRule).
+ * @param {string} prevType - The source type of the transition
+ * @param {string} nextType - The destination type of the transition
+ * @param {boolean} rootIsCS - Whether the root type is competition-scoped
+ * @returns {boolean} True if the transition is allowed, false otherwise
+ */
+function isAllowedTransition(prevType, nextType, rootIsCS) {
+	return forbiddingRule(prevType, nextType, rootIsCS) === null;
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 /**
- * Calculates a score for a given path based on scope toggles, hop count, and lexical ordering.
- * Lower scores are better. Scoring criteria:
- * A) Number of competition-scoped/non-competition-scoped toggles (fewer is better)
- * B) Hop count (fewer is better)
- * C) Lexical ordering of path string for stable tiebreaking
+ * Calculates a score for a given path; lower is better on every field. Which fields count, and in which order,
+ * depends on the route policy (see betterScore):
+ * - toggles: number of competition-scoped/non-competition-scoped toggles
+ * - hops: hop count
+ * - generality: summed over the hops, the number of types with an edge to the type the hop leads to
+ * - key: the path string, for stable tiebreaking
  * @param {string} rootType - The root type to start scoring from
  * @param {Array<{from: string, field: string, to: string}>} path - The path to score
- * @returns {{toggles: number, hops: number, key: string}} Score object
+ * @returns {{toggles: number, hops: number, generality: number, key: string}} Score object
  */
 function scorePath(rootType, path) {
 	let toggles = 0;
+	let generality = 0;
 	let prevScope = isCS(rootType);
 	for (const hop of path) {
 		const curScope = isCS(hop.to);
 		if (curScope !== prevScope) toggles++;
 		prevScope = curScope;
+		generality += REFERENCED_BY[hop.to] || 0;
 	}
 	const hops = path.length;
 	const key = path.map((h) => `${h.from}.${h.field}->${h.to}`).join('|');
-	return { toggles, hops, key };
+	return { toggles, hops, generality, key };
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
- * Compares two path scores to determine which is better.
- * @param {{toggles: number, hops: number, key: string}} a - First score to compare
- * @param {{toggles: number, hops: number, key: string}} b - Second score to compare
+ * Compares two path scores to determine which is better under a route policy.
+ * @param {{toggles: number, hops: number, generality: number, key: string}} a - First score to compare
+ * @param {{toggles: number, hops: number, generality: number, key: string}} b - Second score to compare
+ * @param {string} [policy='fewestToggles'] - A key of ROUTE_POLICIES
  * @returns {number} Negative if a is better, positive if b is better, 0 if equal
  */
-function betterScore(a, b) {
-	if (a.toggles !== b.toggles) return a.toggles - b.toggles;
-	if (a.hops !== b.hops) return a.hops - b.hops;
+function betterScore(a, b, policy = defaultRoutePolicy) {
+	for (const field of ROUTE_POLICIES[policy]) {
+		if (a[field] !== b[field]) return a[field] - b[field];
+	}
 	return a.key.localeCompare(b.key);
 }
 
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Validates the options choosing which derived paths become routes.
+ * @param {Object} options - Configuration options
+ * @param {string} options.policy - A key of ROUTE_POLICIES
+ * @param {number|string} options.paths - The best paths kept per target, or 'all'
+ * @param {number} options.maxDepth - Maximum path depth to explore
+ * @throws {ClientAggregationError} When an option is invalid
+ */
+function validateRouteOptions({ policy, paths, maxDepth }) {
+	if (!Object.keys(ROUTE_POLICIES).includes(policy)) {
+		throw new ClientAggregationError(`Route policy must be one of ${Object.keys(ROUTE_POLICIES).join(', ')}`, 'INVALID_ROUTE_POLICY', { policies: Object.keys(ROUTE_POLICIES) });
+	}
+	if (paths !== 'all' && (!Number.isInteger(paths) || paths < 1)) {
+		throw new ClientAggregationError(`Route paths must be a positive integer or 'all'`, 'INVALID_ROUTE_PATHS');
+	}
+	if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > maxRouteDepth) {
+		throw new ClientAggregationError(`Route depth must be an integer from 1 to ${maxRouteDepth}`, 'INVALID_ROUTE_DEPTH');
+	}
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 /**
  * Finds all valid paths from root type to target type using depth-first search with constraints.
@@ -124,37 +189,64 @@ function findConstrainedPaths(EDGES_MAP, rootType, targetType, { maxDepth = 6 }
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
- * Selects the best path from root to target type based on scoring criteria.
+ * Ranks the allowed paths from root to target type under a route policy.
  * @param {Object} EDGES_MAP - Map of type relationships
  * @param {string} rootType - The starting type
  * @param {string} targetType - The target type to reach
- * @param {Object} [opts] - Configuration options passed to findConstrainedPaths
- * @returns {Array<{from: string, field: string, to: string}>|null} Best path or null if none found
+ * @param {Object} [opts] - Configuration options
+ * @param {number} [opts.maxDepth=6] - Maximum path depth to explore
+ * @param {string} [opts.policy='fewestToggles'] - A key of ROUTE_POLICIES
+ * @returns {Array<{path: Array<{from: string, field: string, to: string}>, score: Object}>} The paths with their scores, best first
  */
-function pickBestPath(EDGES_MAP, rootType, targetType, opts) {
-	const cands = findConstrainedPaths(EDGES_MAP, rootType, targetType, opts);
-	if (cands.length === 0) return null;
-	let best = { path: cands[0], score: scorePath(rootType, cands[0]) };
-	for (let i = 1; i < cands.length; i++) {
-		const s = scorePath(rootType, cands[i]);
-		if (betterScore(s, best.score) < 0) best = { path: cands[i], score: s };
-	}
-	return best.path;
+function rankPaths(EDGES_MAP, rootType, targetType, { maxDepth = 6, policy = defaultRoutePolicy } = {}) {
+	return findConstrainedPaths(EDGES_MAP, rootType, targetType, { maxDepth })
+		.map((path) => ({ path, score: scorePath(rootType, path) }))
+		.sort((a, b) => betterScore(a.score, b.score, policy));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Selects the best paths from root to target type under a route policy.
+ * @param {Object} EDGES_MAP - Map of type relationships
+ * @param {string} rootType - The starting type
+ * @param {string} targetType - The target type to reach
+ * @param {Object} [opts] - Configuration options passed to rankPaths
+ * @param {number|string} [opts.paths=1] - The number of paths kept, or 'all'
+ * @returns {Array<Array<{from: string, field: string, to: string}>>} The best paths, best first (empty if none found)
+ */
+function pickBestPaths(EDGES_MAP, rootType, targetType, { paths = 1, ...opts } = {}) {
+	const ranked = rankPaths(EDGES_MAP, rootType, targetType, opts).map(({ path }) => path);
+	return paths === 'all' ? ranked : ranked.slice(0, paths);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * The route for one of the paths chosen for a target; the best keeps the plain key, the alternatives are numbered by rank.
+ * @param {string} to - The target type
+ * @param {Array<{from: string, field: string, to: string}>} path - The path
+ * @param {number} rank - The path's rank among those chosen for the target (0 for the best)
+ * @returns {{key: string, to: string, via: Array<string>}} The route
+ */
+function routeFor(to, path, rank) {
+	return { key: `${to}_${path.length}hops${rank > 0 ? `_${rank + 1}` : ''}`, to, via: path.map((h) => `${h.from}.${h.field}->${h.to}`) };
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
  * Auto-generates routes from a root type to multiple target types.
- * Finds optimal paths respecting scope constraints and generates route configurations.
+ * Finds the best paths respecting scope constraints under a route policy and generates route configurations.
  * @param {Object} params - Configuration object
- * @param {Object} params.EDGES_MAP - Map of type relationships
  * @param {string} params.rootType - The root type to start from
  * @param {Array<string>} params.targets - Array of target types to route to
  * @param {number} [params.maxDepth=6] - Maximum path depth to explore
+ * @param {string} [params.policy='fewestToggles'] - How candidate paths are ranked (a key of ROUTE_POLICIES)
+ * @param {number|string} [params.paths=1] - The best paths routed per target, or 'all' for every allowed path up to maxDepth
+ * @param {number} [params.maxRoutes=50] - The most routes derived in total
  * @returns {Array<{key: string, to: string, via: Array<string>}>} Array of route configurations
- * @throws {ClientAggregationError} When no valid path exists to a target type
+ * @throws {ClientAggregationError} When an option is invalid, no valid path exists to a target type or there are too many routes
  */
-function deriveRoutesFromTargets({ rootType, targets, maxDepth = 6 }) {
+function deriveRoutesFromTargets({ rootType, targets, maxDepth = 6, policy = defaultRoutePolicy, paths = 1, maxRoutes = defaultMaxRoutes }) {
+	validateRouteOptions({ policy, paths, maxDepth });
 	const routes = [];
 	for (const to of targets) {
 		////////////////////////////////////////////////////////////////////////////
@@ -164,12 +256,105 @@ function deriveRoutesFromTargets({ rootType, targets, maxDepth = 6 }) {
 			continue;
 		}
 		////////////////////////////////////////////////////////////////////////////
-		const path = pickBestPath(EDGES, rootType, to, { maxDepth });
-		if (!path) throw new ClientAggregationError(`No valid scoped path from '${rootType}' to '${to}' under scope rules.`, 'UNREACHABLE_AUTO_ROUTE', { rootType, to });
-		routes.push({ key: `${to}_${path.length}hops`, to, via: path.map((h) => `${h.from}.${h.field}->${h.to}`) });
+		const best = pickBestPaths(EDGES, rootType, to, { maxDepth, policy, paths });
+		if (best.length === 0) throw new ClientAggregationError(`No valid scoped path from '${rootType}' to '${to}' under scope rules.`, 'UNREACHABLE_AUTO_ROUTE', { rootType, to });
+		routes.push(...best.map((path, rank) => routeFor(to, path, rank)));
+	}
+	if (routes.length > maxRoutes) {
+		throw new ClientAggregationError(`${routes.length} routes were derived, more than the ${maxRoutes} allowed; ask for fewer paths or a lower depth`, 'TOO_MANY_DERIVED_ROUTES', {
+			routeCount: routes.length,
+			maxRoutes,
+		});
 	}
 	return routes;
 }
 
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Finds the paths towards a target type that the scope rules cut short.
+ * Each is the path up to and including the forbidden hop, kept only when the target is still reachable
+ * in the graph from where the hop leads; paths are not followed past a forbidden hop.
+ * @param {Object} EDGES_MAP - Map of type relationships
+ * @param {string} rootType - The starting type
+ * @param {string} targetType - The target type
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.maxDepth=6] - Maximum path depth to explore
+ * @returns {Array<{path: Array<{from: string, field: string, to: string}>, rule: string}>} The rejected paths and the rule that rejected each
+ */
+function findRejectedPaths(EDGES_MAP, rootType, targetType, { maxDepth = 6 } = {}) {
+	//////////////////////////////////////////////////////////////////////////////
+	// Types from which the target can be reached at all
+	const leadsToTarget = new Set([targetType]);
+	let grown = true;
+	while (grown) {
+		grown = false;
+		for (const type of Object.keys(EDGES_MAP)) {
+			if (!leadsToTarget.has(type) && listOutEdges(EDGES_MAP, type).some(({ to }) => leadsToTarget.has(to))) {
+				leadsToTarget.add(type);
+				grown = true;
+			}
+		}
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	const rootIsCS = isCS(rootType);
+	const rejected = [];
+	const stack = [{ type: rootType, path: [], visited: new Set([rootType]) }];
+	while (stack.length) {
+		const { type, path, visited } = stack.pop();
+		if (type === targetType || path.length >= maxDepth) continue;
+		for (const { field, to } of listOutEdges(EDGES_MAP, type)) {
+			if (visited.has(to) || !leadsToTarget.has(to)) continue;
+			const nextPath = path.concat({ from: type, field, to });
+			const rule = forbiddingRule(type, to, rootIsCS);
+			if (rule) {
+				rejected.push({ path: nextPath, rule });
+				continue;
+			}
+			const nextVisited = new Set(visited);
+			nextVisited.add(to);
+			stack.push({ type: to, path: nextPath, visited: nextVisited });
+		}
+	}
+	return rejected;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Explains the routes deriveRoutesFromTargets chooses: per target, the chosen routes, every allowed candidate path
+ * with its score (best first under the policy) and the paths the scope rules rejected (shortest first), with the rule that rejected each.
+ * @param {Object} params - Configuration object
+ * @param {string} params.rootType - The root type to start from
+ * @param {Array<string>} params.targets - Array of target types to route to
+ * @param {number} [params.maxDepth=6] - Maximum path depth to explore
+ * @param {string} [params.policy='fewestToggles'] - How candidate paths are ranked (a key of ROUTE_POLICIES)
+ * @param {number|string} [params.paths=1] - The best paths routed per target, or 'all'
+ * @param {number} [params.maxListed=100] - Most candidate and rejected paths listed per target (the counts are always complete)
+ * @returns {Array<Object>} Per target: { to, routes, candidateCount, candidates, rejectedCount, rejected }
+ * @throws {ClientAggregationError} When an option is invalid
+ */
+function explainDerivedRoutes({ rootType, targets, maxDepth = 6, policy = defaultRoutePolicy, paths = 1, maxListed = 100 }) {
+	validateRouteOptions({ policy, paths, maxDepth });
+	const viaOf = (path) => path.map((h) => `${h.from}.${h.field}->${h.to}`);
+	return targets.map((to) => {
+		if (to === rootType) return { to, routes: [], note: 'The root is materialised without a route', candidateCount: 0, candidates: [], rejectedCount: 0, rejected: [] };
+		////////////////////////////////////////////////////////////////////////////
+		const candidates = rankPaths(EDGES, rootType, to, { maxDepth, policy });
+		const rejected = findRejectedPaths(EDGES, rootType, to, { maxDepth }).sort((a, b) => a.path.length - b.path.length || scorePath(rootType, a.path).key.localeCompare(scorePath(rootType, b.path).key));
+		const chosen = paths === 'all' ? candidates : candidates.slice(0, paths);
+		return {
+			to,
+			routes: chosen.map(({ path }, rank) => routeFor(to, path, rank)),
+			candidateCount: candidates.length,
+			candidates: candidates.slice(0, maxListed).map(({ path, score }) => ({ via: viaOf(path), toggles: score.toggles, hops: score.hops, generality: score.generality })),
+			rejectedCount: rejected.length,
+			rejected: rejected.slice(0, maxListed).map(({ path, rule }) => ({ via: viaOf(path), rule, reason: SCOPE_RULES[rule] })),
+		};
+	});
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 module.exports = deriveRoutesFromTargets;
+module.exports.explainDerivedRoutes = explainDerivedRoutes;
+module.exports.SCOPE_RULES = SCOPE_RULES;
+module.exports.ROUTE_POLICIES = ROUTE_POLICIES;
+module.exports.DEFAULT_ROUTE_POLICY = defaultRoutePolicy;
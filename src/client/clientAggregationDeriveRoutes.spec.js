@@ -0,0 +1,45 @@
+const deriveRoutesFromTargets = require('./clientAggregationDeriveRoutes');
+
+////////////////////////////////////////////////////////////////////////////////
+describe('Client Aggregation Derive Routes', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('should explain the chosen routes, their candidates and the paths the scope rules rejected', () => {
+		const targets = ['team', 'sgo', 'event'];
+		const explanation = deriveRoutesFromTargets.explainDerivedRoutes({ rootType: 'event', targets, maxDepth: 8 });
+		expect(explanation.flatMap((target) => target.routes)).toEqual(deriveRoutesFromTargets({ rootType: 'event', targets: ['team', 'sgo'], maxDepth: 8 }));
+
+		const [team, sgo, event] = explanation;
+		expect(team.candidates[0]).toEqual({ via: ['event.teams->team'], toggles: 0, hops: 1, generality: 9 });
+		expect(team.candidateCount).toBeGreaterThan(1);
+		expect(sgo.rejected[0]).toEqual({
+			via: ['event.sportsPersons->sportsPerson', 'sportsPerson.keyMoments->keyMoment'],
+			rule: 'Rule 1',
+			reason: deriveRoutesFromTargets.SCOPE_RULES['Rule 1'],
+		});
+		expect(event.note).toBe('The root is materialised without a route');
+
+		const [sgoTeam] = deriveRoutesFromTargets.explainDerivedRoutes({ rootType: 'sgo', targets: ['team'], maxListed: 5 });
+		expect(sgoTeam.routes[0].via).toEqual(['sgo.teams->team']);
+		expect(sgoTeam.rejected.length).toBeLessThanOrEqual(5);
+		expect(sgoTeam.rejected.every((rejected) => rejected.rule === 'Rule 2')).toBe(true);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('should keep the k best or all paths per target under a route policy', () => {
+		expect(deriveRoutesFromTargets({ rootType: 'sgo', targets: ['team'], maxDepth: 4, paths: 3 })).toEqual([
+			{ key: 'team_1hops', to: 'team', via: ['sgo.teams->team'] },
+			{ key: 'team_2hops_2', to: 'team', via: ['sgo.clubs->club', 'club.teams->team'] },
+			{ key: 'team_2hops_3', to: 'team', via: ['sgo.nations->nation', 'nation.teams->team'] },
+		]);
+		expect(deriveRoutesFromTargets({ rootType: 'nation', targets: ['sportsPerson'] })[0].via).toHaveLength(3);
+		expect(deriveRoutesFromTargets({ rootType: 'nation', targets: ['sportsPerson'], policy: 'fewestHops' })[0].via).toEqual(['nation.staff->staff', 'staff.sportsPersons->sportsPerson']);
+		expect(deriveRoutesFromTargets({ rootType: 'event', targets: ['club'], policy: 'preferSpecificEdges' })[0].via).toEqual(['event.venues->venue', 'venue.clubs->club']);
+
+		const all = deriveRoutesFromTargets({ rootType: 'competition', targets: ['venue'], maxDepth: 4, paths: 'all' });
+		expect(all).toHaveLength(deriveRoutesFromTargets.explainDerivedRoutes({ rootType: 'competition', targets: ['venue'], maxDepth: 4 })[0].candidateCount);
+		expect(new Set(all.map((route) => route.key)).size).toBe(all.length);
+		expect(() => deriveRoutesFromTargets({ rootType: 'competition', targets: ['venue'], maxDepth: 8, paths: 'all' })).toThrow('more than the 50 allowed');
+		expect(() => deriveRoutesFromTargets({ rootType: 'sgo', targets: ['team'], policy: 'cheapest' })).toThrow('Route policy must be one of');
+		expect(() => deriveRoutesFromTargets({ rootType: 'sgo', targets: ['team'], paths: 0 })).toThrow(`positive integer or 'all'`);
+	});
+});
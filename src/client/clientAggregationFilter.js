@@ -0,0 +1,158 @@
+const { ClientAggregationError } = require('./clientAggregationError.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Filters on materialised resources (aggregationFilter.<type>=...).
+//
+// A filter is one or more clauses separated by `;`, all of which must match:
+//   field=value   field!=value   field>value   field>=value   field<value   field<=value
+//   field=low..high               inclusive range (field!=low..high is outside it)
+//   field=in(a,b,c)               any of a list (field!=in(a,b,c) is none of them)
+// Values are numbers, true, false, null, ISO dates (2024-06-01, 2024-06-01T12:00:00Z),
+// dates relative to now (now, now+7d, now-12h; units s, m, h, d, w), quoted strings
+// ('a;b' or "a,b") or bare strings. Dates compare as BSON dates.
+//
+// In a query string `+` decodes to a space, so `now 7d` is read as `now+7d` (send `now%2B7d`
+// to be explicit); any other value starting with `now` that is not a relative date is rejected.
+//
+// e.g. `dateTime>=now;dateTime<now+7d` or `dateTime=latest`
+////////////////////////////////////////////////////////////////////////////////
+const MAX_CLAUSES = 20;
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/;
+const CLAUSE_PATTERN = /^([^=!<>]+)(>=|<=|!=|=|>|<)(.*)$/s;
+const RELATIVE_DATE_PATTERN = /^now(?:([+-]|\s+)(\d+)([smhdw]))?$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const COMPARISON_OPERATORS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+
+////////////////////////////////////////////////////////////////////////////////
+function filterError(type, message) {
+	return new ClientAggregationError(`aggregationFilter.${type}: ${message}`, 'INVALID_FILTER');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Splits on `separator` outside quotes and parentheses
+function splitOutside(text, separator, type) {
+	const parts = [];
+	let current = '';
+	let quote = null;
+	let depth = 0;
+	for (const ch of text) {
+		if (quote) {
+			if (ch === quote) quote = null;
+		} else if (ch === "'" || ch === '"') {
+			quote = ch;
+		} else if (ch === '(') {
+			depth++;
+		} else if (ch === ')') {
+			depth--;
+		} else if (ch === separator && depth === 0) {
+			parts.push(current);
+			current = '';
+			continue;
+		}
+		current += ch;
+	}
+	if (quote) throw filterError(type, `unterminated ${quote} quote`);
+	if (depth !== 0) throw filterError(type, 'unbalanced parentheses');
+	parts.push(current);
+	return parts;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Position of `token` outside quotes, or -1
+function indexOutsideQuotes(text, token) {
+	let quote = null;
+	for (let i = 0; i < text.length; i++) {
+		if (quote) {
+			if (text[i] === quote) quote = null;
+		} else if (text[i] === "'" || text[i] === '"') {
+			quote = text[i];
+		} else if (text.startsWith(token, i)) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// A single value: quoted string, number, boolean, null, relative or ISO date, or bare string
+function parseScalar(raw, type, now) {
+	const text = raw.trim();
+	if (text.length === 0) throw filterError(type, 'missing value');
+	if (text.length >= 2 && (text[0] === "'" || text[0] === '"') && text[text.length - 1] === text[0]) return text.slice(1, -1);
+	if (NUMBER_PATTERN.test(text)) return Number(text);
+	if (text === 'true') return true;
+	if (text === 'false') return false;
+	if (text === 'null') return null;
+	const relative = RELATIVE_DATE_PATTERN.exec(text);
+	if (relative) {
+		const [, sign, amount, unit] = relative;
+		const offsetMs = sign ? (sign === '-' ? -1 : 1) * Number(amount) * UNIT_MS[unit] : 0;
+		return new Date(now.getTime() + offsetMs);
+	}
+	if (/^now\b/.test(text)) throw filterError(type, `invalid relative date ${text} - expected e.g. now, now+7d or now-12h`);
+	if (ISO_DATE_PATTERN.test(text)) {
+		const date = new Date(text);
+		if (isNaN(date.getTime())) throw filterError(type, `invalid date ${text}`);
+		return date;
+	}
+	if (/[()'"]/.test(text)) throw filterError(type, `unexpected characters in value ${text}`);
+	return text;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// One clause to a query document on its field
+function parseClause(clause, type, now) {
+	const match = CLAUSE_PATTERN.exec(clause.trim());
+	if (!match) throw filterError(type, `cannot read clause '${clause.trim()}' - expected field, operator and value`);
+	const field = match[1].trim();
+	const operator = match[2];
+	const rawValue = match[3].trim();
+	if (!FIELD_PATTERN.test(field)) throw filterError(type, `invalid field name '${field}'`);
+
+	//////////////////////////////////////////////////////////////////////////////
+	// in(...) lists
+	const list = /^in\((.*)\)$/s.exec(rawValue);
+	if (list) {
+		if (operator !== '=' && operator !== '!=') throw filterError(type, `in(...) can only be used with = or !=`);
+		const values = splitOutside(list[1], ',', type).map((value) => parseScalar(value, type, now));
+		return { [field]: { [operator === '=' ? '$in' : '$nin']: values } };
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	// low..high ranges
+	const rangeAt = indexOutsideQuotes(rawValue, '..');
+	if (rangeAt >= 0) {
+		if (operator !== '=' && operator !== '!=') throw filterError(type, `ranges can only be used with = or !=`);
+		const inside = { $gte: parseScalar(rawValue.slice(0, rangeAt), type, now), $lte: parseScalar(rawValue.slice(rangeAt + 2), type, now) };
+		return { [field]: operator === '=' ? inside : { $not: inside } };
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	const value = parseScalar(rawValue, type, now);
+	if (operator === '=') return { [field]: value };
+	if (operator === '!=') return { [field]: { $ne: value } };
+	return { [field]: { [COMPARISON_OPERATORS[operator]]: value } };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Compiles an aggregation filter into a MongoDB query for the type's collection.
+ *
+ * @function parseAggregationFilter
+ * @param {string} type - The materialised type the filter applies to (for error messages)
+ * @param {string} text - The filter, e.g. `dateTime>=now;dateTime<now+7d`
+ * @param {Object} [options] - Parse options
+ * @param {Date} [options.now] - The time relative dates are taken from; defaults to the current time
+ * @returns {Object} A query document for $match
+ * @throws {ClientAggregationError} If the filter cannot be parsed
+ */
+function parseAggregationFilter(type, text, { now = new Date() } = {}) {
+	if (typeof text !== 'string' || text.trim().length === 0) throw filterError(type, 'filter is empty');
+	const clauses = splitOutside(text, ';', type).filter((clause) => clause.trim().length > 0);
+	if (clauses.length > MAX_CLAUSES) throw filterError(type, `at most ${MAX_CLAUSES} clauses are allowed`);
+	const conditions = clauses.map((clause) => parseClause(clause, type, now));
+	return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { parseAggregationFilter };
@@ -0,0 +1,49 @@
+const { parseAggregationFilter } = require('./clientAggregationFilter');
+
+////////////////////////////////////////////////////////////////////////////////
+describe('Client Aggregation Filter', () => {
+	const now = new Date('2025-06-01T12:00:00Z');
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('should compile comparisons, ranges, lists and relative dates', () => {
+		expect(parseAggregationFilter('ranking', 'dateTime=latest', { now })).toEqual({ dateTime: 'latest' });
+		expect(parseAggregationFilter('event', 'dateTime>=now;dateTime<now+7d', { now })).toEqual({
+			$and: [{ dateTime: { $gte: now } }, { dateTime: { $lt: new Date('2025-06-08T12:00:00Z') } }],
+		});
+		expect(parseAggregationFilter('ranking', 'ranking=1..10', { now })).toEqual({ ranking: { $gte: 1, $lte: 10 } });
+		expect(parseAggregationFilter('event', 'dateTime!=2025-01-01..now-12h', { now })).toEqual({
+			dateTime: { $not: { $gte: new Date('2025-01-01'), $lte: new Date('2025-06-01T00:00:00Z') } },
+		});
+		expect(parseAggregationFilter('team', "name=in('A;B', \"C,D\", 3, null)", { now })).toEqual({ name: { $in: ['A;B', 'C,D', 3, null] } });
+		expect(parseAggregationFilter('team', 'status!=in(draft,deleted); isActive=true', { now })).toEqual({
+			$and: [{ status: { $nin: ['draft', 'deleted'] } }, { isActive: true }],
+		});
+		expect(parseAggregationFilter('team', "name!='a..b'", { now })).toEqual({ name: { $ne: 'a..b' } });
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('should read relative dates from a decoded query string, where + has become a space', () => {
+		const query = Object.fromEntries(new URLSearchParams('aggregationFilter.event=dateTime>=now-1d;dateTime<now+7d&aggregationFilter.stage=endDate<now%2B2w'));
+		expect(query['aggregationFilter.event']).toBe('dateTime>=now-1d;dateTime<now 7d');
+		expect(parseAggregationFilter('event', query['aggregationFilter.event'], { now })).toEqual({
+			$and: [{ dateTime: { $gte: new Date('2025-05-31T12:00:00Z') } }, { dateTime: { $lt: new Date('2025-06-08T12:00:00Z') } }],
+		});
+		expect(parseAggregationFilter('stage', query['aggregationFilter.stage'], { now })).toEqual({ endDate: { $lt: new Date('2025-06-15T12:00:00Z') } });
+		expect(() => parseAggregationFilter('event', 'dateTime<now 7 days', { now })).toThrow('invalid relative date now 7 days');
+		expect(() => parseAggregationFilter('event', 'dateTime<now+7', { now })).toThrow('invalid relative date now+7');
+		expect(parseAggregationFilter('team', 'name=nowak', { now })).toEqual({ name: 'nowak' });
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('should reject malformed filters', () => {
+		expect(() => parseAggregationFilter('team', '')).toThrow('aggregationFilter.team: filter is empty');
+		expect(() => parseAggregationFilter('team', 'name')).toThrow('expected field, operator and value');
+		expect(() => parseAggregationFilter('team', '$where=1')).toThrow("invalid field name '$where'");
+		expect(() => parseAggregationFilter('team', 'name=')).toThrow('missing value');
+		expect(() => parseAggregationFilter('team', "name='open")).toThrow('unterminated');
+		expect(() => parseAggregationFilter('team', 'name=in(a,b')).toThrow('unbalanced parentheses');
+		expect(() => parseAggregationFilter('event', 'dateTime>1..2')).toThrow('ranges can only be used with = or !=');
+		expect(() => parseAggregationFilter('event', 'dateTime=2025-13-45')).toThrow('invalid date');
+		expect(() => parseAggregationFilter('team', Array.from({ length: 21 }, () => 'a=1').join(';'))).toThrow('at most 20 clauses');
+	});
+});
@@ -6,9 +6,14 @@ const { ClientAggregationError, ServerAggregationError } = require('./clientAggr
 ////////////////////////////////////////////////////////////////////////////////
 const idField = 'gamedayId';
 const aggregationCollectionName = 'materialisedAggregations';
+const maxSliceLength = 2147483647; // $slice takes a 32-bit count
+const defaultMaxRoots = 100;
 const EDGES = require('./clientAggregationPipelineBuilderEdges.js');
 const COLLECTIONS = require('./clientAggregationPipelineBuilderCollections.js');
 const deriveRoutesFromTargets = require('./clientAggregationDeriveRoutes.js');
+const { validateAggregationSorts } = require('./clientAggregationPipelineBuilderSortFields.js');
+const { parseAggregationFilter } = require('./clientAggregationFilter.js');
+const { usesBudgetPlanner, validateBudgetOptions, buildBudgetAllocationStages, buildAllocatedSliceStage, buildBudgetReportFacet } = require('./clientAggregationBudgetPlanner.js');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -22,20 +27,53 @@ const deriveRoutesFromTargets = require('./clientAggregationDeriveRoutes.js');
  * @param {Object} config - Configuration object
  * @param {string} config.rootType - The resource type to start traversal from
  * @param {string} config.rootExternalKey - External key identifying the root resource
+ * @param {Array<string>} [config.rootExternalKeys] - Instead of rootExternalKey: the external keys of several roots of rootType
+ * @param {Object} [config.rootQuery] - Instead of rootExternalKey: a query on the aggregation documents of rootType selecting the roots
+ *   (e.g. { stages: <stage gamedayId> } for the events of a stage)
+ * @param {number} [config.maxRoots=100] - With rootExternalKeys or rootQuery, the most roots traversed (the first by external key)
+ * @param {boolean} [config.includeRouteIds=false] - Also output `routeIds`: per route, the materialised ids it reached ([{ key, to, ids }])
+ * @param {boolean} [config.countOnly=false] - Count instead of materialising: the pipeline stops after the routes (and any filters) and
+ *   outputs `counts` per type and `routeCounts` per route ([{ key, to, count }]) without looking up any documents or applying the budget
+ * @param {boolean} [config.includeLinks=false] - Also output `links`: per traversal step, which ids each parent led to
+ *   ([{ key, dependsOnKey, from, field, to, depth, links: [{ parent, children }] }]), to nest the results as a tree. Single root only
+ * @param {boolean} [config.includeProvenance=false] - Annotate each materialised item with `_provenance`: the routes that reached it and
+ *   their hop paths ([{ route, path: ["from.field->to", ...] }])
  * @param {number} config.maxNumberOfMaterialisedResources - Maximum total resources to materialize
  * @param {Array<Object>} [config.routes] - Route definitions with key, to, and via properties. Optional and auto created if absent.
  * @param {Array<string>} config.resourceTypesToMaterialise - Types to include in results (controls budget order)
  * @param {Object} [config.fieldProjections] - Field inclusion/exclusion mapping by resource type
+ * @param {Object<string, number>} [config.offsets] - Per included type, the number of ids to skip before the budget is applied
+ *   (used to continue from a cursor; ids are taken in ascending order so the slices are stable between requests)
+ * @param {Object<string, number>} [config.typeMax] - Per included type, the most ids it may take from the budget
+ * @param {Object<string, number>} [config.typeMin] - Per included type, the ids it is guaranteed (granted in type order while the budget lasts)
+ * @param {string} [config.budgetStrategy='greedy'] - How the budget left after the minimums is shared: greedy, proportional or roundRobin
+ * @param {Object<string, {field: string, direction: number}>} [config.sorts] - Per included type, the order its ids are taken in before the budget
+ *   is applied (and its items returned in); fields are limited to clientAggregationPipelineBuilderSortFields
+ * @param {Object<string, string>} [config.filters] - Per included type (other than the root), a filter in the clientAggregationFilter language;
+ *   only matching resources count towards the budget and the overflow
  * @returns {Array<Object>} MongoDB aggregation pipeline stages
  * @throws {ClientAggregationError} When validation fails or resources are unreachable
  */
 function clientAggregationPipelineBuilder({
 	rootType,
 	rootExternalKey,
+	rootExternalKeys,
+	rootQuery,
+	maxRoots = defaultMaxRoots,
+	includeRouteIds = false,
+	includeProvenance = false,
+	includeLinks = false,
+	countOnly = false,
 	maxNumberOfMaterialisedResources,
 	routes, // [{ key, to, via: ["from.field->to", ...] }, ...]  REQUIRED
 	resourceTypesToMaterialise, // ["team", "venue", ...] REQUIRED (controls materialisation + budget order)
 	fieldProjections,
+	offsets,
+	typeMax,
+	typeMin,
+	budgetStrategy,
+	sorts,
+	filters,
 }) {
 	//////////////////////////////////////////////////////////////////////////////
 	// Directed, field-labelled graph
@@ -47,9 +85,28 @@ function clientAggregationPipelineBuilder({
 
 	//////////////////////////////////////////////////////////////////////////////
 	// Validation
-	if (!rootType || !rootExternalKey) {
+	const multiRoot = rootExternalKeys != null || rootQuery != null;
+	if (!rootType || (!rootExternalKey && !multiRoot)) {
 		throw new Error('rootType and rootExternalKey are required');
 	}
+	if ([rootExternalKey, rootExternalKeys, rootQuery].filter((root) => root != null).length > 1) {
+		throw new ClientAggregationError('Only one of rootExternalKey, rootExternalKeys and rootQuery can be given');
+	}
+	if (includeLinks && multiRoot) {
+		throw new ClientAggregationError('includeLinks can only be used with a single root');
+	}
+	if (!Number.isInteger(maxRoots) || maxRoots < 1) {
+		throw new ClientAggregationError('maxRoots must be a positive integer');
+	}
+	if (rootExternalKeys != null && (!Array.isArray(rootExternalKeys) || rootExternalKeys.length === 0 || rootExternalKeys.some((key) => !_.isString(key) || key.length === 0))) {
+		throw new ClientAggregationError('rootExternalKeys must be a non-empty array of external keys');
+	}
+	if (rootExternalKeys != null && rootExternalKeys.length > maxRoots) {
+		throw new ClientAggregationError(`rootExternalKeys can name at most ${maxRoots} roots`, 'TOO_MANY_ROOTS', { maxRoots });
+	}
+	if (rootQuery != null && (!_.isPlainObject(rootQuery) || _.has(rootQuery, 'resourceType'))) {
+		throw new ClientAggregationError('rootQuery must be a query object on the aggregation documents of rootType (without resourceType)');
+	}
 	if (!Array.isArray(routes) || routes.length === 0) {
 		throw new ClientAggregationError('routes must be a non-empty array of route definitions.');
 	}
@@ -64,10 +121,19 @@ function clientAggregationPipelineBuilder({
 	if (fieldProjections && typeof fieldProjections !== 'object') {
 		throw new ClientAggregationError('fieldProjections must be an object mapping resource types to inclusions and exclusions');
 	}
+	//////////////////////////////////////////////////////////////////////////////
+	// Validate offsets if provided
+	if (offsets != null && (!_.isPlainObject(offsets) || Object.values(offsets).some((offset) => !Number.isInteger(offset) || offset < 0))) {
+		throw new ClientAggregationError('offsets must be an object mapping resource types to non-negative integers');
+	}
 
 	//////////////////////////////////////////////////////////////////////////////
 	// Normalise includeTypes order & uniqueness (budget is applied in this order)
 	resourceTypesToMaterialise = [...new Set(resourceTypesToMaterialise)];
+	const budget = { types: resourceTypesToMaterialise, typeMax, typeMin, strategy: budgetStrategy };
+	validateBudgetOptions(budget, resourceTypesToMaterialise);
+	validateAggregationSorts(sorts, resourceTypesToMaterialise);
+	const filterQueries = compileFilters(filters, resourceTypesToMaterialise, rootType);
 	const rootIsRequested = resourceTypesToMaterialise.includes(rootType);
 
 	//////////////////////////////////////////////////////////////////////////////
@@ -129,6 +195,12 @@ function clientAggregationPipelineBuilder({
 	//////////////////////////////////////////////////////////////////////////////
 	// Build the aggregation pipeline
 	const stages = [{ $match: { resourceType: rootType, externalKey: rootExternalKey } }, { $addFields: { _rootKey: '$externalKey', _rootIds: [`$${idField}`] } }];
+	//////////////////////////////////////////////////////////////////////////////
+	// Several roots: each root document is traversed on its own (so contributions can be attributed) and grouped after the routes
+	if (multiRoot) {
+		const rootMatch = rootExternalKeys ? { resourceType: rootType, externalKey: { $in: rootExternalKeys } } : { ...rootQuery, resourceType: rootType };
+		stages.splice(0, 1, { $match: rootMatch }, { $sort: { externalKey: 1 } }, { $limit: maxRoots });
+	}
 	const stepsReport = steps.map((s) => ({ from: s.from, to: s.to, depth: s.depth }));
 	//////////////////////////////////////////////////////////////////////////////
 	// Traverse materialisedAggregations using planned steps
@@ -139,6 +211,31 @@ function clientAggregationPipelineBuilder({
 		// First hop reads from the root doc field
 		if (depth === 0) {
 			stages.push({ $addFields: { [outputName]: { $ifNull: [`$${field}`, []] } } });
+			if (includeLinks) stages.push({ $addFields: { [`_links_${outputName}`]: [{ parent: `$${idField}`, children: `$${outputName}` }] } });
+		}
+		////////////////////////////////////////////////////////////////////////////
+		// With links, each parent's children are kept alongside the union of them all
+		else if (includeLinks) {
+			const prev = steps.find((s) => s.key === dependsOnKey);
+			if (!prev) throw new Error(`Internal: missing dependency for step ${step.key}`);
+			const linksField = `_links_${outputName}`;
+			stages.push({
+				$lookup: {
+					from: aggregationCollectionName,
+					let: { ids: `$${prev.outputName}` },
+					pipeline: [
+						{ $match: { resourceType: from } },
+						{ $match: { $expr: { $in: [`$${idField}`, '$$ids'] } } },
+						{ $project: { _id: 0, parent: `$${idField}`, children: { $ifNull: [`$${field}`, []] } } },
+					],
+					as: linksField,
+				},
+			});
+			stages.push({
+				$addFields: {
+					[outputName]: { $reduce: { input: `$${linksField}.children`, initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } },
+				},
+			});
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// Subsequent hops read from previous step's output
@@ -184,77 +281,133 @@ function clientAggregationPipelineBuilder({
 				  })();
 		stages.push({ $addFields: { [idsVar]: sourceFieldExpr } });
 	}
+	if (multiRoot) stages.push(...buildRootGroupStages(parsedRoutes, resourceTypesToMaterialise, rootType));
 
 	//////////////////////////////////////////////////////////////////////////////
-	// Union per included type (normalised sets across all routes with the same .to)
+	// Union per included type (normalised sets across all routes with the same .to).
+	// Sorted so every request slices the same ids in the same order, then any offset is skipped.
+	// Types with a requested sort or a filter are ordered by a lookup below instead, and skip their offset there.
 	for (const t of resourceTypesToMaterialise) {
 		const contributingVars = parsedRoutes.filter((r) => r.to === t).map((r) => `$_route_${safeVar(r.key)}_ids`);
 		const unionVar = `_union_${t}_ids`;
 		if (contributingVars.length === 0) {
 			stages.push({ $addFields: { [unionVar]: [] } });
-		} else if (contributingVars.length === 1) {
-			stages.push({ $addFields: { [unionVar]: contributingVars[0] } });
 		} else {
 			const unionExpr = contributingVars.reduce((acc, cur) => {
 				if (acc === null) return cur;
 				return { $setUnion: [acc, cur] };
 			}, null);
-			stages.push({ $addFields: { [unionVar]: unionExpr } });
+			const sortedExpr = { $sortArray: { input: unionExpr, sortBy: 1 } };
+			const offset = sorts?.[t] || filterQueries[t] ? 0 : offsets?.[t] || 0;
+			stages.push({ $addFields: { [unionVar]: offset > 0 ? { $slice: [sortedExpr, offset, maxSliceLength] } : sortedExpr } });
+		}
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Requested sorts and filters: look the ids up in the type's collection, dropping those that do not match
+	// and in the requested order (ascending ids otherwise), before the budget takes the first N (counts only need the filters)
+	const lookedUpTypes = resourceTypesToMaterialise.filter((t) => t !== rootType && ((sorts?.[t] && !countOnly) || filterQueries[t]));
+	if (lookedUpTypes.length > 0) {
+		const lookedUpUnions = {};
+		for (const t of lookedUpTypes) {
+			const sort = sorts?.[t] ? { [sorts[t].field]: sorts[t].direction, _id: 1 } : { _id: 1 };
+			const filterStages = filterQueries[t] ? [{ $match: filterQueries[t] }] : [];
+			stages.push({
+				$lookup: {
+					from: COLLECTIONS_FOR_PIPELINE[t],
+					let: { ids: `$_union_${t}_ids` },
+					pipeline: [{ $match: { $expr: { $in: ['$_id', '$$ids'] } } }, ...filterStages, { $sort: sort }, { $project: { _id: 1 } }],
+					as: `_sorted_${t}`,
+				},
+			});
+			const offset = offsets?.[t] || 0;
+			lookedUpUnions[`_union_${t}_ids`] = offset > 0 ? { $slice: [`$_sorted_${t}._id`, offset, maxSliceLength] } : `$_sorted_${t}._id`;
 		}
+		stages.push({ $addFields: lookedUpUnions });
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Counts only: nothing is materialised, so neither the budget nor the facets are needed
+	if (countOnly) {
+		stages.push(buildCountProjectStage({ parsedRoutes, types: resourceTypesToMaterialise, rootType, filterQueries, multiRoot, stepsReport }));
+		return stages;
 	}
 
 	//////////////////////////////////////////////////////////////////////////////
 	// Budget: root first, then includeTypes in given order
 	stages.push({ $addFields: { _remaining: maxNumberOfMaterialisedResources } });
 	//////////////////////////////////////////////////////////////////////////////
-	stages.push({
-		$addFields: {
-			_rootIncludedIds: { $cond: [{ $and: [{ $gt: ['$_remaining', 0] }, { $literal: rootIsRequested }] }, { $slice: ['$_rootIds', 1] }, []] },
-			_rootOverflowIds: { $cond: [{ $and: [{ $gt: ['$_remaining', 0] }, { $literal: rootIsRequested }] }, { $slice: ['$_rootIds', 0] }, '$_rootIds'] },
-			_remaining: { $cond: [{ $and: [{ $gt: ['$_remaining', 0] }, { $literal: rootIsRequested }] }, { $subtract: ['$_remaining', 1] }, '$_remaining'] },
-		},
-	});
-
+	if (!multiRoot) {
+		stages.push({
+			$addFields: {
+				_rootIncludedIds: { $cond: [{ $and: [{ $gt: ['$_remaining', 0] }, { $literal: rootIsRequested }] }, { $slice: ['$_rootIds', 1] }, []] },
+				_rootOverflowIds: { $cond: [{ $and: [{ $gt: ['$_remaining', 0] }, { $literal: rootIsRequested }] }, { $slice: ['$_rootIds', 0] }, '$_rootIds'] },
+				_remaining: { $cond: [{ $and: [{ $gt: ['$_remaining', 0] }, { $literal: rootIsRequested }] }, { $subtract: ['$_remaining', 1] }, '$_remaining'] },
+			},
+		});
+	}
 	//////////////////////////////////////////////////////////////////////////////
-	// For each included type: slice from its union set, track overflow, decrement remaining
-	for (const t of resourceTypesToMaterialise) {
-		const idsVar = `_union_${t}_ids`;
-		const includedVar = `_inc_${t}_ids`;
-		const overflowVar = `_ovf_${t}_ids`;
+	// Several roots take as many of the budget as they can when the root type is requested
+	else {
+		const take = rootIsRequested ? { $min: ['$_remaining', { $size: '$_rootIds' }] } : 0;
+		stages.push({ $addFields: { _rootTake: take } });
 		stages.push({
 			$addFields: {
-				[includedVar]: {
-					$let: {
-						vars: { sz: { $size: `$${idsVar}` } },
-						in: { $cond: [{ $gt: ['$_remaining', 0] }, { $slice: [`$${idsVar}`, { $min: ['$_remaining', '$$sz'] }] }, []] },
+				_rootIncludedIds: { $cond: [{ $gt: ['$_rootTake', 0] }, { $slice: ['$_rootIds', '$_rootTake'] }, []] },
+				_rootOverflowIds: { $cond: [{ $gt: [{ $size: '$_rootIds' }, '$_rootTake'] }, { $slice: ['$_rootIds', '$_rootTake', maxSliceLength] }, []] },
+				_remaining: { $subtract: ['$_remaining', '$_rootTake'] },
+			},
+		});
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	// For each included type: slice from its union set, track overflow, decrement remaining.
+	// With per-type limits, minimums or another strategy the budget is allocated first and each type sliced by its allocation.
+	if (usesBudgetPlanner(budget)) {
+		stages.push(...buildBudgetAllocationStages(budget));
+		for (const t of resourceTypesToMaterialise) stages.push(buildAllocatedSliceStage(t));
+	} else {
+		for (const t of resourceTypesToMaterialise) {
+			const idsVar = `_union_${t}_ids`;
+			const includedVar = `_inc_${t}_ids`;
+			const overflowVar = `_ovf_${t}_ids`;
+			stages.push({
+				$addFields: {
+					[includedVar]: {
+						$let: {
+							vars: { sz: { $size: `$${idsVar}` } },
+							in: { $cond: [{ $gt: ['$_remaining', 0] }, { $slice: [`$${idsVar}`, { $min: ['$_remaining', '$$sz'] }] }, []] },
+						},
 					},
-				},
-				[overflowVar]: {
-					$cond: [
-						{ $gt: ['$_remaining', 0] },
-						{
-							$let: {
-								vars: { take: { $min: ['$_remaining', { $size: `$${idsVar}` }] }, arraySize: { $size: `$${idsVar}` } },
-								in: { $cond: [{ $eq: ['$$take', '$$arraySize'] }, [], { $slice: [`$${idsVar}`, '$$take', { $subtract: ['$$arraySize', '$$take'] }] }] },
+					[overflowVar]: {
+						$cond: [
+							{ $gt: ['$_remaining', 0] },
+							{
+								$let: {
+									vars: { take: { $min: ['$_remaining', { $size: `$${idsVar}` }] }, arraySize: { $size: `$${idsVar}` } },
+									in: { $cond: [{ $eq: ['$$take', '$$arraySize'] }, [], { $slice: [`$${idsVar}`, '$$take', { $subtract: ['$$arraySize', '$$take'] }] }] },
+								},
 							},
+							`$${idsVar}`,
+						],
+					},
+					_remaining: {
+						$let: {
+							vars: { take: { $min: ['$_remaining', { $size: `$${idsVar}` }] } },
+							in: { $subtract: ['$_remaining', '$$take'] },
 						},
-						`$${idsVar}`,
-					],
-				},
-				_remaining: {
-					$let: {
-						vars: { take: { $min: ['$_remaining', { $size: `$${idsVar}` }] } },
-						in: { $subtract: ['$_remaining', '$$take'] },
 					},
 				},
-			},
-		});
+			});
+		}
 	}
 
 	//////////////////////////////////////////////////////////////////////////////
 	// Materialise via $facet: root + one facet per included type
 	const sortStageFor = (type) => {
-		if (type === 'competition') {
+		if (sorts?.[type]) {
+			return [{ $sort: { [sorts[type].field]: sorts[type].direction, _id: 1 } }];
+		} else if (type === 'competition') {
 			return [{ $sort: { start: -1, _id: 1 } }];
 		} else if (type === 'event' || type === 'keyMoment') {
 			return [{ $sort: { dateTime: -1, _id: 1 } }];
@@ -275,7 +428,7 @@ function clientAggregationPipelineBuilder({
 	facet[rootType] = [
 		{ $project: { includedIds: '$_rootIncludedIds', overflowIds: '$_rootOverflowIds' } },
 		{ $lookup: { from: COLLECTIONS_FOR_PIPELINE[rootType], let: { ids: '$includedIds' }, pipeline: rootLookupPipeline, as: 'docs' } },
-		{ $replaceWith: { items: '$docs', overflow: { resourceType: rootType, overflowIds: '$overflowIds' } } },
+		{ $replaceWith: { items: '$docs', includedCount: { $size: '$includedIds' }, overflow: { resourceType: rootType, overflowIds: '$overflowIds' } } },
 	];
 
 	//////////////////////////////////////////////////////////////////////////////
@@ -285,27 +438,59 @@ function clientAggregationPipelineBuilder({
 		const includedVar = `_inc_${t}_ids`;
 		const overflowVar = `_ovf_${t}_ids`;
 		const typeProjectionStages = buildProjectionPhases(t, fieldProjections);
-		const typeLookupPipeline = [{ $match: { $expr: { $in: ['$_id', '$$ids'] } } }, ...sortStageFor(t), ...typeProjectionStages];
+		const typeFilterStages = filterQueries[t] ? [{ $match: filterQueries[t] }] : [];
+		const typeLookupPipeline = [{ $match: { $expr: { $in: ['$_id', '$$ids'] } } }, ...typeFilterStages, ...sortStageFor(t), ...typeProjectionStages];
+		const typeProvenance = includeProvenance ? { provenance: buildProvenanceExpr(parsedRoutes.filter((r) => r.to === t)) } : {};
+		let items = multiRoot ? withContributingRoots('$docs') : '$docs';
+		if (includeProvenance) items = withProvenance(items);
 		facet[t] = [
-			{ $project: { includedIds: `$${includedVar}`, overflowIds: `$${overflowVar}` } },
+			{ $project: { includedIds: `$${includedVar}`, overflowIds: `$${overflowVar}`, ...(multiRoot ? { contributions: `$_contrib_${t}` } : {}), ...typeProvenance } },
 			{ $lookup: { from: COLLECTIONS_FOR_PIPELINE[t], let: { ids: '$includedIds' }, pipeline: typeLookupPipeline, as: 'docs' } },
-			{ $replaceWith: { items: '$docs', overflow: { resourceType: t, overflowIds: '$overflowIds' } } },
+			{ $replaceWith: { items, includedCount: { $size: '$includedIds' }, overflow: { resourceType: t, overflowIds: '$overflowIds' } } },
 		];
 	}
 	//////////////////////////////////////////////////////////////////////////////
+	// How the budget was shared
+	facet._budget = buildBudgetReportFacet({ ...budget, totalMax: maxNumberOfMaterialisedResources, rootType });
+	if (multiRoot) facet._roots = [{ $project: { _id: 0, keys: '$_rootKeys' } }];
+	if (includeLinks) {
+		const linkSteps = steps.map((s) => ({
+			key: { $literal: s.key },
+			dependsOnKey: { $literal: s.dependsOnKey },
+			from: { $literal: s.from },
+			field: { $literal: s.field },
+			to: { $literal: s.to },
+			depth: { $literal: s.depth },
+			links: `$_links_${s.outputName}`,
+		}));
+		facet._links = [{ $project: { _id: 0, steps: linkSteps } }];
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	// Which route reached each materialised resource (routes to the root itself reach nothing new)
+	if (includeRouteIds) {
+		const routeIds = parsedRoutes
+			.filter((r) => r.to !== rootType && resourceTypesToMaterialise.includes(r.to))
+			.map((r) => ({ key: { $literal: r.key }, to: { $literal: r.to }, ids: { $setIntersection: [`$_route_${safeVar(r.key)}_ids`, `$_inc_${r.to}_ids`] } }));
+		facet._routeIds = [{ $project: { _id: 0, routes: routeIds } }];
+	}
+	//////////////////////////////////////////////////////////////////////////////
 	stages.push({ $facet: facet });
 	//////////////////////////////////////////////////////////////////////////////
 	// Final shape
 	const resultsProjection = {};
 	for (const t of resourceTypesToMaterialise) {
 		resultsProjection[t] = {
-			$ifNull: [{ $arrayElemAt: [`$${t}`, 0] }, { items: [], overflow: { resourceType: t, overflowIds: [] } }],
+			$ifNull: [{ $arrayElemAt: [`$${t}`, 0] }, { items: [], includedCount: 0, overflow: { resourceType: t, overflowIds: [] } }],
 		};
 	}
 	stages.push({
 		$project: {
-			root: { type: { $literal: rootType }, externalKey: '$_rootKey' },
+			root: rootProjection(rootType, multiRoot),
+			...(multiRoot ? { roots: { $ifNull: [{ $arrayElemAt: ['$_roots.keys', 0] }, []] } } : {}),
 			results: resultsProjection,
+			budgetAllocation: { $arrayElemAt: ['$_budget', 0] },
+			...(includeRouteIds ? { routeIds: { $ifNull: [{ $arrayElemAt: ['$_routeIds.routes', 0] }, []] } } : {}),
+			...(includeLinks ? { links: { $ifNull: [{ $arrayElemAt: ['$_links.steps', 0] }, []] } } : {}),
 			edgesUsed: stepsReport,
 		},
 	});
@@ -317,6 +502,152 @@ function clientAggregationPipelineBuilder({
 // Helpers
 ////////////////////////////////////////////////////////////////////////////////
 
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the stages that combine several traversed root documents into one.
+ *
+ * Each route's ids become the union across roots, `_rootKeys`/`_rootIds` list the roots and, per materialised
+ * type, `_contrib_<type>` records the ids each root reached ([{ root, ids }]).
+ *
+ * @param {Array<Object>} parsedRoutes - The parsed routes ({ key, to, path })
+ * @param {string[]} types - The types being materialised
+ * @param {string} rootType - The root type
+ * @returns {Array<Object>} A $group and an $addFields stage
+ */
+function buildRootGroupStages(parsedRoutes, types, rootType) {
+	const group = { _id: null, _rootKeys: { $push: '$externalKey' }, _rootIds: { $push: `$${idField}` } };
+	const unions = {};
+	for (const r of parsedRoutes) {
+		const idsVar = `_route_${safeVar(r.key)}_ids`;
+		group[idsVar] = { $push: `$${idsVar}` };
+		unions[idsVar] = { $reduce: { input: `$${idsVar}`, initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } };
+	}
+	for (const t of types) {
+		if (t === rootType) continue;
+		const contributingVars = parsedRoutes.filter((r) => r.to === t).map((r) => `$_route_${safeVar(r.key)}_ids`);
+		group[`_contrib_${t}`] = { $push: { root: '$externalKey', ids: contributingVars.length > 0 ? { $setUnion: contributingVars } : [] } };
+	}
+	return [{ $group: group }, { $addFields: unions }];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// The output's `root`. Several roots are grouped into one document without a `_rootKey`, so their keys are
+// listed in `roots` and the root's externalKey is null rather than left missing.
+function rootProjection(rootType, multiRoot) {
+	return { type: { $literal: rootType }, externalKey: multiRoot ? { $literal: null } : '$_rootKey' };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Adds `_contributingRoots` (the keys of the roots that reached it) to each looked up doc, from the facet's `contributions`
+function withContributingRoots(docsExpr) {
+	return {
+		$map: {
+			input: docsExpr,
+			as: 'd',
+			in: {
+				$mergeObjects: [
+					'$$d',
+					{ _contributingRoots: { $map: { input: { $filter: { input: '$contributions', as: 'c', cond: { $in: ['$$d._id', '$$c.ids'] } } }, as: 'c', in: '$$c.root' } } },
+				],
+			},
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the final stage of a count only pipeline.
+ *
+ * Each type is counted from its union of route ids (after any filter), the root type from the roots themselves.
+ * A route to a filtered type counts only the ids that pass the filter.
+ *
+ * @param {Object} params - Count parameters
+ * @param {Array<Object>} params.parsedRoutes - The parsed routes ({ key, to, path })
+ * @param {string[]} params.types - The types being counted
+ * @param {string} params.rootType - The root type
+ * @param {Object<string, Object>} params.filterQueries - Compiled filter per type
+ * @param {boolean} params.multiRoot - Whether several roots were traversed
+ * @param {Array<Object>} params.stepsReport - The steps taken ({ from, to, depth })
+ * @returns {Object} A $project stage outputting { root, roots, counts, routeCounts, edgesUsed }
+ */
+function buildCountProjectStage({ parsedRoutes, types, rootType, filterQueries, multiRoot, stepsReport }) {
+	const counts = {};
+	for (const t of types) counts[t] = { $size: t === rootType ? '$_rootIds' : `$_union_${t}_ids` };
+	const routeCounts = parsedRoutes.map((r) => {
+		const idsVar = `$_route_${safeVar(r.key)}_ids`;
+		const ids = filterQueries[r.to] ? { $setIntersection: [idsVar, `$_union_${r.to}_ids`] } : idsVar;
+		return { key: { $literal: r.key }, to: { $literal: r.to }, count: { $size: ids } };
+	});
+	return {
+		$project: {
+			_id: 0,
+			root: rootProjection(rootType, multiRoot),
+			...(multiRoot ? { roots: '$_rootKeys' } : {}),
+			counts,
+			routeCounts,
+			edgesUsed: stepsReport,
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the facet's `provenance` field: for each route to a type, its key, hop path and the ids it reached.
+ *
+ * @param {Array<Object>} typeRoutes - The parsed routes ({ key, to, path }) ending at the type
+ * @returns {Array<Object>} [{ route, path, ids }] with the route key and path as literals
+ */
+function buildProvenanceExpr(typeRoutes) {
+	return typeRoutes.map((r) => ({
+		route: { $literal: r.key },
+		path: { $literal: r.path.map((hop) => `${hop.from}.${hop.field}->${hop.to}`) },
+		ids: `$_route_${safeVar(r.key)}_ids`,
+	}));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Adds `_provenance` (the routes that reached it, with their hop paths) to each looked up doc, from the facet's `provenance`
+function withProvenance(docsExpr) {
+	return {
+		$map: {
+			input: docsExpr,
+			as: 'd',
+			in: {
+				$mergeObjects: [
+					'$$d',
+					{
+						_provenance: {
+							$map: { input: { $filter: { input: '$provenance', as: 'p', cond: { $in: ['$$d._id', '$$p.ids'] } } }, as: 'p', in: { route: '$$p.route', path: '$$p.path' } },
+						},
+					},
+				],
+			},
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Compiles the per-type filters into MongoDB queries.
+ *
+ * @param {Object<string, string>} [filters] - Filter text per type
+ * @param {string[]} types - The types being materialised
+ * @param {string} rootType - The root type, which cannot be filtered
+ * @returns {Object<string, Object>} Query per filtered type
+ * @throws {ClientAggregationError} If a filter is for a type that is not materialised, for the root, or cannot be parsed
+ */
+function compileFilters(filters, types, rootType) {
+	if (filters == null) return {};
+	if (!_.isPlainObject(filters)) throw new ClientAggregationError('filters must be an object mapping resource types to filters');
+	const queries = {};
+	for (const [type, text] of Object.entries(filters)) {
+		if (!types.includes(type)) throw new ClientAggregationError(`aggregationFilter.${type} is set but '${type}' is not one of the requested aggregation views`, 'INVALID_FILTER', { types });
+		if (type === rootType) throw new ClientAggregationError(`aggregationFilter.${type}: the root resource cannot be filtered`, 'INVALID_FILTER');
+		queries[type] = parseAggregationFilter(type, text);
+	}
+	return queries;
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 /**
  * Computes all reachable node types from a given root node by traversing edges in a graph.
@@ -451,6 +782,27 @@ function parseExplicitRouteStrictNoCyclesNoDup({ EDGES, rootType, route }) {
 	return path;
 }
 
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * The traversal steps the pipeline for these routes is built from (as planSteps), for explaining a pipeline.
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} config.rootType - The resource type the routes start from
+ * @param {Array<Object>} config.routes - Route definitions with key, to, and via properties
+ * @returns {Array<Object>} The steps, sorted by depth then by key, each with the keys of the routes that traverse it
+ * @throws {ClientAggregationError} When routes is not a non-empty array
+ */
+function planAggregationSteps({ rootType, routes }) {
+	if (!Array.isArray(routes) || routes.length === 0) {
+		throw new ClientAggregationError('routes must be a non-empty array of route definitions.');
+	}
+	const parsedRoutes = routes.map((r) => ({ key: r.key, path: parseExplicitRouteStrictNoCyclesNoDup({ EDGES, rootType, route: r }) }));
+	return planSteps(parsedRoutes.map((r) => r.path)).map((step) => ({
+		...step,
+		routes: parsedRoutes.filter((r) => r.path.some((hop) => makeKey(hop.from, hop.field, hop.to) === step.key)).map((r) => r.key),
+	}));
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 /**
  * Plans aggregation pipeline steps from an array of relationship paths.
@@ -897,3 +1249,4 @@ function safeVar(s) {
 
 ////////////////////////////////////////////////////////////////////////////////
 module.exports = clientAggregationPipelineBuilder;
+module.exports.planAggregationSteps = planAggregationSteps;
@@ -1,4 +1,5 @@
 const buildMaterialisedListsPipelineTotalMax = require('./clientAggregationPipelineBuilder');
+const { parseAggregationSort } = require('./clientAggregationPipelineBuilderSortFields');
 
 ////////////////////////////////////////////////////////////////////////////////
 describe('Client Aggregation Pipeline Builder', () => {
@@ -478,6 +479,250 @@ describe('Client Aggregation Pipeline Builder', () => {
 	// Performance and Edge Case Tests
 	////////////////////////////////////////////////////////////////////////////////
 
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Offsets', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should sort each union and skip the offset before applying the budget', () => {
+			const pipeline = buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, offsets: { stage: 20 } });
+			const stageUnion = pipeline.find((stage) => stage.$addFields?._union_stage_ids).$addFields._union_stage_ids;
+			const sgoUnion = pipeline.find((stage) => stage.$addFields?._union_sgo_ids).$addFields._union_sgo_ids;
+			expect(stageUnion.$slice[0]).toEqual({ $sortArray: { input: '$_route_directStages_ids', sortBy: 1 } });
+			expect(stageUnion.$slice[1]).toBe(20);
+			expect(sgoUnion).toEqual({ $sortArray: { input: '$_route_directSgos_ids', sortBy: 1 } });
+			expect(pipeline.length).toEqual(buildMaterialisedListsPipelineTotalMax(basicRoutes).length);
+		});
+		////////////////////////////////////////////////////////////////////////////
+		test('should throw error for invalid offsets', () => {
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, offsets: { stage: -1 } })).toThrow('offsets');
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, offsets: [1] })).toThrow('offsets');
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Budget allocation', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should allocate before slicing when per-type limits, minimums or a strategy are given', () => {
+			const greedy = buildMaterialisedListsPipelineTotalMax(basicRoutes);
+			expect(greedy.some((stage) => stage.$addFields?._alloc_stage)).toBe(false);
+			expect(greedy.find((stage) => stage.$facet).$facet._budget).toBeDefined();
+			expect(greedy[greedy.length - 1].$project.budgetAllocation).toEqual({ $arrayElemAt: ['$_budget', 0] });
+
+			const pipeline = buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, typeMax: { stage: 5 }, typeMin: { sgo: 2 }, budgetStrategy: 'roundRobin' });
+			const allocation = pipeline.find((stage) => stage.$addFields?._alloc_stage);
+			expect(allocation.$addFields._alloc_sgo).toEqual({ $arrayElemAt: ['$_budgetTakes', 1] });
+			expect(pipeline.find((stage) => stage.$addFields?._budgetCaps).$addFields._budgetCaps[0]).toEqual({ $min: [{ $size: '$_union_stage_ids' }, 5] });
+			expect(pipeline.find((stage) => stage.$addFields?._inc_stage_ids).$addFields._inc_stage_ids).toEqual({
+				$cond: [{ $gt: ['$_alloc_stage', 0] }, { $slice: ['$_union_stage_ids', '$_alloc_stage'] }, []],
+			});
+			const report = pipeline.find((stage) => stage.$facet).$facet._budget[0].$project;
+			expect(report.strategy).toEqual({ $literal: 'roundRobin' });
+			expect(report.types.stage.max).toEqual({ $literal: 5 });
+			expect(report.types.sgo.min).toEqual({ $literal: 2 });
+		});
+		////////////////////////////////////////////////////////////////////////////
+		test('should throw error for invalid per-type budgets and unknown strategies', () => {
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, typeMax: { team: 5 } })).toThrow("'team' is not one of the requested aggregation views");
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, typeMin: { stage: -1 } })).toThrow('aggregationMin.stage');
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, typeMax: { stage: NaN } })).toThrow('aggregationMax.stage');
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, budgetStrategy: 'random' })).toThrow('aggregationStrategy');
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Sorts', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should order the ids by the requested sort before the budget and skip the offset afterwards', () => {
+			const pipeline = buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, sorts: { sgo: { field: '_externalId', direction: 1 } }, offsets: { sgo: 10 } });
+			const lookupIndex = pipeline.findIndex((stage) => stage.$lookup?.as === '_sorted_sgo');
+			expect(pipeline[lookupIndex].$lookup.from).toBe('sgos');
+			expect(pipeline[lookupIndex].$lookup.pipeline[1]).toEqual({ $sort: { _externalId: 1, _id: 1 } });
+			expect(pipeline[lookupIndex + 1].$addFields._union_sgo_ids).toEqual({ $slice: ['$_sorted_sgo._id', 10, 2147483647] });
+			expect(pipeline.findIndex((stage) => stage.$addFields?._remaining != null)).toBeGreaterThan(lookupIndex);
+			expect(pipeline.find((stage) => stage.$addFields?._union_sgo_ids?.$sortArray).$addFields._union_sgo_ids.$slice).toBeUndefined();
+			expect(pipeline.find((stage) => stage.$facet).$facet.sgo[1].$lookup.pipeline[1]).toEqual({ $sort: { _externalId: 1, _id: 1 } });
+			expect(pipeline.length).toEqual(buildMaterialisedListsPipelineTotalMax(basicRoutes).length + 2);
+		});
+		////////////////////////////////////////////////////////////////////////////
+		test('should only allow sorting by the sortable fields of a requested type', () => {
+			expect(parseAggregationSort('event', 'dateTime:desc')).toEqual({ field: 'dateTime', direction: -1 });
+			expect(parseAggregationSort('team', '_externalId')).toEqual({ field: '_externalId', direction: 1 });
+			expect(() => parseAggregationSort('team', '_externalId:up')).toThrow('field:asc or field:desc');
+			expect(() => parseAggregationSort('team', 'colour:asc')).toThrow("cannot sort by 'colour'");
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, sorts: { team: { field: '_externalId', direction: 1 } } })).toThrow('not one of the requested aggregation views');
+		});
+		////////////////////////////////////////////////////////////////////////////
+		test('should not sort by per-language names, which would order them as embedded documents', () => {
+			for (const [type, field] of [['team', 'name'], ['stage', 'name'], ['sportsPerson', 'lastName'], ['staff', 'lastName']]) {
+				expect(() => parseAggregationSort(type, `${field}:asc`)).toThrow(expect.objectContaining({ code: 'INVALID_SORT', message: `aggregationSort.${type} cannot sort by '${field}'` }));
+			}
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, sorts: { sgo: { field: 'name', direction: 1 } } })).toThrow("aggregationSort.sgo cannot sort by 'name'");
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Filters', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should drop non-matching ids before the budget and filter the facet lookup', () => {
+			const pipeline = buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, filters: { stage: 'name=in(Group A,Final)' } });
+			const lookup = pipeline.find((stage) => stage.$lookup?.as === '_sorted_stage').$lookup;
+			expect(lookup.pipeline[1]).toEqual({ $match: { name: { $in: ['Group A', 'Final'] } } });
+			expect(lookup.pipeline[2]).toEqual({ $sort: { _id: 1 } });
+			expect(pipeline.findIndex((stage) => stage.$addFields?._remaining != null)).toBeGreaterThan(pipeline.findIndex((stage) => stage.$lookup?.as === '_sorted_stage'));
+			expect(pipeline.find((stage) => stage.$facet).$facet.stage[1].$lookup.pipeline[1]).toEqual({ $match: { name: { $in: ['Group A', 'Final'] } } });
+			expect(pipeline.some((stage) => stage.$lookup?.as === '_sorted_sgo')).toBe(false);
+		});
+		////////////////////////////////////////////////////////////////////////////
+		test('should throw error for filters on the root, on types not requested, or that cannot be parsed', () => {
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, resourceTypesToMaterialise: ['competition', 'stage'], filters: { competition: 'name=x' } })).toThrow(
+				'root resource cannot be filtered'
+			);
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, filters: { team: 'name=x' } })).toThrow('not one of the requested aggregation views');
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...basicRoutes, filters: { stage: 'name' } })).toThrow('aggregationFilter.stage');
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Multiple roots', () => {
+		const { rootExternalKey, ...withoutRootKey } = multiHopRoutes;
+
+		////////////////////////////////////////////////////////////////////////////
+		test('should traverse each root, group them and attribute each resource to its roots', () => {
+			const pipeline = buildMaterialisedListsPipelineTotalMax({ ...withoutRootKey, rootExternalKeys: ['289175 @ fifa', '289176 @ fifa'] });
+			expect(pipeline.slice(0, 3)).toEqual([
+				{ $match: { resourceType: 'competition', externalKey: { $in: ['289175 @ fifa', '289176 @ fifa'] } } },
+				{ $sort: { externalKey: 1 } },
+				{ $limit: 100 },
+			]);
+			const groupIndex = pipeline.findIndex((stage) => stage.$group);
+			expect(groupIndex).toBeGreaterThan(pipeline.findIndex((stage) => stage.$addFields?._route_teamsViaStagesAndEvents_ids));
+			expect(groupIndex).toBeLessThan(pipeline.findIndex((stage) => stage.$addFields?._union_team_ids));
+			const group = pipeline[groupIndex].$group;
+			expect(group._rootKeys).toEqual({ $push: '$externalKey' });
+			expect(group._contrib_staff).toEqual({ $push: { root: '$externalKey', ids: { $setUnion: ['$_route_staffViaTeams_ids'] } } });
+			expect(pipeline[groupIndex + 1].$addFields._route_staffViaTeams_ids.$reduce.input).toBe('$_route_staffViaTeams_ids');
+
+			const facet = pipeline.find((stage) => stage.$facet).$facet;
+			expect(facet.team[0].$project.contributions).toBe('$_contrib_team');
+			expect(facet.team[2].$replaceWith.items.$map.in.$mergeObjects[1]).toHaveProperty('_contributingRoots');
+			expect(facet._roots).toBeDefined();
+			expect(pipeline[pipeline.length - 1].$project.roots).toEqual({ $ifNull: [{ $arrayElemAt: ['$_roots.keys', 0] }, []] });
+			expect(pipeline[pipeline.length - 1].$project.root).toEqual({ type: { $literal: 'competition' }, externalKey: { $literal: null } });
+			const counted = buildMaterialisedListsPipelineTotalMax({ ...withoutRootKey, rootExternalKeys: ['289175 @ fifa', '289176 @ fifa'], countOnly: true });
+			expect(counted[counted.length - 1].$project).toMatchObject({ root: { type: { $literal: 'competition' }, externalKey: { $literal: null } }, roots: '$_rootKeys' });
+			const single = buildMaterialisedListsPipelineTotalMax(multiHopRoutes);
+			expect(single[single.length - 1].$project.root).toEqual({ type: { $literal: 'competition' }, externalKey: '$_rootKey' });
+
+			const byQuery = buildMaterialisedListsPipelineTotalMax({ ...withoutRootKey, rootQuery: { sgos: 'sgo-1' }, maxRoots: 10 });
+			expect(byQuery.slice(0, 3)).toEqual([{ $match: { sgos: 'sgo-1', resourceType: 'competition' } }, { $sort: { externalKey: 1 } }, { $limit: 10 }]);
+		});
+		////////////////////////////////////////////////////////////////////////////
+		test('should throw error for conflicting or invalid roots', () => {
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...multiHopRoutes, rootExternalKeys: ['a'] })).toThrow('Only one of rootExternalKey, rootExternalKeys and rootQuery');
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...withoutRootKey, rootExternalKeys: [] })).toThrow('rootExternalKeys must be a non-empty array');
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...withoutRootKey, rootExternalKeys: ['a', 'b'], maxRoots: 1 })).toThrow('at most 1 roots');
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...withoutRootKey, rootQuery: { resourceType: 'team' } })).toThrow('rootQuery');
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Route ids and provenance', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should output the materialised ids each route reached when includeRouteIds is set', () => {
+			const pipeline = buildMaterialisedListsPipelineTotalMax({ ...multiHopRoutes, includeRouteIds: true });
+			const routes = pipeline.find((stage) => stage.$facet).$facet._routeIds[0].$project.routes;
+			expect(routes).toContainEqual({
+				key: { $literal: 'staffViaTeams' },
+				to: { $literal: 'staff' },
+				ids: { $setIntersection: ['$_route_staffViaTeams_ids', '$_inc_staff_ids'] },
+			});
+			expect(pipeline[pipeline.length - 1].$project.routeIds).toEqual({ $ifNull: [{ $arrayElemAt: ['$_routeIds.routes', 0] }, []] });
+			expect(buildMaterialisedListsPipelineTotalMax(multiHopRoutes).find((stage) => stage.$facet).$facet._routeIds).toBeUndefined();
+		});
+		////////////////////////////////////////////////////////////////////////////
+		test('should annotate each item with the routes that reached it when includeProvenance is set', () => {
+			const facet = buildMaterialisedListsPipelineTotalMax({ ...multiHopRoutes, includeProvenance: true }).find((stage) => stage.$facet).$facet;
+			expect(facet.staff[0].$project.provenance).toEqual([
+				{
+					route: { $literal: 'staffViaTeams' },
+					path: { $literal: ['competition.stages->stage', 'stage.events->event', 'event.teams->team', 'team.staff->staff'] },
+					ids: '$_route_staffViaTeams_ids',
+				},
+			]);
+			expect(facet.staff[2].$replaceWith.items.$map.input).toBe('$docs');
+			expect(facet.staff[2].$replaceWith.items.$map.in.$mergeObjects[1]).toHaveProperty('_provenance');
+			expect(buildMaterialisedListsPipelineTotalMax(multiHopRoutes).find((stage) => stage.$facet).$facet.staff[2].$replaceWith.items).toBe('$docs');
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Links', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should keep the children of each parent at every step when includeLinks is set', () => {
+			const pipeline = buildMaterialisedListsPipelineTotalMax({ ...multiHopRoutes, includeLinks: true });
+			const linkLookups = pipeline.filter((stage) => stage.$lookup?.as.startsWith('_links_'));
+			expect(linkLookups).toHaveLength(5);
+			expect(linkLookups[0].$lookup.pipeline[2]).toEqual({ $project: { _id: 0, parent: '$gamedayId', children: { $ifNull: ['$events', []] } } });
+			expect(pipeline.find((stage) => stage.$addFields?._links_stageIds__7pz9fi__d0)).toBeDefined();
+
+			const steps = pipeline.find((stage) => stage.$facet).$facet._links[0].$project.steps;
+			expect(steps.map((step) => step.to.$literal)).toEqual(['stage', 'event', 'sportsPerson', 'team', 'venue', 'staff']);
+			expect(steps[1].dependsOnKey).toEqual({ $literal: 'competition.stages->stage' });
+			expect(pipeline[pipeline.length - 1].$project.links).toEqual({ $ifNull: [{ $arrayElemAt: ['$_links.steps', 0] }, []] });
+		});
+		////////////////////////////////////////////////////////////////////////////
+		test('should throw error for links with several roots', () => {
+			const { rootExternalKey, ...withoutRootKey } = multiHopRoutes;
+			expect(() => buildMaterialisedListsPipelineTotalMax({ ...withoutRootKey, rootExternalKeys: ['a', 'b'], includeLinks: true })).toThrow('single root');
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Counts only', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should count per type and per route without materialising', () => {
+			const pipeline = buildMaterialisedListsPipelineTotalMax({ ...multiHopRoutes, countOnly: true, filters: { staff: 'role=coach' }, sorts: { team: { field: '_externalId', direction: 1 } } });
+			expect(pipeline.some((stage) => stage.$facet)).toBe(false);
+			expect(pipeline.some((stage) => stage.$addFields?._remaining !== undefined)).toBe(false);
+			expect(pipeline.filter((stage) => stage.$lookup?.from === 'staff')).toHaveLength(1);
+			expect(pipeline.some((stage) => stage.$lookup?.as === '_sorted_team')).toBe(false);
+
+			const { $project } = pipeline[pipeline.length - 1];
+			expect($project.counts).toEqual({
+				team: { $size: '$_union_team_ids' },
+				venue: { $size: '$_union_venue_ids' },
+				sportsPerson: { $size: '$_union_sportsPerson_ids' },
+				staff: { $size: '$_union_staff_ids' },
+			});
+			expect($project.routeCounts).toContainEqual({ key: { $literal: 'teamsViaStagesAndEvents' }, to: { $literal: 'team' }, count: { $size: '$_route_teamsViaStagesAndEvents_ids' } });
+			expect($project.routeCounts).toContainEqual({
+				key: { $literal: 'staffViaTeams' },
+				to: { $literal: 'staff' },
+				count: { $size: { $setIntersection: ['$_route_staffViaTeams_ids', '$_union_staff_ids'] } },
+			});
+			expect($project.edgesUsed).toHaveLength(6);
+		});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	describe('Planned steps', () => {
+		////////////////////////////////////////////////////////////////////////////
+		test('should list the shared steps with the routes traversing them', () => {
+			const steps = buildMaterialisedListsPipelineTotalMax.planAggregationSteps(multiHopRoutes);
+			expect(steps.map((step) => step.key)).toEqual([
+				'competition.stages->stage',
+				'stage.events->event',
+				'event.sportsPersons->sportsPerson',
+				'event.teams->team',
+				'event.venues->venue',
+				'team.staff->staff',
+			]);
+			expect(steps[0].routes).toEqual(['teamsViaStagesAndEvents', 'venuesViaStagesAndEvents', 'sportsPersonsViaEvents', 'staffViaTeams']);
+			expect(steps[3]).toMatchObject({ depth: 2, dependsOnKey: 'stage.events->event', routes: ['teamsViaStagesAndEvents', 'staffViaTeams'] });
+			const pipeline = buildMaterialisedListsPipelineTotalMax(multiHopRoutes);
+			expect(pipeline.some((stage) => stage.$addFields?.[steps[5].outputName])).toBe(true);
+		});
+	});
+
 	//////////////////////////////////////////////////////////////////////////////
 	describe('Edge Cases and Performance', () => {
 		////////////////////////////////////////////////////////////////////////////
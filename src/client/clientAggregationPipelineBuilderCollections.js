@@ -1,18 +1,5 @@
 //////////////////////////////////////////////////////////////////////////////
-// Directed, field-labelled graph
-const COLLECTIONS = {
-	competition: 'competitions',
-	stage: 'stages',
-	event: 'events',
-	team: 'teams',
-	venue: 'venues',
-	club: 'clubs',
-	sgo: 'sgos',
-	nation: 'nations',
-	sportsPerson: 'sportsPersons',
-	staff: 'staff',
-	ranking: 'rankings',
-	keyMoment: 'keyMoments',
-};
+// resourceType -> gameday source collection, derived from the resource registry
+const { COLLECTIONS } = require('../registry/resourceRegistry.js');
 
 module.exports = COLLECTIONS;
@@ -0,0 +1,69 @@
+const { ClientAggregationError } = require('./clientAggregationError.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Fields a client may sort each materialised type by (aggregationSort.<type>=field:asc|desc).
+// Limited to scalar fields of the source collections, each of which is indexed on its source
+// collection at startup (src/index.js). Names are per-language maps ({ en: ..., fr: ... }),
+// which would sort as embedded documents rather than alphabetically, so they are not
+// sortable. `_id` breaks ties.
+////////////////////////////////////////////////////////////////////////////////
+const SORT_FIELDS = {
+	competition: ['start', '_externalId'],
+	stage: ['_externalId'],
+	event: ['dateTime', '_externalId'],
+	team: ['_externalId'],
+	venue: ['_externalId'],
+	club: ['_externalId'],
+	sgo: ['_externalId'],
+	nation: ['_externalId'],
+	sportsPerson: ['_externalId'],
+	staff: ['_externalId'],
+	ranking: ['ranking', '_externalId'],
+	keyMoment: ['dateTime'],
+};
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Parses a client sort option such as `dateTime:asc`.
+ *
+ * @function parseAggregationSort
+ * @param {string} type - The materialised type being sorted
+ * @param {string} value - `field`, `field:asc` or `field:desc` (ascending when no direction is given)
+ * @returns {{ field: string, direction: number }} The field and 1 (ascending) or -1 (descending)
+ * @throws {ClientAggregationError} If the option is malformed or the field is not sortable for the type
+ */
+function parseAggregationSort(type, value) {
+	const [field, direction = 'asc', ...rest] = String(value ?? '')
+		.split(':')
+		.map((part) => part.trim());
+	if (!field || rest.length > 0 || !['asc', 'desc'].includes(direction)) {
+		throw new ClientAggregationError(`aggregationSort.${type} must be of the form field:asc or field:desc`, 'INVALID_SORT');
+	}
+	const sort = { field, direction: direction === 'desc' ? -1 : 1 };
+	validateAggregationSorts({ [type]: sort }, [type]);
+	return sort;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Validates sorts against the types being materialised and the sortable fields of each type.
+ *
+ * @function validateAggregationSorts
+ * @param {Object<string, { field: string, direction: number }>} [sorts] - Sort per type
+ * @param {string[]} types - The types being materialised
+ * @throws {ClientAggregationError} If a type is not materialised, a field is not sortable or a direction is not 1 or -1
+ */
+function validateAggregationSorts(sorts, types) {
+	if (sorts == null) return;
+	if (typeof sorts !== 'object' || Array.isArray(sorts)) throw new ClientAggregationError('sorts must be an object mapping resource types to { field, direction }');
+	for (const [type, sort] of Object.entries(sorts)) {
+		if (!types.includes(type)) throw new ClientAggregationError(`aggregationSort.${type} is set but '${type}' is not one of the requested aggregation views`, 'INVALID_SORT', { types });
+		if (!SORT_FIELDS[type]?.includes(sort?.field)) {
+			throw new ClientAggregationError(`aggregationSort.${type} cannot sort by '${sort?.field}'`, 'INVALID_SORT', { sortableFields: SORT_FIELDS[type] || [] });
+		}
+		if (sort.direction !== 1 && sort.direction !== -1) throw new ClientAggregationError(`aggregationSort.${type} direction must be 1 or -1`, 'INVALID_SORT');
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { SORT_FIELDS, parseAggregationSort, validateAggregationSorts };
@@ -1,7 +1,7 @@
 ////////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const EDGES = require('./clientAggregationPipelineBuilderEdges');
-const TYPE_ALIAS = require('./clientAggregationPipelineRouteTypeAlias');
+const { RESOURCE_REGISTRY, resourceTypeFor } = require('../registry/resourceRegistry.js');
 
 ////////////////////////////////////////////////////////////////////////////////
 // Treat the user-provided edges as an unordered “allowed edge set”, then expand all
@@ -119,136 +119,18 @@ function clientAggregationPipelineRouteBuilder({
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-/**
- * Checks if a value matches a type or its alias.
- *
- * This function validates that both parameters are strings, ensures the type
- * exists in the TYPE_ALIAS mapping, and then checks if the value matches
- * either the type directly or its corresponding alias.
- *
- * @param {string} type - The type name to check against
- * @param {string} val - The value to validate against the type or alias
- * @returns {boolean} True if val matches type or its alias, false otherwise
- *
- * @example
- * // Returns true if val equals type or TYPE_ALIAS[type]
- * typeOrAlias('string', 'str') // true if TYPE_ALIAS.string === 'str'
- * typeOrAlias('number', 'number') // true (exact match)
- */
-function typeOrAlias(type, val) {
-	if (!_.isString(type)) return false;
-	if (!_.isString(val)) return false;
-	if (!_.has(TYPE_ALIAS, type)) return false;
-	if (type.toLowerCase() === val.toLowerCase()) return true;
-	if (TYPE_ALIAS[type].toLowerCase() === val.toLowerCase()) return true;
-	return false;
-}
-
-////////////////////////////////////////////////////////////////////////////////
-// Edge IDs in the form from.to
-// Return list needs to be an array of strings in the form "<from>.<field>-><to>"
+// Edge IDs in the form from.to, where from and to are type names or aliases (any casing)
+// Return list needs to be an array of strings in the form "<from>.<field>-><to>"; pairs that are not edges of the registry are dropped
 function buildEdgeIds(rawEdgeIds) {
 	const edgeIds = [];
 	for (const raw of rawEdgeIds) {
 		if (!_.isString(raw)) continue;
 		const pair = raw.trim().split('.');
 		if (pair.length !== 2) continue;
-		const from = pair[0].trim().toLowerCase();
-		const to = pair[1].trim().toLowerCase();
-		if (!from || !to) continue;
-		////////////////////////////////////////////////////////////////////////////
-		if (typeOrAlias('competition', from)) {
-			if (typeOrAlias('stage', to)) edgeIds.push(`competition.stages->stage`);
-			else if (typeOrAlias('sgo', to)) edgeIds.push(`competition.sgos->sgo`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('stage', from)) {
-			if (typeOrAlias('event', to)) edgeIds.push(`stage.events->event`);
-			else if (typeOrAlias('competition', to)) edgeIds.push(`stage.competitions->competition`);
-			else if (typeOrAlias('ranking', to)) edgeIds.push(`stage.rankings->ranking`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('event', from)) {
-			if (typeOrAlias('team', to)) edgeIds.push(`event.teams->team`);
-			else if (typeOrAlias('venue', to)) edgeIds.push(`event.venues->venue`);
-			else if (typeOrAlias('sportsPerson', to)) edgeIds.push(`event.sportsPersons->sportsPerson`);
-			else if (typeOrAlias('stage', to)) edgeIds.push(`event.stages->stage`);
-			else if (typeOrAlias('ranking', to)) edgeIds.push(`event.rankings->ranking`);
-			else if (typeOrAlias('keyMoment', to)) edgeIds.push(`event.keyMoments->keyMoment`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('team', from)) {
-			if (typeOrAlias('club', to)) edgeIds.push(`team.clubs->club`);
-			else if (typeOrAlias('event', to)) edgeIds.push(`team.events->event`);
-			else if (typeOrAlias('nation', to)) edgeIds.push(`team.nations->nation`);
-			else if (typeOrAlias('sportsPerson', to)) edgeIds.push(`team.sportsPersons->sportsPerson`);
-			else if (typeOrAlias('staff', to)) edgeIds.push(`team.staff->staff`);
-			else if (typeOrAlias('ranking', to)) edgeIds.push(`team.rankings->ranking`);
-			else if (typeOrAlias('sgo', to)) edgeIds.push(`team.sgos->sgo`);
-			else if (typeOrAlias('keyMoment', to)) edgeIds.push(`team.keyMoments->keyMoment`);
-			else if (typeOrAlias('venue', to)) edgeIds.push(`team.venues->venue`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('club', from)) {
-			if (typeOrAlias('team', to)) edgeIds.push(`club.teams->team`);
-			else if (typeOrAlias('sgo', to)) edgeIds.push(`club.sgos->sgo`);
-			else if (typeOrAlias('venue', to)) edgeIds.push(`club.venues->venue`);
-			else if (typeOrAlias('sportsPerson', to)) edgeIds.push(`club.sportsPersons->sportsPerson`);
-			else if (typeOrAlias('staff', to)) edgeIds.push(`club.staff->staff`);
-		}
-		///////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('nation', from)) {
-			if (typeOrAlias('team', to)) edgeIds.push(`nation.teams->team`);
-			else if (typeOrAlias('sgo', to)) edgeIds.push(`nation.sgos->sgo`);
-			else if (typeOrAlias('venue', to)) edgeIds.push(`nation.venues->venue`);
-			else if (typeOrAlias('staff', to)) edgeIds.push(`nation.staff->staff`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('venue', from)) {
-			if (typeOrAlias('event', to)) edgeIds.push(`venue.events->event`);
-			else if (typeOrAlias('team', to)) edgeIds.push(`venue.teams->team`);
-			else if (typeOrAlias('sgo', to)) edgeIds.push(`venue.sgos->sgo`);
-			else if (typeOrAlias('club', to)) edgeIds.push(`venue.clubs->club`);
-			else if (typeOrAlias('nation', to)) edgeIds.push(`venue.nations->nation`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('sgo', from)) {
-			if (typeOrAlias('competition', to)) edgeIds.push(`sgo.competitions->competition`);
-			else if (typeOrAlias('sgo', to)) edgeIds.push(`sgo.sgos->sgo`);
-			else if (typeOrAlias('venue', to)) edgeIds.push(`sgo.venues->venue`);
-			else if (typeOrAlias('club', to)) edgeIds.push(`sgo.clubs->club`);
-			else if (typeOrAlias('nation', to)) edgeIds.push(`sgo.nations->nation`);
-			else if (typeOrAlias('team', to)) edgeIds.push(`sgo.teams->team`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('staff', from)) {
-			if (typeOrAlias('team', to)) edgeIds.push(`staff.teams->team`);
-			else if (typeOrAlias('club', to)) edgeIds.push(`staff.clubs->club`);
-			else if (typeOrAlias('nation', to)) edgeIds.push(`staff.nations->nation`);
-			else if (typeOrAlias('sportsPerson', to)) edgeIds.push(`staff.sportsPersons->sportsPerson`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('sportsPerson', from)) {
-			if (typeOrAlias('staff', to)) edgeIds.push(`sportsPerson.staff->staff`);
-			else if (typeOrAlias('team', to)) edgeIds.push(`sportsPerson.teams->team`);
-			else if (typeOrAlias('club', to)) edgeIds.push(`sportsPerson.clubs->club`);
-			else if (typeOrAlias('ranking', to)) edgeIds.push(`sportsPerson.rankings->ranking`);
-			else if (typeOrAlias('keyMoment', to)) edgeIds.push(`sportsPerson.keyMoments->keyMoment`);
-			else if (typeOrAlias('event', to)) edgeIds.push(`sportsPerson.events->event`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('ranking', from)) {
-			if (typeOrAlias('event', to)) edgeIds.push(`ranking.events->event`);
-			else if (typeOrAlias('stage', to)) edgeIds.push(`ranking.stages->stage`);
-			else if (typeOrAlias('team', to)) edgeIds.push(`ranking.teams->team`);
-			else if (typeOrAlias('sportsPerson', to)) edgeIds.push(`ranking.sportsPersons->sportsPerson`);
-		}
-		////////////////////////////////////////////////////////////////////////////
-		else if (typeOrAlias('keyMoment', from)) {
-			if (typeOrAlias('team', to)) edgeIds.push(`keyMoment.teams->team`);
-			else if (typeOrAlias('sportsPerson', to)) edgeIds.push(`keyMoment.sportsPersons->sportsPerson`);
-			else if (typeOrAlias('event', to)) edgeIds.push(`keyMoment.events->event`);
-		}
+		const from = resourceTypeFor(pair[0]);
+		const to = resourceTypeFor(pair[1]);
+		if (!from || !to || !RESOURCE_REGISTRY[from].edges.includes(to)) continue;
+		edgeIds.push(`${from}.${RESOURCE_REGISTRY[to].idsField}->${to}`);
 	}
 	return edgeIds;
 }
@@ -292,3 +174,4 @@ function shortHash(s) {
 
 ////////////////////////////////////////////////////////////////////////////////
 module.exports = clientAggregationPipelineRouteBuilder;
+module.exports.buildEdgeIds = buildEdgeIds;
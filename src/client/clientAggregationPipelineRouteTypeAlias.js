@@ -1,17 +1,5 @@
 ////////////////////////////////////////////////////////////////////////////////
-const TYPE_ALIAS = {
-	competition: 'c',
-	stage: 's',
-	event: 'e',
-	team: 't',
-	venue: 'v',
-	club: 'b',
-	sgo: 'o',
-	nation: 'n',
-	sportsPerson: 'p',
-	staff: 'f',
-	ranking: 'r',
-	keyMoment: 'k',
-};
+// resourceType -> one letter alias accepted in edge ids, derived from the resource registry
+const { TYPE_ALIAS } = require('../registry/resourceRegistry.js');
 ////////////////////////////////////////////////////////////////////////////////
 module.exports = TYPE_ALIAS;
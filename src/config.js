@@ -1,5 +1,14 @@
 require('dotenv').config({ quiet: true });
 
+////////////////////////////////////////////////////////////////////////////////
+// A number from the environment, or defaultValue when it is unset, not a number or below min.
+// 0 is a value like any other (e.g. no retries), so this is not `Number(value) || defaultValue`.
+function envNumber(name, defaultValue, { min = -Infinity } = {}) {
+	const raw = process.env[name] ?? '';
+	const value = raw.trim() === '' ? NaN : Number(raw);
+	return Number.isNaN(value) || value < min ? defaultValue : value;
+}
+
 // 'bblapi/2023:BBL',
 // fifa/1jt5mxgn4q5r6mknmlqv5qjh0
 module.exports = {
@@ -18,6 +27,51 @@ module.exports = {
 		matAggIndexIdAndScopeName: 'resourceType_1_gamedayId_1',
 		matAggIndexKeyAndScope: { resourceType: 1, externalKey: 1 },
 		matAggIndexKeyAndScopeName: 'resourceType_1_externalKey_1',
+		useTransactions: process.env.MAT_AGG_USE_TRANSACTIONS === 'true',
+		transactionMaxRetries: envNumber('MAT_AGG_TRANSACTION_MAX_RETRIES', 3, { min: 0 }),
+	},
+	watcher: {
+		enabled: process.env.CHANGE_STREAM_WATCHER === 'true',
+		collections: (process.env.CHANGE_STREAM_COLLECTIONS || 'competitions,stages,events,teams,clubs,nations,venues,sgos,sportsPersons,staff,rankings,keyMoments').split(','),
+		resumeTokenCollectionName: process.env.RESUME_TOKEN_COLLECTION_NAME || 'changeStreamResumeTokens',
+		restartDelayMs: envNumber('CHANGE_STREAM_RESTART_DELAY_MS', 5000, { min: 0 }),
+	},
+	rebuild: {
+		maxDepth: envNumber('REBUILD_MAX_DEPTH', 4, { min: 0 }),
+		concurrency: envNumber('REBUILD_CONCURRENCY', 4, { min: 1 }),
+		// e.g. REBUILD_CONCURRENCY_BY_TYPE="event=8,staff=2"
+		concurrencyByType: Object.fromEntries(
+			(process.env.REBUILD_CONCURRENCY_BY_TYPE || '')
+				.split(',')
+				.map((entry) => entry.split('=').map((part) => part.trim()))
+				.filter(([type, value]) => type && Number(value) > 0)
+				.map(([type, value]) => [type, Number(value)])
+		),
+		retries: envNumber('REBUILD_RETRIES', 2, { min: 0 }),
+		retryBaseDelayMs: envNumber('REBUILD_RETRY_BASE_DELAY_MS', 250, { min: 0 }),
+		retryMaxDelayMs: envNumber('REBUILD_RETRY_MAX_DELAY_MS', 5000, { min: 0 }),
+	},
+	jobs: {
+		collectionName: process.env.JOBS_COLLECTION_NAME || 'rebuildJobs',
+		progressIntervalMs: envNumber('JOBS_PROGRESS_INTERVAL_MS', 2000, { min: 0 }),
+		// Failed and skipped keys listed on a job document (the counts are always complete)
+		sampleLimit: envNumber('JOBS_SAMPLE_LIMIT', 100, { min: 0 }),
+	},
+	presets: {
+		collectionName: process.env.PRESETS_COLLECTION_NAME || 'aggregationPresets',
+		indexNameAndVersion: { name: 1, version: 1 },
+		indexNameAndVersionName: 'name_1_version_1',
+	},
+	drift: {
+		// Aggregation documents checked per resource type by a drift scan; 0 checks them all (null to scanForDrift)
+		sampleSize: envNumber('DRIFT_SAMPLE_SIZE', 100, { min: 0 }) || null,
+		// Run a drift scan this often to keep the drift metrics current; 0 disables scheduled scans
+		intervalMs: envNumber('DRIFT_SCAN_INTERVAL_MS', 0, { min: 0 }),
+	},
+	cursor: {
+		// Signs aggregation continuation cursors; without it cursors only work until the service restarts
+		secret: process.env.AGGREGATION_CURSOR_SECRET || null,
+		ttlMs: envNumber('AGGREGATION_CURSOR_TTL_MS', 60 * 60 * 1000, { min: 0 }),
 	},
 	aws: {
 		region: process.env.AWS_REGION || 'eu-west-1',
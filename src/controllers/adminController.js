@@ -0,0 +1,119 @@
+////////////////////////////////////////////////////////////////////////////////
+// Includes
+const _ = require(`lodash`);
+const uuid = require('uuid');
+const { send200, send400, send500, mongoUnavailable } = require('../utils/httpResponseUtils.js');
+const { debug } = require('../log.js');
+const config = require('../config.js');
+const { checkConsistency } = require('../verification/consistencyChecker.js');
+const { scanForDrift } = require('../verification/driftScanner.js');
+const { renderMetrics } = require('../utils/metrics.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Notes
+// curl localhost:8080/1-0/admin/consistency
+// curl 'localhost:8080/1-0/admin/consistency?types=event,team&limit=20'
+// Repairs are only made from the command line: node src/check-consistency.js --repair
+// curl 'localhost:8080/1-0/admin/drift?types=event&sample=50'
+// curl 'localhost:8080/1-0/admin/drift?types=competition&sample=all'
+// curl localhost:8080/1-0/admin/metrics
+
+////////////////////////////////////////////////////////////////////////////////
+// router.get('/consistency', getConsistencyReportController);
+// Query: optional types (comma separated) and limit (problems listed per category)
+async function getConsistencyReportController(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	if (mongoUnavailable(res, config?.mongo)) return;
+
+	//////////////////////////////////////////////////////////////////////////////
+	const options = {};
+	if (_.isString(req.query.types) && req.query.types.length > 0) options.types = req.query.types.split(',').map((type) => type.trim());
+	if (req.query.limit !== undefined) {
+		const limit = Number(req.query.limit);
+		if (!Number.isInteger(limit) || limit < 0) {
+			send400(res, `Invalid limit: ${req.query.limit}. It must be a non-negative integer.`);
+			return;
+		}
+		options.sampleLimit = limit;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	try {
+		const report = await checkConsistency(config.mongo, config, id, options);
+		const { orphans, dangling, asymmetric } = report.counts;
+		const body = {
+			status: 200,
+			service: config?.serviceName,
+			message: `Found ${orphans} orphans, ${dangling} dangling references and ${asymmetric} asymmetric edges in ${report.checked} aggregation documents`,
+			response: report,
+		};
+		send200(res, body, config);
+	} catch (err) {
+		if (err.message.startsWith('Invalid parameters')) send400(res, err.message);
+		else send500(res, err.message);
+		return;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.get('/drift', getDriftReportController);
+// Query: optional types (comma separated), sample (documents per type, or `all`) and limit (drifted documents listed)
+async function getDriftReportController(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	if (mongoUnavailable(res, config?.mongo)) return;
+
+	//////////////////////////////////////////////////////////////////////////////
+	const options = {};
+	if (_.isString(req.query.types) && req.query.types.length > 0) options.types = req.query.types.split(',').map((type) => type.trim());
+	if (req.query.sample === 'all') options.sampleSize = null;
+	else if (req.query.sample !== undefined) {
+		const sampleSize = Number(req.query.sample);
+		if (!Number.isInteger(sampleSize) || sampleSize < 1) {
+			send400(res, `Invalid sample: ${req.query.sample}. It must be a positive integer or 'all'.`);
+			return;
+		}
+		options.sampleSize = sampleSize;
+	}
+	if (req.query.limit !== undefined) {
+		const limit = Number(req.query.limit);
+		if (!Number.isInteger(limit) || limit < 0) {
+			send400(res, `Invalid limit: ${req.query.limit}. It must be a non-negative integer.`);
+			return;
+		}
+		options.sampleLimit = limit;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	try {
+		const report = await scanForDrift(config.mongo, config, id, options);
+		const body = {
+			status: 200,
+			service: config?.serviceName,
+			message: `Found ${report.totals.drifted ?? 0} drifted aggregation documents in ${report.totals.checked ?? 0} checked`,
+			response: report,
+		};
+		send200(res, body, config);
+	} catch (err) {
+		if (err.message.startsWith('Invalid parameters')) send400(res, err.message);
+		else send500(res, err.message);
+		return;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.get('/metrics', getMetricsController);
+// Prometheus text exposition format
+async function getMetricsController(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	try {
+		res.type('text/plain; version=0.0.4').status(200).send(renderMetrics());
+	} catch (err) {
+		send500(res, err.message);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { getConsistencyReportController, getDriftReportController, getMetricsController };
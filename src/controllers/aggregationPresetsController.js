@@ -0,0 +1,153 @@
+////////////////////////////////////////////////////////////////////////////////
+// Includes
+const _ = require(`lodash`);
+const uuid = require('uuid');
+const { send200, send400, send404, send500, mongoUnavailable } = require('../utils/httpResponseUtils.js');
+const { debug, info, warn } = require('../log.js');
+const config = require('../config.js');
+const { resourceTypeFor } = require('../registry/resourceRegistry.js');
+const clientAggregationPipelineBuilder = require('../client/clientAggregationPipelineBuilder.js');
+const clientAggregationPipelineRouteBuilder = require('../client/clientAggregationPipelineRouteBuilder.js');
+const { ClientAggregationError } = require('../client/clientAggregationError.js');
+const { aggregationOptionsFrom, aggregationPipelineConfig, presetRouteParams } = require('./getSingleSportsDataController.js');
+const { isValidPresetName, parsePresetReference, savePresetVersion, getPreset, listPresetVersions } = require('../presets/aggregationPresetStore.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Notes
+// curl -X PUT localhost:8080/1-0/aggregation-presets/matchCentre -H 'Content-Type: application/json' -d '{"rootType":"event","aggregationViews":"team,venue,sportsPerson","aggregationMax":30,"projection.team":"name,code"}'
+// curl localhost:8080/1-0/aggregation-presets/matchCentre
+// curl localhost:8080/1-0/aggregation-presets/matchCentre@v2
+
+////////////////////////////////////////////////////////////////////////////////
+// The aggregation parameters a preset can hold, by their query string names
+const presetParams = [...presetRouteParams, 'aggregationMax', 'aggregationStrategy', 'aggregationProvenance', 'includeOriginal', 'includeStickies'];
+const presetParamPrefixes = ['aggregationMax.', 'aggregationMin.', 'aggregationSort.', 'aggregationFilter.', 'projection.', 'projection~'];
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Validates a preset from a request body and resolves its routes, so that applying it later builds the same pipeline
+ * whatever the route derivation does by then. The body holds the root type, the aggregation parameters by their query
+ * string names and, optionally, explicit routes ([{ key, to, via }]) instead of aggregationEdges.
+ *
+ * @param {string} name - The preset name
+ * @param {Object} body - { rootType, description, routes, aggregationViews, aggregationEdges, aggregationMax, projection.<type>, ... }
+ * @returns {Object} The preset to store: { name, description, rootType, params, routes }
+ * @throws {ClientAggregationError} If the preset is invalid, including when a pipeline cannot be built from it
+ */
+function aggregationPresetFrom(name, body) {
+	//////////////////////////////////////////////////////////////////////////////
+	const rootType = resourceTypeFor(body.rootType);
+	if (!rootType) throw new ClientAggregationError(`rootType must be a resource type, e.g. event or competition`);
+	if (body.description != null && !_.isString(body.description)) throw new ClientAggregationError('description must be a string');
+	const params = _.pickBy(body, (value, key) => presetParams.includes(key) || presetParamPrefixes.some((prefix) => key.startsWith(prefix)));
+	const unknown = Object.keys(_.omit(body, ['rootType', 'description', 'routes', ...Object.keys(params)]));
+	if (unknown.length > 0) throw new ClientAggregationError(`Unknown preset parameters: ${unknown.join(', ')}`);
+	const nested = Object.keys(params).filter((key) => _.isObject(params[key]) && !(Array.isArray(params[key]) && params[key].every((value) => !_.isObject(value))));
+	if (nested.length > 0) throw new ClientAggregationError(`Preset parameters must be strings, numbers, booleans or lists of them: ${nested.join(', ')}`);
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Stored as they would arrive in a query string
+	const queryParams = _.mapValues(params, (value) => (Array.isArray(value) ? value.join(',') : String(value)));
+	const options = aggregationOptionsFrom(queryParams);
+	if (options.viewsArray.length === 0) throw new ClientAggregationError('aggregationViews is required');
+	if (options.viewsArray.some((v) => v.toLowerCase() === 'keymoment') && rootType !== 'event') {
+		throw new ClientAggregationError('KeyMoment aggregation view can only be requested when the root resource is an Event.');
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Explicit routes are checked hop by hop against EDGES
+	if (body.routes != null) {
+		if (options.aggregationEdges) throw new ClientAggregationError('routes cannot be combined with aggregationEdges');
+		if (!Array.isArray(body.routes) || body.routes.some((route) => !_.isPlainObject(route) || !_.isString(route.key) || !_.isString(route.to) || !Array.isArray(route.via))) {
+			throw new ClientAggregationError('routes must be an array of { key, to, via } route definitions');
+		}
+		try {
+			clientAggregationPipelineBuilder.planAggregationSteps({ rootType, routes: body.routes });
+		} catch (e) {
+			throw e instanceof ClientAggregationError ? e : new ClientAggregationError(`Invalid routes: ${e.message}`);
+		}
+		options.routes = body.routes.map(({ key, to, via }) => ({ key, to, via }));
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Every edge must name an edge of EDGES, and together they must route the root to a view: a preset
+	// never falls back to derived routes for edges that lead nowhere
+	if (options.aggregationEdges) {
+		const edgeIds = options.aggregationEdges
+			.split(',')
+			.map((edgeId) => edgeId.trim())
+			.filter((edgeId) => edgeId.length > 0);
+		if (edgeIds.length === 0) throw new ClientAggregationError('aggregationEdges must list at least one edge', 'INVALID_EDGES');
+		const unresolved = edgeIds.filter((edgeId) => clientAggregationPipelineRouteBuilder.buildEdgeIds([edgeId]).length === 0);
+		if (unresolved.length > 0) throw new ClientAggregationError(`Unknown aggregationEdges: ${unresolved.join(', ')}`, 'INVALID_EDGES', { edges: unresolved });
+		options.routes = clientAggregationPipelineRouteBuilder({ rootType, includeTypes: options.viewsArray, edgeIds });
+		if (options.routes.length === 0) throw new ClientAggregationError(`aggregationEdges do not route ${rootType} to any of the aggregationViews`, 'INVALID_EDGES');
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	// The pipeline builder validates the rest (reachability, budget, sorts, filters and projections)
+	const pipelineConfig = aggregationPipelineConfig(rootType, `${name} (preset)`, options);
+	clientAggregationPipelineBuilder(pipelineConfig);
+	return { name, description: body.description ?? null, rootType, params: queryParams, routes: pipelineConfig.routes };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.put('/:name', putAggregationPreset);
+// Body: { rootType, description?, routes?, ...aggregation parameters by their query string names }
+// Saves the preset as the next version of the name
+async function putAggregationPreset(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	if (mongoUnavailable(res, config?.mongo)) return;
+	const name = req.params.name;
+	try {
+		//////////////////////////////////////////////////////////////////////////////
+		if (!isValidPresetName(name)) throw new ClientAggregationError('Preset names are made of letters, digits, _ and -, at most 64 characters');
+		const preset = aggregationPresetFrom(name, _.isPlainObject(req.body) ? req.body : {});
+		const saved = await savePresetVersion(config.mongo, config, preset);
+		info(`Saved aggregation preset ${saved._id}`, id);
+		send200(res, { status: 200, service: config?.serviceName, message: `Saved aggregation preset ${saved._id}`, reference: saved._id, response: saved }, config);
+	} catch (e) {
+		//////////////////////////////////////////////////////////////////////////////
+		if (e instanceof ClientAggregationError) {
+			warn(`Client aggregation error saving aggregation preset ${name} - ${e.message}`, 'WDxxx', 400, 'Client Aggregation Error');
+			send400(res, {
+				message: `Error saving preset: ${e.message}`,
+				errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+				category: 'Client Aggregation Error',
+				...(_.isEmpty(e.details) ? {} : { details: e.details }),
+			});
+			return;
+		}
+		warn(`Error saving aggregation preset ${name} - ${e.message}`, 'WDxxx', 500, 'Database Query Error');
+		send500(res, e.message);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.get('/:reference', getAggregationPreset);
+// The latest version of a preset (matchCentre) or a given version (matchCentre@v2), with the versions there are
+async function getAggregationPreset(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	if (mongoUnavailable(res, config?.mongo)) return;
+	const reference = parsePresetReference(req.params.reference);
+	if (!reference) {
+		send400(res, `Invalid preset reference: ${req.params.reference}. Expected a name, optionally with a version (e.g. matchCentre@v2).`);
+		return;
+	}
+	try {
+		const preset = await getPreset(config.mongo, config, reference.name, reference.version);
+		if (!preset) {
+			send404(res, `No aggregation preset found for ${req.params.reference}`);
+			return;
+		}
+		const versions = await listPresetVersions(config.mongo, config, reference.name);
+		send200(res, { status: 200, service: config?.serviceName, message: `Aggregation preset ${preset._id}`, response: { ...preset, versions } }, config);
+	} catch (err) {
+		send500(res, err.message);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { putAggregationPreset, getAggregationPreset, aggregationPresetFrom };
@@ -0,0 +1,44 @@
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const { aggregationPresetFrom } = require('./aggregationPresetsController.js');
+
+////////////////////////////////////////////////////////////////////////////////
+describe('aggregationPresetFrom', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('stores the parameters as a query string would carry them, with the routes their edges resolve to', () => {
+		const preset = aggregationPresetFrom('matchCentre', { rootType: 'Event', aggregationViews: ['team', 'venue'], aggregationEdges: 'e.t, event.venue', aggregationMax: 20, 'projection.team': 'name,code' });
+		expect(preset).toMatchObject({ name: 'matchCentre', description: null, rootType: 'event' });
+		expect(preset.params).toEqual({ aggregationViews: 'team,venue', aggregationEdges: 'e.t, event.venue', aggregationMax: '20', 'projection.team': 'name,code' });
+		expect(preset.routes.map(({ via }) => via)).toEqual(expect.arrayContaining([['event.teams->team'], ['event.venues->venue']]));
+		expect(preset.routes).toHaveLength(2);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects edges that are not in EDGES and edges that route the root to none of the views', () => {
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'team', aggregationEdges: 'event.team,event.story,event.competition' })).toThrow(
+			'Unknown aggregationEdges: event.story, event.competition'
+		);
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'venue', aggregationEdges: 'event.team' })).toThrow('aggregationEdges do not route event to any of the aggregationViews');
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'venue', aggregationEdges: ' , ' })).toThrow('aggregationEdges must list at least one edge');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects unknown and nested parameters', () => {
+		expect(() => aggregationPresetFrom('p', { rootType: 'story', aggregationViews: 'team' })).toThrow('rootType must be a resource type');
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'team', aggregationPreset: 'other', format: 'normalised' })).toThrow(
+			'Unknown preset parameters: aggregationPreset, format'
+		);
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'team', 'projection.team': { name: 1 } })).toThrow('must be strings, numbers, booleans or lists of them: projection.team');
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: [['team']] })).toThrow('lists of them: aggregationViews');
+		expect(() => aggregationPresetFrom('p', { rootType: 'event' })).toThrow('aggregationViews is required');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('keeps explicit routes as given and does not combine them with aggregationEdges', () => {
+		const routes = [{ key: 'teams', to: 'team', via: ['event.teams->team'], ignored: true }];
+		expect(aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'team', routes }).routes).toEqual([{ key: 'teams', to: 'team', via: ['event.teams->team'] }]);
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'team', aggregationEdges: 'event.team', routes })).toThrow('routes cannot be combined with aggregationEdges');
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'team', routes: [{ key: 'teams', to: 'team' }] })).toThrow('routes must be an array of { key, to, via }');
+		expect(() => aggregationPresetFrom('p', { rootType: 'event', aggregationViews: 'team', routes: [{ key: 'teams', to: 'team', via: ['event.clubs->club'] }] })).toThrow("Invalid routes: route 'teams', hop 1: field 'clubs' not declared on EDGES['event']");
+	});
+});
@@ -5,7 +5,7 @@ const uuid = require('uuid');
 const { send200, send400, send404, send500 } = require('../utils/httpResponseUtils.js');
 const { debug, info, warn } = require('../log.js');
 const config = require('../config.js');
-const { rebuildAggregationDocumentsForCompetition } = require('../pipelines/rebuildAggregationDocumentsForCompetition.js');
+const { rebuildFromRoot, summariseRebuild, canonicalResourceType } = require('../pipelines/rebuildFromRoot.js');
 
 ////////////////////////////////////////////////////////////////////////////////
 const { processCompetition } = require('../pipelines/competition/competitionAggregationBuild.js');
@@ -52,6 +52,8 @@ const { RankingKeyClass } = require('../pipelines/ranking/rankingKeyClass');
 // curl -X POST localhost:8080/1-0/aggregate/venues/fifa/5000247
 // curl -X POST localhost:8080/1-0/aggregate/sportspersons/fifa/394503
 // curl -X POST localhost:8080/1-0/aggregate/rankings/stage/fifa/285065/team/fifa/255711_43960/latest/1
+// curl -X POST "localhost:8080/1-0/aggregate/teams/fifa/289175_1954283?fullRebuild=true&maxDepth=2&types=event,sportsPerson"
+// curl -X POST "localhost:8080/1-0/aggregate/events/fifa/146186?dryRun=true"
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -127,6 +129,39 @@ const checkSchema = function (schema) {
 	}
 };
 
+////////////////////////////////////////////////////////////////////////////////
+// ?dryRun=true returns the proposed document, its diff against the stored one and the
+// back-reference operations, without writing anything
+function isDryRun(req) {
+	return req?.query?.dryRun && req.query.dryRun === 'true' ? true : false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Read the full rebuild options from the query string.
+ *
+ * @function parseRebuildOptions
+ * @param {Object} query - Express req.query
+ * @param {string} [query.maxDepth] - Levels of references to follow from the root
+ * @param {string} [query.types] - Comma separated resource types to follow (e.g. `team,sportsPerson`)
+ * @returns {{ maxDepth?: number, types?: string[], error?: string }} Options for rebuildFromRoot, or an error message
+ */
+const parseRebuildOptions = function (query) {
+	const options = {};
+	if (query?.maxDepth != null) {
+		const maxDepth = Number(query.maxDepth);
+		if (!Number.isInteger(maxDepth) || maxDepth < 0) return { error: `Invalid maxDepth parameter: ${query.maxDepth}. Must be a non-negative integer.` };
+		options.maxDepth = maxDepth;
+	}
+	if (_.isString(query?.types) && query.types.length > 0) {
+		const types = query.types.split(',').map((type) => type.trim());
+		const unknown = types.filter((type) => !canonicalResourceType(type));
+		if (unknown.length > 0) return { error: `Invalid types parameter: ${unknown.join(',')} not recognised.` };
+		options.types = types;
+	}
+	return options;
+};
+
 ////////////////////////////////////////////////////////////////////////////////
 async function buildMaterialisedViewControllerForIdScopeResources(req, res) {
 	const id = uuid.v4();
@@ -136,6 +171,7 @@ async function buildMaterialisedViewControllerForIdScopeResources(req, res) {
 	const requestedId = req.params.id;
 	const createResource = req?.query?.create && req.query.create === 'true' ? true : false;
 	const fullRebuild = req?.query?.fullRebuild && req.query.fullRebuild === 'true' ? true : false;
+	const dryRun = isDryRun(req);
 	const schema = checkSchema(schemaType);
 	const mongo = config?.mongo;
 
@@ -161,6 +197,17 @@ async function buildMaterialisedViewControllerForIdScopeResources(req, res) {
 		return;
 	}
 	//////////////////////////////////////////////////////////////////////////////
+	// Full rebuild options: ?maxDepth=<levels>&types=<comma separated resource types>
+	if (fullRebuild && dryRun) {
+		send400(res, 'fullRebuild and dryRun cannot be combined.');
+		return;
+	}
+	const rebuildOptions = fullRebuild ? parseRebuildOptions(req.query) : {};
+	if (rebuildOptions.error) {
+		send400(res, rebuildOptions.error);
+		return;
+	}
+	//////////////////////////////////////////////////////////////////////////////
 	const report = `Creating materialised aggregation view of single sports data for schemaType: ${schemaType}, scope: ${scope}, id: ${requestedId} with query strings ${JSON.stringify(
 		req.query
 	)}`;
@@ -175,52 +222,47 @@ async function buildMaterialisedViewControllerForIdScopeResources(req, res) {
 		////////////////////////////////////////////////////////////////////////////
 		// COMPETITIONS
 		if (schemaType.toLowerCase() == 'competitions') {
-			response = await processCompetition(config, mongo, scope, requestedId, id);
-			if (fullRebuild === true) {
-				debug(`Full rebuild requested for competition ${response?.externalKey}`, id);
-				await rebuildAggregationDocumentsForCompetition(mongo, config, response, id);
-				debug(`Full rebuild completed for competition ${response?.externalKey}`, id);
-			}
+			response = await processCompetition(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// STAGES
 		else if (schemaType.toLowerCase() == 'stages') {
-			response = await processStage(config, mongo, scope, requestedId, id);
+			response = await processStage(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// EVENTS
 		else if (schemaType.toLowerCase() == 'events') {
-			response = await processEvent(config, mongo, scope, requestedId, id);
+			response = await processEvent(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// TEAMS
 		else if (schemaType.toLowerCase() == 'teams') {
-			response = await processTeam(config, mongo, scope, requestedId, id);
+			response = await processTeam(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		//////////////////////////////////////////////////////////////////////////
 		// SGOs
 		else if (schemaType.toLowerCase() == 'sgos') {
-			response = await processSgo(config, mongo, scope, requestedId, id);
+			response = await processSgo(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// CLUBS
 		else if (schemaType.toLowerCase() == 'clubs') {
-			response = await processClub(config, mongo, scope, requestedId, id);
+			response = await processClub(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// NATIONS
 		else if (schemaType.toLowerCase() == 'nations') {
-			response = await processNation(config, mongo, scope, requestedId, id);
+			response = await processNation(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// VENUES
 		else if (schemaType.toLowerCase() == 'venues') {
-			response = await processVenue(config, mongo, scope, requestedId, id);
+			response = await processVenue(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// SPORTS PERSONS
 		else if (schemaType.toLowerCase() == 'sportspersons') {
-			response = await processSportsPerson(config, mongo, scope, requestedId, id);
+			response = await processSportsPerson(config, mongo, scope, requestedId, id, true, dryRun);
 		}
 		////////////////////////////////////////////////////////////////////////////
 		// ALL OTHERS NOT YET SUPPORTED
@@ -247,14 +289,27 @@ async function buildMaterialisedViewControllerForIdScopeResources(req, res) {
 			return;
 		}
 
+		////////////////////////////////////////////////////////////////////////////
+		// Rebuild everything reachable from this resource, if requested
+		let rebuild;
+		if (fullRebuild === true) {
+			debug(`Full rebuild requested for ${response.resourceType} ${response.externalKey}`, id);
+			const result = await rebuildFromRoot(mongo, config, response.resourceType, response.externalKey, id, { ...rebuildOptions, rootAggregationDoc: response });
+			rebuild = summariseRebuild(result.trackingSets, result.depthReached);
+			debug(`Full rebuild completed for ${response.resourceType} ${response.externalKey}`, id);
+		}
+
 		////////////////////////////////////////////////////////////////////////////
 		// Return the result
 		const body = {
 			status: 200,
 			service: config?.serviceName,
-			message: `Materialised aggregation views created for ${createResource ? 'new' : 'existing'} ${schemaType} ${scope}/${requestedId}`,
+			message: dryRun
+				? `Dry run: materialised aggregation view not written for ${schemaType} ${scope}/${requestedId}`
+				: `Materialised aggregation views created for ${createResource ? 'new' : 'existing'} ${schemaType} ${scope}/${requestedId}`,
 			response,
 		};
+		if (rebuild) body.rebuild = rebuild;
 		send200(res, body, config);
 	} catch (err) {
 		send500(res, err.message);
@@ -272,6 +327,7 @@ async function buildMaterialisedViewControllerForStaff(req, res) {
 	const type = req.params.type;
 	const orgIdScope = req.params.orgIdScope;
 	const orgId = req.params.orgId;
+	const dryRun = isDryRun(req);
 	const mongo = config?.mongo;
 
 	//////////////////////////////////////////////////////////////////////////////
@@ -293,7 +349,7 @@ async function buildMaterialisedViewControllerForStaff(req, res) {
 		////////////////////////////////////////////////////////////////////////////
 		// Build the materialised aggregation view for team staff
 		if (type.toLowerCase() === 'team') {
-			const response = await processStaff(config, mongo, spId, spScope, orgId, orgIdScope, null, null, null, null, id);
+			const response = await processStaff(config, mongo, spId, spScope, orgId, orgIdScope, null, null, null, null, id, true, dryRun);
 			if (response == null) {
 				send500(res, 'Failed to build aggregation document for staff resource');
 				return;
@@ -303,7 +359,7 @@ async function buildMaterialisedViewControllerForStaff(req, res) {
 			const body = {
 				status: 200,
 				service: config?.serviceName,
-				message: `Materialised aggregation views created for staff resource SP ${spScope}/${spId} and Team ${orgIdScope}/${orgId}`,
+				message: `${dryRun ? 'Dry run for' : 'Materialised aggregation views created for'} staff resource SP ${spScope}/${spId} and Team ${orgIdScope}/${orgId}`,
 				response,
 			};
 			send200(res, body, config);
@@ -312,13 +368,13 @@ async function buildMaterialisedViewControllerForStaff(req, res) {
 		////////////////////////////////////////////////////////////////////////////
 		// Build the materialised aggregation view for club staff
 		else if (type.toLowerCase() === 'club') {
-			const response = await processStaff(config, mongo, spId, spScope, null, null, orgId, orgIdScope, null, null, id);
+			const response = await processStaff(config, mongo, spId, spScope, null, null, orgId, orgIdScope, null, null, id, true, dryRun);
 			////////////////////////////////////////////////////////////////////////////
 			// Return the result
 			const body = {
 				status: 200,
 				service: config?.serviceName,
-				message: `Materialised aggregation views created for staff resource SP ${spScope}/${spId} and Club ${orgIdScope}/${orgId}`,
+				message: `${dryRun ? 'Dry run for' : 'Materialised aggregation views created for'} staff resource SP ${spScope}/${spId} and Club ${orgIdScope}/${orgId}`,
 				response,
 			};
 			send200(res, body, config);
@@ -326,13 +382,13 @@ async function buildMaterialisedViewControllerForStaff(req, res) {
 		}
 		/////////////////////////////////////////////////////////////////////////
 		else if (type.toLowerCase() === 'nation') {
-			const response = await processStaff(config, mongo, spId, spScope, null, null, null, null, orgId, orgIdScope, id);
+			const response = await processStaff(config, mongo, spId, spScope, null, null, null, null, orgId, orgIdScope, id, true, dryRun);
 			////////////////////////////////////////////////////////////////////////////
 			// Return the result
 			const body = {
 				status: 200,
 				service: config?.serviceName,
-				message: `Materialised aggregation views created for staff resource SP ${spScope}/${spId} and Nation ${orgIdScope}/${orgId}`,
+				message: `${dryRun ? 'Dry run for' : 'Materialised aggregation views created for'} staff resource SP ${spScope}/${spId} and Nation ${orgIdScope}/${orgId}`,
 				response,
 			};
 			send200(res, body, config);
@@ -354,6 +410,7 @@ async function buildMaterialisedViewControllerForKeyMoment(req, res) {
 	const type = req.params.type;
 	const subType = req.params.subType;
 	const dateTime = req.params.dateTime;
+	const dryRun = isDryRun(req);
 	const mongo = config?.mongo;
 
 	//////////////////////////////////////////////////////////////////////////////
@@ -372,13 +429,13 @@ async function buildMaterialisedViewControllerForKeyMoment(req, res) {
 	)}`;
 	info(report, id);
 	try {
-		const response = await processKeyMoment(config, mongo, eventIdScope, eventId, type, subType, dateTime, id);
+		const response = await processKeyMoment(config, mongo, eventIdScope, eventId, type, subType, dateTime, id, true, dryRun);
 		////////////////////////////////////////////////////////////////////////////
 		// Return the result
 		const body = {
 			status: 200,
 			service: config?.serviceName,
-			message: `Materialised aggregation views created for keyMoment resource ${eventIdScope}/${eventId} and type ${type} and sub type ${subType} and date time ${dateTime}`,
+			message: `${dryRun ? 'Dry run for' : 'Materialised aggregation views created for'} keyMoment resource ${eventIdScope}/${eventId} and type ${type} and sub type ${subType} and date time ${dateTime}`,
 			response,
 		};
 		send200(res, body, config);
@@ -400,6 +457,7 @@ async function buildMaterialisedViewControllerForRanking(req, res) {
 	const pIdScope = req.params.pIdScope;
 	const pId = req.params.pId;
 	const dateTimeLabel = req.params.dateTimeLabel;
+	const dryRun = isDryRun(req);
 	const mongo = config?.mongo;
 	if (lType !== 'stage' && lType !== 'event') {
 		send400(res, `Invalid lType parameter: ${lType}. Must be 'stage' or 'event'.`);
@@ -450,13 +508,13 @@ async function buildMaterialisedViewControllerForRanking(req, res) {
 
 	//////////////////////////////////////////////////////////////////////////////
 	try {
-		const response = await processRanking(config, mongo, rankingKey, id);
+		const response = await processRanking(config, mongo, rankingKey, id, true, dryRun);
 		////////////////////////////////////////////////////////////////////////////
 		// Return the result
 		const body = {
 			status: 200,
 			service: config?.serviceName,
-			message: `Materialised aggregation views created for ranking resource - ${rankingKey.report()}`,
+			message: `${dryRun ? 'Dry run for' : 'Materialised aggregation views created for'} ranking resource - ${rankingKey.report()}`,
 			response,
 		};
 		send200(res, body, config);
@@ -468,6 +526,8 @@ async function buildMaterialisedViewControllerForRanking(req, res) {
 
 ////////////////////////////////////////////////////////////////////////////////
 module.exports = {
+	checkSchema,
+	parseRebuildOptions,
 	buildMaterialisedViewControllerForIdScopeResources,
 	buildMaterialisedViewControllerForStaff,
 	buildMaterialisedViewControllerForKeyMoment,
@@ -0,0 +1,240 @@
+////////////////////////////////////////////////////////////////////////////////
+// Includes
+const _ = require(`lodash`);
+const uuid = require('uuid');
+const { send200, send400, send404, send409, send500, mongoUnavailable } = require('../utils/httpResponseUtils.js');
+const { debug, info, warn } = require('../log.js');
+const config = require('../config.js');
+const { checkSchema } = require('./buildMaterialisedViewController.js');
+const { deleteAggregationDocument } = require('../pipelines/deleteAggregationDocument.js');
+
+////////////////////////////////////////////////////////////////////////////////
+const { queryForCompetitionAggregationDoc } = require('../pipelines/competition/competitionAggregationPipeline.js');
+const { queryForStageAggregationDoc } = require('../pipelines/stage/stageAggregationPipeline.js');
+const { queryForEventAggregationDoc } = require('../pipelines/event/eventAggregationPipeline.js');
+const { queryForTeamAggregationDoc } = require('../pipelines/team/teamAggregationPipeline.js');
+const { queryForSgoAggregationDoc } = require('../pipelines/sgo/sgoAggregationPipeline.js');
+const { queryForClubAggregationDoc } = require('../pipelines/club/clubAggregationPipeline.js');
+const { queryForNationAggregationDoc } = require('../pipelines/nation/nationAggregationPipeline.js');
+const { queryForVenueAggregationDoc } = require('../pipelines/venue/venuesAggregationPipeline.js');
+const { queryForSportsPersonAggregationDoc } = require('../pipelines/sportsPerson/sportsPersonAggregationPipeline.js');
+const { queryForStaffAggregationDoc } = require('../pipelines/staff/staffAggregationPipeline.js');
+const { queryForKeyMomentAggregationDoc } = require('../pipelines/keyMoment/keyMomentAggregationPipeline.js');
+const { RankingKeyClass } = require('../pipelines/ranking/rankingKeyClass');
+
+////////////////////////////////////////////////////////////////////////////////
+// Constants
+const ID_SCOPE_AGGREGATION_QUERIES = {
+	competitions: queryForCompetitionAggregationDoc,
+	stages: queryForStageAggregationDoc,
+	events: queryForEventAggregationDoc,
+	teams: queryForTeamAggregationDoc,
+	sgos: queryForSgoAggregationDoc,
+	clubs: queryForClubAggregationDoc,
+	nations: queryForNationAggregationDoc,
+	venues: queryForVenueAggregationDoc,
+	sportsPersons: queryForSportsPersonAggregationDoc,
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Notes
+// curl -X DELETE localhost:8080/1-0/aggregate/events/fifa/146186
+// curl -X DELETE localhost:8080/1-0/aggregate/staff/sp/fifa/394503/team/fifa/289175_1884422
+// curl -X DELETE localhost:8080/1-0/aggregate/km/bblscb/2003994/urn:gd:km:type:action/urn:gd:km:subtype:startMatch/2025-10-03T15:50:06Z
+// curl -X DELETE localhost:8080/1-0/aggregate/rankings/stage/fifa/285065/team/fifa/255711_43960/latest/1
+// Add ?force=true to delete the aggregation document even though the source resource still exists.
+// Add ?dryRun=true to see the document and back-reference operations the delete would remove, without deleting anything.
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Shared tail of the delete controllers: refuses to delete while the source resource still
+ * exists (unless forced), deletes the aggregation document and its back-references and sends
+ * the HTTP response.
+ *
+ * @async
+ * @function deleteAndRespond
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} id - Request identifier for logging
+ * @param {string} description - Human readable description of the resource for messages
+ * @param {string} sourceCollection - Home collection of the source resource
+ * @param {Object} sourceQuery - Query that finds the source resource in its home collection
+ * @param {Object} aggregationDocQuery - Query that finds the aggregation document
+ * @returns {Promise<void>}
+ */
+async function deleteAndRespond(req, res, id, description, sourceCollection, sourceQuery, aggregationDocQuery) {
+	const force = req?.query?.force && req.query.force === 'true' ? true : false;
+	const dryRun = req?.query?.dryRun && req.query.dryRun === 'true' ? true : false;
+	const mongo = config.mongo;
+	info(`Deleting materialised aggregation view for ${description} with query strings ${JSON.stringify(req.query)}`, id);
+	try {
+		////////////////////////////////////////////////////////////////////////////
+		// Deleting the aggregation of a resource that still exists would only be undone by the next build
+		if (force !== true) {
+			const sourceExists = await mongo.db.collection(sourceCollection).countDocuments(sourceQuery, { limit: 1 });
+			if (sourceExists > 0) {
+				debug(`409: ${description} still exists in ${sourceCollection}`, id);
+				send409(res, `${description} still exists in ${sourceCollection}. Delete the source resource first or use ?force=true.`);
+				return;
+			}
+		}
+		////////////////////////////////////////////////////////////////////////////
+		const response = await deleteAggregationDocument(config, mongo, aggregationDocQuery, id, true, dryRun);
+		if (response === 404) {
+			debug(`404: No materialised aggregation view for ${description}`, id);
+			send404(res, `No materialised aggregation view found for ${description}`);
+			return;
+		}
+		////////////////////////////////////////////////////////////////////////////
+		// Return the result
+		const body = {
+			status: 200,
+			service: config?.serviceName,
+			message: dryRun ? `Dry run: materialised aggregation view for ${description} would be deleted` : `Materialised aggregation view deleted for ${description}`,
+			response,
+		};
+		send200(res, body, config);
+	} catch (err) {
+		send500(res, err.message);
+		return;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.delete('/aggregate/:schemaType/:scope/:id', deleteMaterialisedViewControllerForIdScopeResources);
+async function deleteMaterialisedViewControllerForIdScopeResources(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	const schemaType = req.params.schemaType;
+	const scope = req.params.scope;
+	const requestedId = req.params.id;
+	const schema = checkSchema(schemaType);
+
+	//////////////////////////////////////////////////////////////////////////////
+	if (mongoUnavailable(res, config?.mongo)) return;
+	//////////////////////////////////////////////////////////////////////////////
+	if (!schema || !ID_SCOPE_AGGREGATION_QUERIES[schema]) {
+		warn(`No valid Schema found when trying to delete: ${schemaType}`, 'WD0040', 400, 'Invalid Schema');
+		send400(res, {
+			message: 'Please specify a valid schema type.',
+			errorCode: 'WD0040',
+			category: 'Invalid Schema',
+		});
+		return;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	const aggregationDocQuery = ID_SCOPE_AGGREGATION_QUERIES[schema](requestedId, scope);
+	const sourceQuery = { _externalId: requestedId, _externalIdScope: scope };
+	await deleteAndRespond(req, res, id, `${schemaType} ${scope}/${requestedId}`, schema, sourceQuery, aggregationDocQuery);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.delete('/aggregate/staff/sp/:spScope/:spId/:type/:orgIdScope/:orgId', deleteMaterialisedViewControllerForStaff);
+async function deleteMaterialisedViewControllerForStaff(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	const spScope = req.params.spScope;
+	const spId = req.params.spId;
+	const type = req.params.type.toLowerCase();
+	const orgIdScope = req.params.orgIdScope;
+	const orgId = req.params.orgId;
+
+	//////////////////////////////////////////////////////////////////////////////
+	if (mongoUnavailable(res, config?.mongo)) return;
+	//////////////////////////////////////////////////////////////////////////////
+	if (type !== 'team' && type !== 'club' && type !== 'nation') {
+		send400(res, `Invalid type parameter: ${req.params.type}. Must be 'team', 'club' or 'nation'.`);
+		return;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	const org = {
+		team: type === 'team' ? [orgId, orgIdScope] : [null, null],
+		club: type === 'club' ? [orgId, orgIdScope] : [null, null],
+		nation: type === 'nation' ? [orgId, orgIdScope] : [null, null],
+	};
+	const aggregationDocQuery = queryForStaffAggregationDoc(spId, spScope, ...org.team, ...org.club, ...org.nation);
+	const sourceQuery = {
+		_externalSportsPersonId: spId,
+		_externalSportsPersonIdScope: spScope,
+		[`_external${_.upperFirst(type)}Id`]: orgId,
+		[`_external${_.upperFirst(type)}IdScope`]: orgIdScope,
+	};
+	await deleteAndRespond(req, res, id, `staff resource SP ${spScope}/${spId} and ${_.upperFirst(type)} ${orgIdScope}/${orgId}`, 'staff', sourceQuery, aggregationDocQuery);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.delete('/aggregate/km/:eventIdScope/:eventId/:type/:subType/:dateTime', deleteMaterialisedViewControllerForKeyMoment);
+async function deleteMaterialisedViewControllerForKeyMoment(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	const eventIdScope = req.params.eventIdScope;
+	const eventId = req.params.eventId;
+	const type = req.params.type;
+	const subType = req.params.subType;
+	const dateTime = req.params.dateTime;
+
+	//////////////////////////////////////////////////////////////////////////////
+	if (mongoUnavailable(res, config?.mongo)) return;
+	//////////////////////////////////////////////////////////////////////////////
+	if (isNaN(new Date(dateTime).getTime())) {
+		send400(res, `Invalid dateTime parameter: ${dateTime}. Must be a valid date string.`);
+		return;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	const aggregationDocQuery = queryForKeyMomentAggregationDoc(eventId, eventIdScope, type, subType, dateTime);
+	const sourceQuery = { _externalEventIdScope: eventIdScope, _externalEventId: eventId, type, subType, dateTime: new Date(dateTime) };
+	await deleteAndRespond(req, res, id, `keyMoment resource ${eventIdScope}/${eventId} ${type} ${subType} ${dateTime}`, 'keyMoments', sourceQuery, aggregationDocQuery);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.delete('/aggregate/rankings/:lType/:lIdScope/:lId/:pType/:pIdScope/:pId/:dateTimeLabel/:ranking', deleteMaterialisedViewControllerForRanking);
+async function deleteMaterialisedViewControllerForRanking(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	const lType = req.params.lType;
+	const pType = req.params.pType;
+	const ranking = Number(req.params.ranking);
+
+	//////////////////////////////////////////////////////////////////////////////
+	if (mongoUnavailable(res, config?.mongo)) return;
+	//////////////////////////////////////////////////////////////////////////////
+	if (lType !== 'stage' && lType !== 'event') {
+		send400(res, `Invalid lType parameter: ${lType}. Must be 'stage' or 'event'.`);
+		return;
+	}
+	if (pType !== 'team' && pType !== 'sportsperson') {
+		send400(res, `Invalid pType parameter: ${pType}. Must be 'team' or 'sportsperson'.`);
+		return;
+	}
+	if (Number.isNaN(ranking)) {
+		send400(res, `Invalid ranking parameter: ${req.params.ranking}. Must be a valid number.`);
+		return;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	const rankingKey = new RankingKeyClass({
+		stageId: lType === 'stage' ? req.params.lId : null,
+		stageIdScope: lType === 'stage' ? req.params.lIdScope : null,
+		eventId: lType === 'event' ? req.params.lId : null,
+		eventIdScope: lType === 'event' ? req.params.lIdScope : null,
+		teamId: pType === 'team' ? req.params.pId : null,
+		teamIdScope: pType === 'team' ? req.params.pIdScope : null,
+		sportsPersonId: pType === 'sportsperson' ? req.params.pId : null,
+		sportsPersonIdScope: pType === 'sportsperson' ? req.params.pIdScope : null,
+		dateTimeLabel: req.params.dateTimeLabel,
+		ranking: ranking,
+	});
+	if (!rankingKey.validate()) {
+		send400(res, `Invalid ranking key: ${rankingKey.report()}`);
+		return;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	await deleteAndRespond(req, res, id, `ranking resource - ${rankingKey.report()}`, 'rankings', rankingKey.rankingDocumentQuery(), rankingKey.aggregationDocQuery());
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = {
+	deleteMaterialisedViewControllerForIdScopeResources,
+	deleteMaterialisedViewControllerForStaff,
+	deleteMaterialisedViewControllerForKeyMoment,
+	deleteMaterialisedViewControllerForRanking,
+};
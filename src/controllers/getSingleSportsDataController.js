@@ -5,15 +5,24 @@ const { send200, send400, send404, send500 } = require('../utils/httpResponseUti
 const clientAggregationPipelineRouteBuilder = require('../client/clientAggregationPipelineRouteBuilder.js');
 const clientAggregationPipelineBuilder = require('../client/clientAggregationPipelineBuilder.js');
 const deriveRoutesFromTargets = require('../client/clientAggregationDeriveRoutes.js');
+const { encodeAggregationCursor, decodeAggregationCursor } = require('../client/clientAggregationCursor.js');
 
 const { ClientAggregationError, ServerAggregationError } = require('../client/clientAggregationError.js');
+const { parseAggregationSort } = require('../client/clientAggregationPipelineBuilderSortFields.js');
+const { parsePresetReference, getPreset } = require('../presets/aggregationPresetStore.js');
 
 const { debug, info, warn } = require('../log.js');
 const config = require('../config.js');
 const maxMaterialisedResources = 50;
+const maxBatchRoots = 50;
+// The parameters that choose the views and routes, which a preset fixes when it is saved
+const presetRouteParams = ['aggregationViews', 'aggregationEdges', 'aggregationRoutePolicy', 'aggregationRoutePaths', 'aggregationRouteDepth'];
 
 // curl localhost:8080/1-0/competitions/bblapi/2023:BBL
 // curl localhost:8080/1-0/competitions/fifa/289715
+// curl 'localhost:8080/1-0/competitions/fifa/289715/aggregations/event?cursor=<nextCursor from a previous response>'
+// curl 'localhost:8080/1-0/events/fifa/400021443?aggregationPreset=matchCentre@v2'
+// curl -X POST localhost:8080/1-0/aggregations/batch -H 'Content-Type: application/json' -d '{"roots":[{"schemaType":"events","scope":"fifa","id":"400021443"}],"aggregationViews":"team,venue"}'
 
 ////////////////////////////////////////////////////////////////////////////////
 const checkSchema = function (schema) {
@@ -100,189 +109,100 @@ async function getSingleSportsData(req, res) {
 			return;
 		}
 
+		////////////////////////////////////////////////////////////////////////////
+		// A preset supplies the aggregation parameters; any others given with it override the preset's
+		const preset = req.query?.aggregationPreset != null ? await loadAggregationPreset(mongo, req.query) : null;
+		if (req.query?.aggregationPreset != null && !preset) {
+			send404(res, {
+				message: `No aggregation preset found for ${req.query.aggregationPreset}.`,
+				errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+				category: 'Data Not Found',
+			});
+			return;
+		}
+		const aggregationParams = preset ? { ...preset.params, ..._.omit(req.query, ['aggregationPreset']) } : req.query;
+
 		////////////////////////////////////////////////////////////////////////////
 		delete r.stickies;
-		if (r._original && req.query.includeOriginal !== true && req.query.includeOriginal !== 'true') delete r._original;
-		if (r._stickies && req.query.includeStickies !== true && req.query.includeStickies !== 'true') delete r._stickies;
+		if (r._original && aggregationParams.includeOriginal !== true && aggregationParams.includeOriginal !== 'true') delete r._original;
+		if (r._stickies && aggregationParams.includeStickies !== true && aggregationParams.includeStickies !== 'true') delete r._stickies;
 
 		////////////////////////////////////////////////////////////////////////////r
 		info(report, id);
 
 		////////////////////////////////////////////////////////////////////////////
-		const aggregationViews = req.query?.aggregationViews ? req.query.aggregationViews : null;
-		const aggregationEdges = req.query?.aggregationEdges ? req.query.aggregationEdges : null;
-		let aggregationMax = req.query?.aggregationMax ? parseInt(req.query.aggregationMax, 10) : maxMaterialisedResources;
-		if (isNaN(aggregationMax) || aggregationMax < 0 || aggregationMax > maxMaterialisedResources) aggregationMax = maxMaterialisedResources;
+		const aggregationViews = aggregationParams?.aggregationViews ? aggregationParams.aggregationViews : null;
+		const aggregationEdges = aggregationParams?.aggregationEdges ? aggregationParams.aggregationEdges : null;
+		const aggregationMax = aggregationMaxFrom(aggregationParams?.aggregationMax);
 		////////////////////////////////////////////////////////////////////////////
 		// We are attempting an aggregation. views are mandatory, edges are optional and can be attempted to be calculated.
 		// Max number defaults to 50 if not provided or invalid.
 		if (aggregationViews && aggregationViews.length > 0) {
 			info(`Aggregation requested: views=${aggregationViews}, edges=${aggregationEdges}, max=${aggregationMax}`, id);
-
-			let rootKey = null;
-			let rootType = null;
 			const resourceType = r?.resourceType ? r.resourceType.toLowerCase() : null;
+			const options = aggregationOptionsFrom(aggregationParams);
+			if (preset) options.routes = preset.routes;
+			const normalised = req.query?.format === 'normalised';
+			if (req.query?.format != null && !normalised) throw new ClientAggregationError(`format must be 'normalised' when given`);
+			const tree = req.query?.aggregationShape === 'tree';
+			if (req.query?.aggregationShape != null && !tree && req.query.aggregationShape !== 'flat') throw new ClientAggregationError(`aggregationShape must be 'flat' or 'tree'`);
+			if (tree && normalised) throw new ClientAggregationError('aggregationShape=tree cannot be combined with format=normalised');
+			const countOnly = req.query?.aggregationMode === 'count';
+			if (req.query?.aggregationMode != null && !countOnly && req.query.aggregationMode !== 'materialise') throw new ClientAggregationError(`aggregationMode must be 'materialise' or 'count'`);
+			if (countOnly && (tree || normalised)) throw new ClientAggregationError('aggregationMode=count cannot be combined with aggregationShape=tree or format=normalised');
+			const explain = req.query?.aggregationExplain === true || req.query?.aggregationExplain === 'true';
 
 			//////////////////////////////////////////////////////////////////////////
 			// Black list certain views from certain routes
-			const viewsArrayLowerCase = aggregationViews
-				.split(',')
-				.map((v) => v.trim().toLowerCase())
-				.filter((v) => v.length > 0);
-			if (viewsArrayLowerCase.includes('keymoment') && resourceType.toLowerCase() !== 'event') {
+			if (options.viewsArray.some((v) => v.toLowerCase() === 'keymoment') && resourceType !== 'event') {
 				send400(res, 'KeyMoment aggregation view can only be requested when the root resource is an Event.');
 				return;
 			}
 
 			//////////////////////////////////////////////////////////////////////////
 			// determine root document type and externalKey
-			switch (resourceType) {
-				case 'competition':
-				case 'stage':
-				case 'event':
-				case 'sgo':
-				case 'team':
-				case 'club':
-				case 'nation':
-				case 'venue':
-					rootKey = `${r._externalId}${keySeparator}${r._externalIdScope}`;
-					rootType = resourceType;
-					break;
-				case 'sportsperson':
-					rootKey = `${r._externalId}@${r._externalIdScope}`;
-					rootType = 'sportsPerson';
-					break;
-				case 'ranking':
-					const RankingKeyClass = require('../pipelines/ranking/rankingKeyClass.js');
-					const spId = r?._externalSportsPersonId ? r._externalSportsPersonId : null;
-					const spIdScope = r?._externalSportsPersonIdScope ? r._externalSportsPersonIdScope : null;
-					const teamId = r?._externalTeamId ? r._externalTeamId : null;
-					const teamIdScope = r?._externalTeamIdScope ? r._externalTeamIdScope : null;
-					const stageId = r?._externalStageId ? r._externalStageId : null;
-					const stageIdScope = r?._externalStageIdScope ? r._externalStageIdScope : null;
-					const eventId = r?._externalEventId ? r._externalEventId : null;
-					const eventIdScope = r?._externalEventIdScope ? r._externalEventIdScope : null;
-					const label = r?.dateTime ? r.dateTime : null;
-					const rank = r?.ranking ? r.ranking : null;
-					const keyInstance = new RankingKeyClass(spIdScope, spId, teamIdScope, teamId, stageIdScope, stageId, eventIdScope, eventId, label, ranking);
-					if (!keyInstance.validate()) {
-						warn(`Invalid RankingKeyClass instance for ranking id: ${requestedId}`, id);
-						send400(res, {
-							message: 'Invalid ranking data for aggregation.',
-							errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
-						});
-						return;
-					}
-					const key = keyInstance.rankingDocumentKey();
-					if (!key) {
-						warn(`Unable to determine rootKey for ranking id: ${requestedId}`, id);
-						send500(res, {
-							message: 'Unable to determine root key for ranking aggregation.',
-							errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
-						});
-						return;
-					}
-					rootType = 'ranking';
-					rootKey = key;
-					break;
-				case 'staff':
-					const { queryForStaffAggregationDoc } = require('../pipelines/staff/staffAggregationPipeline.js');
-					const staffQuery = queryForStaffAggregationDoc(
-						r?._externalSportsPersonId,
-						r?._externalSportsPersonIdScope,
-						r?._externalTeamId,
-						r?._externalTeamIdScope,
-						r?._externalClubId,
-						r?._externalClubIdScope,
-						r?._externalNationId,
-						r?._externalNationIdScope
-					);
-					if (!staffQuery?.externalKey) {
-						warn(`Unable to determine rootKey for staff id: ${requestedId}`, id);
-						send500(res, {
-							message: 'Unable to determine root key for staff aggregation.',
-							errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
-						});
-						return;
-					}
-					rootType = 'staff';
-					rootKey = staffQuery.externalKey;
-					break;
-				case 'keymoment':
-					const { queryForKeyMomentAggregationDoc } = require('../pipelines/keyMoment/keyMomentAggregationPipeline.js');
-					const kmQuery = queryForKeyMomentAggregationDoc(r?._externalEventId, r?._externalEventIdScope, r?.type, r?.subType, r?.dateTime);
-					if (!kmQuery?.externalKey) {
-						warn(`Unable to determine rootKey for keyMoment id: ${requestedId}`, id);
-						send500(res, {
-							message: 'Unable to determine root key for keyMoment aggregation.',
-							errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
-						});
-						return;
-					}
-					rootType = 'keyMoment';
-					rootKey = kmQuery.externalKey;
-					break;
-				default:
-					warn(`Aggregation not supported for resourceType: ${resourceType}`, id);
-					send200(res, r);
-					return;
+			const aggregationRoot = resolveAggregationRoot(r, requestedId, id);
+			if (!aggregationRoot) {
+				warn(`Aggregation not supported for resourceType: ${resourceType}`, id);
+				send200(res, r);
+				return;
 			}
-
-			//////////////////////////////////////////////////////////////////////////
-			// Manage the projections
-			const fieldProjections = {};
-			fieldProjections.exclusions = {};
-			fieldProjections.exclusions.all = {};
-			fieldProjections.inclusions = {};
-			fieldProjections.inclusions.all = {};
-			if (req.query.includeOriginal !== true && req.query.includeOriginal !== 'true') fieldProjections.exclusions.all._original = 0;
-			if (req.query.includeStickies !== true && req.query.includeStickies !== 'true') fieldProjections.exclusions.all._stickies = 0;
-			for (const [key, value] of Object.entries(req?.query || {})) {
-				if (key.startsWith('projection.')) {
-					const field = key.replace('projection.', '');
-					fieldProjections.inclusions[field] = value.split(',').reduce((acc, curr) => {
-						const trimmed = curr.trim();
-						if (trimmed) acc[trimmed] = 1;
-						return acc;
-					}, {});
-				}
-				if (key.startsWith('projection~')) {
-					const field = key.replace('projection~', '');
-					fieldProjections.exclusions[field] = value.split(',').reduce((acc, curr) => {
-						const trimmed = curr.trim();
-						if (trimmed) acc[trimmed] = 0;
-						return acc;
-					}, {});
-				}
+			const { rootType, rootKey } = aggregationRoot;
+			if (preset && preset.rootType !== rootType) {
+				throw new ClientAggregationError(`Aggregation preset ${preset._id} is for ${preset.rootType} roots, not ${rootType}`);
 			}
 
 			//////////////////////////////////////////////////////////////////////////
-			const viewsArray = [
-				...new Set(
-					aggregationViews
-						.split(',')
-						.map((v) => v.trim())
-						.filter((v) => v.length > 0)
-				),
-			];
-			const routes = _.isString(aggregationEdges) ? clientAggregationPipelineRouteBuilder({ rootType, includeTypes: viewsArray, edgeIds: aggregationEdges.split(',') }) : null;
-			const constructedRoutes = routes == null || routes.length === 0 ? deriveRoutesFromTargets({ rootType, targets: viewsArray, maxDepth: 8 }) : routes;
-			const pipelineConfig = {
-				rootType,
-				rootExternalKey: rootKey,
-				maxNumberOfMaterialisedResources: aggregationMax,
-				routes: constructedRoutes,
-				resourceTypesToMaterialise: viewsArray,
-				fieldProjections,
-			};
+			const pipelineConfig = aggregationPipelineConfig(rootType, rootKey, options);
+			if (normalised) pipelineConfig.includeRouteIds = true;
+			if (tree) pipelineConfig.includeLinks = true;
+			if (countOnly) pipelineConfig.countOnly = true;
 			const pipeline = clientAggregationPipelineBuilder(pipelineConfig);
-			const a = await mongo.db
-				.collection(config?.matAggCollectionName || 'materialisedAggregations')
-				.aggregate(pipeline)
-				.toArray();
+			const aggregationCollection = mongo.db.collection(config?.matAggCollectionName || 'materialisedAggregations');
+			//////////////////////////////////////////////////////////////////////////
+			// Explain: the pipeline is run for its execution statistics (index use per stage and per $lookup) instead of its results
+			if (explain) {
+				const executionStats = await aggregationCollection.aggregate(pipeline).explain('executionStats');
+				const retDoc = {
+					explain: {
+						stages: pipeline,
+						steps: clientAggregationPipelineBuilder.planAggregationSteps(pipelineConfig),
+						executionStats,
+					},
+					requestedAggregationViews: aggregationViews.split(','),
+					requestedAggregationEdges: aggregationEdges ? aggregationEdges.split(',') : null,
+					requestedAggregationMax: aggregationMax,
+					aggregationPreset: preset?._id ?? null,
+					builtAggregationConfig: { ..._.omit(pipelineConfig, ['routes']), nonNormalisedRoutes: pipelineConfig.routes || null },
+				};
+				info(`Aggregation explained with ${pipeline.length} stages and ${retDoc.explain.steps.length} traversal steps`, id);
+				send200(res, retDoc);
+				return;
+			}
+			const a = await aggregationCollection.aggregate(pipeline).toArray();
 			//////////////////////////////////////////////////////////////////////////
-			// Validate aggregation result
-			if (!a || a.length === 0 || !a[0]?.results) {
+			// Validate aggregation result: without the root's aggregation document both modes return nothing
+			if (!a || a.length === 0 || !(countOnly ? a[0]?.counts : a[0]?.results)) {
 				send500(res, {
 					message: `Error fetching data: no aggregation result returned`,
 					errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
@@ -290,55 +210,34 @@ async function getSingleSportsData(req, res) {
 				});
 				return;
 			}
-			const retDoc = {};
-			let totalCount = 0;
-			let totalCountByType = {};
-			const API_URL = config.express.fullHostUrl + `${req.params.apiVersion || '1-0'}/${schemaType}`;
-			const results = a[0].results;
-			const aggregations = {};
 			//////////////////////////////////////////////////////////////////////////
-			// Create the output aggregations document
-			for (const key in results) {
-				aggregations[key] = {};
-				aggregations[key].items = [];
-				aggregations[key].nextPages = [];
-				////////////////////////////////////////////////////////////////////////
-				// Process materialised into the aggregations object
-				if (Array.isArray(results[key]?.items)) {
-					if (!totalCountByType[key]) totalCountByType[key] = 0;
-					totalCount += results[key].items.length;
-					totalCountByType[key] += results[key].items.length;
-					for (const item of results[key].items) {
-						if (item._original && req.query.includeOriginal !== true && req.query.includeOriginal !== 'true') delete item._original;
-						if (item._stickies && req.query.includeStickies !== true && req.query.includeStickies !== 'true') delete item._stickies;
-						aggregations[key].items.push(item);
-					}
-				}
-				////////////////////////////////////////////////////////////////////////
-				// Process overflow IDs into next page query strings
-				let extraQueryStrings = ``;
-				if (req.query.includeOriginal === true || req.query.includeOriginal === 'true') extraQueryStrings += `&includeOriginal=true`;
-				if (req.query.includeStickies === true || req.query.includeStickies === 'true') extraQueryStrings += `&includeStickies=true`;
-				if (Array.isArray(results[key]?.overflow?.overflowIds)) {
-					if (!totalCountByType[key]) totalCountByType[key] = 0;
-					totalCountByType[key] += results[key].overflow.overflowIds.length;
-					totalCount += results[key].overflow.overflowIds.length;
-					results[key].overflow.nextPages = [];
-					for (const chunk of chunkAndFormatObjectIDs(results[key].overflow.overflowIds, aggregationMax)) {
-						const formattedChunk = chunk.map((objectId) => `_id==\`${objectId.toString()}\``).join(' ');
-						////////////////////////////////////////////////////////////////////
-						// The chunk has more than one reference, so we need to use an 'or' query
-						if (chunk.length > 1) {
-							aggregations[key].nextPages.push(`${API_URL}?query=(or ${formattedChunk})${extraQueryStrings}`);
-						}
-						////////////////////////////////////////////////////////////////////
-						else if (chunk.length == 1) {
-							aggregations[key].nextPages.push(`${API_URL}?query=${formattedChunk}${extraQueryStrings}`);
-						}
-					}
-				}
+			// Counts only: no documents, so no results, pages or budget
+			if (countOnly) {
+				const counts = a[0].counts;
+				const retDoc = {
+					totalCount: _.sum(Object.values(counts)),
+					totalCountByType: counts,
+					routeCounts: a[0].routeCounts || [],
+					edgesUsed: a[0].edgesUsed || null,
+					requestedAggregationViews: aggregationViews.split(','),
+					requestedAggregationEdges: aggregationEdges ? aggregationEdges.split(',') : null,
+					aggregationPreset: preset?._id ?? null,
+					builtAggregationConfig: { ..._.omit(pipelineConfig, ['routes']), nonNormalisedRoutes: pipelineConfig.routes || null },
+				};
+				info(`Aggregation count completed with ${retDoc.totalCount} reachable resources`, id);
+				send200(res, retDoc);
+				return;
 			}
+			const API_URL = config.express.fullHostUrl + `${req.params.apiVersion || '1-0'}/${schemaType}`;
+			const root = { schemaType: schema, scope, id: requestedId, type: rootType, externalKey: rootKey };
+			const { aggregations, totalCount, totalCountByType } = formatAggregationResults(a[0].results, {
+				root,
+				pipelineConfig,
+				options,
+				pageUrlBase: `${API_URL}/${encodeURIComponent(scope)}/${encodeURIComponent(requestedId)}`,
+			});
 			//////////////////////////////////////////////////////////////////////////
+			const retDoc = {};
 			pipelineConfig.nonNormalisedRoutes = pipelineConfig?.routes || null;
 			delete pipelineConfig.routes;
 			retDoc.results = aggregations;
@@ -348,9 +247,17 @@ async function getSingleSportsData(req, res) {
 			retDoc.requestedAggregationViews = aggregationViews.split(',');
 			retDoc.requestedAggregationEdges = aggregationEdges ? aggregationEdges.split(',') : null;
 			retDoc.requestedAggregationMax = aggregationMax;
+			retDoc.aggregationPreset = preset?._id ?? null;
+			retDoc.budgetAllocation = a[0].budgetAllocation || null;
 			retDoc.builtAggregationConfig = pipelineConfig;
 			info(`Aggregation completed with ${totalCount} aggregated resources`, id);
-			send200(res, retDoc);
+			if (normalised) {
+				send200(res, normaliseAggregationResponse(r, root, retDoc, a[0].routeIds));
+			} else if (tree) {
+				send200(res, treeAggregationResponse(r, retDoc, a[0].links));
+			} else {
+				send200(res, retDoc);
+			}
 			return;
 		}
 		////////////////////////////////////////////////////////////////////////////
@@ -407,29 +314,711 @@ async function getSingleSportsData(req, res) {
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
- * Splits an array of MongoDB ObjectIDs into chunks and formats them as query strings
- * @param {Array} objectIdArray - Array of MongoDB ObjectIDs
- * @param {number} maxSize - Maximum size for each chunk
- * @returns {Array<string>} Array of formatted query strings
+ * Works out the aggregation root (type and aggregation document key) of a source document.
+ *
+ * @param {Object} r - The source document
+ * @param {string} requestedId - The id the document was requested by (for logging)
+ * @param {string} id - Request identifier for logging
+ * @returns {{ rootType: string, rootKey: string }|null} The root, or null when the resource type cannot be aggregated
+ * @throws {ClientAggregationError} If the document cannot identify its aggregation document
+ * @throws {ServerAggregationError} If the aggregation document key cannot be built
+ */
+function resolveAggregationRoot(r, requestedId, id) {
+	const resourceType = r?.resourceType ? r.resourceType.toLowerCase() : null;
+	switch (resourceType) {
+		case 'competition':
+		case 'stage':
+		case 'event':
+		case 'sgo':
+		case 'team':
+		case 'club':
+		case 'nation':
+		case 'venue':
+			return { rootType: resourceType, rootKey: `${r._externalId}${keySeparator}${r._externalIdScope}` };
+		case 'sportsperson':
+			return { rootType: 'sportsPerson', rootKey: `${r._externalId}@${r._externalIdScope}` };
+		case 'ranking':
+			const { RankingKeyClass } = require('../pipelines/ranking/rankingKeyClass.js');
+			const keyInstance = new RankingKeyClass({
+				stageId: r._externalStageId ?? null,
+				stageIdScope: r._externalStageIdScope ?? null,
+				eventId: r._externalEventId ?? null,
+				eventIdScope: r._externalEventIdScope ?? null,
+				teamId: r._externalTeamId ?? null,
+				teamIdScope: r._externalTeamIdScope ?? null,
+				sportsPersonId: r._externalSportsPersonId ?? null,
+				sportsPersonIdScope: r._externalSportsPersonIdScope ?? null,
+				dateTimeLabel: r.dateTime,
+				ranking: r.ranking,
+			});
+			if (!keyInstance.validate()) {
+				warn(`Invalid RankingKeyClass instance for ranking id: ${requestedId}`, id);
+				throw new ClientAggregationError('Invalid ranking data for aggregation.', 'INVALID_ROOT');
+			}
+			const key = keyInstance.rankingDocumentKey();
+			if (!key) {
+				warn(`Unable to determine rootKey for ranking id: ${requestedId}`, id);
+				throw new ServerAggregationError('Unable to determine root key for ranking aggregation.');
+			}
+			return { rootType: 'ranking', rootKey: key };
+		case 'staff':
+			const { queryForStaffAggregationDoc } = require('../pipelines/staff/staffAggregationPipeline.js');
+			const staffQuery = queryForStaffAggregationDoc(
+				r?._externalSportsPersonId,
+				r?._externalSportsPersonIdScope,
+				r?._externalTeamId,
+				r?._externalTeamIdScope,
+				r?._externalClubId,
+				r?._externalClubIdScope,
+				r?._externalNationId,
+				r?._externalNationIdScope
+			);
+			if (!staffQuery?.externalKey) {
+				warn(`Unable to determine rootKey for staff id: ${requestedId}`, id);
+				throw new ServerAggregationError('Unable to determine root key for staff aggregation.');
+			}
+			return { rootType: 'staff', rootKey: staffQuery.externalKey };
+		case 'keymoment':
+			const { queryForKeyMomentAggregationDoc } = require('../pipelines/keyMoment/keyMomentAggregationPipeline.js');
+			const kmQuery = queryForKeyMomentAggregationDoc(r?._externalEventId, r?._externalEventIdScope, r?.type, r?.subType, r?.dateTime);
+			if (!kmQuery?.externalKey) {
+				warn(`Unable to determine rootKey for keyMoment id: ${requestedId}`, id);
+				throw new ServerAggregationError('Unable to determine root key for keyMoment aggregation.');
+			}
+			return { rootType: 'keyMoment', rootKey: kmQuery.externalKey };
+		default:
+			return null;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Loads the preset named by ?aggregationPreset (its latest version, or the one pinned with @v<version>).
+ *
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} query - The request's query string parameters
+ * @returns {Promise<Object|null>} The preset document, or null if there is no such preset or version
+ * @throws {ClientAggregationError} If the reference is invalid or the query also chooses the views or routes
+ */
+async function loadAggregationPreset(mongo, query) {
+	const reference = parsePresetReference(query.aggregationPreset);
+	if (!reference) throw new ClientAggregationError(`aggregationPreset must be a preset name, optionally with a version (e.g. matchCentre or matchCentre@v2)`);
+	const conflicting = presetRouteParams.filter((param) => query[param] != null);
+	if (conflicting.length > 0) throw new ClientAggregationError(`aggregationPreset cannot be combined with ${conflicting.join(', ')}`);
+	return await getPreset(mongo, config, reference.name, reference.version);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// aggregationMax, defaulting to (and capped at) maxMaterialisedResources
+function aggregationMaxFrom(value) {
+	const aggregationMax = value ? parseInt(value, 10) : maxMaterialisedResources;
+	if (isNaN(aggregationMax) || aggregationMax < 0 || aggregationMax > maxMaterialisedResources) return maxMaterialisedResources;
+	return aggregationMax;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Reads the aggregation options from query string parameters (or a request body using the same names).
+ *
+ * @param {Object} params - aggregationViews, aggregationEdges, aggregationMax, aggregationMax.<type>, aggregationMin.<type>,
+ *   aggregationStrategy, aggregationSort.<type>, aggregationFilter.<type>, aggregationProvenance, aggregationRoutePolicy, aggregationRoutePaths,
+ *   aggregationRouteDepth, projection.<type>, projection~<type>, includeOriginal and includeStickies
+ * @returns {Object} The parsed options
+ * @throws {ClientAggregationError} If a sort option is invalid
+ */
+function aggregationOptionsFrom(params = {}) {
+	const listOf = (value) => (Array.isArray(value) ? value.join(',') : _.isString(value) ? value : '');
+	const includeOriginal = params.includeOriginal === true || params.includeOriginal === 'true';
+	const includeStickies = params.includeStickies === true || params.includeStickies === 'true';
+	const provenance = params.aggregationProvenance === true || params.aggregationProvenance === 'true';
+	const aggregationEdges = listOf(params.aggregationEdges) || null;
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Manage the projections
+	const fieldProjections = {};
+	fieldProjections.exclusions = {};
+	fieldProjections.exclusions.all = {};
+	fieldProjections.inclusions = {};
+	fieldProjections.inclusions.all = {};
+	if (!includeOriginal) fieldProjections.exclusions.all._original = 0;
+	if (!includeStickies) fieldProjections.exclusions.all._stickies = 0;
+	for (const [key, value] of Object.entries(params)) {
+		if (key.startsWith('projection.')) {
+			const field = key.replace('projection.', '');
+			fieldProjections.inclusions[field] = listOf(value)
+				.split(',')
+				.reduce((acc, curr) => {
+					const trimmed = curr.trim();
+					if (trimmed) acc[trimmed] = 1;
+					return acc;
+				}, {});
+		}
+		if (key.startsWith('projection~')) {
+			const field = key.replace('projection~', '');
+			fieldProjections.exclusions[field] = listOf(value)
+				.split(',')
+				.reduce((acc, curr) => {
+					const trimmed = curr.trim();
+					if (trimmed) acc[trimmed] = 0;
+					return acc;
+				}, {});
+		}
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Per-type budget limits and minimums (aggregationMax.<type>, aggregationMin.<type>), the allocation strategy
+	// and per-type sort order and filters (aggregationSort.<type>=field:asc|desc, aggregationFilter.<type>=...)
+	const typeMax = {};
+	const typeMin = {};
+	const sorts = {};
+	const filters = {};
+	for (const [key, value] of Object.entries(params)) {
+		if (key.startsWith('aggregationMax.')) typeMax[key.replace('aggregationMax.', '')] = Number(value);
+		if (key.startsWith('aggregationMin.')) typeMin[key.replace('aggregationMin.', '')] = Number(value);
+		if (key.startsWith('aggregationSort.')) sorts[key.replace('aggregationSort.', '')] = parseAggregationSort(key.replace('aggregationSort.', ''), value);
+		if (key.startsWith('aggregationFilter.')) filters[key.replace('aggregationFilter.', '')] = String(value);
+	}
+	const budgetStrategy = _.isString(params.aggregationStrategy) ? params.aggregationStrategy : undefined;
+
+	//////////////////////////////////////////////////////////////////////////////
+	// How routes are derived when no edges are given (validated by deriveRoutesFromTargets)
+	const routePolicy = _.isString(params.aggregationRoutePolicy) ? params.aggregationRoutePolicy : undefined;
+	const routePaths = params.aggregationRoutePaths == null ? undefined : params.aggregationRoutePaths === 'all' ? 'all' : Number(params.aggregationRoutePaths);
+	const routeDepth = params.aggregationRouteDepth == null ? undefined : Number(params.aggregationRouteDepth);
+
+	//////////////////////////////////////////////////////////////////////////////
+	const viewsArray = [
+		...new Set(
+			listOf(params.aggregationViews)
+				.split(',')
+				.map((v) => v.trim())
+				.filter((v) => v.length > 0)
+		),
+	];
+	return {
+		viewsArray,
+		aggregationEdges,
+		aggregationMax: aggregationMaxFrom(params.aggregationMax),
+		fieldProjections,
+		typeMax,
+		typeMin,
+		budgetStrategy,
+		routePolicy,
+		routePaths,
+		routeDepth,
+		sorts,
+		filters,
+		provenance,
+		includeOriginal,
+		includeStickies,
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the clientAggregationPipelineBuilder configuration for a root, deriving routes when no edges were given.
+ *
+ * @param {string} rootType - The root resource type
+ * @param {string} rootKey - The root aggregation document key
+ * @param {Object} options - As returned by aggregationOptionsFrom, plus the routes of a preset (used as they are) if one was applied
+ * @returns {Object} The pipeline builder configuration
  */
-function chunkAndFormatObjectIDs(objectIdArray, maxSize) {
-	if (!Array.isArray(objectIdArray) || objectIdArray.length === 0) return [];
-	if (!maxSize || maxSize <= 0) throw new Error('aggregationMax must be a positive number');
-	const chunks = [];
+function aggregationPipelineConfig(rootType, rootKey, options) {
+	const { viewsArray, aggregationEdges } = options;
+	const routes = Array.isArray(options.routes)
+		? options.routes
+		: _.isString(aggregationEdges)
+			? clientAggregationPipelineRouteBuilder({ rootType, includeTypes: viewsArray, edgeIds: aggregationEdges.split(',') })
+			: null;
+	const constructedRoutes =
+		routes == null || routes.length === 0
+			? deriveRoutesFromTargets({ rootType, targets: viewsArray, maxDepth: options.routeDepth ?? 8, policy: options.routePolicy, paths: options.routePaths })
+			: routes;
+	return {
+		rootType,
+		rootExternalKey: rootKey,
+		maxNumberOfMaterialisedResources: options.aggregationMax,
+		routes: constructedRoutes,
+		resourceTypesToMaterialise: viewsArray,
+		fieldProjections: options.fieldProjections,
+		typeMax: options.typeMax,
+		typeMin: options.typeMin,
+		budgetStrategy: options.budgetStrategy,
+		sorts: options.sorts,
+		filters: options.filters,
+		includeProvenance: options.provenance,
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Turns the `results` of an aggregation pipeline into the response's aggregations: the items of each type
+ * and, where a type overflowed, the cursor and URL of its next page.
+ *
+ * @param {Object} results - The `results` of the pipeline output
+ * @param {Object} params - Formatting parameters
+ * @param {Object} params.root - { schemaType, scope, id, type, externalKey } of the root resource
+ * @param {Object} params.pipelineConfig - The configuration the pipeline was built with
+ * @param {Object} params.options - As returned by aggregationOptionsFrom
+ * @param {string} params.pageUrlBase - URL of the root resource, to which `/aggregations/:type` is appended
+ * @returns {{ aggregations: Object, totalCount: number, totalCountByType: Object }} The aggregations and counts
+ */
+function formatAggregationResults(results, { root, pipelineConfig, options, pageUrlBase }) {
+	const { typeMax, aggregationMax } = options;
+	const aggregations = {};
+	const totalCountByType = {};
+	let totalCount = 0;
 	//////////////////////////////////////////////////////////////////////////////
-	// Split array into chunks
-	for (let i = 0; i < objectIdArray.length; i += maxSize) {
-		const chunk = objectIdArray.slice(i, i + maxSize);
+	// Create the output aggregations document
+	for (const key in results) {
+		aggregations[key] = {};
+		aggregations[key].items = [];
+		aggregations[key].nextCursor = null;
+		aggregations[key].nextPage = null;
+		////////////////////////////////////////////////////////////////////////////
+		// Process materialised into the aggregations object
+		if (Array.isArray(results[key]?.items)) {
+			if (!totalCountByType[key]) totalCountByType[key] = 0;
+			totalCount += results[key].items.length;
+			totalCountByType[key] += results[key].items.length;
+			for (const item of results[key].items) {
+				if (item._original && !options.includeOriginal) delete item._original;
+				if (item._stickies && !options.includeStickies) delete item._stickies;
+				aggregations[key].items.push(item);
+			}
+		}
 		////////////////////////////////////////////////////////////////////////////
-		// Convert each ObjectID to the formatted string
-		const chunkRefs = [];
-		for (const ref of chunk) chunkRefs.push(ref.toString());
-		// const formattedChunk = chunk.map((objectId) => `_id==\`${objectId.toString()}\``).join(' ');
-		chunks.push(chunkRefs);
+		// Overflow is continued with a signed cursor for the next slice of this type
+		if (Array.isArray(results[key]?.overflow?.overflowIds)) {
+			if (!totalCountByType[key]) totalCountByType[key] = 0;
+			totalCountByType[key] += results[key].overflow.overflowIds.length;
+			totalCount += results[key].overflow.overflowIds.length;
+			if (results[key].overflow.overflowIds.length > 0) {
+				const continuation = continuationFor({
+					root,
+					type: key,
+					routes: pipelineConfig.routes,
+					fieldProjections: pipelineConfig.fieldProjections,
+					sort: options.sorts[key],
+					filter: options.filters[key],
+					provenance: options.provenance,
+					offset: results[key].includedCount || 0,
+					pageSize: typeMax[key] > 0 ? Math.min(typeMax[key], maxMaterialisedResources) : aggregationMax > 0 ? aggregationMax : maxMaterialisedResources,
+					pageUrlBase,
+				});
+				aggregations[key].nextCursor = continuation.nextCursor;
+				aggregations[key].nextPage = continuation.nextPage;
+			}
+		}
+	}
+	return { aggregations, totalCount, totalCountByType };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Reshapes an aggregation response into the normalised format (?format=normalised), in the style of JSON:API.
+ *
+ * The root is returned in `data` with one relationship per route, listing the { type, id } of the resources the
+ * route reached; every materialised resource appears once in `included`, by type and id, however many routes reached it.
+ * Counts, next pages and the other response fields move to `meta`.
+ *
+ * @param {Object} r - The root source document
+ * @param {Object} root - { schemaType, scope, id, type, externalKey } of the root resource
+ * @param {Object} retDoc - The default response
+ * @param {Array<Object>} [routeIds] - Per route, the ids it reached ([{ key, to, ids }]), from the pipeline's routeIds
+ * @returns {Object} { data, included, meta }
+ */
+function normaliseAggregationResponse(r, root, retDoc, routeIds = []) {
+	const included = {};
+	const pages = {};
+	for (const [type, aggregation] of Object.entries(retDoc.results)) {
+		included[type] = {};
+		for (const item of aggregation.items) included[type][String(item._id)] = item;
+		if (aggregation.nextCursor) pages[type] = { nextCursor: aggregation.nextCursor, nextPage: aggregation.nextPage };
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	const routes = retDoc.builtAggregationConfig?.nonNormalisedRoutes || [];
+	const relationships = {};
+	for (const { key, to, ids } of routeIds) {
+		relationships[key] = { to, via: routes.find((route) => route.key === key)?.via || [], data: (ids || []).map((gamedayId) => ({ type: to, id: String(gamedayId) })) };
 	}
 	//////////////////////////////////////////////////////////////////////////////
-	return chunks;
+	return {
+		data: { type: root.type, id: String(r._id), externalKey: root.externalKey, attributes: r, relationships },
+		included,
+		meta: { ..._.omit(retDoc, ['results']), pages },
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Reshapes an aggregation response into a tree following the traversal (?aggregationShape=tree).
+ *
+ * Starting at the root, each step's links (which children every parent led to) are followed hop by hop and every
+ * materialised resource is placed in `_children.<type>` of its parent. Resources of types that were not requested,
+ * or that did not fit in the budget, are passed through: their children are placed under the nearest materialised
+ * ancestor instead. A resource reached through several parents appears under each of them. The tree holds the same
+ * resources as the flat response; next pages and the other response fields are kept alongside it.
+ *
+ * @param {Object} r - The root source document
+ * @param {Object} retDoc - The default response
+ * @param {Array<Object>} [linkSteps] - The pipeline's links ([{ key, dependsOnKey, to, links: [{ parent, children }] }])
+ * @returns {Object} { tree, pages, ... } where tree is the root document with its `_children`
+ */
+function treeAggregationResponse(r, retDoc, linkSteps = []) {
+	const included = {};
+	const pages = {};
+	for (const [type, aggregation] of Object.entries(retDoc.results)) {
+		included[type] = new Map(aggregation.items.map((item) => [String(item._id), item]));
+		if (aggregation.nextCursor) pages[type] = { nextCursor: aggregation.nextCursor, nextPage: aggregation.nextPage };
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	const childrenByStep = new Map();
+	for (const step of linkSteps) {
+		const byParent = new Map();
+		for (const { parent, children } of step.links || []) byParent.set(String(parent), (children || []).map(String));
+		childrenByStep.set(step.key, byParent);
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	// Depth first from the root; `visited` stops a resource being expanded twice under the same node
+	const rootNode = { ...r, _children: {} };
+	const nodes = new Map();
+	const visited = new Set();
+	const expand = (anchor, anchorKey, dependsOnKey, parentId) => {
+		for (const step of linkSteps.filter((s) => s.dependsOnKey === dependsOnKey)) {
+			for (const childId of childrenByStep.get(step.key).get(parentId) || []) {
+				const visitKey = `${anchorKey}|${step.key}|${childId}`;
+				if (visited.has(visitKey)) continue;
+				visited.add(visitKey);
+				const item = included[step.to]?.get(childId);
+				if (!item) {
+					expand(anchor, anchorKey, step.key, childId);
+					continue;
+				}
+				const nodeKey = `${anchorKey}/${step.to}:${childId}`;
+				if (!nodes.has(nodeKey)) {
+					const node = { ...item, _children: {} };
+					nodes.set(nodeKey, node);
+					if (!anchor._children[step.to]) anchor._children[step.to] = [];
+					anchor._children[step.to].push(node);
+				}
+				expand(nodes.get(nodeKey), nodeKey, step.key, childId);
+			}
+		}
+	};
+	expand(rootNode, 'root', null, String(r._id));
+	//////////////////////////////////////////////////////////////////////////////
+	return { tree: rootNode, pages, ..._.omit(retDoc, ['results']) };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Creates the signed cursor (and next page URL) that continues the overflow of one materialised type.
+ *
+ * Only the routes that reach the type are kept in the cursor; the root type needs no route, so it keeps
+ * them all (the pipeline builder requires at least one).
+ *
+ * @param {Object} params - Continuation parameters
+ * @param {Object} params.root - { schemaType, scope, id, type, externalKey } of the root resource
+ * @param {string} params.type - The materialised type to continue
+ * @param {Array<Object>} params.routes - The routes used for the current page
+ * @param {Object} params.fieldProjections - The field projections used for the current page
+ * @param {Object} [params.sort] - The { field, direction } the type is sorted by, if the client chose one
+ * @param {string} [params.filter] - The type's filter, if the client gave one (relative dates are re-evaluated for each page)
+ * @param {number} params.offset - Number of ids of the type returned so far
+ * @param {number} params.pageSize - Number of items per page
+ * @param {string} params.pageUrlBase - URL of the root resource, to which `/aggregations/:type` is appended
+ * @returns {{ nextCursor: string, nextPage: string }} The cursor and the URL to fetch the next page from
+ */
+function continuationFor({ root, type, routes, fieldProjections, sort, filter, provenance, offset, pageSize, pageUrlBase }) {
+	const typeRoutes = routes.filter((route) => route.to === type);
+	const nextCursor = encodeAggregationCursor({ root, type, routes: typeRoutes.length > 0 ? typeRoutes : routes, fieldProjections, sort, filter, provenance, offset, pageSize }, config);
+	return { nextCursor, nextPage: `${pageUrlBase}/aggregations/${encodeURIComponent(type)}?cursor=${encodeURIComponent(nextCursor)}` };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.get('/:schemaType/:scope/:id/aggregations/:type', getAggregationPage);
+// Returns the next slice of one materialised type, continuing from the cursor of a previous response
+async function getAggregationPage(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	const { schemaType, scope, type } = req.params;
+	const requestedId = req.params.id;
+	const schema = checkSchema(schemaType);
+	const mongo = config?.mongo;
+
+	//////////////////////////////////////////////////////////////////////////////
+	if (!mongo || !mongo.db || !mongo.client) {
+		warn(`No MongoDB connection available`, 'WD0050', 500, 'Database Connection Error');
+		send400(res, {
+			message: 'Database connection is not available.',
+			errorCode: 'WD0050', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+			category: 'Database Connection Error',
+		});
+		return;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	if (!schema) {
+		warn(`No valid Schema found when trying to get: ${schemaType}`, 'WD0040', 400, 'Invalid Schema');
+		send400(res, {
+			message: 'Please specify a valid schema type.',
+			errorCode: 'WD0040', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+			category: 'Invalid Schema',
+		});
+		return;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	try {
+		const cursor = decodeAggregationCursor(req.query.cursor, config);
+		const { root, routes, fieldProjections, sort, filter, provenance, offset, pageSize } = cursor;
+		if (root?.schemaType !== schema || root?.scope !== scope || root?.id !== requestedId || cursor.type !== type) {
+			throw new ClientAggregationError('cursor does not belong to this resource and type', 'INVALID_CURSOR');
+		}
+		info(`Fetching ${type} aggregation page for ${root.type} ${root.externalKey} from offset ${offset}`, id);
+
+		////////////////////////////////////////////////////////////////////////////
+		const pipeline = clientAggregationPipelineBuilder({
+			rootType: root.type,
+			rootExternalKey: root.externalKey,
+			maxNumberOfMaterialisedResources: pageSize,
+			routes,
+			resourceTypesToMaterialise: [type],
+			fieldProjections,
+			offsets: type === root.type ? {} : { [type]: offset },
+			sorts: sort ? { [type]: sort } : undefined,
+			filters: filter ? { [type]: filter } : undefined,
+			includeProvenance: provenance === true,
+		});
+		const a = await mongo.db
+			.collection(config?.matAggCollectionName || 'materialisedAggregations')
+			.aggregate(pipeline)
+			.toArray();
+		if (!a || a.length === 0 || !a[0]?.results?.[type]) {
+			send404(res, {
+				message: 'The root resource of this cursor no longer has an aggregation document.',
+				errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+				category: 'Data Not Found',
+			});
+			return;
+		}
+
+		////////////////////////////////////////////////////////////////////////////
+		const result = a[0].results[type];
+		const overflowIds = result.overflow?.overflowIds || [];
+		const includedCount = result.includedCount || 0;
+		const page = { items: result.items || [], nextCursor: null, nextPage: null };
+		if (overflowIds.length > 0 && type !== root.type) {
+			const API_URL = config.express.fullHostUrl + `${req.params.apiVersion || '1-0'}/${schemaType}`;
+			Object.assign(
+				page,
+				continuationFor({
+					root,
+					type,
+					routes,
+					fieldProjections,
+					sort,
+					filter,
+					provenance,
+					offset: offset + includedCount,
+					pageSize,
+					pageUrlBase: `${API_URL}/${encodeURIComponent(scope)}/${encodeURIComponent(requestedId)}`,
+				})
+			);
+		}
+		const retDoc = {
+			results: { [type]: page },
+			offset,
+			pageSize,
+			totalCount: offset + includedCount + overflowIds.length,
+		};
+		info(`Aggregation page returned ${page.items.length} ${type} resources`, id);
+		send200(res, retDoc);
+	} catch (e) {
+		//////////////////////////////////////////////////////////////////////////////
+		if (e instanceof ClientAggregationError) {
+			warn(`Client aggregation error fetching ${type} page for schemaType: ${schemaType}, scope: ${scope}, id: ${requestedId} - ${e.message}`, 'WDxxx', 400, 'Client Aggregation Error');
+			send400(res, {
+				message: `Error fetching data: ${e.message}`,
+				errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+				category: 'Client Aggregation Error',
+			});
+			return;
+		}
+		//////////////////////////////////////////////////////////////////////////////
+		// Catch any DB query errors
+		warn(`Error fetching ${type} page for schemaType: ${schemaType}, scope: ${scope}, id: ${requestedId} - ${e.message}`, 'WD0060', 500, 'Database Query Error');
+		send500(res, {
+			message: `Error fetching data: ${e.message}`,
+			errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+			category: 'Database Query Error',
+		});
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Loads the source documents of the roots of a batch, one query per schema.
+ *
+ * @async
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @param {Array<Object>} roots - The requested { schemaType, scope, id } roots
+ * @returns {Promise<Array<Object>>} Per root, in request order: { request, schema, doc } or { request, status, message }
+ */
+async function loadBatchRoots(mongo, roots) {
+	const entries = roots.map((request) => {
+		if (!_.isPlainObject(request) || !_.isString(request.scope) || !_.isString(request.id)) {
+			return { request, status: 400, message: 'Each root must have a schemaType, scope and id.' };
+		}
+		const schema = checkSchema(request.schemaType);
+		if (!schema) return { request, status: 400, message: 'Please specify a valid schema type.' };
+		return { request, schema };
+	});
+	//////////////////////////////////////////////////////////////////////////////
+	const isGameday = (entry) => entry.request.scope.toLowerCase() === 'gameday';
+	for (const [schema, schemaEntries] of Object.entries(_.groupBy(entries.filter((entry) => entry.schema), 'schema'))) {
+		const query = { $or: schemaEntries.map((entry) => (isGameday(entry) ? { _id: entry.request.id } : { _externalIdScope: entry.request.scope, _externalId: entry.request.id })) };
+		const docs = await mongo.db.collection(schema).find(query).toArray();
+		for (const entry of schemaEntries) {
+			entry.doc = docs.find((doc) => (isGameday(entry) ? String(doc._id) === entry.request.id : doc._externalIdScope === entry.request.scope && doc._externalId === entry.request.id));
+			if (!entry.doc) Object.assign(entry, { status: 404, message: 'No data found for the specified parameters.' });
+		}
+	}
+	return entries;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.post('/aggregations/batch', getBatchAggregations);
+// Aggregates many roots with the same options in one aggregate: the pipeline of each root after the first is added with $unionWith.
+// Materialised resources are returned once, in `included`, and referenced by id from each root's results.
+async function getBatchAggregations(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	const mongo = config?.mongo;
+	const roots = req.body?.roots;
+
+	//////////////////////////////////////////////////////////////////////////////
+	if (!mongo || !mongo.db || !mongo.client) {
+		warn(`No MongoDB connection available`, 'WD0050', 500, 'Database Connection Error');
+		send400(res, {
+			message: 'Database connection is not available.',
+			errorCode: 'WD0050', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+			category: 'Database Connection Error',
+		});
+		return;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	if (!Array.isArray(roots) || roots.length === 0 || roots.length > maxBatchRoots) {
+		send400(res, {
+			message: `roots must be a non-empty array of at most ${maxBatchRoots} { schemaType, scope, id } objects.`,
+			errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+			category: 'Client Aggregation Error',
+		});
+		return;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	try {
+		const options = aggregationOptionsFrom(_.omit(req.body, ['roots']));
+		if (options.viewsArray.length === 0) throw new ClientAggregationError('aggregationViews is required');
+		info(`Batch aggregation requested for ${roots.length} roots: views=${options.viewsArray.join(',')}, edges=${options.aggregationEdges}, max=${options.aggregationMax}`, id);
+		const entries = await loadBatchRoots(mongo, roots);
+
+		////////////////////////////////////////////////////////////////////////////
+		// Build each root's pipeline; problems with one root are reported against that root
+		for (const entry of entries.filter((entry) => entry.doc)) {
+			const resourceType = entry.doc?.resourceType ? entry.doc.resourceType.toLowerCase() : null;
+			try {
+				if (options.viewsArray.some((v) => v.toLowerCase() === 'keymoment') && resourceType !== 'event') {
+					throw new ClientAggregationError('KeyMoment aggregation view can only be requested when the root resource is an Event.');
+				}
+				const aggregationRoot = resolveAggregationRoot(entry.doc, entry.request.id, id);
+				if (!aggregationRoot) throw new ClientAggregationError(`Aggregation not supported for resourceType: ${resourceType}`);
+				entry.root = { schemaType: entry.schema, scope: entry.request.scope, id: entry.request.id, type: aggregationRoot.rootType, externalKey: aggregationRoot.rootKey };
+				entry.pipelineConfig = aggregationPipelineConfig(aggregationRoot.rootType, aggregationRoot.rootKey, options);
+				entry.pipeline = clientAggregationPipelineBuilder(entry.pipelineConfig);
+			} catch (e) {
+				if (!(e instanceof ClientAggregationError)) throw e;
+				Object.assign(entry, { status: 400, message: e.message });
+			}
+		}
+
+		////////////////////////////////////////////////////////////////////////////
+		// One aggregate for every root, each output tagged with the position of its root
+		const collectionName = config?.matAggCollectionName || 'materialisedAggregations';
+		const built = entries.filter((entry) => entry.pipeline);
+		const outputs = [];
+		if (built.length > 0) {
+			const [first, ...rest] = built;
+			const pipeline = [
+				...first.pipeline,
+				{ $set: { _batchIndex: 0 } },
+				...rest.map((entry, i) => ({ $unionWith: { coll: collectionName, pipeline: [...entry.pipeline, { $set: { _batchIndex: i + 1 } }] } })),
+			];
+			outputs.push(...(await mongo.db.collection(collectionName).aggregate(pipeline).toArray()));
+		}
+
+		////////////////////////////////////////////////////////////////////////////
+		// Per root results reference the materialised resources, which are listed once in `included`
+		const included = {};
+		let totalCount = 0;
+		built.forEach((entry, i) => {
+			const output = outputs.find((o) => o._batchIndex === i);
+			if (!output?.results) {
+				Object.assign(entry, { status: 404, message: 'The root resource has no aggregation document.' });
+				return;
+			}
+			const pageUrlBase = `${config.express.fullHostUrl}1-0/${entry.request.schemaType}/${encodeURIComponent(entry.request.scope)}/${encodeURIComponent(entry.request.id)}`;
+			const formatted = formatAggregationResults(output.results, { root: entry.root, pipelineConfig: entry.pipelineConfig, options, pageUrlBase });
+			entry.results = _.mapValues(formatted.aggregations, (aggregation, type) => {
+				if (!included[type]) included[type] = {};
+				for (const item of aggregation.items) included[type][String(item._id)] = item;
+				return { ids: aggregation.items.map((item) => String(item._id)), nextCursor: aggregation.nextCursor, nextPage: aggregation.nextPage };
+			});
+			Object.assign(entry, { status: 200, totalCount: formatted.totalCount, totalCountByType: formatted.totalCountByType });
+			entry.edgesUsed = output.edgesUsed || null;
+			entry.budgetAllocation = output.budgetAllocation || null;
+			totalCount += formatted.totalCount;
+		});
+
+		////////////////////////////////////////////////////////////////////////////
+		const retDoc = {
+			results: entries.map((entry) =>
+				entry.status === 200
+					? _.pick(entry, ['root', 'status', 'results', 'totalCount', 'totalCountByType', 'edgesUsed', 'budgetAllocation'])
+					: { root: entry.root || entry.request, status: entry.status, message: entry.message }
+			),
+			included,
+			totalCount,
+			includedCount: _.sumBy(Object.values(included), (byId) => Object.keys(byId).length),
+			requestedAggregationViews: options.viewsArray,
+			requestedAggregationEdges: options.aggregationEdges ? options.aggregationEdges.split(',') : null,
+			requestedAggregationMax: options.aggregationMax,
+		};
+		info(`Batch aggregation completed for ${built.length} of ${roots.length} roots with ${retDoc.includedCount} distinct resources`, id);
+		send200(res, retDoc);
+	} catch (e) {
+		//////////////////////////////////////////////////////////////////////////////
+		if (e instanceof ClientAggregationError) {
+			warn(`Client aggregation error in batch aggregation - ${e.message}`, 'WDxxx', 400, 'Client Aggregation Error');
+			send400(res, {
+				message: `Error fetching data: ${e.message}`,
+				errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+				category: 'Client Aggregation Error',
+				details: e.details,
+			});
+			return;
+		}
+		warn(`Error in batch aggregation - ${e.message}`, 'WD0060', 500, 'Database Query Error');
+		send500(res, {
+			message: `Error fetching data: ${e.message}`,
+			errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+			category: 'Database Query Error',
+		});
+	}
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-module.exports = { getSingleSportsData };
+module.exports = { getSingleSportsData, getAggregationPage, getBatchAggregations, aggregationOptionsFrom, aggregationPipelineConfig, presetRouteParams };
@@ -0,0 +1,370 @@
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const _ = require('lodash');
+const config = require('../config.js');
+const { encodeAggregationCursor, decodeAggregationCursor } = require('../client/clientAggregationCursor.js');
+const { getSingleSportsData, getAggregationPage, getBatchAggregations, aggregationOptionsFrom } = require('./getSingleSportsDataController.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// A stand-in for the collections the controller reads: the source collections (by name), the presets and the
+// materialised aggregations, whose aggregate records the pipeline it was given and returns outputsFor(pipeline),
+// or, when explained, the pipeline's stages with the per-stage statistics MongoDB adds at executionStats verbosity
+function fakeMongo({ sources = {}, presets = [], outputsFor = () => [{ results: { team: { items: [{ _id: 't1', name: 'Team' }], overflow: { overflowIds: [] } } }, routeIds: [] }] }) {
+	const cursor = (docs) => ({
+		sort: (order) => {
+			const [[field, direction]] = Object.entries(order);
+			return cursor([...docs].sort((a, b) => (a[field] - b[field]) * direction));
+		},
+		limit: (n) => cursor(docs.slice(0, n)),
+		toArray: async () => docs,
+	});
+	const matches = (doc, filter) => (filter.$or ? filter.$or.some((clause) => matches(doc, clause)) : Object.entries(filter).every(([field, value]) => doc[field] === value));
+	const mongo = { client: {}, pipelines: [], explained: [] };
+	const collections = {
+		aggregationPresets: {
+			findOne: async (filter) => presets.find((preset) => preset._id === filter._id) || null,
+			find: (filter) => cursor(presets.filter((preset) => preset.name === filter.name)),
+		},
+		materialisedAggregations: {
+			aggregate: (pipeline) => {
+				mongo.pipelines.push(pipeline);
+				return {
+					toArray: async () => _.cloneDeep(outputsFor(pipeline)),
+					explain: async (verbosity) => {
+						mongo.explained.push(verbosity);
+						return { ok: 1, stages: pipeline.map((stage) => ({ ..._.cloneDeep(stage), nReturned: 1, executionTimeMillisEstimate: 0 })) };
+					},
+				};
+			},
+		},
+	};
+	const source = (name) => ({
+		findOne: async (filter) => _.clone((sources[name] || []).find((doc) => matches(doc, filter))) || null,
+		find: (filter) => cursor((sources[name] || []).filter((doc) => matches(doc, filter)).map(_.clone)),
+	});
+	mongo.db = { collection: (name) => collections[name] || source(name) };
+	return mongo;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function fakeResponse() {
+	const res = { statusCode: null, body: null };
+	res.type = () => res;
+	res.append = () => res;
+	res.status = (code) => Object.assign(res, { statusCode: code });
+	res.send = (body) => Object.assign(res, { body: JSON.parse(body) });
+	return res;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+const event = { _id: 'e1', resourceType: 'event', _externalId: '400021443', _externalIdScope: 'fifa', _original: { name: 'Final' } };
+const preset = {
+	_id: 'matchCentre@v2',
+	name: 'matchCentre',
+	version: 2,
+	rootType: 'event',
+	params: { aggregationViews: 'team', aggregationMax: '30', 'aggregationMax.team': '20', includeOriginal: 'true' },
+	routes: [{ key: 'teams', to: 'team', via: ['event.teams->team'] }],
+};
+
+////////////////////////////////////////////////////////////////////////////////
+async function getEvent(query, source = event) {
+	config.mongo = { ...config.mongo, ...fakeMongo({ sources: { events: [source] }, presets: [{ ...preset, _id: 'matchCentre@v1', version: 1 }, preset] }) };
+	const res = fakeResponse();
+	await getSingleSportsData({ method: 'GET', url: '/', params: { schemaType: 'events', scope: 'fifa', id: source._externalId }, query }, res);
+	return res;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+const mongo = config.mongo;
+afterAll(() => {
+	config.mongo = mongo;
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('getSingleSportsData with an aggregation preset', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('applies the latest version, with its routes, and lets the other query parameters override its own', async () => {
+		const res = await getEvent({ aggregationPreset: 'matchCentre', aggregationMax: '5', format: 'normalised' });
+		expect(res.statusCode).toBe(200);
+		expect(res.body.meta.aggregationPreset).toBe('matchCentre@v2');
+		expect(res.body.meta.requestedAggregationMax).toBe(5);
+		expect(res.body.meta.builtAggregationConfig).toMatchObject({ maxNumberOfMaterialisedResources: 5, typeMax: { team: 20 }, nonNormalisedRoutes: preset.routes });
+		////////////////////////////////////////////////////////////////////////////
+		// The root keeps _original because the preset asks for it
+		expect(res.body.data.attributes._original).toEqual({ name: 'Final' });
+
+		const overridden = await getEvent({ aggregationPreset: 'matchCentre@v1', includeOriginal: 'false', format: 'normalised' });
+		expect(overridden.body.meta.aggregationPreset).toBe('matchCentre@v1');
+		expect(overridden.body.data.attributes._original).toBeUndefined();
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects views and routes given with a preset, and a root of another type', async () => {
+		for (const param of ['aggregationViews', 'aggregationEdges', 'aggregationRoutePolicy', 'aggregationRoutePaths', 'aggregationRouteDepth']) {
+			const res = await getEvent({ aggregationPreset: 'matchCentre', [param]: 'team' });
+			expect(res.statusCode).toBe(400);
+			expect(res.body.message).toBe(`Error fetching data: aggregationPreset cannot be combined with ${param}`);
+		}
+		const team = await getEvent({ aggregationPreset: 'matchCentre' }, { _id: 't1', resourceType: 'team', _externalId: 't1', _externalIdScope: 'fifa' });
+		expect(team.statusCode).toBe(400);
+		expect(team.body.message).toBe('Error fetching data: Aggregation preset matchCentre@v2 is for event roots, not team');
+		expect(config.mongo.pipelines).toEqual([]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('returns 404 for an unknown preset or version and 400 for an invalid reference', async () => {
+		expect((await getEvent({ aggregationPreset: 'matchCentre@v3' })).statusCode).toBe(404);
+		expect((await getEvent({ aggregationPreset: 'other' })).body.message).toBe('No aggregation preset found for other.');
+		expect((await getEvent({ aggregationPreset: 'matchCentre@3' })).statusCode).toBe(400);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('getSingleSportsData with aggregationExplain', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('returns the stages, the traversal steps and the execution statistics instead of the results', async () => {
+		const res = await getEvent({ aggregationPreset: 'matchCentre', aggregationExplain: 'true' });
+		expect(res.statusCode).toBe(200);
+		expect(res.body).not.toHaveProperty('data');
+		expect(config.mongo.explained).toEqual(['executionStats']);
+		const { stages, steps, executionStats } = res.body.explain;
+		////////////////////////////////////////////////////////////////////////////
+		// The stages are the pipeline that was explained: one operator each, starting from the root's aggregation document
+		expect(stages).toEqual(config.mongo.pipelines[0]);
+		expect(stages.every((stage) => Object.keys(stage).length === 1 && Object.keys(stage)[0].startsWith('$'))).toBe(true);
+		expect(stages[0]).toEqual({ $match: expect.objectContaining({ resourceType: 'event' }) });
+		expect(steps).toEqual([
+			{ key: 'event.teams->team', from: 'event', field: 'teams', to: 'team', depth: 0, dependsOnKey: null, outputName: expect.stringMatching(/^teamIds__\w+__d0$/), routes: ['teams'] },
+		]);
+		expect(executionStats.stages).toHaveLength(stages.length);
+		expect(executionStats.stages[0]).toMatchObject({ ...stages[0], nReturned: 1, executionTimeMillisEstimate: 0 });
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('getSingleSportsData with a ranking root', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('aggregates from the ranking aggregation document its key fields identify', async () => {
+		const ranking = { _id: 'r1', resourceType: 'ranking', _externalStageId: 's1', _externalStageIdScope: 'fifa', _externalTeamId: 't1', _externalTeamIdScope: 'fifa', dateTime: 'latest', ranking: 1 };
+		config.mongo = { ...config.mongo, ...fakeMongo({ sources: { rankings: [ranking] } }) };
+		const res = fakeResponse();
+		await getSingleSportsData({ method: 'GET', url: '/', params: { schemaType: 'rankings', scope: 'gameday', id: 'r1' }, query: { aggregationViews: 'team' } }, res);
+		expect(res.statusCode).toBe(200);
+		expect(res.body.builtAggregationConfig).toMatchObject({ rootType: 'ranking', rootExternalKey: 's1 @ fifa /st/ t1 @ fifa /label/ latest /rank/ 1' });
+
+		config.mongo = { ...config.mongo, ...fakeMongo({ sources: { rankings: [_.omit(ranking, ['dateTime'])] } }) };
+		const invalid = fakeResponse();
+		await getSingleSportsData({ method: 'GET', url: '/', params: { schemaType: 'rankings', scope: 'gameday', id: 'r1' }, query: { aggregationViews: 'team' } }, invalid);
+		expect(invalid.statusCode).toBe(400);
+		expect(invalid.body.message).toBe('Error fetching data: Invalid ranking data for aggregation.');
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('getSingleSportsData without an aggregation document for the root', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('fails in count mode as it does when materialising', async () => {
+		const statuses = [];
+		for (const query of [{ aggregationViews: 'team' }, { aggregationViews: 'team', aggregationMode: 'count' }]) {
+			config.mongo = { ...config.mongo, ...fakeMongo({ sources: { events: [event] }, outputsFor: () => [] }) };
+			const res = fakeResponse();
+			await getSingleSportsData({ method: 'GET', url: '/', params: { schemaType: 'events', scope: 'fifa', id: event._externalId }, query }, res);
+			statuses.push([res.statusCode, res.body.message]);
+		}
+		expect(statuses).toEqual([
+			[500, 'Error fetching data: no aggregation result returned'],
+			[500, 'Error fetching data: no aggregation result returned'],
+		]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('counts what the root reaches when its aggregation document exists', async () => {
+		config.mongo = { ...config.mongo, ...fakeMongo({ sources: { events: [event] }, outputsFor: () => [{ counts: { team: 2 }, routeCounts: [{ key: 'teams', count: 2 }] }] }) };
+		const res = fakeResponse();
+		await getSingleSportsData({ method: 'GET', url: '/', params: { schemaType: 'events', scope: 'fifa', id: event._externalId }, query: { aggregationViews: 'team', aggregationMode: 'count' } }, res);
+		expect(res.statusCode).toBe(200);
+		expect(res.body).toMatchObject({ totalCount: 2, totalCountByType: { team: 2 }, routeCounts: [{ key: 'teams', count: 2 }] });
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('getSingleSportsData with aggregationShape=tree', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	// Teams t1 and t2 both lead to club c1, which is not materialised, and through it to venue v1. t1 also reaches v1 directly.
+	const output = {
+		results: {
+			team: { items: [{ _id: 't1', name: 'One' }, { _id: 't2', name: 'Two' }], overflow: { overflowIds: [] } },
+			venue: { items: [{ _id: 'v1', name: 'Ground' }], overflow: { overflowIds: [] } },
+		},
+		routeIds: [],
+		links: [
+			{ key: 'teams', dependsOnKey: null, to: 'team', links: [{ parent: 'e1', children: ['t1', 't2'] }] },
+			{ key: 'teams.clubs', dependsOnKey: 'teams', to: 'club', links: [{ parent: 't1', children: ['c1'] }, { parent: 't2', children: ['c1'] }] },
+			{ key: 'teams.clubs.venues', dependsOnKey: 'teams.clubs', to: 'venue', links: [{ parent: 'c1', children: ['v1'] }] },
+			{ key: 'teams.venues', dependsOnKey: 'teams', to: 'venue', links: [{ parent: 't1', children: ['v1'] }] },
+		],
+	};
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('nests each resource under its parents, passing through types that were not materialised', async () => {
+		config.mongo = { ...config.mongo, ...fakeMongo({ sources: { events: [event] }, outputsFor: () => [output] }) };
+		const res = fakeResponse();
+		await getSingleSportsData({ method: 'GET', url: '/', params: { schemaType: 'events', scope: 'fifa', id: event._externalId }, query: { aggregationViews: 'team,venue', aggregationShape: 'tree' } }, res);
+		expect(res.statusCode).toBe(200);
+		const { tree } = res.body;
+		expect(tree._id).toBe('e1');
+		expect(Object.keys(tree._children)).toEqual(['team']);
+		const [t1, t2] = tree._children.team;
+		expect([t1._id, t2._id]).toEqual(['t1', 't2']);
+		// v1 is reached from both teams (through the club, which has no node of its own), and only once under t1
+		expect(t1._children).toEqual({ venue: [{ _id: 'v1', name: 'Ground', _children: {} }] });
+		expect(t2._children).toEqual({ venue: [{ _id: 'v1', name: 'Ground', _children: {} }] });
+		expect(res.body).not.toHaveProperty('results');
+		expect(res.body.totalCountByType).toMatchObject({ team: 2, venue: 1 });
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('getAggregationPage', () => {
+	const root = { schemaType: 'events', scope: 'fifa', id: event._externalId, type: 'event', externalKey: '400021443 @ fifa' };
+	const cursorFor = (payload) => encodeAggregationCursor({ root, type: 'team', routes: preset.routes, fieldProjections: aggregationOptionsFrom({}).fieldProjections, offset: 20, pageSize: 10, ...payload }, config);
+
+	//////////////////////////////////////////////////////////////////////////////
+	async function getPage(params, cursor) {
+		config.mongo = {
+			...config.mongo,
+			...fakeMongo({ outputsFor: () => [{ results: { team: { items: [{ _id: 't21' }, { _id: 't22' }], includedCount: 2, overflow: { overflowIds: ['t23', 't24', 't25'] } } } }] }),
+		};
+		const res = fakeResponse();
+		await getAggregationPage({ method: 'GET', url: '/', params: { schemaType: 'events', scope: 'fifa', id: event._externalId, type: 'team', ...params }, query: { cursor } }, res);
+		return res;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('returns the page and a cursor that continues after the ids it included', async () => {
+		const res = await getPage({}, cursorFor());
+		expect(res.statusCode).toBe(200);
+		expect(res.body).toMatchObject({ offset: 20, pageSize: 10, totalCount: 25 });
+		expect(res.body.results.team.items).toEqual([{ _id: 't21' }, { _id: 't22' }]);
+		const { nextCursor, nextPage } = res.body.results.team;
+		expect(decodeAggregationCursor(nextCursor, config)).toMatchObject({ root, type: 'team', routes: preset.routes, offset: 22, pageSize: 10 });
+		expect(nextPage).toBe(`${config.express.fullHostUrl}1-0/events/fifa/400021443/aggregations/team?cursor=${encodeURIComponent(nextCursor)}`);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects a cursor issued for another resource or type', async () => {
+		for (const params of [{ type: 'venue' }, { id: '400021444' }, { scope: 'opta' }, { schemaType: 'teams' }]) {
+			const res = await getPage(params, cursorFor());
+			expect(res.statusCode).toBe(400);
+			expect(res.body.message).toBe('Error fetching data: cursor does not belong to this resource and type');
+		}
+		expect(config.mongo.pipelines).toEqual([]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects a cursor older than its time to live', async () => {
+		jest.spyOn(Date, 'now').mockReturnValueOnce(Date.now() - config.cursor.ttlMs - 1000);
+		const res = await getPage({}, cursorFor());
+		expect(res.statusCode).toBe(400);
+		expect(res.body.message).toBe('Error fetching data: cursor has expired');
+		expect(config.mongo.pipelines).toEqual([]);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('aggregationOptionsFrom', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('reads the options from query string values or a JSON body using the same names', () => {
+		const fromQuery = aggregationOptionsFrom({ aggregationViews: 'team, venue,team', aggregationEdges: 'e.t,e.v', aggregationMax: '500', 'aggregationMax.team': '5', 'projection.team': 'name, code' });
+		const fromBody = aggregationOptionsFrom({ aggregationViews: ['team', 'venue'], aggregationEdges: ['e.t', 'e.v'], aggregationMax: 500, 'aggregationMax.team': 5, 'projection.team': ['name', 'code'] });
+		for (const options of [fromQuery, fromBody]) {
+			expect(options).toMatchObject({ viewsArray: ['team', 'venue'], aggregationEdges: 'e.t,e.v', aggregationMax: 50, typeMax: { team: 5 }, includeOriginal: false, includeStickies: false });
+			expect(options.fieldProjections.inclusions.team).toEqual({ name: 1, code: 1 });
+			expect(options.fieldProjections.exclusions.all).toEqual({ _original: 0, _stickies: 0 });
+		}
+		expect(aggregationOptionsFrom({ includeOriginal: true, aggregationRoutePaths: 'all' })).toMatchObject({ viewsArray: [], aggregationEdges: null, includeOriginal: true, routePaths: 'all' });
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('getBatchAggregations', () => {
+	const events = ['1', '2', '3'].map((n) => ({ _id: `e${n}`, resourceType: 'event', _externalId: n, _externalIdScope: 'fifa' }));
+	const team = { _id: 't9', resourceType: 'team', _externalId: '9', _externalIdScope: 'fifa' };
+	const item = (id) => ({ _id: id, name: id });
+
+	//////////////////////////////////////////////////////////////////////////////
+	async function postBatch(body, outputsFor) {
+		config.mongo = { ...config.mongo, ...fakeMongo({ sources: { events, teams: [team] }, outputsFor }) };
+		const res = fakeResponse();
+		await getBatchAggregations({ method: 'POST', url: '/', body }, res);
+		return res;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('maps each output to its root by _batchIndex and lists shared resources once in included', async () => {
+		////////////////////////////////////////////////////////////////////////////
+		// Outputs come back out of order: the third root's first
+		const outputsFor = () => [
+			{ _batchIndex: 2, results: { team: { items: [item('t2')], overflow: { overflowIds: [] } } } },
+			{ _batchIndex: 0, results: { team: { items: [item('t1'), item('t2')], overflow: { overflowIds: [] } } }, edgesUsed: ['event.teams->team'] },
+			{ _batchIndex: 1, results: { team: { items: [item('t1')], overflow: { overflowIds: [] } } } },
+		];
+		const roots = ['1', '2', '3'].map((id) => ({ schemaType: 'events', scope: 'fifa', id }));
+		const res = await postBatch({ roots, aggregationViews: ['team'] }, outputsFor);
+		expect(res.statusCode).toBe(200);
+		expect(res.body.results.map(({ root, status, results }) => [root.id, status, results.team.ids])).toEqual([
+			['1', 200, ['t1', 't2']],
+			['2', 200, ['t1']],
+			['3', 200, ['t2']],
+		]);
+		expect(res.body.results[0].edgesUsed).toEqual(['event.teams->team']);
+		expect(res.body.included).toEqual({ team: { t1: item('t1'), t2: item('t2') } });
+		expect(res.body).toMatchObject({ totalCount: 4, includedCount: 2, requestedAggregationViews: ['team'] });
+
+		////////////////////////////////////////////////////////////////////////////
+		// One aggregate: the first root's pipeline, then the others' through $unionWith
+		const [pipeline] = config.mongo.pipelines;
+		expect(config.mongo.pipelines).toHaveLength(1);
+		expect(pipeline.filter((stage) => stage.$unionWith).map((stage) => stage.$unionWith.pipeline.at(-1))).toEqual([{ $set: { _batchIndex: 1 } }, { $set: { _batchIndex: 2 } }]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('reports a status per root without failing the others', async () => {
+		const roots = [
+			{ schemaType: 'events', scope: 'fifa', id: '1' },
+			{ schemaType: 'players', scope: 'fifa', id: '1' },
+			{ schemaType: 'events', scope: 'fifa', id: '404' },
+			{ schemaType: 'teams', scope: 'fifa', id: '9' },
+			{ schemaType: 'events', scope: 'fifa' },
+			{ schemaType: 'events', scope: 'fifa', id: '2' },
+		];
+		////////////////////////////////////////////////////////////////////////////
+		// The second built root (event 2) has no aggregation document, so no output
+		const res = await postBatch({ roots, aggregationViews: 'keyMoment' }, () => [{ _batchIndex: 0, results: { keyMoment: { items: [item('k1')], overflow: { overflowIds: [] } } } }]);
+		expect(res.statusCode).toBe(200);
+		expect(res.body.results.map(({ status, message }) => [status, message ?? null])).toEqual([
+			[200, null],
+			[400, 'Please specify a valid schema type.'],
+			[404, 'No data found for the specified parameters.'],
+			[400, 'KeyMoment aggregation view can only be requested when the root resource is an Event.'],
+			[400, 'Each root must have a schemaType, scope and id.'],
+			[404, 'The root resource has no aggregation document.'],
+		]);
+		expect(res.body.included).toEqual({ keyMoment: { k1: item('k1') } });
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects a batch without roots or views', async () => {
+		const tooMany = Array.from({ length: 51 }, (v, i) => ({ schemaType: 'events', scope: 'fifa', id: String(i) }));
+		for (const body of [{ aggregationViews: 'team' }, { roots: [], aggregationViews: 'team' }, { roots: tooMany, aggregationViews: 'team' }]) {
+			const res = await postBatch(body);
+			expect(res.statusCode).toBe(400);
+			expect(res.body.message).toBe('roots must be a non-empty array of at most 50 { schemaType, scope, id } objects.');
+		}
+		const res = await postBatch({ roots: [{ schemaType: 'events', scope: 'fifa', id: '1' }] });
+		expect(res.statusCode).toBe(400);
+		expect(res.body.message).toBe('Error fetching data: aggregationViews is required');
+		expect(config.mongo.pipelines).toEqual([]);
+	});
+});
@@ -0,0 +1,117 @@
+////////////////////////////////////////////////////////////////////////////////
+// Includes
+const _ = require(`lodash`);
+const uuid = require('uuid');
+const { send200, send400, send500 } = require('../utils/httpResponseUtils.js');
+const { debug, info, warn } = require('../log.js');
+const { RESOURCE_REGISTRY, resourceTypeFor } = require('../registry/resourceRegistry.js');
+const clientAggregationPipelineRouteBuilder = require('../client/clientAggregationPipelineRouteBuilder.js');
+const deriveRoutesFromTargets = require('../client/clientAggregationDeriveRoutes.js');
+const { ClientAggregationError } = require('../client/clientAggregationError.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Notes
+// curl localhost:8080/1-0/graph
+// curl 'localhost:8080/1-0/graph/routes?root=event&targets=team,sgo'
+// curl 'localhost:8080/1-0/graph/routes?root=competition&targets=team&edges=c.s,s.e,e.t'
+// curl 'localhost:8080/1-0/graph/routes?root=sgo&targets=team&policy=fewestHops&paths=3'
+
+////////////////////////////////////////////////////////////////////////////////
+// Routes derived for aggregation requests explore at most this many hops (as getSingleSportsData)
+const derivedRouteMaxDepth = 8;
+
+////////////////////////////////////////////////////////////////////////////////
+// router.get('/', getGraph);
+// The resource types, their edges, aliases and scope classification, and the policies derived routes are ranked by
+async function getGraph(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+
+	//////////////////////////////////////////////////////////////////////////////
+	const types = Object.entries(RESOURCE_REGISTRY).map(([type, entry]) => ({
+		type,
+		alias: entry.alias,
+		collection: entry.collection,
+		scope: entry.competitionScoped ? 'competition' : 'global',
+		edges: entry.edges.map((to) => ({
+			to,
+			field: RESOURCE_REGISTRY[to].idsField,
+			edge: `${type}.${RESOURCE_REGISTRY[to].idsField}->${to}`,
+			edgeId: `${entry.alias}.${RESOURCE_REGISTRY[to].alias}`,
+		})),
+	}));
+	send200(res, {
+		types,
+		edges: types.flatMap(({ type, edges }) => edges.map(({ to, field, edge, edgeId }) => ({ from: type, to, field, edge, edgeId }))),
+		aliases: _.mapValues(RESOURCE_REGISTRY, 'alias'),
+		scopeRules: deriveRoutesFromTargets.SCOPE_RULES,
+		routePolicies: deriveRoutesFromTargets.ROUTE_POLICIES,
+	});
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.get('/routes', getGraphRoutes);
+// Query: root (a type or alias), targets (comma separated types or aliases), optional edges (as aggregationEdges) and,
+// for derived routes, maxDepth, policy and paths (as aggregationRouteDepth, aggregationRoutePolicy and aggregationRoutePaths).
+// Returns the routes an aggregation request with the same views and edges would use and how they were chosen
+async function getGraphRoutes(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	try {
+		//////////////////////////////////////////////////////////////////////////////
+		const rootType = resourceTypeFor(req.query.root);
+		if (!rootType) throw new ClientAggregationError(`root must be one of ${Object.keys(RESOURCE_REGISTRY).join(', ')}`);
+		const targetNames = _.isString(req.query.targets) ? req.query.targets.split(',').map((target) => target.trim()) : [];
+		if (targetNames.length === 0 || targetNames.some((target) => !resourceTypeFor(target))) {
+			throw new ClientAggregationError(`targets must be a comma separated list of ${Object.keys(RESOURCE_REGISTRY).join(', ')}`);
+		}
+		const targets = _.uniq(targetNames.map((target) => resourceTypeFor(target)));
+		const maxDepth = req.query.maxDepth === undefined ? derivedRouteMaxDepth : Number(req.query.maxDepth);
+		if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > 12) throw new ClientAggregationError('maxDepth must be an integer from 1 to 12');
+		const policy = _.isString(req.query.policy) ? req.query.policy : undefined;
+		const paths = req.query.paths == null ? undefined : req.query.paths === 'all' ? 'all' : Number(req.query.paths);
+
+		//////////////////////////////////////////////////////////////////////////////
+		// Given edges are expanded by the route builder; without them, or when they form no route, routes are derived
+		const retDoc = { root: rootType, targets, maxDepth };
+		if (_.isString(req.query.edges) && req.query.edges.length > 0) {
+			const edgeIds = req.query.edges.split(',').map((edgeId) => edgeId.trim());
+			const routes = clientAggregationPipelineRouteBuilder({ rootType, includeTypes: targets, edgeIds });
+			const resolved = edgeIds.map((edgeId) => ({ edgeId, edge: clientAggregationPipelineRouteBuilder.buildEdgeIds([edgeId])[0] || null }));
+			retDoc.edges = { resolved: resolved.filter(({ edge }) => edge), ignored: resolved.filter(({ edge }) => !edge).map(({ edgeId }) => edgeId) };
+			if (routes.length > 0) {
+				retDoc.source = 'edges';
+				retDoc.routes = routes;
+				retDoc.unrouted = targets.filter((target) => target !== rootType && !routes.some((route) => route.to === target));
+				info(`Graph routes from ${rootType} to ${targets.join(',')}: ${routes.length} routes from edges`, id);
+				send200(res, retDoc);
+				return;
+			}
+		}
+		//////////////////////////////////////////////////////////////////////////////
+		const derivation = deriveRoutesFromTargets.explainDerivedRoutes({ rootType, targets, maxDepth, policy, paths });
+		retDoc.source = 'derived';
+		retDoc.policy = policy || deriveRoutesFromTargets.DEFAULT_ROUTE_POLICY;
+		retDoc.routes = derivation.flatMap((target) => target.routes);
+		retDoc.unrouted = derivation.filter((target) => target.routes.length === 0 && target.to !== rootType).map((target) => target.to);
+		retDoc.derivation = derivation;
+		info(`Graph routes from ${rootType} to ${targets.join(',')}: ${retDoc.routes.length} derived routes`, id);
+		send200(res, retDoc);
+	} catch (e) {
+		//////////////////////////////////////////////////////////////////////////////
+		if (e instanceof ClientAggregationError) {
+			warn(`Client aggregation error explaining graph routes - ${e.message}`, 'WDxxx', 400, 'Client Aggregation Error');
+			send400(res, {
+				message: `Error explaining routes: ${e.message}`,
+				errorCode: 'WDxxx', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+				category: 'Client Aggregation Error',
+			});
+			return;
+		}
+		warn(`Error explaining graph routes - ${e.message}`, 'WDxxx', 500, 'Graph Error');
+		send500(res, e.message);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { getGraph, getGraphRoutes };
@@ -0,0 +1,93 @@
+////////////////////////////////////////////////////////////////////////////////
+// Includes
+const _ = require(`lodash`);
+const uuid = require('uuid');
+const { send200, send202, send400, send404, send500, mongoUnavailable } = require('../utils/httpResponseUtils.js');
+const { debug, info } = require('../log.js');
+const config = require('../config.js');
+const { keySeparator } = require('../pipelines/constants.js');
+const { parseRebuildOptions } = require('./buildMaterialisedViewController.js');
+const { canonicalResourceType } = require('../pipelines/rebuildFromRoot.js');
+const { startRebuildJob } = require('../jobs/rebuildJobRunner.js');
+const { getJob } = require('../jobs/rebuildJobStore.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Notes
+// curl -X POST localhost:8080/1-0/jobs/rebuild -H 'Content-Type: application/json' -d '{"resourceType":"competition","key":"289175 @ fifa"}'
+// curl -X POST localhost:8080/1-0/jobs/rebuild -H 'Content-Type: application/json' -d '{"resourceType":"team","scope":"fifa","id":"289175_1954283","maxDepth":2,"types":"event,sportsPerson"}'
+// curl localhost:8080/1-0/jobs/<job id>
+
+////////////////////////////////////////////////////////////////////////////////
+// router.post('/rebuild', createRebuildJobController);
+// Body: { resourceType, key } or { resourceType, scope, id }, plus optional maxDepth and types
+async function createRebuildJobController(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	if (mongoUnavailable(res, config?.mongo)) return;
+	const body = _.isObject(req.body) ? req.body : {};
+
+	//////////////////////////////////////////////////////////////////////////////
+	const resourceType = canonicalResourceType(body.resourceType);
+	if (!resourceType) {
+		send400(res, `Invalid resourceType: ${body.resourceType}.`);
+		return;
+	}
+	const key = _.isString(body.key) && body.key.length > 0 ? body.key : _.isString(body.id) && _.isString(body.scope) ? `${body.id}${keySeparator}${body.scope}` : null;
+	if (!key) {
+		send400(res, 'Please specify either key, or id and scope, of the resource to rebuild from.');
+		return;
+	}
+	const rebuildOptions = parseRebuildOptions({ maxDepth: body.maxDepth, types: Array.isArray(body.types) ? body.types.join(',') : body.types });
+	if (rebuildOptions.error) {
+		send400(res, rebuildOptions.error);
+		return;
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	try {
+		const { job } = await startRebuildJob(config, config.mongo, { resourceType, key, ...rebuildOptions }, id);
+		info(`Queued rebuild job ${job._id} for ${resourceType} ${key}`, id);
+		send202(
+			res,
+			{
+				status: 202,
+				service: config?.serviceName,
+				message: `Rebuild job started for ${resourceType} ${key}`,
+				jobId: job._id,
+				statusUrl: `/1-0/jobs/${job._id}`,
+			},
+			config
+		);
+	} catch (err) {
+		send500(res, err.message);
+		return;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// router.get('/:id', getJobController);
+async function getJobController(req, res) {
+	const id = uuid.v4();
+	debug(`${req.method} ${req.url}${req.hostname != undefined ? ' [called from ' + req.hostname + ']' : ''}`, id);
+	if (mongoUnavailable(res, config?.mongo)) return;
+	try {
+		const job = await getJob(config.mongo, config, req.params.id);
+		if (!job) {
+			send404(res, `No job found with id ${req.params.id}`);
+			return;
+		}
+		const body = {
+			status: 200,
+			service: config?.serviceName,
+			message: `Job ${job._id} is ${job.status}`,
+			response: job,
+		};
+		send200(res, body, config);
+	} catch (err) {
+		send500(res, err.message);
+		return;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { createRebuildJobController, getJobController };
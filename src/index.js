@@ -13,14 +13,30 @@ const { send200, send400, send401, send404, send500, sendError } = require('./ut
 const healthcheckRoutes = require('./routes/healthcheckRouter.js');
 const logRoutes = require('./routes/logRouter.js');
 const gamedayDataRouter = require('./routes/gamedayDataRouter.js');
+const jobsRouter = require('./routes/jobsRouter.js');
+const adminRouter = require('./routes/adminRouter.js');
+const graphRouter = require('./routes/graphRouter.js');
+const aggregationPresetsRouter = require('./routes/aggregationPresetsRouter.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Watchers
+const { startChangeStreamWatchers } = require('./watchers/changeStreamWatcher.js');
+const { markInterruptedJobs } = require('./jobs/rebuildJobStore.js');
+const { startDriftScanSchedule } = require('./verification/driftScanner.js');
+const { validateResourceRegistry } = require('./registry/resourceRegistry.js');
+const { SORT_FIELDS } = require('./client/clientAggregationPipelineBuilderSortFields.js');
+const COLLECTIONS = require('./client/clientAggregationPipelineBuilderCollections.js');
 
 ////////////////////////////////////////////////////////////////////////////////
 // Constants
 const config = require('./config.js');
+let changeStreamWatchers = null;
+let driftScanSchedule = null;
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
- * Gracefully shuts down the application by closing the MongoDB connection and exiting the process.
+ * Gracefully shuts down the application by stopping any change stream watchers and scheduled drift scans, closing the
+ * MongoDB connection and exiting the process.
  *
  * This asynchronous handler awaits the closeMongo(mongo) call to attempt a clean shutdown of the
  * database connection, then calls process.exit(0) to terminate the Node process with a success code.
@@ -36,6 +52,8 @@ const config = require('./config.js');
  * @see closeMongo
  */
 async function shutdownHandler() {
+	if (changeStreamWatchers) await changeStreamWatchers.stop();
+	if (driftScanSchedule) driftScanSchedule.stop();
 	await closeMongo(mongo);
 	process.exit(0);
 }
@@ -63,6 +81,7 @@ function _404(req, res, next) {
  * Side effects:
  * - Reads process.argv for a "-v" flag to set debug logging.
  * - Mutates global/outer-scope `config` (normalizes `config.express.port`).
+ * - Validates the resource registry, failing startup if it is inconsistent.
  * - Calls `connectToMongo` to populate a `mongo` connection.
  * - Creates and starts an Express HTTP server that listens on
  *   `config.server.port`.
@@ -85,6 +104,10 @@ async function main() {
 
 		config.cwd = process.cwd();
 		config.express.port = normalizePort(config?.express?.port);
+		////////////////////////////////////////////////////////////////////////////
+		// Refuse to start on an inconsistent graph: routes, builds and reference updates all read the registry
+		validateResourceRegistry();
+		info(`Resource registry is consistent`);
 		info(`Trying to start on port ${config.express.port}...`);
 		mongo = await connectToMongo(config.mongo);
 
@@ -123,6 +146,41 @@ async function main() {
 		} else {
 			info(`Index ${gamedayIdIndexName} exists on collection ${collectionName}`);
 		}
+		////////////////////////////////////////////////////////////////////////////
+		// Ensure index on { name: 1, version: 1 } exists on the presets collection
+		// so that two saves can never store the same version of a preset
+		const presetsCollectionName = config?.presets?.collectionName || 'aggregationPresets';
+		const presetIndex = config?.presets?.indexNameAndVersion || { name: 1, version: 1 };
+		const presetIndexName = config?.presets?.indexNameAndVersionName || 'name_1_version_1';
+		if (!(await collectionExists(mongo, presetsCollectionName))) {
+			warn(`Aggregation Presets Collection ${presetsCollectionName} does not exist - creating...`);
+			await mongo.db.createCollection(presetsCollectionName);
+			info(`Created collection ${presetsCollectionName}`);
+		}
+		if (!(await indexExistsOnCollection(mongo, presetsCollectionName, presetIndexName))) {
+			warn(`Index ${presetIndexName} does not exist on collection ${presetsCollectionName} - creating...`);
+			await mongo.db.collection(presetsCollectionName).createIndex(presetIndex, { unique: true, name: presetIndexName });
+			info(`Created index ${presetIndexName} on collection ${presetsCollectionName}`);
+		} else {
+			info(`Index ${presetIndexName} exists on collection ${presetsCollectionName}`);
+		}
+		////////////////////////////////////////////////////////////////////////////
+		// Ensure an index on every field clients may sort by (aggregationSort) exists on its source collection
+		for (const [resourceType, fields] of Object.entries(SORT_FIELDS)) {
+			const sourceCollectionName = COLLECTIONS[resourceType];
+			if (!(await collectionExists(mongo, sourceCollectionName))) {
+				warn(`Source collection ${sourceCollectionName} does not exist - not indexing its sort fields`);
+				continue;
+			}
+			for (const field of fields) {
+				const sortIndexName = `${field}_1`;
+				if (!(await indexExistsOnCollection(mongo, sourceCollectionName, sortIndexName))) {
+					warn(`Index ${sortIndexName} does not exist on collection ${sourceCollectionName} - creating...`);
+					await mongo.db.collection(sourceCollectionName).createIndex({ [field]: 1 }, { name: sortIndexName });
+					info(`Created index ${sortIndexName} on collection ${sourceCollectionName}`);
+				}
+			}
+		}
 
 		////////////////////////////////////////////////////////////////////////////
 		const session = mongo.client.startSession();
@@ -130,6 +188,25 @@ async function main() {
 		else throw new Error('Mongo sessions not supported');
 		await session.endSession();
 
+		////////////////////////////////////////////////////////////////////////////
+		// Rebuild jobs run in-process, so any still running belonged to a previous instance
+		const interruptedJobs = await markInterruptedJobs(mongo, config);
+		if (interruptedJobs > 0) warn(`Marked ${interruptedJobs} unfinished rebuild job(s) as interrupted`);
+
+		////////////////////////////////////////////////////////////////////////////
+		// Rebuild aggregation documents as the source collections change
+		if (config?.watcher?.enabled === true) {
+			changeStreamWatchers = startChangeStreamWatchers(config, mongo);
+			info(`Change stream watchers started for ${config.watcher.collections.join(', ')}`);
+		}
+
+		////////////////////////////////////////////////////////////////////////////
+		// Periodically compare aggregation documents with their sources to keep the drift metrics current
+		if (config?.drift?.intervalMs > 0) {
+			driftScanSchedule = startDriftScanSchedule(config, mongo);
+			info(`Drift scans scheduled every ${config.drift.intervalMs}ms`);
+		}
+
 		////////////////////////////////////////////////////////////////////////////
 		// Create Express app
 		const app = express();
@@ -140,7 +217,7 @@ async function main() {
 		// Handle CORS
 		const corsOptions = {
 			origin: ['http://localhost:3000', 'https://mangoplay.mangodev.co.uk'],
-			methods: ['GET', 'POST'],
+			methods: ['GET', 'POST', 'PUT', 'DELETE'],
 			credentials: false,
 		};
 
@@ -152,6 +229,10 @@ async function main() {
 		// Routes
 		app.use('/healthcheck', healthcheckRoutes);
 		app.use('/log', logRoutes);
+		app.use('/1-0/jobs', jobsRouter);
+		app.use('/1-0/admin', adminRouter);
+		app.use('/1-0/graph', graphRouter);
+		app.use('/1-0/aggregation-presets', aggregationPresetsRouter);
 		app.use('/1-0', gamedayDataRouter);
 
 		////////////////////////////////////////////////////////////////////////////
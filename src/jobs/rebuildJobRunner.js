@@ -0,0 +1,90 @@
+////////////////////////////////////////////////////////////////////////////////
+// Runs full rebuilds (rebuildFromRoot) in the background as jobs. The job document
+// is created before the rebuild starts, its progress is written every
+// config.jobs.progressIntervalMs while it runs and its final state when it ends.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+const crypto = require('crypto');
+const { info, warn } = require('../log.js');
+const { rebuildFromRoot, canonicalResourceType } = require('../pipelines/rebuildFromRoot.js');
+const { createTrackingSets } = require('../pipelines/rebuildAggregationDocumentsForCompetition.js');
+const { createJob, updateJobProgress, finishJob } = require('./rebuildJobStore.js');
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Runs a rebuild job to completion, recording its progress and outcome on the job document.
+ * Never rejects: a failed rebuild is recorded on the job.
+ *
+ * @async
+ * @function runRebuildJob
+ * @param {Object} config - Configuration object containing mongo, rebuild and jobs settings
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @param {Object} job - The job document from createJob
+ * @returns {Promise<void>} Resolves when the job has finished and its final state is stored
+ */
+async function runRebuildJob(config, mongo, job) {
+	const jobId = job._id;
+	const { resourceType, key, maxDepth, types } = job.request;
+	const trackingSets = createTrackingSets();
+	const progressIntervalMs = config?.jobs?.progressIntervalMs ?? 2000;
+	let depthReached = 0;
+	const timer = setInterval(() => {
+		updateJobProgress(mongo, config, jobId, trackingSets, depthReached).catch((err) => warn(`Failed to store progress of job ${jobId}: ${err.message}`, jobId));
+	}, progressIntervalMs);
+	timer.unref?.();
+	//////////////////////////////////////////////////////////////////////////////
+	let status = 'completed';
+	let errorMessage = null;
+	try {
+		const result = await rebuildFromRoot(mongo, config, resourceType, key, jobId, { maxDepth, types, trackingSets, onDepth: (depth) => (depthReached = depth) });
+		depthReached = result.depthReached;
+		if (!_.isObject(result.rootAggregationDoc)) {
+			status = 'failed';
+			errorMessage = `Root ${resourceType} ${key} could not be rebuilt`;
+		}
+	} catch (err) {
+		status = 'failed';
+		errorMessage = err.message;
+	} finally {
+		clearInterval(timer);
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	try {
+		await finishJob(mongo, config, jobId, status, job.startedAt, trackingSets, depthReached, errorMessage);
+		info(`Rebuild job ${jobId} ${status}${errorMessage ? `: ${errorMessage}` : ''}`, jobId);
+	} catch (err) {
+		warn(`Failed to store final state of job ${jobId}: ${err.message}`, jobId);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Creates a rebuild job and starts it in the background.
+ *
+ * @async
+ * @function startRebuildJob
+ * @param {Object} config - Configuration object containing mongo, rebuild and jobs settings
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @param {Object} request - What to rebuild
+ * @param {string} request.resourceType - Type of the root resource (e.g. 'competition')
+ * @param {string} request.key - External key of the root resource (e.g. '289175 @ fifa')
+ * @param {number} [request.maxDepth] - Levels of references to follow from the root
+ * @param {string[]} [request.types] - Only follow references to these resource types
+ * @param {string} requestId - Request identifier for logging
+ * @returns {Promise<{ job: Object, done: Promise<void> }>} The stored job document, and a promise
+ *   that resolves when the job has finished
+ * @throws {Error} If the request is invalid (checked before the job is created)
+ */
+async function startRebuildJob(config, mongo, request, requestId) {
+	if (!canonicalResourceType(request?.resourceType)) throw new Error(`Invalid parameters: unknown resourceType ${request?.resourceType}`);
+	if (!_.isString(request.key) || request.key.length === 0) throw new Error('Invalid parameters: key must be a non-empty string');
+	const jobRequest = { resourceType: canonicalResourceType(request.resourceType), key: request.key, maxDepth: request.maxDepth ?? null, types: request.types ?? null };
+	//////////////////////////////////////////////////////////////////////////////
+	const job = await createJob(mongo, config, crypto.randomUUID(), 'rebuild', _.omitBy(jobRequest, _.isNull));
+	info(`Started rebuild job ${job._id} for ${jobRequest.resourceType} ${jobRequest.key}`, requestId);
+	const done = runRebuildJob(config, mongo, job);
+	return { job, done };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { startRebuildJob };
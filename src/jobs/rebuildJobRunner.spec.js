@@ -0,0 +1,116 @@
+jest.mock('../pipelines/rebuildFromRoot.js', () => ({
+	...jest.requireActual('../pipelines/rebuildFromRoot.js'),
+	rebuildFromRoot: jest.fn(),
+}));
+
+const { rebuildFromRoot } = require('../pipelines/rebuildFromRoot.js');
+const { startRebuildJob } = require('./rebuildJobRunner.js');
+const { getJob, markInterruptedJobs } = require('./rebuildJobStore.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// A stand-in for the jobs collection, supporting the operations the job store uses
+function fakeMongo() {
+	const jobs = new Map();
+	const matches = (job, filter) => Object.entries(filter).every(([field, value]) => (Array.isArray(value?.$in) ? value.$in.includes(job[field]) : job[field] === value));
+	const collection = {
+		insertOne: async (doc) => jobs.set(doc._id, { ...doc }),
+		findOne: async (filter) => [...jobs.values()].find((job) => matches(job, filter)) || null,
+		updateOne: async (filter, update) => {
+			const job = [...jobs.values()].find((j) => matches(j, filter));
+			if (job) Object.assign(job, update.$set);
+		},
+		updateMany: async (filter, update) => {
+			const matched = [...jobs.values()].filter((j) => matches(j, filter));
+			matched.forEach((job) => Object.assign(job, update.$set));
+			return { modifiedCount: matched.length };
+		},
+	};
+	return { db: { collection: () => collection }, jobs };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+const config = { mongo: { matAggCollectionName: 'materialisedAggregations' }, jobs: { collectionName: 'rebuildJobs', progressIntervalMs: 5 } };
+
+////////////////////////////////////////////////////////////////////////////////
+describe('rebuild jobs', () => {
+	beforeEach(() => jest.clearAllMocks());
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('returns a running job straight away and records the outcome when the rebuild ends', async () => {
+		let finishRebuild;
+		rebuildFromRoot.mockImplementation(async (mongo, config, resourceType, key, requestId, { trackingSets, onDepth }) => {
+			onDepth(1);
+			trackingSets.attemptedRebuildSet.add('{ type: competition, key: c @ fifa }').add('{ type: stage, key: s @ fifa }');
+			trackingSets.completedRebuildSet.add('{ type: competition, key: c @ fifa }');
+			trackingSets.failedRebuildSet.add('{ type: stage, key: s @ fifa }');
+			await new Promise((resolve) => (finishRebuild = resolve));
+			return { rootAggregationDoc: { resourceType: 'competition' }, depthReached: 1, trackingSets };
+		});
+		const mongo = fakeMongo();
+		const { job, done } = await startRebuildJob(config, mongo, { resourceType: 'Competition', key: 'c @ fifa', maxDepth: 1 }, 'req');
+		expect(job.status).toBe('running');
+		expect(job.request).toEqual({ resourceType: 'competition', key: 'c @ fifa', maxDepth: 1 });
+		expect(rebuildFromRoot.mock.calls[0][5]).toMatchObject({ maxDepth: 1, types: undefined });
+
+		////////////////////////////////////////////////////////////////////////////
+		// Progress is stored while the rebuild is still running
+		await new Promise((resolve) => setTimeout(resolve, 20));
+		expect((await getJob(mongo, config, job._id)).progress).toEqual({ attempted: 2, completed: 1, failed: 1, skipped: 0, depthReached: 1 });
+
+		finishRebuild();
+		await done;
+		const finished = await getJob(mongo, config, job._id);
+		expect(finished.status).toBe('completed');
+		expect(finished.failed).toEqual(['{ type: stage, key: s @ fifa }']);
+		expect(finished.progress.depthReached).toBe(1);
+		expect(finished.durationMs).toBeGreaterThanOrEqual(0);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('stores complete counts but only a sample of the failed and skipped keys', async () => {
+		rebuildFromRoot.mockImplementationOnce(async (mongo, config, resourceType, key, requestId, { trackingSets }) => {
+			['a', 'b', 'c'].forEach((key) => trackingSets.attemptedRebuildSet.add(key) && trackingSets.failedRebuildSet.add(key));
+			return { rootAggregationDoc: { resourceType: 'competition' }, depthReached: 1, trackingSets };
+		});
+		const mongo = fakeMongo();
+		const { job, done } = await startRebuildJob({ ...config, jobs: { ...config.jobs, sampleLimit: 2 } }, mongo, { resourceType: 'competition', key: 'c @ fifa' }, 'req');
+		await done;
+		const finished = await getJob(mongo, config, job._id);
+		expect(finished).toMatchObject({ failed: ['a', 'b'], skipped: [], truncated: true });
+		expect(finished.progress).toMatchObject({ attempted: 3, failed: 3 });
+		expect(finished).not.toHaveProperty('attempted');
+		expect(finished).not.toHaveProperty('completed');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('records a failed job when the rebuild throws or the root cannot be built', async () => {
+		const mongo = fakeMongo();
+		rebuildFromRoot.mockRejectedValueOnce(new Error('boom'));
+		const first = await startRebuildJob(config, mongo, { resourceType: 'team', key: 't @ fifa' }, 'req');
+		await first.done;
+		expect(await getJob(mongo, config, first.job._id)).toMatchObject({ status: 'failed', error: 'boom' });
+
+		rebuildFromRoot.mockImplementationOnce(async (mongo, config, rt, key, requestId, { trackingSets }) => ({ rootAggregationDoc: null, depthReached: 0, trackingSets }));
+		const second = await startRebuildJob(config, mongo, { resourceType: 'team', key: 't @ fifa' }, 'req');
+		await second.done;
+		expect((await getJob(mongo, config, second.job._id)).status).toBe('failed');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects invalid requests without creating a job', async () => {
+		const mongo = fakeMongo();
+		await expect(startRebuildJob(config, mongo, { resourceType: 'story', key: 'x' }, 'req')).rejects.toThrow('unknown resourceType');
+		await expect(startRebuildJob(config, mongo, { resourceType: 'team' }, 'req')).rejects.toThrow('key');
+		expect(mongo.jobs.size).toBe(0);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('marks jobs left running by a previous instance as interrupted', async () => {
+		const mongo = fakeMongo();
+		mongo.jobs.set('a', { _id: 'a', status: 'running' });
+		mongo.jobs.set('b', { _id: 'b', status: 'completed' });
+		expect(await markInterruptedJobs(mongo, config)).toBe(1);
+		expect(mongo.jobs.get('a').status).toBe('interrupted');
+		expect(mongo.jobs.get('b').status).toBe('completed');
+	});
+});
@@ -0,0 +1,160 @@
+////////////////////////////////////////////////////////////////////////////////
+// Persists rebuild jobs (one document per job) so that their status and progress
+// can be read back by id, including after the service has restarted.
+//
+// A job document looks like:
+// {
+//    _id: <job id>, type: 'rebuild', status: 'running' | 'completed' | 'failed' | 'interrupted',
+//    request: { resourceType, key, maxDepth, types },
+//    createdAt, startedAt, finishedAt, durationMs, lastUpdated,
+//    progress: { attempted, completed, failed, skipped, depthReached },
+//    failed: [...], skipped: [...], truncated,
+//    error: <message if the job failed>,
+// }
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+
+////////////////////////////////////////////////////////////////////////////////
+// Statuses of a job that has not finished
+const ACTIVE_JOB_STATUSES = ['running'];
+
+////////////////////////////////////////////////////////////////////////////////
+// Default for config.jobs.sampleLimit
+const DEFAULT_SAMPLE_LIMIT = 100;
+
+////////////////////////////////////////////////////////////////////////////////
+function jobsCollection(mongo, config) {
+	if (!_.isString(config?.jobs?.collectionName)) throw new Error('Invalid configuration: config.jobs.collectionName must be a string');
+	return mongo.db.collection(config.jobs.collectionName);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// The progress fields of a job document from the tracking sets of a rebuild. Only the counts are complete:
+// a rebuild from a competition reaches tens of thousands of documents, so listing every key would soon
+// outgrow the 16MB document limit. The failed and skipped keys are kept up to config.jobs.sampleLimit.
+function progressFields(config, trackingSets, depthReached) {
+	const { attemptedRebuildSet, completedRebuildSet, failedRebuildSet, skippedRebuildSet } = trackingSets;
+	const sampleLimit = config.jobs.sampleLimit ?? DEFAULT_SAMPLE_LIMIT;
+	return {
+		progress: {
+			attempted: attemptedRebuildSet.size,
+			completed: completedRebuildSet.size,
+			failed: failedRebuildSet.size,
+			skipped: skippedRebuildSet.size,
+			depthReached,
+		},
+		failed: [...failedRebuildSet].slice(0, sampleLimit),
+		skipped: [...skippedRebuildSet].slice(0, sampleLimit),
+		truncated: failedRebuildSet.size > sampleLimit || skippedRebuildSet.size > sampleLimit,
+		lastUpdated: new Date(),
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Creates a job document in the running state.
+ *
+ * @async
+ * @function createJob
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing jobs settings
+ * @param {string} jobId - Identifier of the new job
+ * @param {string} type - Kind of job (e.g. 'rebuild')
+ * @param {Object} request - The parameters the job was started with
+ * @returns {Promise<Object>} The stored job document
+ */
+async function createJob(mongo, config, jobId, type, request) {
+	const now = new Date();
+	const job = {
+		_id: jobId,
+		type,
+		status: 'running',
+		request,
+		createdAt: now,
+		startedAt: now,
+		finishedAt: null,
+		durationMs: null,
+		progress: { attempted: 0, completed: 0, failed: 0, skipped: 0, depthReached: 0 },
+		failed: [],
+		skipped: [],
+		truncated: false,
+		error: null,
+		lastUpdated: now,
+	};
+	await jobsCollection(mongo, config).insertOne(job);
+	return job;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Stores the current progress of a running job.
+ *
+ * @async
+ * @function updateJobProgress
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing jobs settings
+ * @param {string} jobId - Identifier of the job
+ * @param {Object} trackingSets - Sets from createTrackingSets()
+ * @param {number} [depthReached=0] - Level of references being rebuilt
+ * @returns {Promise<void>}
+ */
+async function updateJobProgress(mongo, config, jobId, trackingSets, depthReached = 0) {
+	await jobsCollection(mongo, config).updateOne({ _id: jobId, status: { $in: ACTIVE_JOB_STATUSES } }, { $set: progressFields(config, trackingSets, depthReached) });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Marks a job as finished, storing its final progress and timings.
+ *
+ * @async
+ * @function finishJob
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing jobs settings
+ * @param {string} jobId - Identifier of the job
+ * @param {string} status - Final status ('completed' or 'failed')
+ * @param {Date} startedAt - When the job started, used for durationMs
+ * @param {Object} trackingSets - Sets from createTrackingSets()
+ * @param {number} [depthReached=0] - Deepest level of references rebuilt
+ * @param {string|null} [errorMessage=null] - Why the job failed
+ * @returns {Promise<void>}
+ */
+async function finishJob(mongo, config, jobId, status, startedAt, trackingSets, depthReached = 0, errorMessage = null) {
+	const finishedAt = new Date();
+	const update = { ...progressFields(config, trackingSets, depthReached), status, finishedAt, durationMs: finishedAt - startedAt, error: errorMessage };
+	await jobsCollection(mongo, config).updateOne({ _id: jobId }, { $set: update });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Reads a job by id.
+ *
+ * @async
+ * @function getJob
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing jobs settings
+ * @param {string} jobId - Identifier of the job
+ * @returns {Promise<Object|null>} The job document, or null if there is no such job
+ */
+async function getJob(mongo, config, jobId) {
+	return await jobsCollection(mongo, config).findOne({ _id: jobId });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Marks every job that was still running as interrupted. Jobs run in-process, so at startup
+ * any job left running belongs to a previous instance of the service and will never finish.
+ *
+ * @async
+ * @function markInterruptedJobs
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing jobs settings
+ * @returns {Promise<number>} The number of jobs marked as interrupted
+ */
+async function markInterruptedJobs(mongo, config) {
+	const now = new Date();
+	const result = await jobsCollection(mongo, config).updateMany({ status: { $in: ACTIVE_JOB_STATUSES } }, { $set: { status: 'interrupted', finishedAt: now, lastUpdated: now } });
+	return result?.modifiedCount ?? 0;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { createJob, updateJobProgress, finishJob, getJob, markInterruptedJobs };
@@ -5,10 +5,8 @@
 ////////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline, queryForClubAggregationDoc } = require('./clubAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -23,6 +21,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} clubId - External ID of the club to process
  * @param {string} requestId - Unique identifier for tracking the request
  * @param {boolean} [updatedReferences=true] - Whether to update references after aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} Returns the new aggregation document, 404 if club not found, or null on failure
  * @throws {Error} Throws error if configuration is invalid or required parameters are missing
  *
@@ -33,7 +32,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * 4. Compares old and new aggregation documents
  * 5. Updates references if requested and aggregation succeeded
  */
-async function processClub(config, mongo, clubIdScope, clubId, requestId, updatedReferences = true) {
+async function processClub(config, mongo, clubIdScope, clubId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!clubId || !clubIdScope) throw new Error('Invalid parameters: clubId and clubIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -50,27 +49,8 @@ async function processClub(config, mongo, clubIdScope, clubId, requestId, update
 	const pipelineObj = pipeline(config, clubIdScope, clubId);
 	const clubAggregationDocQuery = queryForClubAggregationDoc(clubId, clubIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the club aggregation (if it exists)
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(clubAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the club aggregation view
-	await runPipeline(mongo, 'clubs', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the club aggregation and calculate new outbound keys
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(clubAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the club aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'clubs', pipelineObj, clubAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -6,11 +6,9 @@
 ////////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline } = require('./competitionAggregationPipeline');
 const { queryForCompetitionAggregationDoc } = require('./competitionAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -27,10 +25,11 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} competitionId - External ID of the competition to process
  * @param {string} requestId - Unique identifier for tracking this request
  * @param {boolean} [updatedReferences=true] - Whether to update outbound references
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} The new aggregation document, 404 if competition not found, or null on failure
  * @throws {Error} When config.mongo.matAggCollectionName is invalid or required parameters are missing
  */
-async function processCompetition(config, mongo, competitionIdScope, competitionId, requestId, updatedReferences = true) {
+async function processCompetition(config, mongo, competitionIdScope, competitionId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!competitionId || !competitionIdScope) throw new Error('Invalid parameters: competitionId and competitionIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -47,29 +46,8 @@ async function processCompetition(config, mongo, competitionIdScope, competition
 	const pipelineObj = pipeline(config, competitionIdScope, competitionId);
 	const competitionAggregationDocQuery = queryForCompetitionAggregationDoc(competitionId, competitionIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the competition aggregation (if it exists) and calculate old sgo keys
-	// A competition has outbound references to:
-	// - SGOs (via sgoMemberships)
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(competitionAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the competition aggregation view
-	await runPipeline(mongo, 'competitions', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the competition aggregation and calculate new competition keys
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(competitionAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the competition aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'competitions', pipelineObj, competitionAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
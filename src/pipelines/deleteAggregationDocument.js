@@ -0,0 +1,84 @@
+////////////////////////////////////////////////////////////////////////////////
+// Removes the aggregation document of a deleted gameday resource and pulls the
+// resource back out of every aggregation document that referenced it.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+const { debug, warn } = require('../log');
+const { buildOperationsForReferenceChange } = require('./referenceManagement');
+const { executeOperationsForReferenceChange } = require('./referenceManagement');
+const { diffAggregationDocuments } = require('./diffAggregationDocuments');
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Deletes a single aggregation document and removes its back-references.
+ *
+ * The reference operations are produced by diffing the old aggregation document against an
+ * "empty" new document (same resourceType, externalKey and gamedayId but no outbound keys), so
+ * every document the resource used to reference has it pulled from its `xxxs`/`xxxKeys`.
+ *
+ * @async
+ * @function deleteAggregationDocument
+ * @param {Object} config - Configuration object containing mongo settings
+ * @param {string} config.mongo.matAggCollectionName - Name of the materialised aggregation collection
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} aggregationDocQuery - Query identifying the aggregation document (e.g. { resourceType, externalKey })
+ * @param {string} requestId - Request identifier for logging
+ * @param {boolean} [updatedReferences=true] - Whether to remove the back-references as well
+ * @param {boolean} [dryRun=false] - Report what the delete would change instead of deleting anything
+ * @returns {Promise<Object|number>} The deleted aggregation document (or, for a dry run,
+ *   { dryRun: true, current, proposed: null, diff, referenceOperations }), or 404 if there was none
+ * @throws {Error} When config.mongo.matAggCollectionName is invalid or the query is not an object
+ */
+async function deleteAggregationDocument(config, mongo, aggregationDocQuery, requestId, updatedReferences = true, dryRun = false) {
+	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
+	if (!_.isObject(aggregationDocQuery)) throw new Error('Invalid parameters: aggregationDocQuery must be an object');
+	//////////////////////////////////////////////////////////////////////////////
+	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(aggregationDocQuery);
+	if (!_.isObject(oldAggregationDoc)) {
+		debug(`No aggregation document to delete for ${JSON.stringify(aggregationDocQuery)}`, requestId);
+		return 404;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	// Diff against an empty document so every outbound reference is treated as removed
+	const emptyAggregationDoc = {
+		resourceType: oldAggregationDoc.resourceType,
+		externalKey: oldAggregationDoc.externalKey,
+		gamedayId: oldAggregationDoc.gamedayId,
+	};
+	const operations = updatedReferences === true ? buildOperationsForReferenceChange(oldAggregationDoc, emptyAggregationDoc) : [];
+	if (dryRun === true) {
+		return { dryRun: true, current: oldAggregationDoc, proposed: null, diff: diffAggregationDocuments(oldAggregationDoc, null), referenceOperations: operations };
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	await mongo.db.collection(config.mongo.matAggCollectionName).deleteOne({ _id: oldAggregationDoc._id });
+	debug(`Deleted aggregation document ${oldAggregationDoc.resourceType} ${oldAggregationDoc.externalKey}`, requestId);
+	await executeOperationsForReferenceChange(mongo, config, operations, requestId);
+	//////////////////////////////////////////////////////////////////////////////
+	return oldAggregationDoc;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Deletes the aggregation document of a resource identified by its gameday id, which is all a
+ * change stream delete event carries.
+ *
+ * @async
+ * @function deleteAggregationDocumentForGamedayId
+ * @param {Object} config - Configuration object containing mongo settings
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {string} resourceType - Resource type of the deleted document (e.g. 'event', 'sportsPerson')
+ * @param {ObjectId} gamedayId - The `_id` of the deleted source document
+ * @param {string} requestId - Request identifier for logging
+ * @returns {Promise<Object|number>} The deleted aggregation document, or 404 if there was none
+ */
+async function deleteAggregationDocumentForGamedayId(config, mongo, resourceType, gamedayId, requestId) {
+	if (!_.isString(resourceType)) throw new Error('Invalid parameters: resourceType must be a string');
+	if (gamedayId == null) {
+		warn(`No gameday id supplied for ${resourceType} delete`, requestId);
+		return 404;
+	}
+	return await deleteAggregationDocument(config, mongo, { resourceType: resourceType.toLowerCase(), gamedayId }, requestId);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { deleteAggregationDocument, deleteAggregationDocumentForGamedayId };
@@ -0,0 +1,49 @@
+////////////////////////////////////////////////////////////////////////////////
+// Structured diff between the stored and a proposed aggregation document, used by
+// dry-run builds to show what a re-materialisation would change.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+
+////////////////////////////////////////////////////////////////////////////////
+// Fields that differ on every build (or are kept by $merge) and say nothing about the content
+const IGNORED_FIELDS = ['_id', 'lastUpdated'];
+
+////////////////////////////////////////////////////////////////////////////////
+function diffValues(from, to, path, changes) {
+	if (_.isPlainObject(from) && _.isPlainObject(to)) {
+		for (const field of _.union(Object.keys(from), Object.keys(to))) {
+			const fieldPath = [...path, field];
+			if (!_.has(to, field)) changes.push({ op: 'removed', path: fieldPath, value: from[field] });
+			else if (!_.has(from, field)) changes.push({ op: 'added', path: fieldPath, value: to[field] });
+			else diffValues(from[field], to[field], fieldPath, changes);
+		}
+		return;
+	}
+	if (!_.isEqual(from, to)) changes.push({ op: 'changed', path, from, to });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Lists the differences between two aggregation documents.
+ *
+ * Plain objects (e.g. `teamKeys`) are compared field by field so a single added or removed
+ * reference shows up on its own; arrays, ObjectIds and dates are compared as whole values.
+ * Paths are arrays of field names because reference keys may themselves contain dots.
+ * `_id` and `lastUpdated` are ignored.
+ *
+ * @function diffAggregationDocuments
+ * @param {Object|null} current - The stored aggregation document (null if there is none yet)
+ * @param {Object|null} proposed - The document the build would write (null if it would write nothing)
+ * @returns {Array<{ op: 'added'|'removed'|'changed', path: string[], value?: *, from?: *, to?: * }>} The differences, in field order
+ * @example
+ * diffAggregationDocuments({ teamKeys: { 'a @ fifa': id1 } }, { teamKeys: { 'b @ fifa': id2 } });
+ * // => [{ op: 'removed', path: ['teamKeys', 'a @ fifa'], value: id1 }, { op: 'added', path: ['teamKeys', 'b @ fifa'], value: id2 }]
+ */
+function diffAggregationDocuments(current, proposed) {
+	const changes = [];
+	diffValues(_.omit(current || {}, IGNORED_FIELDS), _.omit(proposed || {}, IGNORED_FIELDS), [], changes);
+	return changes;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { diffAggregationDocuments };
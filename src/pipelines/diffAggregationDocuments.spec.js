@@ -0,0 +1,30 @@
+const { ObjectId } = require('mongodb');
+const { diffAggregationDocuments } = require('./diffAggregationDocuments');
+
+////////////////////////////////////////////////////////////////////////////////
+describe('diffAggregationDocuments', () => {
+	const teamA = new ObjectId();
+	const teamB = new ObjectId();
+	const base = { _id: new ObjectId(), resourceType: 'event', externalKey: '146186 @ fifa', name: 'Final', lastUpdated: new Date(0) };
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('reports added, removed and changed fields, descending into reference maps', () => {
+		const current = { ...base, teams: [teamA], teamKeys: { 'a @ fifa': teamA }, venueKeys: { 'v @ fifa': teamA } };
+		const proposed = { ...base, lastUpdated: new Date(), name: 'The Final', teams: [teamB], teamKeys: { 'b @ fifa': teamB }, stageKeys: { 's.1 @ fifa': teamA } };
+		expect(diffAggregationDocuments(current, proposed)).toEqual([
+			{ op: 'changed', path: ['name'], from: 'Final', to: 'The Final' },
+			{ op: 'changed', path: ['teams'], from: [teamA], to: [teamB] },
+			{ op: 'removed', path: ['teamKeys', 'a @ fifa'], value: teamA },
+			{ op: 'added', path: ['teamKeys', 'b @ fifa'], value: teamB },
+			{ op: 'removed', path: ['venueKeys'], value: { 'v @ fifa': teamA } },
+			{ op: 'added', path: ['stageKeys'], value: { 's.1 @ fifa': teamA } },
+		]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('ignores _id and lastUpdated and treats a missing document as empty', () => {
+		expect(diffAggregationDocuments(base, { ...base, _id: new ObjectId(), lastUpdated: new Date() })).toEqual([]);
+		expect(diffAggregationDocuments(null, { resourceType: 'event' })).toEqual([{ op: 'added', path: ['resourceType'], value: 'event' }]);
+		expect(diffAggregationDocuments({ resourceType: 'event' }, null)).toEqual([{ op: 'removed', path: ['resourceType'], value: 'event' }]);
+	});
+});
@@ -1,10 +1,8 @@
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline } = require('./eventAggregationPipeline');
 const { queryForEventAggregationDoc } = require('./eventAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -20,13 +18,14 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} eventId - External ID of the event to process
  * @param {string} requestId - Request identifier for logging/debugging
  * @param {boolean} [updatedReferences=true] - Whether to update references after aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  *
  * @returns {Promise<Object|number|null>} Returns the new aggregation document on success,
  *   404 if event not found, or null if aggregation build failed
  *
  * @throws {Error} When config.mongo.matAggCollectionName is invalid or eventId/eventIdScope missing
  */
-async function processEvent(config, mongo, eventIdScope, eventId, requestId, updatedReferences = true) {
+async function processEvent(config, mongo, eventIdScope, eventId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!eventId || !eventIdScope) throw new Error('Invalid parameters: eventId and eventIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -43,27 +42,8 @@ async function processEvent(config, mongo, eventIdScope, eventId, requestId, upd
 	const pipelineObj = pipeline(config, eventIdScope, eventId);
 	const eventAggregationDocQuery = queryForEventAggregationDoc(eventId, eventIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the event aggregation (if it exists)
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(eventAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the event aggregation view
-	await runPipeline(mongo, 'events', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the event aggregation
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(eventAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the event aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'events', pipelineObj, eventAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
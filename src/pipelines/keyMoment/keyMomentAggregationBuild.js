@@ -1,10 +1,8 @@
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline } = require('./keyMomentAggregationPipeline');
 const { queryForKeyMomentAggregationDoc } = require('./keyMomentAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -23,10 +21,11 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {Date|string} dateTime - Date/time of the key moment (converted to Date if string)
  * @param {string} requestId - Request identifier for logging/debugging
  * @param {boolean} [updatedReferences=true] - Whether to update references after aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|null|number>} Returns the new aggregation document, null on failure, or 404 if key moment not found
  * @throws {Error} Throws error for invalid configuration or missing required parameters
  */
-async function processKeyMoment(config, mongo, eventIdScope, eventId, type, subType, dateTime, requestId, updatedReferences = true) {
+async function processKeyMoment(config, mongo, eventIdScope, eventId, type, subType, dateTime, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!eventId || !eventIdScope) throw new Error('Invalid parameters: eventId and eventIdScope are required');
 	if (!_.isDate(new Date(dateTime)) && !_.isDate(dateTime)) throw new Error('Invalid parameters: dateTime must be a valid date string');
@@ -47,27 +46,8 @@ async function processKeyMoment(config, mongo, eventIdScope, eventId, type, subT
 	const pipelineObj = pipeline(config, eventIdScope, eventId, type, subType, dateTime);
 	const keyMomentAggregationDocQuery = queryForKeyMomentAggregationDoc(eventId, eventIdScope, type, subType, dateTime);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the event aggregation (if it exists)
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(keyMomentAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the event aggregation view
-	await runPipeline(mongo, 'keyMoments', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the event aggregation
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(keyMomentAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the keyMoment aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'keyMoments', pipelineObj, keyMomentAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
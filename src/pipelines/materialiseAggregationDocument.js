@@ -0,0 +1,135 @@
+////////////////////////////////////////////////////////////////////////////////
+// Shared tail of every processX function: read the old aggregation document, run
+// the type's pipeline to write the new one and update the back-references that
+// changed between the two.
+//
+// With config.mongo.useTransactions the three steps run in one transaction so a
+// failed reference update never leaves the graph half-updated. $merge is not
+// allowed inside a transaction, so in that mode the pipeline is run without its
+// final $merge stage and the projected document is written with replaceOne on the
+// same merge keys (which is what $merge whenMatched: 'replace' would have done).
+//
+// A dry run also drops the $merge stage but writes nothing: it returns the projected
+// document with a diff against the stored one and the reference operations a real
+// build would issue.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+const { warn } = require('../log');
+const { runPipeline } = require('./runPipeline');
+const { keyInAggregation } = require('./constants');
+const { runInTransaction } = require('../utils/mongoUtils');
+const { diffAggregationDocuments } = require('./diffAggregationDocuments');
+const { buildOperationsForReferenceChange } = require('./referenceManagement');
+const { executeOperationsForReferenceChange } = require('./referenceManagement');
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Returns a copy of an aggregation pipeline without its trailing $merge stage.
+ *
+ * @function withoutMergeStage
+ * @param {Object[]} pipeline - An aggregation build pipeline (ending in $merge)
+ * @returns {Object[]} The pipeline up to, but not including, the $merge stage
+ */
+function withoutMergeStage(pipeline) {
+	if (!Array.isArray(pipeline)) throw new Error('Invalid parameters: pipeline must be an array');
+	const last = pipeline[pipeline.length - 1];
+	return _.isObject(last) && _.has(last, '$merge') ? pipeline.slice(0, -1) : pipeline.slice();
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Replace (or insert) projected aggregation documents on the same keys $merge uses
+async function writeProjectedDocuments(collection, projectedDocs, session) {
+	for (const doc of projectedDocs) {
+		await collection.replaceOne(_.pick(doc, keyInAggregation), doc, { upsert: true, session });
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Runs the build pipeline without writing anything and reports what it would change.
+ *
+ * @async
+ * @function dryRunAggregationDocument
+ * @param {Object} collection - The materialised aggregation collection
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @param {string} sourceCollection - Home collection the pipeline runs against (e.g. 'events')
+ * @param {Object[]} pipelineObj - The type's aggregation build pipeline (ending in $merge)
+ * @param {Object} aggregationDocQuery - Query identifying the aggregation document ({ resourceType, externalKey })
+ * @param {string} requestId - Request identifier for logging
+ * @param {boolean} updatedReferences - Whether a real build would update references
+ * @returns {Promise<Object|null>} { dryRun: true, current, proposed, diff, referenceOperations }, or null if the build produced nothing
+ */
+async function dryRunAggregationDocument(collection, mongo, sourceCollection, pipelineObj, aggregationDocQuery, requestId, updatedReferences) {
+	const current = await collection.findOne(aggregationDocQuery);
+	const projectedDocs = await runPipeline(mongo, sourceCollection, withoutMergeStage(pipelineObj), requestId);
+	const proposed = (projectedDocs || []).find((doc) => _.isMatch(doc, aggregationDocQuery)) || null;
+	if (!_.isObject(proposed)) {
+		warn(`Dry run did not produce an aggregation document`, requestId);
+		return null;
+	}
+	const referenceOperations = updatedReferences === true ? buildOperationsForReferenceChange(current, proposed) : [];
+	return { dryRun: true, current, proposed, diff: diffAggregationDocuments(current, proposed), referenceOperations };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds (or rebuilds) an aggregation document and updates the references to it.
+ *
+ * @async
+ * @function materialiseAggregationDocument
+ * @param {Object} config - Configuration object containing mongo settings
+ * @param {string} config.mongo.matAggCollectionName - Name of the materialised aggregation collection
+ * @param {boolean} [config.mongo.useTransactions] - Run the build and reference updates in one transaction
+ * @param {number} [config.mongo.transactionMaxRetries] - Retries on transient transaction errors
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @param {string} sourceCollection - Home collection the pipeline runs against (e.g. 'events')
+ * @param {Object[]} pipelineObj - The type's aggregation build pipeline (ending in $merge)
+ * @param {Object} aggregationDocQuery - Query identifying the aggregation document ({ resourceType, externalKey })
+ * @param {string} requestId - Request identifier for logging
+ * @param {boolean} [updatedReferences=true] - Whether to update references after the build
+ * @param {boolean} [dryRun=false] - Report what the build would change instead of writing it (see dryRunAggregationDocument)
+ * @returns {Promise<Object|null>} The new aggregation document (or the dry run report), or null if the build produced nothing
+ * @throws {Error} In transactional mode, any error that aborted the transaction after retries
+ */
+async function materialiseAggregationDocument(config, mongo, sourceCollection, pipelineObj, aggregationDocQuery, requestId, updatedReferences = true, dryRun = false) {
+	const collection = mongo.db.collection(config.mongo.matAggCollectionName);
+	if (dryRun === true) return await dryRunAggregationDocument(collection, mongo, sourceCollection, pipelineObj, aggregationDocQuery, requestId, updatedReferences);
+	//////////////////////////////////////////////////////////////////////////////
+	// Non-transactional: $merge, then a best-effort reference bulkWrite
+	if (config?.mongo?.useTransactions !== true) {
+		const oldAggregationDoc = await collection.findOne(aggregationDocQuery);
+		await runPipeline(mongo, sourceCollection, pipelineObj, requestId);
+		const newAggregationDoc = await collection.findOne(aggregationDocQuery);
+		if (!_.isObject(newAggregationDoc)) {
+			warn(`Failed to build new aggregation document`, requestId);
+			return null;
+		}
+		if (updatedReferences === true) {
+			const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
+			await executeOperationsForReferenceChange(mongo, config, operations, requestId);
+		}
+		return newAggregationDoc;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	// Transactional: everything in one session, retried as a whole on transient errors
+	const projectionPipeline = withoutMergeStage(pipelineObj);
+	const work = async (session) => {
+		const oldAggregationDoc = await collection.findOne(aggregationDocQuery, { session });
+		const projectedDocs = await runPipeline(mongo, sourceCollection, projectionPipeline, requestId, { session });
+		await writeProjectedDocuments(collection, projectedDocs, session);
+		const newAggregationDoc = await collection.findOne(aggregationDocQuery, { session });
+		if (!_.isObject(newAggregationDoc)) {
+			warn(`Failed to build new aggregation document`, requestId);
+			return null;
+		}
+		if (updatedReferences === true) {
+			const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
+			await executeOperationsForReferenceChange(mongo, config, operations, requestId, session);
+		}
+		return newAggregationDoc;
+	};
+	return await runInTransaction(mongo, work, { maxRetries: config?.mongo?.transactionMaxRetries ?? 3, requestId });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { materialiseAggregationDocument, withoutMergeStage };
@@ -0,0 +1,131 @@
+const { ObjectId } = require('mongodb');
+const { materialiseAggregationDocument, withoutMergeStage } = require('./materialiseAggregationDocument');
+
+////////////////////////////////////////////////////////////////////////////////
+// An error carrying a MongoDB error label, as the driver attaches to transaction errors
+function labelledError(message, label) {
+	const err = new Error(message);
+	err.hasErrorLabel = (l) => l === label;
+	return err;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// A stand-in for a mongo connection: one aggregation collection whose writes only become
+// visible when the (fake) transaction commits
+function fakeMongo({ projected, failBulkWrite = [] } = {}) {
+	const committed = new Map();
+	const calls = { aggregate: [], bulkWrite: 0, commits: 0, aborts: 0, sessions: 0 };
+	let pending = null;
+	const key = (q) => `${q.resourceType}|${q.externalKey}`;
+	const collection = {
+		findOne: async (q) => (pending?.has(key(q)) ? pending.get(key(q)) : committed.get(key(q)) || null),
+		replaceOne: async (filter, doc, options) => {
+			expect(options.session).toBeDefined();
+			pending.set(key(filter), doc);
+		},
+		bulkWrite: async (operations, options) => {
+			calls.bulkWrite++;
+			expect(options.session).toBeDefined();
+			const err = failBulkWrite.shift();
+			if (err) throw err;
+			return { insertedCount: 0, matchedCount: operations.length, modifiedCount: 0, deletedCount: 0, upsertedCount: operations.length };
+		},
+		aggregate: (pipeline, options) => {
+			calls.aggregate.push({ pipeline, options });
+			return { toArray: async () => projected };
+		},
+	};
+	const session = {
+		startTransaction: () => (pending = new Map()),
+		inTransaction: () => pending !== null,
+		commitTransaction: async () => {
+			calls.commits++;
+			pending.forEach((doc, k) => committed.set(k, doc));
+			pending = null;
+		},
+		abortTransaction: async () => {
+			calls.aborts++;
+			pending = null;
+		},
+		endSession: async () => {},
+	};
+	const client = { startSession: () => (calls.sessions++, session) };
+	return { client, db: { collection: () => collection }, committed, calls };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+const config = { mongo: { matAggCollectionName: 'materialisedAggregations', useTransactions: true, transactionMaxRetries: 2 } };
+const query = { resourceType: 'event', externalKey: '146186 @ fifa' };
+const pipeline = [{ $match: { _externalId: '146186' } }, { $merge: { into: 'materialisedAggregations' } }];
+const eventDoc = () => ({ ...query, gamedayId: new ObjectId(), teamKeys: { 't @ fifa': new ObjectId() } });
+
+////////////////////////////////////////////////////////////////////////////////
+describe('withoutMergeStage', () => {
+	test('drops a trailing $merge and leaves other pipelines as they are', () => {
+		expect(withoutMergeStage(pipeline)).toEqual([pipeline[0]]);
+		expect(withoutMergeStage([pipeline[0]])).toEqual([pipeline[0]]);
+		expect(() => withoutMergeStage(null)).toThrow();
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('materialiseAggregationDocument (transactional)', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('writes the projected document and its references in one committed transaction', async () => {
+		const doc = eventDoc();
+		const mongo = fakeMongo({ projected: [doc] });
+		const result = await materialiseAggregationDocument(config, mongo, 'events', pipeline, query, 'req');
+		expect(result).toBe(doc);
+		expect(mongo.calls.aggregate[0].pipeline).toEqual([pipeline[0]]);
+		expect(mongo.calls.aggregate[0].options.session).toBeDefined();
+		expect(mongo.calls.bulkWrite).toBe(1);
+		expect(mongo.calls.commits).toBe(1);
+		expect(mongo.committed.get('event|146186 @ fifa')).toBe(doc);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('retries the whole transaction on a transient error', async () => {
+		const mongo = fakeMongo({ projected: [eventDoc()], failBulkWrite: [labelledError('write conflict', 'TransientTransactionError')] });
+		await materialiseAggregationDocument(config, mongo, 'events', pipeline, query, 'req');
+		expect(mongo.calls.aggregate).toHaveLength(2);
+		expect(mongo.calls.aborts).toBe(1);
+		expect(mongo.calls.commits).toBe(1);
+		expect(mongo.calls.sessions).toBe(1);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('a failed reference update rolls the build back and is rethrown', async () => {
+		const mongo = fakeMongo({ projected: [eventDoc()], failBulkWrite: [new Error('boom')] });
+		await expect(materialiseAggregationDocument(config, mongo, 'events', pipeline, query, 'req')).rejects.toThrow('boom');
+		expect(mongo.calls.commits).toBe(0);
+		expect(mongo.committed.size).toBe(0);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('gives up once the retries are exhausted', async () => {
+		const transient = () => labelledError('write conflict', 'TransientTransactionError');
+		const mongo = fakeMongo({ projected: [eventDoc()], failBulkWrite: [transient(), transient(), transient()] });
+		await expect(materialiseAggregationDocument(config, mongo, 'events', pipeline, query, 'req')).rejects.toThrow('write conflict');
+		expect(mongo.calls.aggregate).toHaveLength(3);
+		expect(mongo.committed.size).toBe(0);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('materialiseAggregationDocument (dry run)', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('returns the proposed document, its diff and the reference operations without writing', async () => {
+		const doc = eventDoc();
+		const mongo = fakeMongo({ projected: [doc] });
+		const result = await materialiseAggregationDocument({ mongo: { matAggCollectionName: 'materialisedAggregations' } }, mongo, 'events', pipeline, query, 'req', true, true);
+		expect(result.dryRun).toBe(true);
+		expect(result.current).toBeNull();
+		expect(result.proposed).toBe(doc);
+		expect(result.diff.map((change) => change.path[0])).toEqual(['resourceType', 'externalKey', 'gamedayId', 'teamKeys']);
+		expect(result.referenceOperations).toHaveLength(1);
+		expect(mongo.calls.aggregate[0].pipeline).toEqual([pipeline[0]]);
+		expect(mongo.calls.bulkWrite).toBe(0);
+		expect(mongo.calls.sessions).toBe(0);
+		expect(mongo.committed.size).toBe(0);
+	});
+});
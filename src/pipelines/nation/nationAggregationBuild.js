@@ -4,10 +4,8 @@
 ////////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline, queryForNationAggregationDoc } = require('./nationAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -23,6 +21,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} nationId - External ID of the nation to process
  * @param {string} requestId - Request identifier for logging/debugging
  * @param {boolean} [updatedReferences=true] - Whether to update related references
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} Returns the new aggregation document on success,
  *   404 if nation not found, or null on failure
  * @throws {Error} When configuration is invalid or required parameters are missing
@@ -33,7 +32,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * 3. Compares old vs new aggregation documents
  * 4. Updates references in related collections if specified
  */
-async function processNation(config, mongo, nationIdScope, nationId, requestId, updatedReferences = true) {
+async function processNation(config, mongo, nationIdScope, nationId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!nationId || !nationIdScope) throw new Error('Invalid parameters: nationId and nationIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -49,27 +48,8 @@ async function processNation(config, mongo, nationIdScope, nationId, requestId,
 	const pipelineObj = pipeline(config, nationIdScope, nationId);
 	const nationAggQuery = queryForNationAggregationDoc(nationId, nationIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Previous aggregation (for diff)
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(nationAggQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Rebuild
-	await runPipeline(mongo, 'nations', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the nation aggregation and calculate new reference keys
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(nationAggQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the nation aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'nations', pipelineObj, nationAggQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -4,9 +4,7 @@
 ////////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { RankingKeyClass } = require('./rankingKeyClass.js');
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -22,6 +20,7 @@ const { RankingKeyClass } = require('./rankingKeyClass.js');
  * @param {RankingKeyClass} rk - Instance of RankingKeyClass for ranking operations
  * @param {string} requestId - Unique identifier for request logging
  * @param {boolean} [updatedReferences=true] - Whether to update reference documents
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} Returns aggregation document on success,
  *   404 if ranking not found, or null on failure
  * @throws {Error} When config is invalid, rk is not RankingKeyClass instance,
@@ -31,7 +30,7 @@ const { RankingKeyClass } = require('./rankingKeyClass.js');
  * runs aggregation pipeline to build materialized view, and optionally
  * updates dependent reference documents based on changes.
  */
-async function processRanking(config, mongo, rk, requestId, updatedReferences = true) {
+async function processRanking(config, mongo, rk, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	//////////////////////////////////////////////////////////////////////////////
 	// Check if parameter is an instance of RankingKeyClass
@@ -55,25 +54,8 @@ async function processRanking(config, mongo, rk, requestId, updatedReferences =
 	const pipelineObj = rk.pipeline(config);
 	const staffAggQuery = rk.aggregationDocQuery();
 	//////////////////////////////////////////////////////////////////////////////
-	// Get the original aggregation document (if it exists) and calculate old outbound keys
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(staffAggQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Run the pipeline to build the aggregation document
-	await runPipeline(mongo, 'rankings', pipelineObj, requestId);
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(staffAggQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the ranking aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'rankings', pipelineObj, staffAggQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -12,7 +12,10 @@ const { processStaff } = require('./staff/staffAggregationBuild.js');
 const { processRanking } = require('./ranking/rankingAggregationBuild.js');
 const { processSportsPerson } = require('./sportsPerson/sportsPersonAggregationBuild.js');
 const { processNation } = require('./nation/nationAggregationBuild.js');
+const { processKeyMoment } = require('./keyMoment/keyMomentAggregationBuild.js');
 const { RankingKeyClass } = require('./ranking/rankingKeyClass.js');
+const { runWithConcurrency, retryWithBackoff } = require('../utils/workerPool.js');
+const { isTransientError } = require('../utils/mongoUtils.js');
 
 ////////////////////////////////////////////////////////////////////////////////
 // Helper function to extract keys from aggregation document and add to rebuild sets
@@ -25,33 +28,82 @@ function collectKeysForRebuild(aggDoc, collectorsMap) {
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// Generic rebuild function for a single resource type
+// Rebuild settings from config.rebuild, with defaults for anything not configured
+function rebuildSettings(config, resourceType) {
+	const rebuild = config?.rebuild || {};
+	return {
+		concurrency: rebuild.concurrencyByType?.[resourceType] ?? rebuild.concurrency ?? 4,
+		retries: rebuild.retries ?? 2,
+		baseDelayMs: rebuild.retryBaseDelayMs ?? 250,
+		maxDelayMs: rebuild.retryMaxDelayMs ?? 5000,
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Rebuilds one aggregation document, retrying with exponential backoff while the build throws a
+ * transient error (see isTransientError). Any other outcome is final: a build that returns null
+ * (e.g. an invalid key) or throws a permanent error fails straight away, and unsupported types (500)
+ * and missing sources (404) are returned as they are.
+ *
+ * @async
+ * @function buildAggregationDocumentWithRetry
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @param {Object} config - Configuration object containing mongo and rebuild settings
+ * @param {string} type - Resource type of the document (e.g. 'event')
+ * @param {string} key - External key of the document
+ * @param {string} requestId - Request identifier for logging
+ * @returns {Promise<Object|number|null>} As buildAggregationDocument, from the last attempt
+ * @throws {Error} If type or key is not a string
+ */
+async function buildAggregationDocumentWithRetry(mongo, config, type, key, requestId) {
+	validateBuildParameters(type, key);
+	const { retries, baseDelayMs, maxDelayMs } = rebuildSettings(config, type);
+	try {
+		return await retryWithBackoff(() => runRebuildHandler(mongo, config, type, key, requestId), {
+			retries,
+			baseDelayMs,
+			maxDelayMs,
+			shouldRetry: isTransientError,
+			onRetry: (attempt, error) => debug(`Retrying rebuild of ${type} ${key} after ${error.message} (attempt ${attempt + 2}/${retries + 1})`, requestId),
+		});
+	} catch (error) {
+		warn(`Error rebuilding ${type} aggregation for ${key}: ${error.message}`, requestId);
+		return null;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Generic rebuild function for a single resource type. Keys are rebuilt by a pool of
+// config.rebuild.concurrency(ByType) workers; the next type is only started by the caller
+// once every key of this one has finished, which keeps parents built before their dependants.
 async function rebuildResourceType(mongo, config, resourceType, keysToRebuild, trackingSets, requestId, onSuccess = null) {
 	const { attemptedRebuildSet, completedRebuildSet, failedRebuildSet, skippedRebuildSet } = trackingSets;
-	info(`Starting full rebuild of ${resourceType} aggregation references`, requestId);
-	count = 1;
+	const { concurrency } = rebuildSettings(config, resourceType);
+	info(`Starting full rebuild of ${resourceType} aggregation references (concurrency: ${concurrency})`, requestId);
+	let count = 0;
 	const lengthOfKeys = Array.isArray(keysToRebuild) ? keysToRebuild.length : _.isSet(keysToRebuild) ? keysToRebuild.size : `unknown`;
-	for (const key of keysToRebuild) {
+	await runWithConcurrency(keysToRebuild, concurrency, async (key) => {
 		const resourceId = `{ type: ${resourceType}, key: ${key} }`;
 		attemptedRebuildSet.add(resourceId);
-		const aggDoc = await buildAggregationDocument(mongo, config, resourceType, key, requestId);
+		const aggDoc = await buildAggregationDocumentWithRetry(mongo, config, resourceType, key, requestId);
+		count++;
 		if (aggDoc == null) {
 			failedRebuildSet.add(resourceId);
 			warn(`Failed ${resourceType}: ${count}/${lengthOfKeys} ${reportNumbers(trackingSets)}`, requestId);
-			continue;
+			return;
 		}
 		if (aggDoc === 500) {
 			skippedRebuildSet.add(resourceId);
 			warn(`Unsupported rebuild ${resourceType}: ${count}/${lengthOfKeys} - skipping. ${reportNumbers(trackingSets)}`, requestId);
-			continue;
+			return;
 		}
 		if (_.isObject(aggDoc)) {
 			completedRebuildSet.add(resourceId);
 			info(`Rebuild ${resourceType}: ${count}/${lengthOfKeys} ${reportNumbers(trackingSets)}`, requestId);
 			if (onSuccess && typeof onSuccess === 'function') onSuccess(aggDoc);
 		}
-		count++;
-	}
+	});
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -358,70 +410,83 @@ function parseStaffKey(key, requestId) {
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildSgoAggregationDocument(config, mongo, key, requestId) {
+async function rebuildSgoAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding SGO aggregation for ${key}`, requestId);
-	return await processSgo(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processSgo(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildCompetitionAggregationDocument(config, mongo, key, requestId) {
+async function rebuildCompetitionAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding competition aggregation for ${idParts[0]}@${idParts[1]}`, requestId);
-	return await processCompetition(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processCompetition(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildStageAggregationDocument(config, mongo, key, requestId) {
+async function rebuildStageAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding stage aggregation for ${key}`, requestId);
-	return await processStage(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processStage(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildEventAggregationDocument(config, mongo, key, requestId) {
+async function rebuildEventAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding event aggregation for ${key}`, requestId);
-	return await processEvent(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processEvent(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildVenueAggregationDocument(config, mongo, key, requestId) {
+async function rebuildVenueAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding Venue aggregation for ${key}`, requestId);
-	return await processVenue(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processVenue(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildClubAggregationDocument(config, mongo, key, requestId) {
+async function rebuildClubAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding Club aggregation for ${key}`, requestId);
-	return await processClub(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processClub(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildTeamAggregationDocument(config, mongo, key, requestId) {
+async function rebuildTeamAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding Team aggregation for ${key}`, requestId);
-	return await processTeam(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processTeam(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildSportsPersonAggregationDocument(config, mongo, key, requestId) {
+async function rebuildSportsPersonAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding SportsPerson aggregation for ${key}`, requestId);
-	return await processSportsPerson(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processSportsPerson(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildNationAggregationDocument(config, mongo, key, requestId) {
+async function rebuildNationAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const idParts = parseSimpleKey(key);
 	debug(`Rebuilding Nation aggregation for ${key}`, requestId);
-	return await processNation(config, mongo, idParts[1], idParts[0], requestId, false);
+	return await processNation(config, mongo, idParts[1], idParts[0], requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildRankingAggregationDocument(config, mongo, key, requestId) {
+// Key moment keys are `dateTime @ eventId @ eventIdScope @ type @ subType`
+async function rebuildKeyMomentAggregationDocument(config, mongo, key, requestId, dryRun = false) {
+	const idParts = parseSimpleKey(key);
+	if (idParts.length !== 5) {
+		warn(`Invalid key moment key format: ${key}`, requestId);
+		return null;
+	}
+	const [dateTime, eventId, eventIdScope, type, subType] = idParts;
+	debug(`Rebuilding KeyMoment aggregation for ${key}`, requestId);
+	return await processKeyMoment(config, mongo, eventIdScope, eventId, type, subType, dateTime, requestId, false, dryRun);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+async function rebuildRankingAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const rankingParams = parseRankingKey(key, requestId);
 	if (!rankingParams) {
 		return null;
@@ -434,18 +499,18 @@ async function rebuildRankingAggregationDocument(config, mongo, key, requestId)
 	}
 
 	debug(`Rebuilding Ranking aggregation for ${key}`, requestId);
-	return await processRanking(config, mongo, rankingKeyClass, requestId, false);
+	return await processRanking(config, mongo, rankingKeyClass, requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function rebuildStaffAggregationDocument(config, mongo, key, requestId) {
+async function rebuildStaffAggregationDocument(config, mongo, key, requestId, dryRun = false) {
 	const staffParams = parseStaffKey(key, requestId);
 	if (!staffParams) {
 		return null;
 	}
 	debug(`Rebuilding Staff aggregation for ${key}`, requestId);
 	const { sportsPersonId, sportsPersonIdScope, teamId, teamIdScope, clubId, clubIdScope, nationId, nationIdScope } = staffParams;
-	return await processStaff(config, mongo, sportsPersonId, sportsPersonIdScope, teamId, teamIdScope, clubId, clubIdScope, nationId, nationIdScope, requestId, false);
+	return await processStaff(config, mongo, sportsPersonId, sportsPersonIdScope, teamId, teamIdScope, clubId, clubIdScope, nationId, nationIdScope, requestId, false, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -453,7 +518,7 @@ const REBUILD_HANDLERS = {
 	club: rebuildClubAggregationDocument,
 	competition: rebuildCompetitionAggregationDocument,
 	event: rebuildEventAggregationDocument,
-	//keyMoment
+	keyMoment: rebuildKeyMomentAggregationDocument,
 	nation: rebuildNationAggregationDocument,
 	ranking: rebuildRankingAggregationDocument,
 	sgo: rebuildSgoAggregationDocument,
@@ -465,17 +530,28 @@ const REBUILD_HANDLERS = {
 };
 
 ////////////////////////////////////////////////////////////////////////////////
-async function buildAggregationDocument(mongo, config, type, key, requestId) {
+function validateBuildParameters(type, key) {
 	if (!_.isString(type)) throw new Error('Invalid parameters: type must be a string');
 	if (!_.isString(key)) throw new Error('Invalid parameters: key must be a string');
+}
 
+////////////////////////////////////////////////////////////////////////////////
+// Runs the type's rebuild handler, leaving any error it throws to the caller
+async function runRebuildHandler(mongo, config, type, key, requestId, dryRun = false) {
 	const rebuildHandler = REBUILD_HANDLERS[type];
 	if (!rebuildHandler) {
 		debug(`Unsupported aggregation type: ${type}`, requestId);
 		return 500;
 	}
+	return await rebuildHandler(config, mongo, key, requestId, dryRun);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// With dryRun the handler returns the dry run report ({ dryRun, current, proposed, diff, ... }) and writes nothing
+async function buildAggregationDocument(mongo, config, type, key, requestId, dryRun = false) {
+	validateBuildParameters(type, key);
 	try {
-		return await rebuildHandler(config, mongo, key, requestId);
+		return await runRebuildHandler(mongo, config, type, key, requestId, dryRun);
 	} catch (error) {
 		warn(`Error rebuilding ${type} aggregation for ${key}: ${error.message}`, requestId);
 		return null;
@@ -585,4 +661,12 @@ async function processAggregationDocument(
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-module.exports = { rebuildAggregationDocumentsForCompetition };
+module.exports = {
+	rebuildAggregationDocumentsForCompetition,
+	buildAggregationDocument,
+	buildAggregationDocumentWithRetry,
+	rebuildSettings,
+	createTrackingSets,
+	reportNumbers,
+	REBUILD_HANDLERS,
+};
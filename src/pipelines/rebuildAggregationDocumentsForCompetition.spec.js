@@ -0,0 +1,33 @@
+const { MongoNetworkError } = require('mongodb');
+const { REBUILD_HANDLERS, buildAggregationDocumentWithRetry } = require('./rebuildAggregationDocumentsForCompetition.js');
+
+////////////////////////////////////////////////////////////////////////////////
+const config = { mongo: { matAggCollectionName: 'materialisedAggregations' }, rebuild: { retries: 3, retryBaseDelayMs: 1, retryMaxDelayMs: 2 } };
+
+////////////////////////////////////////////////////////////////////////////////
+describe('buildAggregationDocumentWithRetry', () => {
+	afterEach(() => jest.restoreAllMocks());
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('retries transient errors until the build succeeds', async () => {
+		const handler = jest.spyOn(REBUILD_HANDLERS, 'team').mockRejectedValueOnce(new MongoNetworkError('connection reset')).mockResolvedValue({ resourceType: 'team' });
+		expect(await buildAggregationDocumentWithRetry({}, config, 'team', 't @ fifa', 'req')).toEqual({ resourceType: 'team' });
+		expect(handler).toHaveBeenCalledTimes(2);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('fails permanent errors and null results on the first attempt', async () => {
+		const handler = jest.spyOn(REBUILD_HANDLERS, 'team').mockRejectedValueOnce(new Error('Invalid parameters: teamId is required')).mockResolvedValueOnce(null);
+		expect(await buildAggregationDocumentWithRetry({}, config, 'team', 't @ fifa', 'req')).toBeNull();
+		expect(await buildAggregationDocumentWithRetry({}, config, 'team', 'invalid', 'req')).toBeNull();
+		expect(handler).toHaveBeenCalledTimes(2);
+		expect(await buildAggregationDocumentWithRetry({}, config, 'story', 's @ fifa', 'req')).toBe(500);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('returns null once the retries of a transient error run out', async () => {
+		const handler = jest.spyOn(REBUILD_HANDLERS, 'team').mockRejectedValue(new MongoNetworkError('connection reset'));
+		expect(await buildAggregationDocumentWithRetry({}, config, 'team', 't @ fifa', 'req')).toBeNull();
+		expect(handler).toHaveBeenCalledTimes(4);
+	});
+});
@@ -0,0 +1,167 @@
+////////////////////////////////////////////////////////////////////////////////
+// Rebuilds the aggregation documents reachable from any root resource by walking
+// outward over the EDGES graph, breadth first, one level of references at a time.
+// Each aggregation document is rebuilt at most once per walk; the documents built
+// at one depth provide the `xxxKeys` references followed at the next.
+//
+// Within a level the keys of each type are rebuilt by a bounded worker pool (see
+// config.rebuild), one type after another. A level only starts once the previous
+// one has finished, so documents are always rebuilt after the ones that led to them.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+const { info, warn } = require('../log.js');
+const EDGES = require('../client/clientAggregationPipelineBuilderEdges.js');
+const { REFERENCE_FIELDS, referenceFieldsFor } = require('./referenceManagement.js');
+const { buildAggregationDocumentWithRetry, rebuildSettings, createTrackingSets, reportNumbers } = require('./rebuildAggregationDocumentsForCompetition.js');
+const { runWithConcurrency } = require('../utils/workerPool.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Used when neither the caller nor config.rebuild.maxDepth give a depth
+const DEFAULT_MAX_DEPTH = 4;
+
+////////////////////////////////////////////////////////////////////////////////
+// Map any casing of a resource type (e.g. the stored `sportsperson`) to its canonical name
+function canonicalResourceType(resourceType) {
+	if (!_.isString(resourceType)) return null;
+	return Object.keys(REFERENCE_FIELDS).find((type) => type.toLowerCase() === resourceType.toLowerCase()) || null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// The resource types a type has edges to
+function neighbourTypes(resourceType) {
+	const edges = EDGES[resourceType] || {};
+	return _.uniq(Object.values(edges));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function rebuildId(resourceType, key) {
+	return `{ type: ${resourceType}, key: ${key} }`;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Summarises the tracking sets of a rebuild for an API response or job record.
+ *
+ * @function summariseRebuild
+ * @param {Object} trackingSets - Sets from createTrackingSets()
+ * @param {number} depthReached - Deepest level of references that was rebuilt
+ * @returns {Object} Counts of attempted, completed, failed and skipped rebuilds, plus the failed and skipped ids
+ */
+function summariseRebuild(trackingSets, depthReached) {
+	const { attemptedRebuildSet, completedRebuildSet, failedRebuildSet, skippedRebuildSet } = trackingSets;
+	return {
+		depthReached,
+		attempted: attemptedRebuildSet.size,
+		completed: completedRebuildSet.size,
+		failed: failedRebuildSet.size,
+		skipped: skippedRebuildSet.size,
+		failedKeys: [...failedRebuildSet],
+		skippedKeys: [...skippedRebuildSet],
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Rebuilds a root aggregation document and every aggregation document reachable from it,
+ * following the references recorded in each document's `xxxKeys` fields along the EDGES graph.
+ *
+ * @async
+ * @function rebuildFromRoot
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @param {Object} config - Configuration object containing mongo and rebuild settings
+ * @param {string} resourceType - Type of the root resource (e.g. 'competition', 'sportsPerson'; any casing)
+ * @param {string} key - External key of the root resource (e.g. '289175 @ fifa')
+ * @param {string} requestId - Request identifier for logging
+ * @param {Object} [options] - Walk options
+ * @param {number} [options.maxDepth] - Levels of references to follow from the root (0 rebuilds only the root).
+ *   Defaults to config.rebuild.maxDepth, then 4
+ * @param {string[]} [options.types] - Only follow references to these resource types (the root is always rebuilt)
+ * @param {Object} [options.rootAggregationDoc] - An already rebuilt root document, used instead of rebuilding the root again
+ * @param {Object} [options.trackingSets] - Sets to record progress in, e.g. so a caller can report on a running rebuild
+ * @param {function(number): void} [options.onDepth] - Called with the level of references each time the rebuild of a level starts
+ * @returns {Promise<Object>} { rootAggregationDoc, depthReached, trackingSets }; rootAggregationDoc is null if the root failed to build
+ * @throws {Error} If the resource type is unknown or the parameters are invalid
+ */
+async function rebuildFromRoot(mongo, config, resourceType, key, requestId, options = {}) {
+	const rootType = canonicalResourceType(resourceType);
+	if (!rootType) throw new Error(`Invalid parameters: unknown resourceType ${resourceType}`);
+	if (!_.isString(key) || key.length === 0) throw new Error('Invalid parameters: key must be a non-empty string');
+	const maxDepth = options.maxDepth ?? config?.rebuild?.maxDepth ?? DEFAULT_MAX_DEPTH;
+	if (!Number.isInteger(maxDepth) || maxDepth < 0) throw new Error('Invalid parameters: maxDepth must be a non-negative integer');
+	let followTypes = null;
+	if (options.types != null) {
+		if (!Array.isArray(options.types)) throw new Error('Invalid parameters: types must be an array');
+		followTypes = options.types.map((type) => {
+			const canonical = canonicalResourceType(type);
+			if (!canonical) throw new Error(`Invalid parameters: unknown resourceType ${type} in types`);
+			return canonical;
+		});
+	}
+	const trackingSets = options.trackingSets || createTrackingSets();
+	const { attemptedRebuildSet, completedRebuildSet, failedRebuildSet, skippedRebuildSet } = trackingSets;
+	const rootId = rebuildId(rootType, key);
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Rebuild the root unless the caller has just done so
+	let rootAggregationDoc = options.rootAggregationDoc;
+	attemptedRebuildSet.add(rootId);
+	if (!_.isObject(rootAggregationDoc)) rootAggregationDoc = await buildAggregationDocumentWithRetry(mongo, config, rootType, key, requestId);
+	if (!_.isObject(rootAggregationDoc)) {
+		if (rootAggregationDoc === 500) skippedRebuildSet.add(rootId);
+		else failedRebuildSet.add(rootId);
+		warn(`Full rebuild from ${rootId} stopped: the root could not be rebuilt`, requestId);
+		return { rootAggregationDoc: null, depthReached: 0, trackingSets };
+	}
+	completedRebuildSet.add(rootId);
+	info(`Starting full rebuild from ${rootId} (maxDepth: ${maxDepth}, types: ${followTypes ? followTypes.join(',') : 'all'})`, requestId);
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Walk outward one level at a time. depthReached only counts levels where at least one document was rebuilt
+	let frontier = [rootAggregationDoc];
+	let depth = 0;
+	let depthReached = 0;
+	while (frontier.length > 0 && depth < maxDepth) {
+		depth++;
+		options.onDepth?.(depth);
+		////////////////////////////////////////////////////////////////////////////
+		// Collect the unvisited references of this level, grouped by type
+		const keysByType = new Map();
+		for (const aggDoc of frontier) {
+			const fromType = canonicalResourceType(aggDoc.resourceType);
+			for (const toType of neighbourTypes(fromType)) {
+				if (followTypes && !followTypes.includes(toType)) continue;
+				const references = aggDoc[referenceFieldsFor(toType).keysField] || {};
+				for (const referencedKey of Object.keys(references)) {
+					const id = rebuildId(toType, referencedKey);
+					if (attemptedRebuildSet.has(id)) continue;
+					attemptedRebuildSet.add(id);
+					if (!keysByType.has(toType)) keysByType.set(toType, []);
+					keysByType.get(toType).push(referencedKey);
+				}
+			}
+		}
+		////////////////////////////////////////////////////////////////////////////
+		// Rebuild them, each type with its own worker pool
+		const nextFrontier = [];
+		for (const [toType, keys] of keysByType) {
+			await runWithConcurrency(keys, rebuildSettings(config, toType).concurrency, async (referencedKey) => {
+				const id = rebuildId(toType, referencedKey);
+				const builtDoc = await buildAggregationDocumentWithRetry(mongo, config, toType, referencedKey, requestId);
+				if (builtDoc === 500) skippedRebuildSet.add(id);
+				else if (!_.isObject(builtDoc)) failedRebuildSet.add(id);
+				else {
+					completedRebuildSet.add(id);
+					nextFrontier.push(builtDoc);
+				}
+			});
+		}
+		info(`Full rebuild from ${rootId}: depth ${depth} done, ${nextFrontier.length} documents rebuilt ${reportNumbers(trackingSets)}`, requestId);
+		if (nextFrontier.length > 0) depthReached = depth;
+		frontier = nextFrontier;
+	}
+	info(`Done full rebuild from ${rootId}. ${reportNumbers(trackingSets)}`, requestId);
+	return { rootAggregationDoc, depthReached, trackingSets };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { rebuildFromRoot, summariseRebuild, canonicalResourceType, neighbourTypes };
@@ -0,0 +1,73 @@
+jest.mock('./rebuildAggregationDocumentsForCompetition.js', () => ({
+	...jest.requireActual('./rebuildAggregationDocumentsForCompetition.js'),
+	buildAggregationDocumentWithRetry: jest.fn(),
+}));
+
+const { buildAggregationDocumentWithRetry } = require('./rebuildAggregationDocumentsForCompetition.js');
+const { rebuildFromRoot, summariseRebuild } = require('./rebuildFromRoot.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// A small graph of aggregation documents keyed by `type|key`, as stored (lowercased resourceType)
+const DOCS = {
+	'competition|c @ fifa': { resourceType: 'competition', externalKey: 'c @ fifa', stageKeys: { 's @ fifa': 1 }, sgoKeys: { 'fifa @ fifa': 2 } },
+	'sgo|fifa @ fifa': { resourceType: 'sgo', externalKey: 'fifa @ fifa', competitionKeys: { 'c @ fifa': 0 } },
+	'stage|s @ fifa': { resourceType: 'stage', externalKey: 's @ fifa', competitionKeys: { 'c @ fifa': 0 }, eventKeys: { 'e @ fifa': 3 } },
+	'event|e @ fifa': { resourceType: 'event', externalKey: 'e @ fifa', stageKeys: { 's @ fifa': 1 }, teamKeys: { 't @ fifa': 4 }, sportsPersonKeys: { 'p @ fifa': 5 } },
+	'team|t @ fifa': { resourceType: 'team', externalKey: 't @ fifa', eventKeys: { 'e @ fifa': 3 }, staffKeys: { 'p @ fifa /team/ t @ fifa': 6 } },
+	'sportsperson|p @ fifa': { resourceType: 'sportsperson', externalKey: 'p @ fifa', eventKeys: { 'e @ fifa': 3 } },
+};
+
+////////////////////////////////////////////////////////////////////////////////
+function builtKeys() {
+	return buildAggregationDocumentWithRetry.mock.calls.map((call) => `${call[2]}|${call[3]}`);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+describe('rebuildFromRoot', () => {
+	const config = { mongo: { matAggCollectionName: 'materialisedAggregations' }, rebuild: { maxDepth: 10 } };
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		buildAggregationDocumentWithRetry.mockImplementation(async (mongo, config, type, key) => (type === 'staff' ? null : DOCS[`${type.toLowerCase()}|${key}`] || null));
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('walks the graph breadth first and rebuilds each document once', async () => {
+		const depths = [];
+		const { rootAggregationDoc, trackingSets, depthReached } = await rebuildFromRoot({}, config, 'competition', 'c @ fifa', 'req', { onDepth: (depth) => depths.push(depth) });
+		expect(rootAggregationDoc).toBe(DOCS['competition|c @ fifa']);
+		expect(builtKeys()).toEqual(['competition|c @ fifa', 'stage|s @ fifa', 'sgo|fifa @ fifa', 'event|e @ fifa', 'team|t @ fifa', 'sportsPerson|p @ fifa', 'staff|p @ fifa /team/ t @ fifa']);
+		// Level 4 only holds the staff member, whose rebuild fails
+		expect(depthReached).toBe(3);
+		expect(depths).toEqual([1, 2, 3, 4]);
+		const summary = summariseRebuild(trackingSets, depthReached);
+		expect(summary).toMatchObject({ attempted: 7, completed: 6, failed: 1, skipped: 0 });
+		expect(summary.failedKeys).toEqual(['{ type: staff, key: p @ fifa /team/ t @ fifa }']);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('stops at maxDepth and only follows the requested types', async () => {
+		expect((await rebuildFromRoot({}, config, 'competition', 'c @ fifa', 'req', { maxDepth: 2 })).depthReached).toBe(2);
+		expect(builtKeys()).toEqual(['competition|c @ fifa', 'stage|s @ fifa', 'sgo|fifa @ fifa', 'event|e @ fifa']);
+
+		jest.clearAllMocks();
+		await rebuildFromRoot({}, config, 'event', 'e @ fifa', 'req', { types: ['sportsperson'] });
+		expect(builtKeys()).toEqual(['event|e @ fifa', 'sportsPerson|p @ fifa']);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('uses a supplied root document instead of rebuilding it', async () => {
+		await rebuildFromRoot({}, config, 'sportsperson', 'p @ fifa', 'req', { maxDepth: 1, rootAggregationDoc: DOCS['sportsperson|p @ fifa'] });
+		expect(builtKeys()).toEqual(['event|e @ fifa']);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('reports a root that cannot be rebuilt and rejects invalid options', async () => {
+		const { rootAggregationDoc, trackingSets } = await rebuildFromRoot({}, config, 'team', 'missing @ fifa', 'req');
+		expect(rootAggregationDoc).toBeNull();
+		expect(trackingSets.failedRebuildSet.size).toBe(1);
+		await expect(rebuildFromRoot({}, config, 'story', 'x', 'req')).rejects.toThrow('unknown resourceType');
+		await expect(rebuildFromRoot({}, config, 'team', 't @ fifa', 'req', { maxDepth: -1 })).rejects.toThrow('maxDepth');
+		await expect(rebuildFromRoot({}, config, 'team', 't @ fifa', 'req', { types: ['story'] })).rejects.toThrow('unknown resourceType');
+	});
+});
@@ -1,6 +1,20 @@
 const _ = require('lodash');
 const { debug, warn } = require('../log');
 
+////////////////////////////////////////////////////////////////////////////////
+// The pair of fields each resource type is referenced through on an aggregation document, from the resource registry.
+// Aggregation documents store resourceType lowercased (e.g. `sportsperson`), so the field
+// names cannot be derived from it, and `staff` is not pluralised.
+const { RESOURCE_REGISTRY, REFERENCE_FIELDS } = require('../registry/resourceRegistry.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Case-insensitive lookup so both `sportsPerson` and the stored `sportsperson` resolve
+function referenceFieldsFor(resourceType) {
+	if (!_.isString(resourceType)) return null;
+	const rt = Object.keys(REFERENCE_FIELDS).find((type) => type.toLowerCase() === resourceType.toLowerCase());
+	return rt ? REFERENCE_FIELDS[rt] : null;
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 // What are doing?
 // When a gameday resource's aggregation document set of outbound references change, we need to go the referencing aggregation documents
@@ -28,50 +42,75 @@ function buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc,
 	if (!_.isObject(newAggregationDoc?.gamedayId)) throw new Error('Invalid parameters: newAggregationDoc.gamedayId must be an object');
 	if (!_.isObject(oldAggregationDoc)) oldAggregationDoc = {};
 	if (!Array.isArray(operations)) operations = [];
-	for (const rt of ['sgo', 'competition', 'stage', 'event', 'team', 'club', 'nation', 'sportsPerson', 'venue', 'keyMoment', 'staff', 'ranking']) {
-		const oldReferences = oldAggregationDoc[`${rt}Keys`] || {};
-		const newReferences = newAggregationDoc[`${rt}Keys`] || {};
+	//////////////////////////////////////////////////////////////////////////////
+	// The fields on the referenced documents that point back at the managed resource
+	const managedFields = referenceFieldsFor(newAggregationDoc.resourceType);
+	if (!managedFields) throw new Error(`Invalid parameters: unknown resourceType ${newAggregationDoc.resourceType}`);
+	const managedKeyPath = `${managedFields.keysField}.${newAggregationDoc.externalKey}`;
+	const oldGamedayId = oldAggregationDoc.gamedayId ?? newAggregationDoc.gamedayId;
+	const gamedayIdChanged = String(oldGamedayId) !== String(newAggregationDoc.gamedayId);
+	//////////////////////////////////////////////////////////////////////////////
+	for (const [rt, { keysField }] of Object.entries(RESOURCE_REGISTRY)) {
+		const oldReferences = oldAggregationDoc[keysField] || {};
+		const newReferences = newAggregationDoc[keysField] || {};
 		const oldKeys = Object.keys(oldReferences);
 		const newKeys = Object.keys(newReferences);
 		if (oldKeys.length === 0 && newKeys.length === 0) continue; // nothing to do
-		const referenceToManage = {
-			[`${newAggregationDoc.resourceType}s`]: newAggregationDoc.gamedayId,
-			[`${newAggregationDoc.resourceType}Keys`]: newAggregationDoc.externalKey,
-		};
 		const keysToRemoveResourceFrom = oldKeys.filter((oldKey) => !newKeys.includes(oldKey));
 		const keysToAddResourceTo = newKeys.filter((newKey) => !oldKeys.includes(newKey));
+		const keysToRepointResourceIn = gamedayIdChanged ? newKeys.filter((newKey) => oldKeys.includes(newKey)) : [];
 		////////////////////////////////////////////////////////////////////////////
 		// Build operations for removing the resource from aggregation documents
 		for (const oldKey of keysToRemoveResourceFrom) {
-			const filter = { resourceType, externalKey: oldKey };
-			const update = { $pull: referenceToManage, $set: { lastUpdated: new Date() } };
-			operations.push({ updateOne: { filter, update } });
+			operations.push(removeReferenceOperation(rt, oldKey, managedFields, managedKeyPath, oldGamedayId));
 		}
 		///////////////////////////////////////////////////////////////////////////
 		// Build operations for adding the resource to aggregation documents
 		for (const newKey of keysToAddResourceTo) {
-			const filter = { resourceType: rt, externalKey: newKey };
-			const update = {
-				$addToSet: {
-					[`${newAggregationDoc.resourceType}s`]: newAggregationDoc.gamedayId,
-				},
-				$set: {
-					[`${newAggregationDoc.resourceType}Keys.${newAggregationDoc.externalKey}`]: newAggregationDoc.gamedayId,
-					lastUpdated: new Date(),
-				},
-				$setOnInsert: { gamedayId: newReferences[newKey] },
-			};
-			operations.push({ updateOne: { filter, update, upsert: true } });
+			operations.push(addReferenceOperation(rt, newKey, newReferences[newKey], managedFields, managedKeyPath, newAggregationDoc.gamedayId));
+		}
+		///////////////////////////////////////////////////////////////////////////
+		// The managed resource was re-created with a new gameday id: swap the id in documents that keep referencing it.
+		// $pull and $addToSet cannot target the same field in one update, so this takes two operations.
+		for (const key of keysToRepointResourceIn) {
+			operations.push(removeReferenceOperation(rt, key, managedFields, managedKeyPath, oldGamedayId));
+			operations.push(addReferenceOperation(rt, key, newReferences[key], managedFields, managedKeyPath, newAggregationDoc.gamedayId));
 		}
 	}
 	return operations;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-async function executeOperationsForReferenceChange(mongo, config, operations, requestId) {
+// Removes the managed resource from the referenced aggregation document: its id from `xxxs` and its entry in `xxxKeys`
+function removeReferenceOperation(rt, referencedKey, managedFields, managedKeyPath, managedGamedayId) {
+	const filter = { resourceType: rt.toLowerCase(), externalKey: referencedKey };
+	const update = {
+		$pull: { [managedFields.idsField]: managedGamedayId },
+		$unset: { [managedKeyPath]: '' },
+		$set: { lastUpdated: new Date() },
+	};
+	return { updateOne: { filter, update } };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Adds the managed resource to the referenced aggregation document, creating a stub document if it does not exist yet
+function addReferenceOperation(rt, referencedKey, referencedGamedayId, managedFields, managedKeyPath, managedGamedayId) {
+	const filter = { resourceType: rt.toLowerCase(), externalKey: referencedKey };
+	const update = {
+		$addToSet: { [managedFields.idsField]: managedGamedayId },
+		$set: { [managedKeyPath]: managedGamedayId, lastUpdated: new Date() },
+		$setOnInsert: { gamedayId: referencedGamedayId },
+	};
+	return { updateOne: { filter, update, upsert: true } };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Outside a transaction a failed bulkWrite is only logged. With a session the error is rethrown so
+// the caller's transaction aborts rather than committing a half-updated graph.
+async function executeOperationsForReferenceChange(mongo, config, operations, requestId, session = null) {
 	if (!operations || operations.length === 0) return;
 	try {
-		const result = await mongo.db.collection(config.mongo.matAggCollectionName).bulkWrite(operations);
+		const result = await mongo.db.collection(config.mongo.matAggCollectionName).bulkWrite(operations, session ? { session } : {});
 		const resultSummary = {
 			insertedCount: result.insertedCount,
 			matchedCount: result.matchedCount,
@@ -82,8 +121,9 @@ async function executeOperationsForReferenceChange(mongo, config, operations, re
 		debug(`Updated aggregation references, result: ${JSON.stringify(resultSummary)}`, requestId);
 	} catch (error) {
 		warn(`Error executing bulk write: ${error.message}`, requestId);
+		if (session) throw error;
 	}
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-module.exports = { buildOperationsForReferenceChange, executeOperationsForReferenceChange };
+module.exports = { REFERENCE_FIELDS, referenceFieldsFor, buildOperationsForReferenceChange, executeOperationsForReferenceChange };
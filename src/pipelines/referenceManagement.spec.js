@@ -0,0 +1,112 @@
+const { ObjectId } = require('mongodb');
+const { REFERENCE_FIELDS, buildOperationsForReferenceChange } = require('./referenceManagement');
+
+////////////////////////////////////////////////////////////////////////////////
+// Every resource type the reference loop manages, with the fields it is referenced through
+const TYPES = Object.entries(REFERENCE_FIELDS).map(([rt, fields]) => [rt, fields.idsField, fields.keysField]);
+
+////////////////////////////////////////////////////////////////////////////////
+// An event aggregation document (the managed resource) referencing `refs` as { keysField: { key: id } }
+function eventDoc(gamedayId, refs = {}) {
+	return { resourceType: 'event', externalKey: '146186 @ fifa', gamedayId, ...refs };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function opFor(operations, resourceType, externalKey) {
+	return operations.filter((op) => op.updateOne.filter.resourceType === resourceType && op.updateOne.filter.externalKey === externalKey);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+describe('buildOperationsForReferenceChange', () => {
+	const eventId = new ObjectId();
+
+	//////////////////////////////////////////////////////////////////////////////
+	test.each(TYPES)('add: a new %s reference upserts the back-reference', (rt, idsField, keysField) => {
+		const refId = new ObjectId();
+		const operations = buildOperationsForReferenceChange(null, eventDoc(eventId, { [keysField]: { 'a @ fifa': refId } }));
+		expect(operations).toHaveLength(1);
+		const { filter, update, upsert } = operations[0].updateOne;
+		expect(filter).toEqual({ resourceType: rt.toLowerCase(), externalKey: 'a @ fifa' });
+		expect(upsert).toBe(true);
+		expect(update.$addToSet).toEqual({ events: eventId });
+		expect(update.$set['eventKeys.146186 @ fifa']).toBe(eventId);
+		expect(update.$setOnInsert).toEqual({ gamedayId: refId });
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test.each(TYPES)('remove: a dropped %s reference pulls the id and unsets the key', (rt, idsField, keysField) => {
+		const operations = buildOperationsForReferenceChange(eventDoc(eventId, { [keysField]: { 'a @ fifa': new ObjectId() } }), eventDoc(eventId));
+		expect(operations).toHaveLength(1);
+		const { filter, update, upsert } = operations[0].updateOne;
+		expect(filter).toEqual({ resourceType: rt.toLowerCase(), externalKey: 'a @ fifa' });
+		expect(upsert).toBeUndefined();
+		expect(update.$pull).toEqual({ events: eventId });
+		expect(update.$unset).toEqual({ 'eventKeys.146186 @ fifa': '' });
+		expect(update.$set).not.toHaveProperty('eventKeys.146186 @ fifa');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test.each(TYPES)('move: replacing one %s reference with another removes from the old and adds to the new', (rt, idsField, keysField) => {
+		const oldDoc = eventDoc(eventId, { [keysField]: { 'a @ fifa': new ObjectId(), 'keep @ fifa': new ObjectId() } });
+		const newDoc = eventDoc(eventId, { [keysField]: { 'b @ fifa': new ObjectId(), 'keep @ fifa': oldDoc[keysField]['keep @ fifa'] } });
+		const operations = buildOperationsForReferenceChange(oldDoc, newDoc);
+		expect(operations).toHaveLength(2);
+		expect(opFor(operations, rt.toLowerCase(), 'a @ fifa')[0].updateOne.update.$pull).toEqual({ events: eventId });
+		expect(opFor(operations, rt.toLowerCase(), 'b @ fifa')[0].updateOne.update.$addToSet).toEqual({ events: eventId });
+		expect(opFor(operations, rt.toLowerCase(), 'keep @ fifa')).toHaveLength(0);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test.each(TYPES)('no-op: unchanged %s references produce no operations', (rt, idsField, keysField) => {
+		const refs = { [keysField]: { 'a @ fifa': new ObjectId(), 'b @ fifa': new ObjectId() } };
+		expect(buildOperationsForReferenceChange(eventDoc(eventId, refs), eventDoc(eventId, refs))).toEqual([]);
+		expect(buildOperationsForReferenceChange(eventDoc(eventId), eventDoc(eventId))).toEqual([]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test.each(TYPES)('managed %s documents write to their own reference fields on the referenced documents', (rt, idsField, keysField) => {
+		const managedId = new ObjectId();
+		const managed = { resourceType: rt.toLowerCase(), externalKey: 'm @ fifa', gamedayId: managedId, teamKeys: { 't @ fifa': new ObjectId() } };
+		const [added] = buildOperationsForReferenceChange(null, managed);
+		expect(added.updateOne.update.$addToSet).toEqual({ [idsField]: managedId });
+		expect(added.updateOne.update.$set[`${keysField}.m @ fifa`]).toBe(managedId);
+
+		const [removed] = buildOperationsForReferenceChange(managed, { ...managed, teamKeys: {} });
+		expect(removed.updateOne.update.$pull).toEqual({ [idsField]: managedId });
+		expect(removed.updateOne.update.$unset).toEqual({ [`${keysField}.m @ fifa`]: '' });
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('a re-created managed resource swaps its old id for the new one on kept references', () => {
+		const oldEventId = new ObjectId();
+		const refs = { teamKeys: { 't @ fifa': new ObjectId() } };
+		const operations = buildOperationsForReferenceChange(eventDoc(oldEventId, refs), eventDoc(eventId, refs));
+		expect(operations).toHaveLength(2);
+		expect(operations[0].updateOne.update.$pull).toEqual({ events: oldEventId });
+		expect(operations[1].updateOne.update.$addToSet).toEqual({ events: eventId });
+		expect(operations[1].updateOne.update.$set['eventKeys.146186 @ fifa']).toBe(eventId);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('removing every reference (a delete) pulls the resource from all referenced documents', () => {
+		const oldDoc = eventDoc(eventId, { teamKeys: { 't1 @ fifa': new ObjectId(), 't2 @ fifa': new ObjectId() }, stageKeys: { 's @ fifa': new ObjectId() } });
+		const operations = buildOperationsForReferenceChange(oldDoc, eventDoc(eventId));
+		expect(operations.map((op) => `${op.updateOne.filter.resourceType}:${op.updateOne.filter.externalKey}`).sort()).toEqual(['stage:s @ fifa', 'team:t1 @ fifa', 'team:t2 @ fifa']);
+		operations.forEach((op) => expect(op.updateOne.update.$pull).toEqual({ events: eventId }));
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('appends to a supplied operations array', () => {
+		const existing = [{ updateOne: { filter: {}, update: {} } }];
+		const operations = buildOperationsForReferenceChange(null, eventDoc(eventId, { teamKeys: { 't @ fifa': new ObjectId() } }), existing);
+		expect(operations).toBe(existing);
+		expect(operations).toHaveLength(2);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects invalid new documents and unknown resource types', () => {
+		expect(() => buildOperationsForReferenceChange(null, null)).toThrow();
+		expect(() => buildOperationsForReferenceChange(null, { resourceType: 'event', externalKey: 'k' })).toThrow();
+		expect(() => buildOperationsForReferenceChange(null, { resourceType: 'story', externalKey: 'k', gamedayId: eventId })).toThrow('unknown resourceType');
+	});
+});
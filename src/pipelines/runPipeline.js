@@ -1,11 +1,12 @@
 const { debug, warn } = require('../log');
 
 ////////////////////////////////////////////////////////////////////////////////
-async function runPipeline(mongo, targetCollection, pipeline, requestId) {
+// `options` is passed straight to aggregate(), e.g. { session } to run inside a transaction
+async function runPipeline(mongo, targetCollection, pipeline, requestId, options = {}) {
 	try {
 		const startTime = process.hrtime.bigint();
 		debug(`Started Aggregation Pipeline for ${targetCollection} aggregation view`, requestId);
-		const result = await mongo.db.collection(targetCollection).aggregate(pipeline).toArray();
+		const result = await mongo.db.collection(targetCollection).aggregate(pipeline, options).toArray();
 		const endTime = process.hrtime.bigint();
 		const durationMs = Number(endTime - startTime) / 1000000; // Convert nanoseconds to milliseconds
 		debug(`Finished Aggregation Pipeline for ${targetCollection} aggregation view in ${durationMs.toFixed(2)}ms`, requestId);
@@ -1,10 +1,8 @@
 ////////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline, queryForSgoAggregationDoc } = require('./sgoAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -19,11 +17,12 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} sgoId - External ID of the SGO to process
  * @param {string} requestId - Unique identifier for tracking the request
  * @param {boolean} [updatedReferences=true] - Whether to update references after building aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} Returns 404 if SGO not found, null if aggregation failed,
  *   or the new aggregation document if successful
  * @throws {Error} Throws error if configuration is invalid or required parameters are missing
  */
-async function processSgo(config, mongo, sgoIdScope, sgoId, requestId, updatedReferences = true) {
+async function processSgo(config, mongo, sgoIdScope, sgoId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!sgoId || !sgoIdScope) throw new Error('Invalid parameters: sgoId and sgoIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -41,27 +40,8 @@ async function processSgo(config, mongo, sgoIdScope, sgoId, requestId, updatedRe
 	const pipelineObj = pipeline(config, sgoIdScope, sgoId);
 	const sgoAggregationDocQuery = queryForSgoAggregationDoc(sgoId, sgoIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the SGO aggregation
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(sgoAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the SGO aggregation view
-	await runPipeline(mongo, 'sgos', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the SGO aggregation and calculate new outbound keys
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(sgoAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the sgo aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'sgos', pipelineObj, sgoAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -1,11 +1,9 @@
 ///////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline } = require('./sportsPersonAggregationPipeline');
 const { queryForSportsPersonAggregationDoc } = require('./sportsPersonAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -20,6 +18,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} sportsPersonId - External ID of the sports person
  * @param {string} requestId - Unique identifier for the request (used for logging)
  * @param {boolean} [updatedReferences=true] - Whether to update references after aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} Returns the new aggregation document on success,
  *   404 if sports person not found, or null if operation failed
  * @throws {Error} Throws error for invalid configuration or missing required parameters
@@ -29,7 +28,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * a materialized view, compares old and new aggregation documents, and optionally updates
  * references based on changes detected.
  */
-async function processSportsPerson(config, mongo, sportsPersonIdScope, sportsPersonId, requestId, updatedReferences = true) {
+async function processSportsPerson(config, mongo, sportsPersonIdScope, sportsPersonId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!sportsPersonId || !sportsPersonIdScope) throw new Error('Invalid parameters: sportsPersonId and sportsPersonIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -46,27 +45,8 @@ async function processSportsPerson(config, mongo, sportsPersonIdScope, sportsPer
 	const pipelineObj = pipeline(config, sportsPersonIdScope, sportsPersonId);
 	const sportsPersonAggregationDocQuery = queryForSportsPersonAggregationDoc(sportsPersonId, sportsPersonIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the sports person aggregation
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(sportsPersonAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the sports person aggregation view
-	await runPipeline(mongo, 'sportsPersons', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the sports person aggregation and calculate new outbound keys
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(sportsPersonAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the sports person aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'sportsPersons', pipelineObj, sportsPersonAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -4,10 +4,8 @@
 ////////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline, queryForStaffAggregationDoc } = require('./staffAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -29,6 +27,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} [nationIdScope] - Scope/namespace for the nation ID
  * @param {string} requestId - Unique identifier for the request (used for logging)
  * @param {boolean} [updatedReferences=true] - Whether to update cross-references after aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} Returns 404 if staff not found, null on failure, or the new aggregation document
  * @throws {Error} Throws error for invalid configuration or missing required parameters
  *
@@ -51,7 +50,8 @@ async function processStaff(
 	nationId,
 	nationIdScope,
 	requestId,
-	updatedReferences = true
+	updatedReferences = true,
+	dryRun = false
 ) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!sportsPersonId || !sportsPersonIdScope) throw new Error('Invalid parameters: sportsPersonId and sportsPersonIdScope are required');
@@ -111,25 +111,8 @@ async function processStaff(
 	const pipelineObj = pipeline(config, sportsPersonIdScope, sportsPersonId, teamIdScope, teamId, clubIdScope, clubId, nationIdScope, nationId);
 	const staffAggQuery = queryForStaffAggregationDoc(sportsPersonId, sportsPersonIdScope, teamId, teamIdScope, clubId, clubIdScope, nationId, nationIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Get the original aggregation document (if it exists) and calculate old outbound keys
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(staffAggQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Run the pipeline to build the aggregation document
-	await runPipeline(mongo, 'staff', pipelineObj, requestId);
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(staffAggQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the staff aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'staff', pipelineObj, staffAggQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
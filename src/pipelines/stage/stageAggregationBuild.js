@@ -1,10 +1,8 @@
 const _ = require('lodash');
 const { debug, warn } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline } = require('./stageAggregationPipeline');
 const { queryForStageAggregationDoc } = require('./stageAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -19,6 +17,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} stageId - External ID of the stage to process
  * @param {string} requestId - Unique identifier for the request (used for logging)
  * @param {boolean} [updatedReferences=true] - Whether to update references after aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} Returns the new aggregation document, 404 if stage not found, or null on failure
  * @throws {Error} Throws error if configuration is invalid or required parameters are missing
  *
@@ -29,7 +28,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * 4. Runs the aggregation pipeline to build new data
  * 5. Compares old vs new aggregation and updates references if needed
  */
-async function processStage(config, mongo, stageIdScope, stageId, requestId, updatedReferences = true) {
+async function processStage(config, mongo, stageIdScope, stageId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!stageId || !stageIdScope) throw new Error('Invalid parameters: stageId and stageIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -46,27 +45,8 @@ async function processStage(config, mongo, stageIdScope, stageId, requestId, upd
 	const pipelineObj = pipeline(config, stageIdScope, stageId);
 	const stageAggregationDocQuery = queryForStageAggregationDoc(stageId, stageIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the stage aggregation (if it exists)
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(stageAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the stage aggregation view
-	await runPipeline(mongo, 'stages', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the stage aggregation
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(stageAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the stage aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'stages', pipelineObj, stageAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
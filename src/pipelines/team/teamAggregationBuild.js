@@ -1,11 +1,9 @@
 ///////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline } = require('./teamAggregationPipeline');
 const { queryForTeamAggregationDoc } = require('./teamAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 // Process team updates
@@ -22,6 +20,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} teamId - External ID of the team to process
  * @param {string} requestId - Unique identifier for tracking the request
  * @param {boolean} [updatedReferences=true] - Whether to update references after aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  * @returns {Promise<Object|number|null>} Returns the new aggregation document on success,
  *   404 if team not found, or null on failure
  * @throws {Error} When configuration is invalid or required parameters are missing
@@ -38,7 +37,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @example
  * const result = await processTeam(config, mongo, 'external', 'team123', 'req456');
  */
-async function processTeam(config, mongo, teamIdScope, teamId, requestId, updatedReferences = true) {
+async function processTeam(config, mongo, teamIdScope, teamId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!teamId || !teamIdScope) throw new Error('Invalid parameters: teamId and teamIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -55,27 +54,8 @@ async function processTeam(config, mongo, teamIdScope, teamId, requestId, update
 	const pipelineObj = pipeline(config, teamIdScope, teamId);
 	const teamAggregationDocQuery = queryForTeamAggregationDoc(teamId, teamIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the team aggregation
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(teamAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the team aggregation view
-	await runPipeline(mongo, 'teams', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the teams aggregation and calculate new outbound keys
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(teamAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the team aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'teams', pipelineObj, teamAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
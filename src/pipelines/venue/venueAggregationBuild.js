@@ -1,11 +1,9 @@
 ////////////////////////////////////////////////////////////////////////////////
 const _ = require('lodash');
 const { debug } = require('../../log');
-const { runPipeline } = require('../runPipeline');
+const { materialiseAggregationDocument } = require('../materialiseAggregationDocument');
 const { pipeline } = require('./venuesAggregationPipeline');
 const { queryForVenueAggregationDoc } = require('./venuesAggregationPipeline');
-const { buildOperationsForReferenceChange } = require('../referenceManagement');
-const { executeOperationsForReferenceChange } = require('../referenceManagement');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -20,6 +18,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * @param {string} venueId - External ID of the venue to process
  * @param {string} requestId - Unique identifier for tracking the request
  * @param {boolean} [updatedReferences=true] - Whether to update references after aggregation
+ * @param {boolean} [dryRun=false] - Return the proposed document, diff and reference operations without writing anything
  *
  * @returns {Promise<Object|number|null>} Returns:
  *   - 404 if venue doesn't exist
@@ -37,7 +36,7 @@ const { executeOperationsForReferenceChange } = require('../referenceManagement'
  * 5. Compares old and new documents to update references if needed
  * 6. Returns the resulting aggregation document
  */
-async function processVenue(config, mongo, venueIdScope, venueId, requestId, updatedReferences = true) {
+async function processVenue(config, mongo, venueIdScope, venueId, requestId, updatedReferences = true, dryRun = false) {
 	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
 	if (!venueId || !venueIdScope) throw new Error('Invalid parameters: venueId and venueIdScope are required');
 	//////////////////////////////////////////////////////////////////////////////
@@ -54,27 +53,8 @@ async function processVenue(config, mongo, venueIdScope, venueId, requestId, upd
 	const pipelineObj = pipeline(config, venueIdScope, venueId);
 	const venueAggregationDocQuery = queryForVenueAggregationDoc(venueId, venueIdScope);
 	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the previous version of the venue aggregation
-	const oldAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(venueAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	// Build the venue aggregation view
-	await runPipeline(mongo, 'venues', pipelineObj, requestId);
-	//////////////////////////////////////////////////////////////////////////////
-	// Retrieve the new version of the venue aggregation and calculate new outbound keys
-	const newAggregationDoc = await mongo.db.collection(config.mongo.matAggCollectionName).findOne(venueAggregationDocQuery);
-	//////////////////////////////////////////////////////////////////////////////
-	if (!_.isObject(newAggregationDoc)) {
-		warn(`Failed to build new aggregation document`, requestId);
-		return null;
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	// Compare old and new aggregation documents to determine if references need to be updated
-	if (updatedReferences === true) {
-		const operations = buildOperationsForReferenceChange(oldAggregationDoc, newAggregationDoc);
-		await executeOperationsForReferenceChange(mongo, config, operations, requestId);
-	}
-	//////////////////////////////////////////////////////////////////////////////
-	return newAggregationDoc;
+	// Build the venue aggregation view and update the references that changed
+	return await materialiseAggregationDocument(config, mongo, 'venues', pipelineObj, venueAggregationDocQuery, requestId, updatedReferences, dryRun);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
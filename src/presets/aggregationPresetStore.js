@@ -0,0 +1,121 @@
+////////////////////////////////////////////////////////////////////////////////
+// Persists named aggregation presets. Saving a preset never changes what an earlier
+// version does: every save adds the next version (one document per version), so a
+// preset can be referenced as a whole (its latest version) or pinned to a version.
+//
+// A preset document looks like:
+// {
+//    _id: 'matchCentre@v2', name: 'matchCentre', version: 2, description,
+//    rootType: 'event',
+//    params: { aggregationViews: 'team,venue', aggregationMax: '20', 'projection.team': 'name,code', ... },
+//    routes: [{ key, to, via: ['event.teams->team'] }, ...],
+//    createdAt,
+// }
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+
+////////////////////////////////////////////////////////////////////////////////
+// A preset name, optionally pinned to a version: matchCentre or matchCentre@v2
+const presetNamePattern = /^[A-Za-z0-9_-]{1,64}$/;
+const presetReferencePattern = /^([A-Za-z0-9_-]{1,64})(?:@v([1-9][0-9]*))?$/;
+const maxSaveAttempts = 3;
+
+////////////////////////////////////////////////////////////////////////////////
+function presetsCollection(mongo, config) {
+	if (!_.isString(config?.presets?.collectionName)) throw new Error('Invalid configuration: config.presets.collectionName must be a string');
+	return mongo.db.collection(config.presets.collectionName);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Checks a preset name (letters, digits, '_' and '-', at most 64 characters).
+ *
+ * @function isValidPresetName
+ * @param {string} name - The name to check
+ * @returns {boolean} True if the name can be used for a preset
+ */
+function isValidPresetName(name) {
+	return _.isString(name) && presetNamePattern.test(name);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Parses a preset reference: a preset name, optionally followed by @v<version>.
+ *
+ * @function parsePresetReference
+ * @param {string} reference - e.g. 'matchCentre' or 'matchCentre@v2'
+ * @returns {{ name: string, version: number|null }|null} The name and version (null for the latest), or null if the reference is invalid
+ */
+function parsePresetReference(reference) {
+	const match = _.isString(reference) ? presetReferencePattern.exec(reference) : null;
+	if (!match) return null;
+	return { name: match[1], version: match[2] ? Number(match[2]) : null };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Stores a preset as the next version of its name. Concurrent saves of the same name
+ * cannot share a version: the version is part of the document id, so the losing save is retried.
+ *
+ * @async
+ * @function savePresetVersion
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing presets settings
+ * @param {Object} preset - { name, description, rootType, params, routes }
+ * @returns {Promise<Object>} The stored preset document
+ */
+async function savePresetVersion(mongo, config, preset) {
+	const collection = presetsCollection(mongo, config);
+	for (let attempt = 1; ; attempt++) {
+		const [latest] = await collection.find({ name: preset.name }).sort({ version: -1 }).limit(1).toArray();
+		const version = (latest?.version || 0) + 1;
+		const doc = { _id: `${preset.name}@v${version}`, ...preset, version, createdAt: new Date() };
+		try {
+			await collection.insertOne(doc);
+			return doc;
+		} catch (e) {
+			if (e?.code !== 11000 || attempt >= maxSaveAttempts) throw e;
+		}
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Reads a version of a preset.
+ *
+ * @async
+ * @function getPreset
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing presets settings
+ * @param {string} name - The preset name
+ * @param {number|null} [version=null] - The version, or null for the latest
+ * @returns {Promise<Object|null>} The preset document, or null if there is no such preset or version
+ */
+async function getPreset(mongo, config, name, version = null) {
+	if (version != null) return await presetsCollection(mongo, config).findOne({ _id: `${name}@v${version}` });
+	const [latest] = await presetsCollection(mongo, config).find({ name }).sort({ version: -1 }).limit(1).toArray();
+	return latest || null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Lists the versions of a preset, oldest first.
+ *
+ * @async
+ * @function listPresetVersions
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing presets settings
+ * @param {string} name - The preset name
+ * @returns {Promise<Array<{ version: number, description: string|null, createdAt: Date }>>} The versions
+ */
+async function listPresetVersions(mongo, config, name) {
+	const presets = await presetsCollection(mongo, config)
+		.find({ name })
+		.sort({ version: 1 })
+		.project({ _id: 0, version: 1, description: 1, createdAt: 1 })
+		.toArray();
+	return presets.map(({ version, description, createdAt }) => ({ version, description: description ?? null, createdAt }));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { isValidPresetName, parsePresetReference, savePresetVersion, getPreset, listPresetVersions };
@@ -0,0 +1,66 @@
+const { isValidPresetName, parsePresetReference, savePresetVersion, getPreset, listPresetVersions } = require('./aggregationPresetStore.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// A stand-in for the presets collection, supporting the operations the preset store uses
+function fakeMongo() {
+	const presets = new Map();
+	const matches = (preset, filter) => Object.entries(filter).every(([field, value]) => preset[field] === value);
+	const cursor = (docs) => ({
+		sort: (order) => {
+			const [[field, direction]] = Object.entries(order);
+			return cursor([...docs].sort((a, b) => (a[field] - b[field]) * direction));
+		},
+		limit: (n) => cursor(docs.slice(0, n)),
+		project: () => cursor(docs),
+		toArray: async () => docs.map((doc) => ({ ...doc })),
+	});
+	const collection = {
+		insertOne: async (doc) => {
+			if (presets.has(doc._id)) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+			presets.set(doc._id, { ...doc });
+		},
+		findOne: async (filter) => [...presets.values()].find((preset) => matches(preset, filter)) || null,
+		find: (filter) => cursor([...presets.values()].filter((preset) => matches(preset, filter))),
+	};
+	return { db: { collection: () => collection }, presets };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+const config = { presets: { collectionName: 'aggregationPresets' } };
+
+////////////////////////////////////////////////////////////////////////////////
+describe('aggregation presets', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('parses preset names and versioned references', () => {
+		expect(parsePresetReference('matchCentre')).toEqual({ name: 'matchCentre', version: null });
+		expect(parsePresetReference('matchCentre@v2')).toEqual({ name: 'matchCentre', version: 2 });
+		expect(parsePresetReference('matchCentre@2')).toBeNull();
+		expect(parsePresetReference('matchCentre@v0')).toBeNull();
+		expect(isValidPresetName('match-centre_2')).toBe(true);
+		expect(isValidPresetName('matchCentre@v2')).toBe(false);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('adds a version per save and reads the latest or a given version', async () => {
+		const mongo = fakeMongo();
+		const preset = { name: 'matchCentre', description: null, rootType: 'event', params: { aggregationViews: 'team' }, routes: [] };
+		expect((await savePresetVersion(mongo, config, preset))._id).toBe('matchCentre@v1');
+		expect((await savePresetVersion(mongo, config, { ...preset, params: { aggregationViews: 'team,venue' } })).version).toBe(2);
+
+		////////////////////////////////////////////////////////////////////////////
+		// A version taken by a concurrent save is retried as the next one
+		const insertOne = mongo.db.collection().insertOne;
+		mongo.db.collection().insertOne = async (doc) => {
+			mongo.db.collection().insertOne = insertOne;
+			await insertOne({ ...doc, params: { aggregationViews: 'venue' } });
+			return insertOne(doc);
+		};
+		expect((await savePresetVersion(mongo, config, preset))._id).toBe('matchCentre@v4');
+
+		expect((await getPreset(mongo, config, 'matchCentre')).version).toBe(4);
+		expect((await getPreset(mongo, config, 'matchCentre', 2)).params).toEqual({ aggregationViews: 'team,venue' });
+		expect(await getPreset(mongo, config, 'matchCentre', 5)).toBeNull();
+		expect(await getPreset(mongo, config, 'other')).toBeNull();
+		expect((await listPresetVersions(mongo, config, 'matchCentre')).map(({ version }) => version)).toEqual([1, 2, 3, 4]);
+	});
+});
@@ -0,0 +1,239 @@
+const _ = require('lodash');
+
+////////////////////////////////////////////////////////////////////////////////
+// The resource types of the gameday graph, in one place.
+//
+// Per type:
+//   alias              - the one letter alternative accepted in aggregationEdges (e.g. `c.s` for competition -> stage)
+//   collection         - the gameday source collection its documents are materialised from
+//   competitionScoped  - whether it belongs to a single competition (scoping rules for derived routes)
+//   idsField/keysField - the fields other aggregation documents reference it through (`staff` is not pluralised)
+//   edges              - the types its aggregation document references, in traversal order; the edge to type T
+//                        is read from T's idsField
+//   writes             - the types its own build pipeline writes references to (each one a $facet of the pipeline in
+//                        src/pipelines/<type>/). The other references are written back by reference management when
+//                        the referenced type is built (e.g. a team's keyMoments come from each key moment's teams).
+//
+// The EDGES graph, COLLECTIONS, TYPE_ALIAS, the competition-scoped set and REFERENCE_FIELDS are derived from
+// this registry. validateResourceRegistry() runs at startup.
+////////////////////////////////////////////////////////////////////////////////
+const RESOURCE_REGISTRY = {
+	competition: {
+		alias: 'c',
+		collection: 'competitions',
+		competitionScoped: true,
+		idsField: 'competitions',
+		keysField: 'competitionKeys',
+		edges: ['stage', 'sgo'],
+		writes: ['sgo', 'stage'],
+	},
+	stage: {
+		alias: 's',
+		collection: 'stages',
+		competitionScoped: true,
+		idsField: 'stages',
+		keysField: 'stageKeys',
+		edges: ['event', 'competition', 'ranking'],
+		writes: ['competition', 'event', 'ranking'],
+	},
+	event: {
+		alias: 'e',
+		collection: 'events',
+		competitionScoped: true,
+		idsField: 'events',
+		keysField: 'eventKeys',
+		edges: ['team', 'venue', 'sportsPerson', 'stage', 'ranking', 'keyMoment'],
+		writes: ['stage', 'venue', 'team', 'sportsPerson', 'keyMoment', 'ranking'],
+	},
+	team: {
+		alias: 't',
+		collection: 'teams',
+		competitionScoped: true,
+		idsField: 'teams',
+		keysField: 'teamKeys',
+		edges: ['club', 'event', 'nation', 'sportsPerson', 'staff', 'ranking', 'sgo', 'keyMoment', 'venue'],
+		writes: ['club', 'sportsPerson', 'nation', 'venue', 'staff', 'event', 'sgo', 'ranking'],
+	},
+	venue: {
+		alias: 'v',
+		collection: 'venues',
+		competitionScoped: false,
+		idsField: 'venues',
+		keysField: 'venueKeys',
+		edges: ['event', 'team', 'sgo', 'club', 'nation'],
+		writes: ['club', 'event', 'nation', 'team', 'sgo'],
+	},
+	club: {
+		alias: 'b',
+		collection: 'clubs',
+		competitionScoped: false,
+		idsField: 'clubs',
+		keysField: 'clubKeys',
+		edges: ['team', 'sgo', 'venue', 'sportsPerson', 'staff'],
+		writes: ['sgo', 'staff', 'team', 'venue'],
+	},
+	sgo: {
+		alias: 'o',
+		collection: 'sgos',
+		competitionScoped: false,
+		idsField: 'sgos',
+		keysField: 'sgoKeys',
+		edges: ['competition', 'sgo', 'venue', 'club', 'nation', 'team'],
+		writes: ['competition', 'team', 'club', 'venue', 'sgo', 'nation'],
+	},
+	nation: {
+		alias: 'n',
+		collection: 'nations',
+		competitionScoped: false,
+		idsField: 'nations',
+		keysField: 'nationKeys',
+		edges: ['team', 'sgo', 'venue', 'staff'],
+		writes: ['sgo', 'team', 'venue'],
+	},
+	staff: {
+		alias: 'f',
+		collection: 'staff',
+		competitionScoped: true,
+		idsField: 'staff',
+		keysField: 'staffKeys',
+		edges: ['sportsPerson', 'team', 'club', 'nation'],
+		writes: ['team', 'club', 'nation', 'sportsPerson'],
+	},
+	sportsPerson: {
+		alias: 'p',
+		collection: 'sportsPersons',
+		competitionScoped: false,
+		idsField: 'sportsPersons',
+		keysField: 'sportsPersonKeys',
+		edges: ['team', 'club', 'event', 'staff', 'ranking', 'keyMoment'],
+		writes: ['club', 'event', 'ranking', 'staff', 'team'],
+	},
+	ranking: {
+		alias: 'r',
+		collection: 'rankings',
+		competitionScoped: true,
+		idsField: 'rankings',
+		keysField: 'rankingKeys',
+		edges: ['event', 'stage', 'team', 'sportsPerson'],
+		writes: ['event', 'stage', 'team', 'sportsPerson'],
+	},
+	keyMoment: {
+		alias: 'k',
+		collection: 'keyMoments',
+		competitionScoped: true,
+		idsField: 'keyMoments',
+		keysField: 'keyMomentKeys',
+		edges: ['event', 'sportsPerson', 'team'],
+		writes: ['event', 'sportsPerson', 'team'],
+	},
+};
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Finds the registered type for a resource type name in any casing (e.g. the stored `sportsperson`) or its alias.
+ *
+ * @function resourceTypeFor
+ * @param {string} nameOrAlias - A resource type name or alias
+ * @param {Object} [registry=RESOURCE_REGISTRY] - The registry to look in
+ * @returns {string|null} The registered type name, or null if there is none
+ */
+function resourceTypeFor(nameOrAlias, registry = RESOURCE_REGISTRY) {
+	if (!_.isString(nameOrAlias)) return null;
+	const value = nameOrAlias.trim().toLowerCase();
+	return Object.keys(registry).find((type) => type.toLowerCase() === value || registry[type].alias.toLowerCase() === value) || null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the directed, field-labelled graph: { fromType: { field: toType } }, the field being the target's idsField.
+ *
+ * @function buildEdges
+ * @param {Object} [registry=RESOURCE_REGISTRY] - The registry to derive from
+ * @returns {Object<string, Object<string, string>>} The EDGES graph
+ */
+function buildEdges(registry = RESOURCE_REGISTRY) {
+	return _.mapValues(registry, (entry) => Object.fromEntries(entry.edges.map((to) => [registry[to].idsField, to])));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Whether the type's build pipeline or the referenced type's (through reference management) writes the edge
+function edgeIsWritten(registry, from, to) {
+	return _.includes(registry[from].writes, to) || _.includes(registry[to]?.writes, from);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Checks the registry is consistent: every type is complete, aliases, collections and reference fields are unique,
+ * edges only name registered types, a type only writes edges it has, and every edge is written by the build pipeline
+ * of one of its ends.
+ *
+ * @function validateResourceRegistry
+ * @param {Object} [registry=RESOURCE_REGISTRY] - The registry to check
+ * @returns {Object} The registry
+ * @throws {Error} Listing every inconsistency found
+ */
+function validateResourceRegistry(registry = RESOURCE_REGISTRY) {
+	const problems = [];
+	const types = Object.keys(registry);
+	//////////////////////////////////////////////////////////////////////////////
+	// Values that must be unique across types (aliases also must not be mistaken for a type name)
+	const claimed = { name: new Map(), alias: new Map(), collection: new Map(), idsField: new Map(), keysField: new Map() };
+	const claim = (kind, value, type) => {
+		const key = value.toLowerCase();
+		if (claimed[kind].has(key)) problems.push(`${type}: ${kind} '${value}' is also used by ${claimed[kind].get(key)}`);
+		else claimed[kind].set(key, type);
+	};
+	for (const type of types) claim('name', type, type);
+	//////////////////////////////////////////////////////////////////////////////
+	for (const type of types) {
+		const entry = registry[type];
+		for (const field of ['alias', 'collection', 'idsField', 'keysField']) {
+			if (!_.isString(entry?.[field]) || entry[field].length === 0) problems.push(`${type}: ${field} must be a non-empty string`);
+			else claim(field, entry[field], type);
+		}
+		if (_.isString(entry?.alias) && claimed.name.has(entry.alias.toLowerCase())) problems.push(`${type}: alias '${entry.alias}' is the name of a type`);
+		if (!_.isBoolean(entry?.competitionScoped)) problems.push(`${type}: competitionScoped must be true or false`);
+		////////////////////////////////////////////////////////////////////////////
+		if (!Array.isArray(entry?.edges)) {
+			problems.push(`${type}: edges must be an array of types`);
+			continue;
+		}
+		if (_.uniq(entry.edges).length !== entry.edges.length) problems.push(`${type}: edges are listed more than once`);
+		for (const to of entry.edges) {
+			if (!_.has(registry, to)) problems.push(`${type}: edge to unknown type '${to}'`);
+			else if (!edgeIsWritten(registry, type, to)) problems.push(`${type}: edge to ${to} is not written by the build pipeline of ${type} or ${to}`);
+		}
+		////////////////////////////////////////////////////////////////////////////
+		if (!Array.isArray(entry?.writes)) {
+			problems.push(`${type}: writes must be an array of types`);
+			continue;
+		}
+		for (const to of entry.writes) {
+			if (!entry.edges.includes(to)) problems.push(`${type}: writes ${to} but has no edge to ${to}`);
+		}
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	if (problems.length > 0) throw new Error(`Resource registry is inconsistent:\n - ${problems.join('\n - ')}`);
+	return registry;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Derived views of the registry
+const EDGES = buildEdges();
+const COLLECTIONS = _.mapValues(RESOURCE_REGISTRY, 'collection');
+const TYPE_ALIAS = _.mapValues(RESOURCE_REGISTRY, 'alias');
+const COMPETITION_SCOPED_TYPES = Object.keys(RESOURCE_REGISTRY).filter((type) => RESOURCE_REGISTRY[type].competitionScoped);
+const REFERENCE_FIELDS = _.mapValues(RESOURCE_REGISTRY, ({ idsField, keysField }) => ({ idsField, keysField }));
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = {
+	RESOURCE_REGISTRY,
+	EDGES,
+	COLLECTIONS,
+	TYPE_ALIAS,
+	COMPETITION_SCOPED_TYPES,
+	REFERENCE_FIELDS,
+	resourceTypeFor,
+	buildEdges,
+	validateResourceRegistry,
+};
@@ -0,0 +1,46 @@
+const _ = require('lodash');
+const { RESOURCE_REGISTRY, EDGES, TYPE_ALIAS, REFERENCE_FIELDS, resourceTypeFor, validateResourceRegistry } = require('./resourceRegistry');
+const clientAggregationPipelineRouteBuilder = require('../client/clientAggregationPipelineRouteBuilder');
+
+////////////////////////////////////////////////////////////////////////////////
+describe('Resource Registry', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('should be consistent and derive the graph, aliases and reference fields', () => {
+		expect(validateResourceRegistry()).toBe(RESOURCE_REGISTRY);
+		expect(EDGES.competition).toEqual({ stages: 'stage', sgos: 'sgo' });
+		expect(EDGES.keyMoment).toEqual({ events: 'event', sportsPersons: 'sportsPerson', teams: 'team' });
+		expect(TYPE_ALIAS.sportsPerson).toBe('p');
+		expect(REFERENCE_FIELDS.staff).toEqual({ idsField: 'staff', keysField: 'staffKeys' });
+		expect(resourceTypeFor('sportsperson')).toBe('sportsPerson');
+		expect(resourceTypeFor('K')).toBe('keyMoment');
+		expect(resourceTypeFor('unknown')).toBeNull();
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('should resolve edge ids by type name or alias', () => {
+		const routes = clientAggregationPipelineRouteBuilder({ rootType: 'keyMoment', includeTypes: ['stage'], edgeIds: ['k.e', 'Event.Stage', 'e.x', 'c.t'] });
+		expect(routes.map((route) => route.via)).toEqual([['keyMoment.events->event', 'event.stages->stage']]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('should report every inconsistency', () => {
+		const registry = _.cloneDeep(RESOURCE_REGISTRY);
+		registry.venue.alias = 'c';
+		registry.club.collection = 'teams';
+		registry.nation.edges.push('league');
+		registry.staff.writes.push('event');
+		registry.club.edges.push('event');
+		delete registry.sportsPerson.competitionScoped;
+		expect(() => validateResourceRegistry(registry)).toThrow(
+			[
+				'Resource registry is inconsistent:',
+				" - venue: alias 'c' is also used by competition",
+				" - club: collection 'teams' is also used by team",
+				' - club: edge to event is not written by the build pipeline of club or event',
+				" - nation: edge to unknown type 'league'",
+				' - staff: writes event but has no edge to event',
+				' - sportsPerson: competitionScoped must be true or false',
+			].join('\n')
+		);
+	});
+});
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getConsistencyReportController, getDriftReportController, getMetricsController } = require('../controllers/adminController');
+
+////////////////////////////////////////////////////////////////////////////////
+router.get('/consistency', getConsistencyReportController);
+router.get('/drift', getDriftReportController);
+router.get('/metrics', getMetricsController);
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = router;
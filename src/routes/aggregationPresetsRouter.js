@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { putAggregationPreset, getAggregationPreset } = require('../controllers/aggregationPresetsController');
+
+////////////////////////////////////////////////////////////////////////////////
+router.put('/:name', putAggregationPreset);
+router.get('/:reference', getAggregationPreset);
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = router;
@@ -1,17 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { getSingleSportsData } = require('../controllers/getSingleSportsDataController');
+const { getSingleSportsData, getAggregationPage, getBatchAggregations } = require('../controllers/getSingleSportsDataController');
 const { buildMaterialisedViewControllerForIdScopeResources } = require('../controllers/buildMaterialisedViewController');
 const { buildMaterialisedViewControllerForStaff } = require('../controllers/buildMaterialisedViewController');
 const { buildMaterialisedViewControllerForKeyMoment } = require('../controllers/buildMaterialisedViewController');
 const { buildMaterialisedViewControllerForRanking } = require('../controllers/buildMaterialisedViewController');
+const { deleteMaterialisedViewControllerForIdScopeResources } = require('../controllers/deleteMaterialisedViewController');
+const { deleteMaterialisedViewControllerForStaff } = require('../controllers/deleteMaterialisedViewController');
+const { deleteMaterialisedViewControllerForKeyMoment } = require('../controllers/deleteMaterialisedViewController');
+const { deleteMaterialisedViewControllerForRanking } = require('../controllers/deleteMaterialisedViewController');
 
 ////////////////////////////////////////////////////////////////////////////////
 router.get('/:schemaType/:scope/:id', getSingleSportsData);
+router.get('/:schemaType/:scope/:id/aggregations/:type', getAggregationPage);
+router.post('/aggregations/batch', getBatchAggregations);
 router.post('/aggregate/:schemaType/:scope/:id', buildMaterialisedViewControllerForIdScopeResources);
 router.post('/aggregate/staff/sp/:spScope/:spId/:type/:orgIdScope/:orgId', buildMaterialisedViewControllerForStaff);
 router.post('/aggregate/km/:eventIdScope/:eventId/:type/:subType/:dateTime', buildMaterialisedViewControllerForKeyMoment);
 router.post('/aggregate/rankings/:lType/:lIdScope/:lId/:pType/:pIdScope/:pId/:dateTimeLabel/:ranking', buildMaterialisedViewControllerForRanking);
+router.delete('/aggregate/:schemaType/:scope/:id', deleteMaterialisedViewControllerForIdScopeResources);
+router.delete('/aggregate/staff/sp/:spScope/:spId/:type/:orgIdScope/:orgId', deleteMaterialisedViewControllerForStaff);
+router.delete('/aggregate/km/:eventIdScope/:eventId/:type/:subType/:dateTime', deleteMaterialisedViewControllerForKeyMoment);
+router.delete('/aggregate/rankings/:lType/:lIdScope/:lId/:pType/:pIdScope/:pId/:dateTimeLabel/:ranking', deleteMaterialisedViewControllerForRanking);
 
 ////////////////////////////////////////////////////////////////////////////////
 module.exports = router;
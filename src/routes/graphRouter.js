@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getGraph, getGraphRoutes } = require('../controllers/graphController');
+
+////////////////////////////////////////////////////////////////////////////////
+router.get('/', getGraph);
+router.get('/routes', getGraphRoutes);
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = router;
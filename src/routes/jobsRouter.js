@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { createRebuildJobController, getJobController } = require('../controllers/jobsController');
+
+////////////////////////////////////////////////////////////////////////////////
+router.post('/rebuild', createRebuildJobController);
+router.get('/:id', getJobController);
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = router;
@@ -1,4 +1,5 @@
 const _ = require('lodash');
+const { warn } = require('../log.js');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -99,6 +100,30 @@ const send200 = function (res, responseStringOrObject, config, type = 'json') {
 	}
 };
 
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Send a 202 Accepted JSON response, for work that has been queued rather than done.
+ *
+ * Behaves like send200 apart from the status code: objects are serialized as-is and
+ * anything else is wrapped into { status: 202, message: "<value>" }.
+ *
+ * @function send202
+ * @param {Object} res - Express response object (or compatible). Must implement `.type()`, `.status()`, `.append()`, and `.send()`.
+ * @param {string|Object} responseStringOrObject - Response payload.
+ * @param {Object} [config] - Optional configuration (see send200).
+ * @returns {void} This function sends the response and does not return a value.
+ */
+const send202 = function (res, responseStringOrObject, config) {
+	const body = _.isObject(responseStringOrObject)
+		? JSON.stringify(responseStringOrObject, null, 3) + '\n'
+		: JSON.stringify({ status: 202, message: `${responseStringOrObject}` }, null, 3);
+	if (config?.server?.accessControlAllowOrigin != null) {
+		res.type('json').status(202).append('Access-Control-Allow-Origin', config.server.accessControlAllowOrigin).send(body);
+	} else {
+		res.type('json').status(202).send(body);
+	}
+};
+
 ////////////////////////////////////////////////////////////////////////////////
 /**
  * Convenience wrapper to send an HTTP 400 (Bad Request) response.
@@ -141,6 +166,19 @@ const send404 = function (res, responseStringOrObject = 'No resource here') {
 	return sendError(404, res, responseStringOrObject);
 };
 
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Send an HTTP 409 (Conflict) response by delegating to sendError.
+ *
+ * @param {import('http').ServerResponse|import('express').Response} res - The response object to send the error on.
+ * @param {string|object} [responseStringOrObject='Conflict'] - Message string or object to include in the response body.
+ * @returns {*} The value returned by sendError (may be void or whatever sendError returns).
+ * @see sendError
+ */
+const send409 = function (res, responseStringOrObject = 'Conflict') {
+	return sendError(409, res, responseStringOrObject);
+};
+
 ////////////////////////////////////////////////////////////////////////////////
 /**
  * Send an HTTP 500 (Internal Server Error) response by delegating to sendError.
@@ -168,4 +206,25 @@ const send503 = function (res, responseStringOrObject = 'Service Busy') {
 };
 
 ////////////////////////////////////////////////////////////////////////////////
-module.exports = { send200, send400, send401, send404, send500, send503, sendError };
+/**
+ * Sends the database connection error when there is no MongoDB connection.
+ *
+ * @param {import('express').Response} res - The response object to send the error on.
+ * @param {Object} mongo - MongoDB connection object (config.mongo), with db and client properties once connected.
+ * @returns {boolean} True if the connection is unavailable and the error was sent, in which case the caller should return.
+ */
+const mongoUnavailable = function (res, mongo) {
+	if (!mongo || !mongo.db || !mongo.client) {
+		warn(`No MongoDB connection available`, 'WD0050', 500, 'Database Connection Error');
+		send400(res, {
+			message: 'Database connection is not available.',
+			errorCode: 'WD0050', // TODO: Error codes should be documented in a central location and not as magic numbers in code
+			category: 'Database Connection Error',
+		});
+		return true;
+	}
+	return false;
+};
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { send200, send202, send400, send401, send404, send409, send500, send503, sendError, mongoUnavailable };
@@ -0,0 +1,92 @@
+////////////////////////////////////////////////////////////////////////////////
+// In-process counters and gauges, rendered in the Prometheus text exposition format
+// for GET /1-0/admin/metrics. Values live for the life of the process.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+
+////////////////////////////////////////////////////////////////////////////////
+// name -> { type, help, values: Map(label string -> { labels, value }) }
+const registry = new Map();
+
+////////////////////////////////////////////////////////////////////////////////
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function labelString(labels) {
+	const entries = Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b));
+	if (entries.length === 0) return '';
+	return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function register(type, name, help) {
+	if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) throw new Error(`Invalid parameters: invalid metric name ${name}`);
+	const existing = registry.get(name);
+	if (existing && existing.type !== type) throw new Error(`Invalid parameters: metric ${name} is already registered as a ${existing.type}`);
+	if (!existing) registry.set(name, { type, help: help || name, values: new Map() });
+	return registry.get(name);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Adds to a counter, registering it on first use.
+ *
+ * @function incrementCounter
+ * @param {string} name - Metric name (e.g. 'matagg_drift_checked_total')
+ * @param {string} help - Description shown in the # HELP line
+ * @param {Object} [labels] - Label names and values (e.g. { resource_type: 'event' })
+ * @param {number} [value=1] - Amount to add; must not be negative
+ * @returns {void}
+ */
+function incrementCounter(name, help, labels = {}, value = 1) {
+	if (!(value >= 0)) throw new Error('Invalid parameters: counters can only be increased');
+	const metric = register('counter', name, help);
+	const key = labelString(labels);
+	const current = metric.values.get(key);
+	metric.values.set(key, { labels, value: (current?.value || 0) + value });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Sets a gauge, registering it on first use.
+ *
+ * @function setGauge
+ * @param {string} name - Metric name (e.g. 'matagg_drift_last_scan_timestamp_seconds')
+ * @param {string} help - Description shown in the # HELP line
+ * @param {Object} [labels] - Label names and values
+ * @param {number} value - The new value
+ * @returns {void}
+ */
+function setGauge(name, help, labels = {}, value) {
+	if (!_.isFinite(value)) throw new Error('Invalid parameters: gauge value must be a finite number');
+	const metric = register('gauge', name, help);
+	metric.values.set(labelString(labels), { labels, value });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Renders every registered metric in the Prometheus text exposition format (version 0.0.4).
+ *
+ * @function renderMetrics
+ * @returns {string} The metrics, one # HELP / # TYPE block per metric, ending in a newline
+ */
+function renderMetrics() {
+	const lines = [];
+	for (const [name, metric] of [...registry.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+		lines.push(`# HELP ${name} ${metric.help.replace(/\n/g, ' ')}`);
+		lines.push(`# TYPE ${name} ${metric.type}`);
+		for (const [key, { value }] of metric.values) lines.push(`${name}${key} ${value}`);
+	}
+	return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// For tests
+function resetMetrics() {
+	registry.clear();
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { incrementCounter, setGauge, renderMetrics, resetMetrics };
@@ -1,5 +1,5 @@
-const { info, logAndThrowError } = require('../log');
-const { MongoClient, ServerApiVersion } = require('mongodb');
+const { info, warn, logAndThrowError } = require('../log');
+const { MongoClient, ServerApiVersion, MongoNetworkError, MongoServerSelectionError } = require('mongodb');
 
 ////////////////////////////////////////////////////////////////////////////////
 /**
@@ -134,8 +134,81 @@ const indexExistsOnCollection = async function (mongo, collectionName, indexName
 	return indexes.some((idx) => idx.name === indexName);
 };
 
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Run a unit of work inside a MongoDB transaction, retrying on transient errors.
+ *
+ * The whole transaction is retried when an error carries the `TransientTransactionError` label
+ * (e.g. a write conflict or a primary step-down), and the commit alone is retried when it carries
+ * `UnknownTransactionCommitResult`. Any other error aborts the transaction and is rethrown.
+ *
+ * @async
+ * @param {Object} mongo - Mongo connection object containing client and db properties
+ * @param {MongoClient} mongo.client - Connected MongoDB client instance
+ * @param {function(ClientSession): Promise<*>} work - The work to run; must pass the session to every operation
+ * @param {Object} [options] - Transaction options
+ * @param {number} [options.maxRetries=3] - Maximum number of retries after the first attempt
+ * @param {string} [options.requestId] - Request identifier for logging
+ * @returns {Promise<*>} The value returned by `work` from the attempt that committed
+ * @throws {Error} The last error once retries are exhausted, or any non-transient error
+ */
+const runInTransaction = async function (mongo, work, { maxRetries = 3, requestId = null } = {}) {
+	const session = mongo.client.startSession();
+	try {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				session.startTransaction({ readConcern: { level: 'snapshot' }, writeConcern: { w: 'majority' } });
+				const result = await work(session);
+				await commitWithRetry(session, maxRetries, requestId);
+				return result;
+			} catch (e) {
+				if (session.inTransaction()) await session.abortTransaction().catch(() => {});
+				if (e?.hasErrorLabel?.('TransientTransactionError') && attempt < maxRetries) {
+					warn(`Transient transaction error (attempt ${attempt + 1}/${maxRetries + 1}), retrying: ${e.message}`, requestId);
+					continue;
+				}
+				throw e;
+			}
+		}
+	} finally {
+		await session.endSession();
+	}
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Commit a transaction, retrying the commit while its outcome is unknown
+const commitWithRetry = async function (session, maxRetries, requestId) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			await session.commitTransaction();
+			return;
+		} catch (e) {
+			if (e?.hasErrorLabel?.('UnknownTransactionCommitResult') && attempt < maxRetries) {
+				warn(`Unknown transaction commit result (attempt ${attempt + 1}/${maxRetries + 1}), retrying commit: ${e.message}`, requestId);
+				continue;
+			}
+			throw e;
+		}
+	}
+};
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Whether an error is one that may go away if the operation is tried again: a lost connection, no
+ * server to select, or an error the server labels as retryable (e.g. a primary step-down).
+ *
+ * @param {Error} error - The error thrown by a MongoDB operation
+ * @returns {boolean} True if retrying the operation may succeed
+ */
+const isTransientError = function (error) {
+	if (error instanceof MongoNetworkError || error instanceof MongoServerSelectionError) return true;
+	return ['TransientTransactionError', 'RetryableWriteError', 'ResetPool'].some((label) => error?.hasErrorLabel?.(label));
+};
+
 ////////////////////////////////////////////////////////////////////////////////
 module.exports = {
+	runInTransaction,
+	isTransientError,
 	connectToMongo,
 	closeMongo,
 	dbExists,
@@ -0,0 +1,81 @@
+////////////////////////////////////////////////////////////////////////////////
+// Bounded-concurrency helpers for running many independent async tasks.
+////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Run a worker over every item of an iterable with at most `concurrency` workers in flight.
+ *
+ * Items are pulled from the iterable only when a worker is free (back-pressure), so an iterable
+ * that is still being added to (e.g. a Set being filled by earlier workers) is drained as it grows,
+ * and no more than `concurrency` tasks are ever pending at once. Worker errors are not caught:
+ * the first rejection stops further items being started and is rethrown once the workers in
+ * flight have settled.
+ *
+ * @async
+ * @function runWithConcurrency
+ * @param {Iterable<*>} items - The items to process
+ * @param {number} concurrency - Maximum number of workers running at the same time (at least 1)
+ * @param {function(*, number): Promise<*>} worker - Called with each item and its index
+ * @returns {Promise<void>} Resolves once every item has been processed
+ * @example
+ * await runWithConcurrency(keys, 4, async (key) => buildAggregationDocument(mongo, config, 'event', key, requestId));
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+	const iterator = items[Symbol.iterator]();
+	const limit = Math.max(1, Math.floor(Number(concurrency)) || 1);
+	let index = 0;
+	let failure = null;
+	const runWorker = async () => {
+		while (failure === null) {
+			const next = iterator.next();
+			if (next.done) return;
+			try {
+				await worker(next.value, index++);
+			} catch (err) {
+				if (failure === null) failure = err;
+			}
+		}
+	};
+	await Promise.all(Array.from({ length: limit }, runWorker));
+	if (failure !== null) throw failure;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Call `fn` until it succeeds, waiting an exponentially growing (jittered) delay between attempts.
+ *
+ * An attempt fails when `fn` rejects or when `isFailure(result)` is true. After the last attempt
+ * the rejection is rethrown, or the failed result is returned, so callers see the same outcome they
+ * would have without retries. A rejection that `shouldRetry(error)` rejects is rethrown straight away.
+ *
+ * @async
+ * @function retryWithBackoff
+ * @param {function(number): Promise<*>} fn - The operation, called with the attempt number (0 based)
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=250] - Delay before the first retry; doubled for each further retry
+ * @param {number} [options.maxDelayMs=5000] - Upper bound for a single delay
+ * @param {function(*): boolean} [options.isFailure] - Treats a resolved result as a failed attempt
+ * @param {function(Error): boolean} [options.shouldRetry] - Whether a rejection may be retried; defaults to always
+ * @param {function(number, *): void} [options.onRetry] - Called before each retry with the attempt that failed and its error or result
+ * @returns {Promise<*>} The result of the first successful attempt, or of the last attempt
+ */
+async function retryWithBackoff(fn, { retries = 2, baseDelayMs = 250, maxDelayMs = 5000, isFailure = () => false, shouldRetry = () => true, onRetry = null } = {}) {
+	for (let attempt = 0; ; attempt++) {
+		let result;
+		try {
+			result = await fn(attempt);
+			if (!isFailure(result) || attempt >= retries) return result;
+		} catch (err) {
+			if (attempt >= retries || !shouldRetry(err)) throw err;
+			result = err;
+		}
+		if (typeof onRetry === 'function') onRetry(attempt, result);
+		const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+		await new Promise((resolve) => setTimeout(resolve, delay / 2 + Math.random() * (delay / 2)));
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { runWithConcurrency, retryWithBackoff };
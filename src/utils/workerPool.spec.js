@@ -0,0 +1,71 @@
+const { runWithConcurrency, retryWithBackoff } = require('./workerPool');
+
+////////////////////////////////////////////////////////////////////////////////
+describe('runWithConcurrency', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('never runs more than `concurrency` workers at once and processes every item', async () => {
+		let running = 0;
+		let maxRunning = 0;
+		const seen = [];
+		await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			await new Promise((resolve) => setTimeout(resolve, 2));
+			seen.push(item);
+			running--;
+		});
+		expect(maxRunning).toBe(3);
+		expect(seen.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('pulls items lazily, so items added while it runs are processed', async () => {
+		const items = new Set(['a']);
+		const seen = [];
+		await runWithConcurrency(items, 2, async (item) => {
+			seen.push(item);
+			if (item === 'a') items.add('b').add('c');
+		});
+		expect(seen).toEqual(['a', 'b', 'c']);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('stops starting items after a worker throws and rethrows the error', async () => {
+		const seen = [];
+		const run = runWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+			seen.push(item);
+			if (item === 2) throw new Error('boom');
+		});
+		await expect(run).rejects.toThrow('boom');
+		expect(seen).toEqual([1, 2]);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('retryWithBackoff', () => {
+	const fast = { baseDelayMs: 1, maxDelayMs: 2 };
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('retries failed results and rejections until an attempt succeeds', async () => {
+		const fn = jest.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValueOnce(null).mockResolvedValue('doc');
+		const onRetry = jest.fn();
+		expect(await retryWithBackoff(fn, { ...fast, retries: 3, isFailure: (result) => result == null, onRetry })).toBe('doc');
+		expect(fn).toHaveBeenCalledTimes(3);
+		expect(onRetry.mock.calls.map((call) => call[0])).toEqual([0, 1]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('returns the last failed result, or rethrows the last error, once retries run out', async () => {
+		const failing = jest.fn().mockResolvedValue(null);
+		expect(await retryWithBackoff(failing, { ...fast, retries: 2, isFailure: (result) => result == null })).toBeNull();
+		expect(failing).toHaveBeenCalledTimes(3);
+		await expect(retryWithBackoff(() => Promise.reject(new Error('boom')), { ...fast, retries: 1 })).rejects.toThrow('boom');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rethrows a rejection shouldRetry refuses without retrying it', async () => {
+		const fn = jest.fn().mockRejectedValueOnce(new Error('transient')).mockRejectedValue(new Error('permanent'));
+		await expect(retryWithBackoff(fn, { ...fast, retries: 5, shouldRetry: (err) => err.message === 'transient' })).rejects.toThrow('permanent');
+		expect(fn).toHaveBeenCalledTimes(2);
+	});
+});
@@ -0,0 +1,269 @@
+////////////////////////////////////////////////////////////////////////////////
+// Audits the references held in the materialised aggregation documents.
+//
+// Every aggregation document records the resources it is linked to in its `xxxKeys`
+// fields (external key -> gameday id), and the linked document should record the
+// inverse edge (see EDGES). The checker scans the whole collection once and reports:
+//  - orphans: aggregation documents whose gamedayId no longer exists in the home
+//    collection of their resource type (see COLLECTIONS)
+//  - dangling references: `xxxKeys` entries pointing at an aggregation document that
+//    does not exist, or at a gameday id other than the one the document holds
+//  - asymmetric edges: `xxxKeys` entries whose target does not reference the source back
+//
+// With `repair` the problems are fixed in place: orphans are deleted (pulling their
+// back-references), dangling references are removed or repointed and missing inverse
+// edges are added.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+const { info, debug, warn } = require('../log.js');
+const COLLECTIONS = require('../client/clientAggregationPipelineBuilderCollections.js');
+const { referenceFieldsFor } = require('../pipelines/referenceManagement.js');
+const { canonicalResourceType, neighbourTypes } = require('../pipelines/rebuildFromRoot.js');
+const { deleteAggregationDocument } = require('../pipelines/deleteAggregationDocument.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Defaults for the options of checkConsistency
+const DEFAULT_SAMPLE_LIMIT = 100;
+const ID_BATCH_SIZE = 500;
+
+////////////////////////////////////////////////////////////////////////////////
+function docId(resourceType, key) {
+	return `${resourceType}|${key}`;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function sameId(a, b) {
+	return a != null && b != null && String(a) === String(b);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Only the identifying fields and the `xxxKeys` fields are needed for the audit
+function scanProjection() {
+	const projection = { resourceType: 1, externalKey: 1, gamedayId: 1 };
+	for (const type of Object.keys(COLLECTIONS)) projection[referenceFieldsFor(type).keysField] = 1;
+	return projection;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Load every aggregation document into a map keyed by type and external key
+async function loadAggregationIndex(mongo, config) {
+	const index = new Map();
+	const cursor = mongo.db.collection(config.mongo.matAggCollectionName).find({}, { projection: scanProjection() });
+	for await (const doc of cursor) {
+		const type = canonicalResourceType(doc.resourceType);
+		if (!type || !_.isString(doc.externalKey)) continue;
+		index.set(docId(type, doc.externalKey), { ...doc, type });
+	}
+	return index;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// The aggregation documents whose gamedayId is missing from the home collection of their type
+async function findOrphans(mongo, docs) {
+	const orphans = [];
+	const docsByType = _.groupBy(docs, 'type');
+	for (const [type, typeDocs] of Object.entries(docsByType)) {
+		const collectionName = COLLECTIONS[type];
+		for (const batch of _.chunk(typeDocs, ID_BATCH_SIZE)) {
+			const ids = batch.map((doc) => doc.gamedayId).filter((id) => id != null);
+			const found = await mongo.db
+				.collection(collectionName)
+				.find({ _id: { $in: ids } }, { projection: { _id: 1 } })
+				.toArray();
+			const foundIds = new Set(found.map((source) => String(source._id)));
+			for (const doc of batch) {
+				if (doc.gamedayId == null || !foundIds.has(String(doc.gamedayId))) orphans.push(doc);
+			}
+		}
+	}
+	return orphans;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Walk every forward edge and compare it with its target and the target's inverse edge
+function findReferenceProblems(index, docs) {
+	const dangling = [];
+	const asymmetric = [];
+	for (const doc of docs) {
+		for (const toType of neighbourTypes(doc.type)) {
+			const references = doc[referenceFieldsFor(toType).keysField];
+			if (!_.isPlainObject(references)) continue;
+			const inverseExpected = neighbourTypes(toType).includes(doc.type);
+			const inverseKeysField = referenceFieldsFor(doc.type).keysField;
+			for (const [referencedKey, referencedId] of Object.entries(references)) {
+				const edge = { fromType: doc.type, fromKey: doc.externalKey, toType, toKey: referencedKey, referencedId };
+				const target = index.get(docId(toType, referencedKey));
+				if (!target) {
+					dangling.push({ ...edge, reason: 'missingDocument' });
+					continue;
+				}
+				if (!sameId(referencedId, target.gamedayId)) dangling.push({ ...edge, reason: 'staleId', expectedId: target.gamedayId });
+				if (inverseExpected && !_.has(target[inverseKeysField], doc.externalKey)) asymmetric.push(edge);
+			}
+		}
+	}
+	return { dangling, asymmetric };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Remove a reference from the document holding it: its id from `xxxs` and its entry in `xxxKeys`
+function removeReferenceOperation(problem) {
+	const { idsField, keysField } = referenceFieldsFor(problem.toType);
+	return {
+		updateOne: {
+			filter: { resourceType: problem.fromType.toLowerCase(), externalKey: problem.fromKey },
+			update: { $pull: { [idsField]: problem.referencedId }, $unset: { [`${keysField}.${problem.toKey}`]: '' }, $set: { lastUpdated: new Date() } },
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Record a reference in the document holding it with the given gameday id (never creates the document)
+function setReferenceOperation(holderType, holderKey, referencedType, referencedKey, referencedId) {
+	const { idsField, keysField } = referenceFieldsFor(referencedType);
+	return {
+		updateOne: {
+			filter: { resourceType: holderType.toLowerCase(), externalKey: holderKey },
+			update: { $addToSet: { [idsField]: referencedId }, $set: { [`${keysField}.${referencedKey}`]: referencedId, lastUpdated: new Date() } },
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Builds the bulkWrite operations that fix the dangling references and asymmetric edges of a report.
+ *
+ * References held by orphans are left alone (the orphans are deleted), references to orphans
+ * and to missing documents are removed, stale ids are repointed at the target's gamedayId, and
+ * missing inverse edges are added to the target.
+ *
+ * @function buildRepairOperations
+ * @param {Object} findings - { orphans, dangling, asymmetric } as found by checkConsistency
+ * @param {Map<string, Object>} index - The scanned aggregation documents, keyed by type and external key
+ * @returns {Object[]} bulkWrite operations against the materialised aggregation collection
+ */
+function buildRepairOperations({ orphans, dangling, asymmetric }, index) {
+	const orphanIds = new Set(orphans.map((doc) => docId(doc.type, doc.externalKey)));
+	const operations = [];
+	const handled = new Set();
+	//////////////////////////////////////////////////////////////////////////////
+	for (const problem of dangling) {
+		if (orphanIds.has(docId(problem.fromType, problem.fromKey))) continue;
+		const edgeId = `${docId(problem.fromType, problem.fromKey)}->${docId(problem.toType, problem.toKey)}`;
+		handled.add(edgeId);
+		operations.push(removeReferenceOperation(problem));
+		if (problem.reason === 'staleId' && !orphanIds.has(docId(problem.toType, problem.toKey))) {
+			// $pull and $addToSet cannot target the same field in one update, so this takes two operations
+			operations.push(setReferenceOperation(problem.fromType, problem.fromKey, problem.toType, problem.toKey, problem.expectedId));
+		}
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	for (const problem of asymmetric) {
+		if (orphanIds.has(docId(problem.fromType, problem.fromKey))) continue;
+		const edgeId = `${docId(problem.fromType, problem.fromKey)}->${docId(problem.toType, problem.toKey)}`;
+		if (orphanIds.has(docId(problem.toType, problem.toKey))) {
+			if (!handled.has(edgeId)) operations.push(removeReferenceOperation(problem));
+			continue;
+		}
+		const source = index.get(docId(problem.fromType, problem.fromKey));
+		operations.push(setReferenceOperation(problem.toType, problem.toKey, problem.fromType, problem.fromKey, source.gamedayId));
+	}
+	return operations;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function describeDoc(doc) {
+	return { resourceType: doc.type, externalKey: doc.externalKey, gamedayId: doc.gamedayId ?? null };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Repair writes do not go through executeOperationsForReferenceChange, which only logs a failed bulkWrite
+// outside a transaction: a failure must abort the repair rather than be reported as repaired
+async function writeRepairOperations(collection, operations, requestId) {
+	if (operations.length === 0) return;
+	const result = await collection.bulkWrite(operations);
+	debug(`Consistency repair: ${result.matchedCount} references matched, ${result.modifiedCount} modified, ${result.upsertedCount} upserted`, requestId);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Audits the references between materialised aggregation documents and optionally repairs them.
+ *
+ * The whole collection is scanned once (identifying fields and `xxxKeys` only) and held in memory,
+ * then each document's gamedayId is looked up in its home collection in batches.
+ *
+ * @async
+ * @function checkConsistency
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing mongo settings
+ * @param {string} requestId - Request identifier for logging
+ * @param {Object} [options] - Audit options
+ * @param {string[]} [options.types] - Only audit documents of these resource types (any casing); targets of any type are still resolved
+ * @param {boolean} [options.repair=false] - Fix the problems found
+ * @param {number} [options.sampleLimit=100] - Maximum number of problems listed per category (the counts are always complete)
+ * @returns {Promise<Object>} { scanned, checked, counts: { orphans, dangling, asymmetric }, orphans, dangling, asymmetric, truncated, repaired? }
+ * @throws {Error} If config.mongo.matAggCollectionName is invalid, a resource type is unknown or a repair write fails
+ */
+async function checkConsistency(mongo, config, requestId, options = {}) {
+	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
+	let types = null;
+	if (options.types != null) {
+		if (!Array.isArray(options.types)) throw new Error('Invalid parameters: types must be an array');
+		types = options.types.map((type) => {
+			const canonical = canonicalResourceType(type);
+			if (!canonical) throw new Error(`Invalid parameters: unknown resourceType ${type} in types`);
+			return canonical;
+		});
+	}
+	const sampleLimit = options.sampleLimit ?? DEFAULT_SAMPLE_LIMIT;
+	const startTime = Date.now();
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Scan, then audit the selected documents against the full index
+	const index = await loadAggregationIndex(mongo, config);
+	const docs = [...index.values()].filter((doc) => !types || types.includes(doc.type));
+	info(`Consistency check: scanned ${index.size} aggregation documents, checking ${docs.length}`, requestId);
+	const orphans = await findOrphans(mongo, docs);
+	const { dangling, asymmetric } = findReferenceProblems(index, docs);
+
+	//////////////////////////////////////////////////////////////////////////////
+	const counts = { orphans: orphans.length, dangling: dangling.length, asymmetric: asymmetric.length };
+	const report = {
+		scanned: index.size,
+		checked: docs.length,
+		counts,
+		orphans: orphans.slice(0, sampleLimit).map(describeDoc),
+		dangling: dangling.slice(0, sampleLimit),
+		asymmetric: asymmetric.slice(0, sampleLimit),
+		truncated: Object.values(counts).some((count) => count > sampleLimit),
+	};
+	info(`Consistency check: ${counts.orphans} orphans, ${counts.dangling} dangling references, ${counts.asymmetric} asymmetric edges`, requestId);
+
+	//////////////////////////////////////////////////////////////////////////////
+	// Repair: edges first (they may point at orphans), then delete the orphans with their back-references
+	if (options.repair === true) {
+		const collection = mongo.db.collection(config.mongo.matAggCollectionName);
+		const operations = buildRepairOperations({ orphans, dangling, asymmetric }, index);
+		await writeRepairOperations(collection, operations, requestId);
+		let deletedOrphans = 0;
+		for (const orphan of orphans) {
+			// A dry run delete plans the back-references to pull; the writes are made here so their failures propagate
+			const planned = await deleteAggregationDocument(config, mongo, { _id: orphan._id }, requestId, true, true);
+			if (!_.isObject(planned)) {
+				warn(`Consistency repair: orphan ${orphan.type} ${orphan.externalKey} was already gone`, requestId);
+				continue;
+			}
+			await collection.deleteOne({ _id: orphan._id });
+			await writeRepairOperations(collection, planned.referenceOperations, requestId);
+			deletedOrphans++;
+		}
+		report.repaired = { referenceOperations: operations.length, deletedOrphans };
+		info(`Consistency repair: ${operations.length} reference operations, ${deletedOrphans} orphans deleted`, requestId);
+	}
+	report.durationMs = Date.now() - startTime;
+	debug(`Consistency check took ${report.durationMs}ms`, requestId);
+	return report;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { checkConsistency, buildRepairOperations };
@@ -0,0 +1,115 @@
+const { ObjectId } = require('mongodb');
+const { checkConsistency } = require('./consistencyChecker.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Gameday ids, as held by the source documents
+const [T0, T1, E1, E2, V1, P1] = Array.from({ length: 6 }, () => new ObjectId());
+
+////////////////////////////////////////////////////////////////////////////////
+// A stand-in for the collections the checker reads and repairs. bulkWrite only records the operations, or throws
+// the error bulkWriteErrors holds for its nth call.
+function fakeMongo({ aggregations, sources }, { bulkWriteErrors = [] } = {}) {
+	let bulkWriteCalls = 0;
+	const bulkWrites = [];
+	const deleted = [];
+	const collection = (name) => {
+		if (name === 'materialisedAggregations') {
+			return {
+				find: () => ({
+					[Symbol.asyncIterator]: async function* () {
+						yield* aggregations;
+					},
+				}),
+				findOne: async (filter) => aggregations.find((doc) => doc._id === filter._id) || null,
+				deleteOne: async (filter) => deleted.push(filter._id),
+				bulkWrite: async (operations) => {
+					const error = bulkWriteErrors[bulkWriteCalls++];
+					if (error) throw error;
+					bulkWrites.push(...operations);
+					return { matchedCount: operations.length, modifiedCount: operations.length, upsertedCount: 0 };
+				},
+			};
+		}
+		return {
+			find: (filter) => ({ toArray: async () => (sources[name] || []).filter((id) => filter._id.$in.includes(id)).map((id) => ({ _id: id })) }),
+		};
+	};
+	return { db: { collection }, bulkWrites, deleted };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+const config = { mongo: { matAggCollectionName: 'materialisedAggregations' } };
+
+////////////////////////////////////////////////////////////////////////////////
+// A team and an event that reference each other, an event whose team does not reference it back,
+// an orphaned venue and a reference to a sportsPerson with no aggregation document
+function fixture() {
+	return {
+		aggregations: [
+			{ _id: 'a1', resourceType: 'team', externalKey: 't1 @ fifa', gamedayId: T1, eventKeys: { 'e1 @ fifa': E1 } },
+			{ _id: 'a2', resourceType: 'event', externalKey: 'e1 @ fifa', gamedayId: E1, teamKeys: { 't1 @ fifa': T1 }, venueKeys: { 'v1 @ fifa': V1 } },
+			{ _id: 'a3', resourceType: 'event', externalKey: 'e2 @ fifa', gamedayId: E2, teamKeys: { 't1 @ fifa': T1 }, sportsPersonKeys: { 'p1 @ fifa': P1 } },
+			{ _id: 'a4', resourceType: 'venue', externalKey: 'v1 @ fifa', gamedayId: V1, eventKeys: { 'e1 @ fifa': E1 } },
+		],
+		sources: { teams: [T1], events: [E1, E2], venues: [] },
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+describe('checkConsistency', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('reports orphans, dangling references and asymmetric edges without writing anything', async () => {
+		const mongo = fakeMongo(fixture());
+		const report = await checkConsistency(mongo, config, 'req');
+		expect(report.scanned).toBe(4);
+		expect(report.counts).toEqual({ orphans: 1, dangling: 1, asymmetric: 1 });
+		expect(report.orphans).toEqual([{ resourceType: 'venue', externalKey: 'v1 @ fifa', gamedayId: V1 }]);
+		expect(report.dangling[0]).toMatchObject({ fromType: 'event', fromKey: 'e2 @ fifa', toType: 'sportsPerson', toKey: 'p1 @ fifa', reason: 'missingDocument' });
+		expect(report.asymmetric[0]).toMatchObject({ fromType: 'event', fromKey: 'e2 @ fifa', toType: 'team', toKey: 't1 @ fifa' });
+		expect(report.repaired).toBeUndefined();
+		expect(mongo.bulkWrites).toEqual([]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('flags references holding a different gameday id from their target as stale', async () => {
+		const data = fixture();
+		data.aggregations[1].teamKeys['t1 @ fifa'] = T0;
+		const report = await checkConsistency(fakeMongo(data), config, 'req', { types: ['Event'] });
+		expect(report.checked).toBe(2);
+		expect(report.dangling.map((problem) => problem.reason)).toEqual(['staleId', 'missingDocument']);
+		expect(report.dangling[0]).toMatchObject({ fromKey: 'e1 @ fifa', referencedId: T0, expectedId: T1 });
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('repairs by removing dangling references, adding missing inverses and deleting orphans', async () => {
+		const mongo = fakeMongo(fixture());
+		const report = await checkConsistency(mongo, config, 'req', { repair: true });
+		const [removeDangling, addInverse] = mongo.bulkWrites.map((op) => op.updateOne);
+		expect(removeDangling.filter).toEqual({ resourceType: 'event', externalKey: 'e2 @ fifa' });
+		expect(removeDangling.update.$unset).toEqual({ 'sportsPersonKeys.p1 @ fifa': '' });
+		expect(addInverse.filter).toEqual({ resourceType: 'team', externalKey: 't1 @ fifa' });
+		expect(addInverse.update.$set['eventKeys.e2 @ fifa']).toBe(E2);
+		expect(addInverse.update.$addToSet).toEqual({ events: E2 });
+		expect(mongo.deleted).toEqual(['a4']);
+		expect(report.repaired).toEqual({ referenceOperations: 2, deletedOrphans: 1 });
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('fails the repair when the reference operations cannot be written and leaves the orphans in place', async () => {
+		const mongo = fakeMongo(fixture(), { bulkWriteErrors: [new Error('write conflict')] });
+		await expect(checkConsistency(mongo, config, 'req', { repair: true })).rejects.toThrow('write conflict');
+		expect(mongo.deleted).toEqual([]);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('fails the repair when the back-references of a deleted orphan cannot be pulled', async () => {
+		const mongo = fakeMongo(fixture(), { bulkWriteErrors: [null, new Error('write conflict')] });
+		await expect(checkConsistency(mongo, config, 'req', { repair: true })).rejects.toThrow('write conflict');
+		expect(mongo.deleted).toEqual(['a4']);
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects unknown resource types', async () => {
+		await expect(checkConsistency(fakeMongo(fixture()), config, 'req', { types: ['story'] })).rejects.toThrow('unknown resourceType');
+	});
+});
@@ -0,0 +1,199 @@
+////////////////////////////////////////////////////////////////////////////////
+// Detects aggregation documents that have drifted from their source documents,
+// e.g. an event whose participants changed without the event being rebuilt.
+//
+// For each resource type a sample (or all) of the stored aggregation documents is
+// re-built as a dry run - the type's pipeline without its $merge stage - and the
+// references the pipeline produces (`xxxs` and `xxxKeys`) are compared with the
+// stored ones. Nothing is written. Each scan adds to the drift counters exposed on
+// GET /1-0/admin/metrics.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+const crypto = require('crypto');
+const { info, warn } = require('../log.js');
+const { REFERENCE_FIELDS } = require('../pipelines/referenceManagement.js');
+const { canonicalResourceType } = require('../pipelines/rebuildFromRoot.js');
+const { buildAggregationDocument, rebuildSettings } = require('../pipelines/rebuildAggregationDocumentsForCompetition.js');
+const { runWithConcurrency } = require('../utils/workerPool.js');
+const { incrementCounter, setGauge } = require('../utils/metrics.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Defaults for the options of scanForDrift
+const DEFAULT_SAMPLE_LIMIT = 100;
+
+////////////////////////////////////////////////////////////////////////////////
+// Ids compare as strings so ObjectIds from different reads are equal
+function idSet(ids) {
+	return new Set((Array.isArray(ids) ? ids : []).map(String));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// `xxxKeys` is an object of external key -> gameday id (or [] when a pipeline found none)
+function keyMap(keys) {
+	return _.isPlainObject(keys) ? _.mapValues(keys, String) : {};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Compares the reference fields of a stored and a freshly projected aggregation document. Only the fields the
+ * projection has are compared: the others (e.g. a team's keyMoments) are written back by reference management
+ * when the referenced type is built, so the type's own pipeline never produces them.
+ *
+ * @function diffReferenceFields
+ * @param {Object|null} stored - The aggregation document in the collection
+ * @param {Object|null} projected - The aggregation document the pipeline produces now
+ * @returns {Object} Per drifted field, { added, removed } ids or keys (plus `changed` keys whose gameday id differs);
+ *   empty when the references are in sync
+ */
+function diffReferenceFields(stored, projected) {
+	const drift = {};
+	for (const { idsField, keysField } of Object.values(REFERENCE_FIELDS)) {
+		if (_.has(projected, idsField)) {
+			const storedIds = idSet(stored?.[idsField]);
+			const projectedIds = idSet(projected[idsField]);
+			const addedIds = [...projectedIds].filter((id) => !storedIds.has(id));
+			const removedIds = [...storedIds].filter((id) => !projectedIds.has(id));
+			if (addedIds.length > 0 || removedIds.length > 0) drift[idsField] = { added: addedIds, removed: removedIds };
+		}
+
+		if (_.has(projected, keysField)) {
+			const storedKeys = keyMap(stored?.[keysField]);
+			const projectedKeys = keyMap(projected[keysField]);
+			const added = Object.keys(projectedKeys).filter((key) => !_.has(storedKeys, key));
+			const removed = Object.keys(storedKeys).filter((key) => !_.has(projectedKeys, key));
+			const changed = Object.keys(projectedKeys).filter((key) => _.has(storedKeys, key) && storedKeys[key] !== projectedKeys[key]);
+			if (added.length > 0 || removed.length > 0 || changed.length > 0) drift[keysField] = { added, removed, changed };
+		}
+	}
+	return drift;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// External keys of the stored aggregation documents of a type, optionally a random sample of them
+async function keysToScan(mongo, config, resourceType, sampleSize) {
+	const pipeline = [{ $match: { resourceType: resourceType.toLowerCase() } }];
+	if (sampleSize != null) pipeline.push({ $sample: { size: sampleSize } });
+	pipeline.push({ $project: { _id: 0, externalKey: 1 } });
+	const keys = [];
+	for await (const doc of mongo.db.collection(config.mongo.matAggCollectionName).aggregate(pipeline)) {
+		if (_.isString(doc.externalKey)) keys.push(doc.externalKey);
+	}
+	return keys;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function recordMetrics(resourceType, counts) {
+	const labels = { resource_type: resourceType };
+	incrementCounter('matagg_drift_checked_total', 'Aggregation documents checked for drift', labels, counts.checked);
+	incrementCounter('matagg_drift_drifted_total', 'Aggregation documents whose references differ from their source', labels, counts.drifted);
+	incrementCounter('matagg_drift_missing_source_total', 'Aggregation documents whose source document no longer exists', labels, counts.missingSource);
+	incrementCounter('matagg_drift_failed_total', 'Aggregation documents that could not be checked', labels, counts.failed);
+	setGauge('matagg_drift_last_scan_drifted', 'Drifted aggregation documents found by the last scan', labels, counts.drifted);
+	setGauge('matagg_drift_last_scan_timestamp_seconds', 'Time the last drift scan of the resource type finished', labels, Math.floor(Date.now() / 1000));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Re-runs the build pipelines of stored aggregation documents without writing anything and reports the
+ * documents whose references no longer match their source.
+ *
+ * @async
+ * @function scanForDrift
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @param {Object} config - Configuration object containing mongo, rebuild and drift settings
+ * @param {string} requestId - Request identifier for logging
+ * @param {Object} [options] - Scan options
+ * @param {string[]} [options.types] - Resource types to scan (any casing); defaults to all
+ * @param {number|null} [options.sampleSize] - Documents checked per type, picked at random; null checks every document.
+ *   Defaults to config.drift.sampleSize
+ * @param {number} [options.sampleLimit=100] - Maximum number of drifted documents listed (the counts are always complete)
+ * @returns {Promise<Object>} { sampleSize, counts: { [type]: { checked, inSync, drifted, missingSource, failed } }, totals, drifted, missingSource, truncated, durationMs }
+ * @throws {Error} If a resource type is unknown or the sample size is invalid
+ */
+async function scanForDrift(mongo, config, requestId, options = {}) {
+	if (!_.isString(config?.mongo?.matAggCollectionName)) throw new Error('Invalid configuration: config.mongo.matAggCollectionName must be a string');
+	const types = (options.types ?? Object.keys(REFERENCE_FIELDS)).map((type) => {
+		const canonical = canonicalResourceType(type);
+		if (!canonical) throw new Error(`Invalid parameters: unknown resourceType ${type} in types`);
+		return canonical;
+	});
+	const sampleSize = options.sampleSize === undefined ? (config?.drift?.sampleSize ?? null) : options.sampleSize;
+	if (sampleSize !== null && (!Number.isInteger(sampleSize) || sampleSize < 1)) throw new Error('Invalid parameters: sampleSize must be a positive integer or null');
+	const sampleLimit = options.sampleLimit ?? DEFAULT_SAMPLE_LIMIT;
+	const startTime = Date.now();
+
+	//////////////////////////////////////////////////////////////////////////////
+	const counts = {};
+	const drifted = [];
+	const missingSource = [];
+	for (const resourceType of types) {
+		const typeCounts = { checked: 0, inSync: 0, drifted: 0, missingSource: 0, failed: 0 };
+		counts[resourceType] = typeCounts;
+		const keys = await keysToScan(mongo, config, resourceType, sampleSize);
+		await runWithConcurrency(keys, rebuildSettings(config, resourceType).concurrency, async (key) => {
+			typeCounts.checked++;
+			const result = await buildAggregationDocument(mongo, config, resourceType, key, requestId, true);
+			if (result === 404) {
+				typeCounts.missingSource++;
+				missingSource.push({ resourceType, externalKey: key });
+				return;
+			}
+			if (!_.isObject(result) || result.dryRun !== true) {
+				typeCounts.failed++;
+				return;
+			}
+			const fields = diffReferenceFields(result.current, result.proposed);
+			if (_.isEmpty(fields)) {
+				typeCounts.inSync++;
+				return;
+			}
+			typeCounts.drifted++;
+			drifted.push({ resourceType, externalKey: key, lastUpdated: result.current?.lastUpdated ?? null, fields });
+		});
+		recordMetrics(resourceType, typeCounts);
+		info(`Drift scan of ${resourceType}: ${JSON.stringify(typeCounts)}`, requestId);
+	}
+
+	//////////////////////////////////////////////////////////////////////////////
+	const totals = _.mergeWith({}, ...Object.values(counts), (a, b) => (a || 0) + b);
+	if (totals.drifted > 0) warn(`Drift scan found ${totals.drifted} drifted aggregation documents`, requestId);
+	return {
+		sampleSize,
+		counts,
+		totals,
+		drifted: drifted.slice(0, sampleLimit),
+		missingSource: missingSource.slice(0, sampleLimit),
+		truncated: drifted.length > sampleLimit || missingSource.length > sampleLimit,
+		durationMs: Date.now() - startTime,
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Runs scanForDrift every config.drift.intervalMs so the drift metrics stay current.
+ * A scan is never started while the previous one is still running.
+ *
+ * @function startDriftScanSchedule
+ * @param {Object} config - Configuration object; config.drift.intervalMs must be positive
+ * @param {Object} mongo - MongoDB connection object with client and db properties
+ * @returns {{ stop: function(): void }} Stops further scans (a running scan is left to finish)
+ */
+function startDriftScanSchedule(config, mongo) {
+	let running = false;
+	const timer = setInterval(async () => {
+		if (running) return;
+		running = true;
+		const requestId = crypto.randomUUID();
+		try {
+			await scanForDrift(mongo, config, requestId);
+		} catch (err) {
+			warn(`Scheduled drift scan failed: ${err.message}`, requestId);
+		} finally {
+			running = false;
+		}
+	}, config.drift.intervalMs);
+	return { stop: () => clearInterval(timer) };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { scanForDrift, diffReferenceFields, startDriftScanSchedule };
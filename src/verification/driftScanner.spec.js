@@ -0,0 +1,88 @@
+jest.mock('../pipelines/rebuildAggregationDocumentsForCompetition.js', () => ({
+	...jest.requireActual('../pipelines/rebuildAggregationDocumentsForCompetition.js'),
+	buildAggregationDocument: jest.fn(),
+}));
+
+const { ObjectId } = require('mongodb');
+const { buildAggregationDocument } = require('../pipelines/rebuildAggregationDocumentsForCompetition.js');
+const { scanForDrift, diffReferenceFields } = require('./driftScanner.js');
+const { renderMetrics, resetMetrics } = require('../utils/metrics.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Only the key listing aggregate is needed: the builds themselves are mocked
+function fakeMongo(keysByType) {
+	const aggregate = (pipeline) => {
+		const keys = keysByType[pipeline[0].$match.resourceType] || [];
+		const sample = pipeline.find((stage) => stage.$sample);
+		return keys.slice(0, sample ? sample.$sample.size : keys.length).map((externalKey) => ({ externalKey }));
+	};
+	return { db: { collection: () => ({ aggregate }) } };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+const config = { mongo: { matAggCollectionName: 'materialisedAggregations' }, rebuild: { concurrency: 2 }, drift: { sampleSize: 10 } };
+const [T1, T2, V1] = Array.from({ length: 3 }, () => new ObjectId());
+
+////////////////////////////////////////////////////////////////////////////////
+describe('diffReferenceFields', () => {
+	//////////////////////////////////////////////////////////////////////////////
+	test('lists added, removed and repointed references and ignores everything else', () => {
+		const stored = { name: 'old', teams: [T1], teamKeys: { 't1 @ fifa': T1 }, venues: [V1], venueKeys: { 'v1 @ fifa': V1 } };
+		const projected = { name: 'new', teams: [T2], teamKeys: { 't2 @ fifa': T2 }, venues: [new ObjectId(V1.toHexString())], venueKeys: { 'v1 @ fifa': V1 }, clubKeys: [] };
+		expect(diffReferenceFields(stored, projected)).toEqual({
+			teams: { added: [String(T2)], removed: [String(T1)] },
+			teamKeys: { added: ['t2 @ fifa'], removed: ['t1 @ fifa'], changed: [] },
+		});
+		expect(diffReferenceFields(stored, { ...stored, lastUpdated: new Date() })).toEqual({});
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('ignores back-references the pipeline of the type does not write', () => {
+		const K1 = new ObjectId();
+		const stored = { teams: [T1], teamKeys: { 't1 @ fifa': T1 }, keyMoments: [K1], keyMomentKeys: { 'k1 @ fifa': K1 } };
+		const projected = { teams: [T1], teamKeys: { 't1 @ fifa': T1 } };
+		expect(diffReferenceFields(stored, projected)).toEqual({});
+		expect(diffReferenceFields(stored, { ...projected, keyMomentKeys: [] })).toEqual({ keyMomentKeys: { added: [], removed: ['k1 @ fifa'], changed: [] } });
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('scanForDrift', () => {
+	beforeEach(() => {
+		jest.clearAllMocks();
+		resetMetrics();
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('dry-run rebuilds the sampled documents, reports the drifted ones and counts every outcome', async () => {
+		const mongo = fakeMongo({ event: ['e1 @ fifa', 'e2 @ fifa', 'e3 @ fifa', 'e4 @ fifa'] });
+		buildAggregationDocument.mockImplementation(async (mongo, config, type, key) => {
+			if (key === 'e1 @ fifa') return { dryRun: true, current: { teamKeys: { 't1 @ fifa': T1 } }, proposed: { teamKeys: { 't1 @ fifa': T1 } } };
+			if (key === 'e2 @ fifa') return { dryRun: true, current: { teamKeys: { 't1 @ fifa': T1 } }, proposed: { teamKeys: { 't2 @ fifa': T2 } } };
+			if (key === 'e3 @ fifa') return 404;
+			return null;
+		});
+		const report = await scanForDrift(mongo, config, 'req', { types: ['Event'] });
+		expect(buildAggregationDocument.mock.calls.every((call) => call[5] === true)).toBe(true);
+		expect(report.counts.event).toEqual({ checked: 4, inSync: 1, drifted: 1, missingSource: 1, failed: 1 });
+		expect(report.drifted).toEqual([{ resourceType: 'event', externalKey: 'e2 @ fifa', lastUpdated: null, fields: { teamKeys: { added: ['t2 @ fifa'], removed: ['t1 @ fifa'], changed: [] } } }]);
+		expect(report.missingSource).toEqual([{ resourceType: 'event', externalKey: 'e3 @ fifa' }]);
+
+		const metrics = renderMetrics();
+		expect(metrics).toContain('# TYPE matagg_drift_drifted_total counter');
+		expect(metrics).toContain('matagg_drift_checked_total{resource_type="event"} 4');
+		expect(metrics).toContain('matagg_drift_drifted_total{resource_type="event"} 1');
+
+		////////////////////////////////////////////////////////////////////////////
+		// Counters accumulate across scans, the sample size limits the documents checked
+		await scanForDrift(mongo, config, 'req', { types: ['event'], sampleSize: 2 });
+		expect(buildAggregationDocument).toHaveBeenCalledTimes(6);
+		expect(renderMetrics()).toContain('matagg_drift_checked_total{resource_type="event"} 6');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('rejects unknown resource types and invalid sample sizes', async () => {
+		await expect(scanForDrift(fakeMongo({}), config, 'req', { types: ['story'] })).rejects.toThrow('unknown resourceType');
+		await expect(scanForDrift(fakeMongo({}), config, 'req', { sampleSize: 0 })).rejects.toThrow('sampleSize');
+	});
+});
@@ -0,0 +1,156 @@
+////////////////////////////////////////////////////////////////////////////////
+// Maps a change on one of the gameday source collections onto the processX
+// function that (re)builds the aggregation document for the changed resource.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+const { debug, warn } = require('../log.js');
+const { processCompetition } = require('../pipelines/competition/competitionAggregationBuild.js');
+const { processStage } = require('../pipelines/stage/stageAggregationBuild.js');
+const { processEvent } = require('../pipelines/event/eventAggregationBuild.js');
+const { processTeam } = require('../pipelines/team/teamAggregationBuild.js');
+const { processSgo } = require('../pipelines/sgo/sgoAggregationBuild.js');
+const { processClub } = require('../pipelines/club/clubAggregationBuild.js');
+const { processNation } = require('../pipelines/nation/nationAggregationBuild.js');
+const { processStaff } = require('../pipelines/staff/staffAggregationBuild.js');
+const { processVenue } = require('../pipelines/venue/venueAggregationBuild.js');
+const { processKeyMoment } = require('../pipelines/keyMoment/keyMomentAggregationBuild.js');
+const { processSportsPerson } = require('../pipelines/sportsPerson/sportsPersonAggregationBuild.js');
+const { processRanking } = require('../pipelines/ranking/rankingAggregationBuild.js');
+const { RankingKeyClass } = require('../pipelines/ranking/rankingKeyClass.js');
+const { deleteAggregationDocumentForGamedayId } = require('../pipelines/deleteAggregationDocument.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Change stream operation types that carry (or can look up) a full document to rebuild from
+const REBUILD_OPERATION_TYPES = ['insert', 'update', 'replace'];
+
+////////////////////////////////////////////////////////////////////////////////
+// Helper for the resources identified by _externalId and _externalIdScope
+function idScopeDispatcher(processFn) {
+	return async (config, mongo, doc, requestId) => {
+		if (!_.isString(doc?._externalId) || !_.isString(doc?._externalIdScope)) return null;
+		return await processFn(config, mongo, doc._externalIdScope, doc._externalId, requestId);
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+async function dispatchStaff(config, mongo, doc, requestId) {
+	return await processStaff(
+		config,
+		mongo,
+		doc._externalSportsPersonId,
+		doc._externalSportsPersonIdScope,
+		doc._externalTeamId ?? null,
+		doc._externalTeamIdScope ?? null,
+		doc._externalClubId ?? null,
+		doc._externalClubIdScope ?? null,
+		doc._externalNationId ?? null,
+		doc._externalNationIdScope ?? null,
+		requestId
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+async function dispatchKeyMoment(config, mongo, doc, requestId) {
+	return await processKeyMoment(config, mongo, doc._externalEventIdScope, doc._externalEventId, doc.type, doc.subType, doc.dateTime, requestId);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+async function dispatchRanking(config, mongo, doc, requestId) {
+	const rankingKey = new RankingKeyClass({
+		stageId: doc._externalStageId ?? null,
+		stageIdScope: doc._externalStageIdScope ?? null,
+		eventId: doc._externalEventId ?? null,
+		eventIdScope: doc._externalEventIdScope ?? null,
+		teamId: doc._externalTeamId ?? null,
+		teamIdScope: doc._externalTeamIdScope ?? null,
+		sportsPersonId: doc._externalSportsPersonId ?? null,
+		sportsPersonIdScope: doc._externalSportsPersonIdScope ?? null,
+		dateTimeLabel: doc.dateTime,
+		ranking: doc.ranking,
+	});
+	if (!rankingKey.validate()) {
+		warn(`Ranking document ${doc._id} does not describe a valid ranking key - skipping`, requestId);
+		return null;
+	}
+	return await processRanking(config, mongo, rankingKey, requestId);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Keyed by the name of the gameday source collection being watched
+const CHANGE_DISPATCHERS = {
+	competitions: idScopeDispatcher(processCompetition),
+	stages: idScopeDispatcher(processStage),
+	events: idScopeDispatcher(processEvent),
+	teams: idScopeDispatcher(processTeam),
+	clubs: idScopeDispatcher(processClub),
+	nations: idScopeDispatcher(processNation),
+	venues: idScopeDispatcher(processVenue),
+	sgos: idScopeDispatcher(processSgo),
+	sportsPersons: idScopeDispatcher(processSportsPerson),
+	staff: dispatchStaff,
+	rankings: dispatchRanking,
+	keyMoments: dispatchKeyMoment,
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Resource type of the documents held in each watched collection, used to find the
+// aggregation document of a deleted source document by its gameday id
+const COLLECTION_RESOURCE_TYPES = {
+	competitions: 'competition',
+	stages: 'stage',
+	events: 'event',
+	teams: 'team',
+	clubs: 'club',
+	nations: 'nation',
+	venues: 'venue',
+	sgos: 'sgo',
+	sportsPersons: 'sportsPerson',
+	staff: 'staff',
+	rankings: 'ranking',
+	keyMoments: 'keyMoment',
+};
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Dispatches a single change stream event to the processX function for the collection it came from.
+ *
+ * @async
+ * @function dispatchChange
+ * @param {Object} config - Configuration object containing mongo settings
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} change - The change stream event (as delivered with fullDocument: 'updateLookup')
+ * @param {string} requestId - Request identifier for logging
+ * @returns {Promise<Object|number|null|undefined>} The processX result (aggregation doc, 404 or null), the deleted
+ *   aggregation doc (or 404) for a delete, or undefined when the change was ignored (unsupported collection,
+ *   operation type or no full document)
+ * @throws {Error} Propagates errors thrown by the processX function so the watcher can decide whether to retry
+ */
+async function dispatchChange(config, mongo, change, requestId) {
+	const collectionName = change?.ns?.coll;
+	const dispatcher = CHANGE_DISPATCHERS[collectionName];
+	if (!dispatcher) {
+		debug(`No change dispatcher for collection ${collectionName}`, requestId);
+		return undefined;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	// A delete only carries the _id of the source document
+	if (change.operationType === 'delete') {
+		debug(`Dispatching delete on ${collectionName} for ${change.documentKey?._id}`, requestId);
+		return await deleteAggregationDocumentForGamedayId(config, mongo, COLLECTION_RESOURCE_TYPES[collectionName], change.documentKey?._id, requestId);
+	}
+	if (!REBUILD_OPERATION_TYPES.includes(change.operationType)) {
+		debug(`Ignoring ${change.operationType} on ${collectionName}`, requestId);
+		return undefined;
+	}
+	//////////////////////////////////////////////////////////////////////////////
+	// With updateLookup the full document is null if it was deleted before the lookup ran
+	if (!_.isObject(change.fullDocument)) {
+		debug(`No full document for ${change.operationType} on ${collectionName} - skipping`, requestId);
+		return undefined;
+	}
+	debug(`Dispatching ${change.operationType} on ${collectionName} for ${change.fullDocument._id}`, requestId);
+	return await dispatcher(config, mongo, change.fullDocument, requestId);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { CHANGE_DISPATCHERS, dispatchChange };
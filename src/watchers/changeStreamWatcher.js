@@ -0,0 +1,134 @@
+////////////////////////////////////////////////////////////////////////////////
+// Watches the gameday source collections with change streams and rebuilds the
+// aggregation document of every resource that is written, so that ingest does
+// not have to call the /1-0/aggregate routes itself.
+//
+// Change streams need a replica set (a single node replica set is enough for
+// local testing, e.g. `mongod --replSet rs0` followed by `rs.initiate()`).
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+const crypto = require('crypto');
+const { debug, info, warn } = require('../log.js');
+const { dispatchChange } = require('./changeStreamDispatch.js');
+const { loadResumeToken, saveResumeToken, clearResumeToken } = require('./resumeTokenStore.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Server error returned when a resume token is no longer in the oplog
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
+////////////////////////////////////////////////////////////////////////////////
+// Sleep that is cut short when the watcher is stopped
+function pause(state, ms) {
+	return new Promise((resolve) => {
+		const wake = () => {
+			clearTimeout(timer);
+			state.wakers.delete(wake);
+			resolve();
+		};
+		const timer = setTimeout(wake, ms);
+		state.wakers.add(wake);
+	});
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Handles a single change: dispatches it to the matching processX function and then
+ * persists its resume token. A change that fails to build is logged and its token is
+ * still stored, so one bad document cannot wedge the stream.
+ *
+ * @async
+ * @function handleChange
+ * @param {Object} config - Configuration object containing mongo and watcher settings
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {string} collectionName - Name of the watched collection
+ * @param {Object} change - The change stream event
+ * @returns {Promise<void>}
+ */
+async function handleChange(config, mongo, collectionName, change) {
+	const requestId = crypto.randomUUID();
+	try {
+		const result = await dispatchChange(config, mongo, change, requestId);
+		if (result === 404) warn(`No source or aggregation document found for ${change.operationType} on ${collectionName}`, requestId);
+		else if (result === null) warn(`Failed to build aggregation for ${change.operationType} on ${collectionName}`, requestId);
+		else if (_.isObject(result)) debug(`${change.operationType === 'delete' ? 'Deleted' : 'Built'} aggregation ${result.resourceType} ${result.externalKey}`, requestId);
+	} catch (err) {
+		warn(`Error handling ${change?.operationType} on ${collectionName}: ${err.message}`, requestId);
+	}
+	await saveResumeToken(mongo, config, collectionName, change._id);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Watches one collection until the watcher is stopped, reopening the change stream
+ * (from the last persisted resume token) whenever it closes or errors.
+ *
+ * @async
+ * @function watchCollection
+ * @param {Object} config - Configuration object containing mongo and watcher settings
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {string} collectionName - Name of the collection to watch
+ * @param {Object} state - Shared watcher state ({ stopped, streams, wakers })
+ * @returns {Promise<void>} Resolves once the watcher has been stopped
+ */
+async function watchCollection(config, mongo, collectionName, state) {
+	const restartDelayMs = config?.watcher?.restartDelayMs ?? 5000;
+	while (!state.stopped) {
+		let stream = null;
+		try {
+			const resumeAfter = await loadResumeToken(mongo, config, collectionName);
+			const options = { fullDocument: 'updateLookup' };
+			if (resumeAfter) options.resumeAfter = resumeAfter;
+			info(`Watching ${collectionName} ${resumeAfter ? 'from stored resume token' : 'from now'}`);
+			stream = mongo.db.collection(collectionName).watch([], options);
+			state.streams.add(stream);
+			for await (const change of stream) {
+				await handleChange(config, mongo, collectionName, change);
+				if (state.stopped) break;
+			}
+		} catch (err) {
+			if (state.stopped) break;
+			warn(`Change stream on ${collectionName} failed: ${err.message}`);
+			if (err?.code === CHANGE_STREAM_HISTORY_LOST) {
+				warn(`Resume token for ${collectionName} is no longer in the oplog - restarting from now`);
+				await clearResumeToken(mongo, config, collectionName);
+			}
+		} finally {
+			if (stream) {
+				state.streams.delete(stream);
+				await stream.close().catch(() => {});
+			}
+		}
+		if (!state.stopped) await pause(state, restartDelayMs);
+	}
+	debug(`Stopped watching ${collectionName}`);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Starts a change stream watcher for each of the configured source collections.
+ *
+ * @function startChangeStreamWatchers
+ * @param {Object} config - Configuration object containing mongo and watcher settings
+ * @param {string[]} config.watcher.collections - Names of the collections to watch
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @returns {{ stop: function(): Promise<void>, done: Promise<void> }} Handle used to stop the watchers;
+ *   `done` resolves when every collection loop has exited
+ */
+function startChangeStreamWatchers(config, mongo) {
+	const collections = config?.watcher?.collections;
+	if (!Array.isArray(collections) || collections.length === 0) throw new Error('Invalid configuration: config.watcher.collections must be a non-empty array');
+	const state = { stopped: false, streams: new Set(), wakers: new Set() };
+	const done = Promise.all(collections.map((collectionName) => watchCollection(config, mongo, collectionName, state))).then(() => undefined);
+	//////////////////////////////////////////////////////////////////////////////
+	const stop = async () => {
+		state.stopped = true;
+		state.wakers.forEach((wake) => wake());
+		await Promise.all([...state.streams].map((stream) => stream.close().catch(() => {})));
+		await done;
+		info(`Change stream watchers stopped`);
+	};
+	return { stop, done };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { startChangeStreamWatchers };
@@ -0,0 +1,196 @@
+jest.mock('../pipelines/event/eventAggregationBuild.js');
+jest.mock('../pipelines/staff/staffAggregationBuild.js');
+jest.mock('../pipelines/ranking/rankingAggregationBuild.js');
+jest.mock('../pipelines/keyMoment/keyMomentAggregationBuild.js');
+jest.mock('../pipelines/deleteAggregationDocument.js');
+
+const { processEvent } = require('../pipelines/event/eventAggregationBuild.js');
+const { processStaff } = require('../pipelines/staff/staffAggregationBuild.js');
+const { processRanking } = require('../pipelines/ranking/rankingAggregationBuild.js');
+const { processKeyMoment } = require('../pipelines/keyMoment/keyMomentAggregationBuild.js');
+const { deleteAggregationDocumentForGamedayId } = require('../pipelines/deleteAggregationDocument.js');
+const { dispatchChange } = require('./changeStreamDispatch.js');
+const { startChangeStreamWatchers } = require('./changeStreamWatcher.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// A stand-in for a replica set change stream: an async iterable fed by push()
+class FakeChangeStream {
+	constructor(options) {
+		this.options = options;
+		this.queue = [];
+		this.waiting = null;
+		this.closed = false;
+	}
+	push(change) {
+		if (this.waiting) {
+			const resolve = this.waiting;
+			this.waiting = null;
+			resolve({ value: change, done: false });
+		} else this.queue.push(change);
+	}
+	async close() {
+		this.closed = true;
+		if (this.waiting) {
+			const resolve = this.waiting;
+			this.waiting = null;
+			resolve({ value: undefined, done: true });
+		}
+	}
+	[Symbol.asyncIterator]() {
+		return {
+			next: () => {
+				if (this.queue.length > 0) return Promise.resolve({ value: this.queue.shift(), done: false });
+				if (this.closed) return Promise.resolve({ value: undefined, done: true });
+				return new Promise((resolve) => (this.waiting = resolve));
+			},
+			return: async () => {
+				await this.close();
+				return { value: undefined, done: true };
+			},
+		};
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+function fakeMongo() {
+	const tokens = new Map();
+	const streams = {};
+	const tokenCollection = {
+		findOne: async ({ _id }) => (tokens.has(_id) ? { _id, resumeToken: tokens.get(_id) } : null),
+		updateOne: async ({ _id }, update) => tokens.set(_id, update.$set.resumeToken),
+		deleteOne: async ({ _id }) => tokens.delete(_id),
+	};
+	const collection = (name) => {
+		if (name === 'changeStreamResumeTokens') return tokenCollection;
+		return {
+			watch: (pipeline, options) => {
+				const stream = new FakeChangeStream(options);
+				(streams[name] = streams[name] || []).push(stream);
+				return stream;
+			},
+		};
+	};
+	return { db: { collection }, tokens, streams };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+async function waitFor(condition) {
+	for (let i = 0; i < 200; i++) {
+		if (condition()) return;
+		await new Promise((resolve) => setTimeout(resolve, 5));
+	}
+	throw new Error('Timed out waiting for condition');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+const config = {
+	mongo: { matAggCollectionName: 'materialisedAggregations' },
+	watcher: { collections: ['events'], resumeTokenCollectionName: 'changeStreamResumeTokens', restartDelayMs: 5 },
+};
+
+////////////////////////////////////////////////////////////////////////////////
+function eventChange(token, id) {
+	return {
+		_id: { _data: token },
+		operationType: 'update',
+		ns: { db: 'gameday', coll: 'events' },
+		fullDocument: { _id: `oid-${id}`, _externalId: id, _externalIdScope: 'fifa' },
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+describe('changeStreamDispatch', () => {
+	beforeEach(() => jest.clearAllMocks());
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('dispatches id/scope resources to their processX function', async () => {
+		processEvent.mockResolvedValue({ resourceType: 'event', externalKey: '146186 @ fifa' });
+		const result = await dispatchChange(config, {}, eventChange('t1', '146186'), 'req');
+		expect(processEvent).toHaveBeenCalledWith(config, {}, 'fifa', '146186', 'req');
+		expect(result.externalKey).toBe('146186 @ fifa');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('dispatches staff, key moments and rankings from their external fields', async () => {
+		const staff = { _externalSportsPersonId: '394503', _externalSportsPersonIdScope: 'fifa', _externalTeamId: '289175_1884422', _externalTeamIdScope: 'fifa' };
+		await dispatchChange(config, {}, { operationType: 'insert', ns: { coll: 'staff' }, fullDocument: staff }, 'req');
+		expect(processStaff).toHaveBeenCalledWith(config, {}, '394503', 'fifa', '289175_1884422', 'fifa', null, null, null, null, 'req');
+
+		const dateTime = new Date('2025-10-03T15:50:06Z');
+		const km = { _externalEventId: '2003994', _externalEventIdScope: 'bblscb', type: 'action', subType: 'startMatch', dateTime };
+		await dispatchChange(config, {}, { operationType: 'replace', ns: { coll: 'keyMoments' }, fullDocument: km }, 'req');
+		expect(processKeyMoment).toHaveBeenCalledWith(config, {}, 'bblscb', '2003994', 'action', 'startMatch', dateTime, 'req');
+
+		const ranking = { _externalStageId: '285065', _externalStageIdScope: 'fifa', _externalTeamId: '255711_43960', _externalTeamIdScope: 'fifa', dateTime: 'latest', ranking: 1 };
+		await dispatchChange(config, {}, { operationType: 'insert', ns: { coll: 'rankings' }, fullDocument: ranking }, 'req');
+		expect(processRanking).toHaveBeenCalledTimes(1);
+		expect(processRanking.mock.calls[0][2].type()).toBe('stageTeamRanking');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('dispatches deletes by gameday id with the resource type of the collection', async () => {
+		await dispatchChange(config, {}, { operationType: 'delete', ns: { coll: 'sportsPersons' }, documentKey: { _id: 'oid-1' } }, 'req');
+		expect(deleteAggregationDocumentForGamedayId).toHaveBeenCalledWith(config, {}, 'sportsPerson', 'oid-1', 'req');
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('ignores unknown collections, other operation types and missing full documents', async () => {
+		expect(await dispatchChange(config, {}, { operationType: 'drop', ns: { coll: 'events' } }, 'req')).toBeUndefined();
+		expect(await dispatchChange(config, {}, { operationType: 'insert', ns: { coll: 'stories' }, fullDocument: {} }, 'req')).toBeUndefined();
+		expect(await dispatchChange(config, {}, { operationType: 'update', ns: { coll: 'events' }, fullDocument: null }, 'req')).toBeUndefined();
+		expect(processEvent).not.toHaveBeenCalled();
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+describe('changeStreamWatcher', () => {
+	beforeEach(() => jest.clearAllMocks());
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('processes changes in order and persists the resume token after each one', async () => {
+		processEvent.mockResolvedValue({ resourceType: 'event', externalKey: 'k' });
+		const mongo = fakeMongo();
+		const watchers = startChangeStreamWatchers(config, mongo);
+		await waitFor(() => mongo.streams.events?.length === 1);
+		const stream = mongo.streams.events[0];
+		expect(stream.options).toEqual({ fullDocument: 'updateLookup' });
+
+		stream.push(eventChange('t1', '1'));
+		stream.push(eventChange('t2', '2'));
+		await waitFor(() => mongo.tokens.get('events')?._data === 't2');
+		expect(processEvent.mock.calls.map((call) => call[3])).toEqual(['1', '2']);
+		await watchers.stop();
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('resumes after the last persisted token when the stream is reopened', async () => {
+		processEvent.mockResolvedValue({ resourceType: 'event', externalKey: 'k' });
+		const mongo = fakeMongo();
+		mongo.tokens.set('events', { _data: 't1' });
+		const watchers = startChangeStreamWatchers(config, mongo);
+		await waitFor(() => mongo.streams.events?.length === 1);
+		expect(mongo.streams.events[0].options.resumeAfter).toEqual({ _data: 't1' });
+
+		////////////////////////////////////////////////////////////////////////////
+		// Simulate the server dropping the stream after one more change
+		mongo.streams.events[0].push(eventChange('t2', '2'));
+		await waitFor(() => mongo.tokens.get('events')?._data === 't2');
+		await mongo.streams.events[0].close();
+		await waitFor(() => mongo.streams.events.length === 2);
+		expect(mongo.streams.events[1].options.resumeAfter).toEqual({ _data: 't2' });
+		await watchers.stop();
+	});
+
+	//////////////////////////////////////////////////////////////////////////////
+	test('a change that fails to build does not block the stream', async () => {
+		processEvent.mockRejectedValueOnce(new Error('boom')).mockResolvedValue({ resourceType: 'event', externalKey: 'k' });
+		const mongo = fakeMongo();
+		const watchers = startChangeStreamWatchers(config, mongo);
+		await waitFor(() => mongo.streams.events?.length === 1);
+		mongo.streams.events[0].push(eventChange('t1', '1'));
+		mongo.streams.events[0].push(eventChange('t2', '2'));
+		await waitFor(() => mongo.tokens.get('events')?._data === 't2');
+		expect(processEvent).toHaveBeenCalledTimes(2);
+		await watchers.stop();
+	});
+});
@@ -0,0 +1,61 @@
+////////////////////////////////////////////////////////////////////////////////
+// Persists change stream resume tokens (one document per watched collection)
+// so that a restarted watcher carries on from the last change it handled.
+////////////////////////////////////////////////////////////////////////////////
+const _ = require('lodash');
+
+////////////////////////////////////////////////////////////////////////////////
+function tokenCollection(mongo, config) {
+	if (!_.isString(config?.watcher?.resumeTokenCollectionName)) throw new Error('Invalid configuration: config.watcher.resumeTokenCollectionName must be a string');
+	return mongo.db.collection(config.watcher.resumeTokenCollectionName);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Loads the last persisted resume token for a watched collection.
+ *
+ * @async
+ * @function loadResumeToken
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing watcher settings
+ * @param {string} collectionName - Name of the watched collection
+ * @returns {Promise<Object|null>} The resume token, or null if none has been stored yet
+ */
+async function loadResumeToken(mongo, config, collectionName) {
+	const doc = await tokenCollection(mongo, config).findOne({ _id: collectionName });
+	return doc?.resumeToken ?? null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Stores the resume token of the last handled change for a watched collection.
+ *
+ * @async
+ * @function saveResumeToken
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing watcher settings
+ * @param {string} collectionName - Name of the watched collection
+ * @param {Object} resumeToken - The change event `_id`
+ * @returns {Promise<void>}
+ */
+async function saveResumeToken(mongo, config, collectionName, resumeToken) {
+	await tokenCollection(mongo, config).updateOne({ _id: collectionName }, { $set: { resumeToken, lastUpdated: new Date() } }, { upsert: true });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Removes the stored resume token for a watched collection, e.g. when it has fallen off the oplog.
+ *
+ * @async
+ * @function clearResumeToken
+ * @param {Object} mongo - MongoDB connection object with db property
+ * @param {Object} config - Configuration object containing watcher settings
+ * @param {string} collectionName - Name of the watched collection
+ * @returns {Promise<void>}
+ */
+async function clearResumeToken(mongo, config, collectionName) {
+	await tokenCollection(mongo, config).deleteOne({ _id: collectionName });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+module.exports = { loadResumeToken, saveResumeToken, clearResumeToken };